@@ -1,228 +1,376 @@
-// HeartTransplantMatcher.jsx - Complete version with blood type support and PDF fixes
-import React, { useState, useRef } from 'react';
-import ExcelJS from 'exceljs';
-
-const escapeHTML = (str) => {
-  if (!str) return '';
-  return str.replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-           .replace(/"/g, '&quot;')
-           .replace(/'/g, '&#039;');
+// HeartTransplantMatcher.jsx - Complete version with blood type support and PDF/Excel export
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { bloodTypes, evaluateRecipients } from './engine/matching';
+import { describePolicy } from './engine/allocationPolicy';
+import { sizeMetrics, extraRatioColumns, riskLegend, categoryLegend } from './engine/sizeMetrics';
+import { paediatricLegends, isPaediatricResult, runRiskMetric } from './engine/paediatricModels';
+import { unitOptions, defaultUnits, donorInEngineUnits, unitWarning, describeMeasurement } from './engine/units';
+import { validateRecipients, donorProblems } from './import/validation';
+import { parseRecipientFile } from './import/parsers';
+import { applyMapping } from './import/columnMapping';
+import ColumnMappingWizard from './components/ColumnMappingWizard';
+import { downloadResultsWorkbook } from './export/excelExport';
+import { downloadResultsPDF } from './export/pdfReport';
+import { loadWaitlist, saveWaitlist } from './storage/waitlistStore';
+import { clearAllStores } from './storage/database';
+import { isEncryptionEnabled, isUnlocked, lock, getIdleMinutes, setIdleMinutes as saveIdleMinutes, removePassphrase } from './storage/vault';
+import useIdleTimer from './hooks/useIdleTimer';
+import UnlockPanel from './components/UnlockPanel';
+import DataProtectionPanel from './components/DataProtectionPanel';
+import WaitlistEditor from './components/WaitlistEditor';
+import WaitlistDashboard from './components/WaitlistDashboard';
+import WaitlistDiffReview from './components/WaitlistDiffReview';
+import { diffWaitlists, diffFields, applyWaitlistDiff, describeImportRecord } from './waitlist/waitlistDiff';
+import ResultsTable from './components/ResultsTable';
+import ResultsViewControls from './components/ResultsViewControls';
+import RecipientDetailDrawer from './components/RecipientDetailDrawer';
+import MatchCharts from './components/MatchCharts';
+import useResultsView from './hooks/useResultsView';
+import { applyResultsView, resultsViewNote } from './results/resultsView';
+import { describeExclusions } from './results/exclusions';
+import DonorHistory from './components/DonorHistory';
+import BatchDonorMatching from './components/BatchDonorMatching';
+import DonorImportPanel from './components/DonorImportPanel';
+import { saveDonorRun } from './history/donorHistory';
+import AllocationPolicyEditor from './components/AllocationPolicyEditor';
+import { loadActivePolicy, saveActivePolicyName } from './storage/policyStore';
+import SizeMetricSettings from './components/SizeMetricSettings';
+import { loadMetricSettings, saveMetricSettings } from './storage/metricSettings';
+import ThresholdSettings from './components/ThresholdSettings';
+import { loadThresholds, saveThresholds } from './storage/thresholdSettings';
+import { loadDonorUnits, saveDonorUnits } from './storage/unitSettings';
+import ClinicalRulesEditor from './components/ClinicalRulesEditor';
+import { loadClinicalRules, saveClinicalRules } from './storage/clinicalRulesStore';
+import { hlaLoci, hlaField, describeHlaTyping, isCrossmatchPositive } from './engine/hla';
+import { locateHospital, hospitalProblem, describeTransport, isBeyondIschaemicLimit, hasDistance } from './engine/geography';
+import CentresPanel from './components/CentresPanel';
+import { loadCentres, saveCentres, resetCentres, loadTransportOptions, saveTransportOptions } from './storage/centreStore';
+import { activeRecipients } from './waitlist/waitlistEdits';
+import { downloadWaitlistWorkbook } from './export/waitlistExport';
+
+// HLA typing is optional and kept one locus per field (hlaA, hlaB, ...)
+const emptyDonor = {
+  name: '',
+  gender: '',
+  age: '',
+  height: '',
+  weight: '',
+  bloodType: '',
+  // Centre code from the centre table, or "latitude, longitude"
+  hospital: '',
+  ...Object.fromEntries(hlaLoci.map(locus => [hlaField(locus), '']))
 };
 
 const HeartTransplantMatcher = () => {
   const [recipients, setRecipients] = useState([]);
-  const [donor, setDonor] = useState({
-    name: '',
-    gender: '',
-    age: '',
-    height: '',
-    weight: '',
-    bloodType: ''
-  });
+  const [donor, setDonor] = useState(emptyDonor);
+  // Notes on donor fields an import could not read with confidence, cleared as each is edited
+  const [donorFlags, setDonorFlags] = useState({});
+  const [donorUnits, setDonorUnits] = useState(loadDonorUnits);
   const [matchResults, setMatchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [file, setFile] = useState(null);
+  const [importIssues, setImportIssues] = useState({ issues: [], invalidRows: [] });
+  const [pendingImport, setPendingImport] = useState(null);
+  // A re-import waiting for review: { fileName, diff, importIssues }
+  const [pendingDiff, setPendingDiff] = useState(null);
+  const [waitlistInfo, setWaitlistInfo] = useState(null);
+  const [encryptionEnabled, setEncryptionEnabled] = useState(isEncryptionEnabled);
+  const [isLocked, setIsLocked] = useState(() => !isUnlocked());
+  const [idleMinutes, setIdleMinutes] = useState(getIdleMinutes);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [activePolicy, setActivePolicy] = useState(loadActivePolicy);
+  // Policy and exclusions of the run currently shown, so reports describe that run
+  const [resultsPolicy, setResultsPolicy] = useState(null);
+  const [resultsDonor, setResultsDonor] = useState(null);
+  const [resultsLegends, setResultsLegends] = useState(null);
+  const [excludedResults, setExcludedResults] = useState([]);
+  const [metricSettings, setMetricSettings] = useState(loadMetricSettings);
+  const [thresholds, setThresholds] = useState(loadThresholds);
+  const [clinicalRules, setClinicalRules] = useState(loadClinicalRules);
+  const [centres, setCentres] = useState(loadCentres);
+  const [transport, setTransport] = useState(loadTransportOptions);
+  const [resultsView, setResultsView] = useResultsView();
+  const [detailResult, setDetailResult] = useState(null);
   const resultsTableRef = useRef(null);
 
-  // Available blood types
-  const bloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
-  
-  // Extract ABO type from full blood type (ignore Rhesus for compatibility)
-  const getABOType = (bloodType) => {
-    if (!bloodType) return null;
-    const aboType = bloodType.replace(/[+-]/, ''); // Remove + or -
-    return ['A', 'B', 'AB', 'O'].includes(aboType) ? aboType : null;
-  };
-  
-  // Check if Rhesus types are mismatched
-  const hasRhesusMismatch = (donorBloodType, recipientBloodType) => {
-    if (!donorBloodType || !recipientBloodType) return false;
-    
-    const donorRhesus = donorBloodType.includes('+') ? '+' : '-';
-    const recipientRhesus = recipientBloodType.includes('+') ? '+' : '-';
-    
-    // Rh- recipient receiving Rh+ blood is problematic
-    return recipientRhesus === '-' && donorRhesus === '+';
-  };
-  
-  // Updated blood type compatibility chart (ABO only)
-  const aboCompatibility = {
-    'A': ['A', 'O'],
-    'B': ['B', 'O'],
-    'AB': ['A', 'B', 'AB', 'O'],
-    'O': ['O']
-  };
-  
-  // Check ABO compatibility only
-  const isABOCompatible = (donorBloodType, recipientBloodType) => {
-    const donorABO = getABOType(donorBloodType);
-    const recipientABO = getABOType(recipientBloodType);
-    
-    if (!donorABO || !recipientABO) return false;
-    return aboCompatibility[recipientABO]?.includes(donorABO) || false;
-  };
+  // Restore the waitlist saved in this browser by a previous session (once unlocked)
+  useEffect(() => {
+    if (isLocked) return;
+    loadWaitlist()
+      .then(saved => {
+        if (!saved) return;
+        setRecipients(saved.recipients);
+        setImportIssues(saved.importIssues || { issues: [], invalidRows: [] });
+        setWaitlistInfo({
+          fileName: saved.fileName,
+          importedAt: saved.importedAt,
+          importLog: saved.importLog || [],
+          requireBloodType: saved.requireBloodType ?? true
+        });
+      })
+      .catch(err => {
+        console.error('Could not restore saved waitlist:', err);
+      });
+  }, [isLocked]);
 
-// Calculate PHM based on formula from the uploaded document
-  const calculatePHM = (gender, age, height, weight) => {
-    // Convert height from cm to m if needed
-    const heightInM = height > 3 ? height / 100 : height;
-    
-    // Calculate LVM (Left Ventricular Mass)
-    const lvmCoefficient = gender.toLowerCase() === 'female' ? 6.82 : 8.25;
-    const lvm = lvmCoefficient * Math.pow(heightInM, 0.54) * Math.pow(weight, 0.61);
-    
-    // Calculate RVM (Right Ventricular Mass)
-    const rvmCoefficient = gender.toLowerCase() === 'female' ? 10.59 : 11.25;
-    const rvm = rvmCoefficient * Math.pow(age, -0.32) * Math.pow(heightInM, 1.135) * Math.pow(weight, 0.315);
-    
-    // PHM = RVM + LVM
-    return rvm + lvm;
-  };
+  // Forget the key and drop decrypted patient data from memory
+  const lockSession = useCallback(() => {
+    lock();
+    setRecipients([]);
+    setMatchResults([]);
+    setExcludedResults([]);
+    setDetailResult(null);
+    setImportIssues({ issues: [], invalidRows: [] });
+    setPendingImport(null);
+    setPendingDiff(null);
+    setFile(null);
+    setError('');
+    setIsLocked(true);
+  }, []);
 
-  // Calculate donor-to-recipient PHM ratio
-  const calculatePHMRatio = (donorPHM, recipientPHM) => {
-    return donorPHM / recipientPHM;
-  };
+  useIdleTimer(idleMinutes, lockSession, encryptionEnabled && !isLocked);
 
-  // Determine match category based on PHM ratio (using the septiles from the document)
-  const determineMatchCategory = (phmRatio) => {
-    if (phmRatio < 0.863) return 'U3 - Severely Undersized';
-    if (phmRatio < 0.929) return 'U2 - Moderately Undersized';
-    if (phmRatio < 0.983) return 'U1 - Mildly Undersized';
-    if (phmRatio < 1.039) return 'R - Well-Matched';
-    if (phmRatio < 1.111) return 'O1 - Mildly Oversized';
-    if (phmRatio < 1.221) return 'O2 - Moderately Oversized';
-    return 'O3 - Severely Oversized';
+  const closeDetail = useCallback(() => setDetailResult(null), []);
+
+  // Inactive and removed patients are not ranked
+  const listedRecipients = useMemo(() => activeRecipients(recipients), [recipients]);
+
+  const handleIdleMinutesChange = (minutes) => {
+    setIdleMinutes(minutes);
+    saveIdleMinutes(minutes);
   };
 
-  // Determine risk level based on PHM ratio
-  const determineRiskLevel = (phmRatio) => {
-    if (phmRatio < 0.86) return 'High Risk';
-    return 'Acceptable';
+  // Last resort when the passphrase is lost: the encrypted records cannot be read anyway
+  const handleResetLockedData = async () => {
+    try {
+      await clearAllStores();
+      removePassphrase();
+      setEncryptionEnabled(false);
+      setWaitlistInfo(null);
+      setHistoryVersion(version => version + 1);
+      setIsLocked(false);
+    } catch (err) {
+      console.error('Clear data error:', err);
+      setError(`Error clearing stored data: ${err.message || 'Unknown error'}`);
+    }
   };
 
 const handleFileUpload = async (e) => {
   const file = e.target.files[0];
   setFile(file);
   setError('');
+  setImportIssues({ issues: [], invalidRows: [] });
+  setPendingImport(null);
+  setPendingDiff(null);
   
   if (!file) return;
   
   try {
     setIsLoading(true);
-    const workbook = new ExcelJS.Workbook();
     
-    // Read the Excel file
-    const arrayBuffer = await file.arrayBuffer();
-    await workbook.xlsx.load(arrayBuffer);
+    // Read the file (.xlsx, CSV/TSV or JSON) into worksheets of headers and rows
+    const sheets = await parseRecipientFile(file);
     
-    // Get the first worksheet
-    const worksheet = workbook.worksheets[0];
-    
-    if (!worksheet) {
-      setError('No worksheet found in the Excel file.');
+    if (!sheets.some(sheet => sheet.rows.length)) {
+      setError('The uploaded file contains no data.');
       setIsLoading(false);
       return;
     }
     
-    // Convert worksheet to JSON
-    const jsonData = [];
-    const headers = [];
-    
-    // Get headers
-    worksheet.getRow(1).eachCell((cell, colNumber) => {
-      headers[colNumber - 1] = cell.value.toString().toLowerCase();
-    });
-    
-    // Check for required columns (updated list)
-    const requiredColumns = ['dateadded', 'id', 'name', 'gender', 'age', 'height', 'weight', 'status'];
-    const missingColumns = requiredColumns.filter(col => !headers.includes(col));
+    // Hand over to the column mapping step
+    setPendingImport({ fileName: file.name, sheets });
+    setIsLoading(false);
+  } catch (err) {
+    console.error('File processing error:', err);
+    setError(`Error processing file: ${err.message || 'Unknown error'}`);
+    setIsLoading(false);
+  }
+};
+
+  // A failed save only warns: the list stays usable until the page is reloaded
+  const storeWaitlist = (info, updatedRecipients, issues) => {
+    saveWaitlist({ ...info, recipients: updatedRecipients, importIssues: issues })
+      .catch(err => {
+        console.error('Could not save waitlist:', err);
+        setError(`Warning: the waitlist could not be saved in this browser (${err.message || 'Unknown error'}). It will be lost on reload.`);
+      });
+  };
+
+  const handleApplyMapping = ({ sheet, mapping, units }) => {
+    setError('');
     
-    if (missingColumns.length) {
-      setError(`Missing required columns: ${missingColumns.join(', ')}`);
-      setIsLoading(false);
+    if (sheet.rows.length === 0) {
+      setError('The selected worksheet contains no data.');
       return;
     }
-
-    // Warn if bloodType column is missing
-    if (!headers.includes('bloodtype')) {
-      setError('Warning: No "bloodType" column found. Blood type matching will be disabled.');
+    
+    // Warn if no blood type column is mapped
+    if (!mapping.bloodType) {
+      setError('Warning: No blood type column mapped. Blood type matching will be disabled.');
     }
     
-    // Convert rows to JSON
-    worksheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return; // Skip header row
-      
-      const rowData = {};
-      row.eachCell((cell, colNumber) => {
-        const header = headers[colNumber - 1];
-        
-        // Special handling for date column
-        if (header === 'dateadded') {
-          // Handle Excel date format
-          if (cell.value instanceof Date) {
-            rowData[header] = cell.value;
-          } else if (typeof cell.value === 'number') {
-            // Excel date serial number
-            rowData[header] = new Date((cell.value - 25569) * 86400 * 1000);
-          } else {
-            // Try to parse as string date
-            rowData[header] = new Date(cell.value);
-          }
-        } else {
-          rowData[header] = cell.value;
-        }
-      });
-      
-      // Normalize the blood type field name
-      if (rowData.bloodtype && !rowData.bloodType) {
-        rowData.bloodType = rowData.bloodtype;
-        delete rowData.bloodtype;
-      }
-      
-      jsonData.push(rowData);
+    // Rows with issues are held back from ranking until they are fixed
+    const rows = applyMapping(sheet.rows, mapping, units);
+    const { recipients: validRecipients, issues, invalidRows } = validateRecipients(rows, {
+      requireBloodType: Boolean(mapping.bloodType)
     });
+    setPendingImport(null);
     
-    if (jsonData.length === 0) {
-      setError('The uploaded file contains no data.');
-      setIsLoading(false);
+    // A newer copy of a loaded list is compared by id and reviewed before anything is replaced
+    if (recipients.length > 0) {
+      const diff = diffWaitlists(recipients, validRecipients, {
+        fields: diffFields(mapping),
+        heldBackIds: invalidRows.map(row => row.data.id)
+      });
+      setPendingDiff({ fileName: pendingImport.fileName, diff, importIssues: { issues, invalidRows }, requireBloodType: Boolean(mapping.bloodType) });
       return;
     }
     
-    setRecipients(jsonData);
-    setIsLoading(false);
-  } catch (err) {
-    console.error('File processing error:', err);
-    setError(`Error processing file: ${err.message || 'Unknown error'}`);
-    setIsLoading(false);
-  }
-};
+    setImportIssues({ issues, invalidRows });
+    setRecipients(validRecipients);
+    
+    // Keep the imported list in this browser so it survives a reload
+    const saved = { fileName: pendingImport.fileName, importedAt: new Date(), importLog: [], requireBloodType: Boolean(mapping.bloodType) };
+    setWaitlistInfo(saved);
+    storeWaitlist(saved, validRecipients, { issues, invalidRows });
+  };
+
+  // Accepted entries are merged into the list and the diff is added to the import log
+  const handleAcceptDiff = (accepted) => {
+    const { fileName, diff, importIssues: newIssues, requireBloodType } = pendingDiff;
+    const { recipients: merged, record } = applyWaitlistDiff(recipients, diff, { accepted });
+    setRecipients(merged);
+    setImportIssues(newIssues);
+    setPendingDiff(null);
+    
+    const saved = {
+      fileName,
+      importedAt: record.acceptedAt,
+      importLog: [...(waitlistInfo?.importLog || []), { fileName, ...record }],
+      requireBloodType
+    };
+    setWaitlistInfo(saved);
+    storeWaitlist(saved, merged, newIssues);
+  };
+
+
+  // Edits made in the waitlist editor replace the list and are saved straight away
+  const handleWaitlistChange = (updatedRecipients) => {
+    setRecipients(updatedRecipients);
+    
+    const info = waitlistInfo || { fileName: 'Manual entry', importedAt: new Date(), importLog: [] };
+    setWaitlistInfo(info);
+    storeWaitlist(info, updatedRecipients, importIssues);
+  };
+
+  const handleExportWaitlist = async () => {
+    try {
+      await downloadWaitlistWorkbook(recipients);
+    } catch (err) {
+      console.error('Waitlist export error:', err);
+      setError(`Error exporting waitlist: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const handleClearPatientData = async () => {
+    if (!window.confirm('Remove all patient data stored in this browser? The waitlist will need to be uploaded again.')) return;
+    
+    try {
+      await clearAllStores();
+      setRecipients([]);
+      setMatchResults([]);
+      setExcludedResults([]);
+      setDetailResult(null);
+      setImportIssues({ issues: [], invalidRows: [] });
+      setPendingImport(null);
+      setPendingDiff(null);
+      setWaitlistInfo(null);
+      setFile(null);
+      setError('');
+      setHistoryVersion(version => version + 1);
+    } catch (err) {
+      console.error('Clear data error:', err);
+      setError(`Error clearing stored data: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const handleMetricSettingsChange = (settings) => {
+    setMetricSettings(settings);
+    saveMetricSettings(settings);
+  };
+
+  const handleThresholdsSave = (updated) => {
+    setThresholds(updated);
+    saveThresholds(updated);
+  };
+
+  const handleClinicalRulesSave = (rules) => {
+    setClinicalRules(rules);
+    saveClinicalRules(rules);
+  };
+
+  const handleCentresChange = (updated) => {
+    setCentres(updated);
+    saveCentres(updated);
+  };
+
+  const handleTransportChange = (updated) => {
+    setTransport(updated);
+    saveTransportOptions(updated);
+  };
+
+  const donorLocation = locateHospital(donor.hospital, centres);
+
+  const handleActivatePolicy = (policy) => {
+    setActivePolicy(policy);
+    saveActivePolicyName(policy.name);
+  };
 
   const handleDonorChange = (e) => {
     const { name, value } = e.target;
     setDonor(prev => ({ ...prev, [name]: value }));
+    setDonorFlags(prev => {
+      const { [name]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleDonorUnitChange = (e) => {
+    const { name, value } = e.target;
+    const updated = { ...donorUnits, [name]: value };
+    setDonorUnits(updated);
+    saveDonorUnits(updated);
+  };
+
+  // Imported values are already in cm/kg
+  const handleDonorFill = ({ donor: imported, confidence, notes }) => {
+    setDonor({ ...emptyDonor, ...imported });
+    setDonorUnits(defaultUnits);
+    setDonorFlags(Object.fromEntries(Object.keys(imported)
+      .filter(field => confidence[field] !== 'high')
+      .map(field => [field, notes[field] || 'please check'])));
   };
+
+  const donorFieldClass = (field) => `w-full p-2 border rounded${donorFlags[field] ? ' bg-yellow-50 border-yellow-500' : ''}`;
+
+  const donorFlagNote = (field) => donorFlags[field] && (
+    <p className="mt-1 text-xs text-yellow-800">{donorFlags[field]}</p>
+  );
   
   const handleCalculateMatches = () => {
   // Validate donor data
-  const donorFields = ['name', 'gender', 'age', 'height', 'weight', 'bloodType'];
-  const missingFields = donorFields.filter(field => !donor[field]);
-  
-  if (missingFields.length) {
-    setError(`Please fill in all donor fields: ${missingFields.join(', ')}`);
+  const problems = donorProblems(donor);
+  if (problems.length) {
+    setError(`Please check the donor details: ${problems.join('; ')}`);
     return;
   }
-
-  // Numeric validation
-  const numericFields = ['age', 'height', 'weight'];
-  for (const field of numericFields) {
-    if (isNaN(parseFloat(donor[field]))) {
-      setError(`Donor ${field} must be a number`);
-      return;
-    }
+  
+  const hospitalIssue = hospitalProblem(donor.hospital, centres);
+  if (hospitalIssue) {
+    setError(hospitalIssue);
+    return;
   }
   
   if (!recipients.length) {
@@ -230,84 +378,84 @@ const handleFileUpload = async (e) => {
     return;
   }
   
+  if (!listedRecipients.length) {
+    setError('No active recipients on the waitlist');
+    return;
+  }
+  
   setIsLoading(true);
   setError('');
   
   try {
-    // Calculate donor PHM
-    const donorPHM = calculatePHM(
-      donor.gender,
-      parseFloat(donor.age),
-      parseFloat(donor.height),
-      parseFloat(donor.weight)
-    );
-    
-    // Track Rhesus warnings
-    let rhesusWarnings = 0;
-    
-    // Calculate match for each recipient
-    const results = recipients.map(recipient => {
-      // Calculate recipient PHM
-      const recipientPHM = calculatePHM(
-        recipient.gender,
-        parseFloat(recipient.age),
-        parseFloat(recipient.height),
-        parseFloat(recipient.weight)
-      );
-      
-      const phmRatio = calculatePHMRatio(donorPHM, recipientPHM);
-      const matchCategory = determineMatchCategory(phmRatio);
-      const riskLevel = determineRiskLevel(phmRatio);
-      
-      // Check ABO compatibility and Rhesus mismatch
-      const aboMatch = isABOCompatible(donor.bloodType, recipient.bloodType);
-      const rhesusWarning = hasRhesusMismatch(donor.bloodType, recipient.bloodType);
-      
-      if (rhesusWarning) rhesusWarnings++;
-      
-      return {
-        ...recipient,
-        donorPHM,
-        recipientPHM,
-        phmRatio,
-        matchCategory,
-        riskLevel,
-        aboMatch,
-        rhesusWarning,
-        // Parse status as number
-        status: parseInt(recipient.status) || 7,
-        // Ensure dateAdded is a Date object
-        dateAdded: recipient.dateadded instanceof Date ? recipient.dateadded : new Date(recipient.dateadded)
-      };
-    });
-    
-    // Sort by: PHM risk level → ABO compatibility → Status → Date added
-    const sortedResults = [...results].sort((a, b) => {
-      // 1. Risk level (Acceptable first)
-      if (a.riskLevel !== b.riskLevel) {
-        return a.riskLevel === 'Acceptable' ? -1 : 1;
-      }
-      
-      // 2. ABO blood type compatibility
-      if (a.aboMatch !== b.aboMatch) {
-        return a.aboMatch ? -1 : 1;
-      }
-      
-      // 3. Patient status (lower number = higher priority)
-      if (a.status !== b.status) {
-        return a.status - b.status;
-      }
-      
-      // 4. Date added (older dates first)
-      return a.dateAdded - b.dateAdded;
+    // The engine works in cm/kg; the donor keeps a note of what was typed and where the hospital is
+    const matchDonor = {
+      ...donorInEngineUnits(donor, donorUnits),
+      ...(donorLocation && { hospitalName: donorLocation.name })
+    };
+    const { ranked: sortedResults, excluded } = evaluateRecipients(matchDonor, listedRecipients, {
+      policy: activePolicy,
+      riskMetric: metricSettings.riskMetric,
+      thresholds,
+      paediatric: metricSettings.paediatric,
+      clinicalRules,
+      geography: { donorLocation, centres, transport }
     });
+    const rhesusWarnings = sortedResults.filter(result => result.rhesusWarning).length;
+    const positiveCrossmatches = sortedResults.filter(isCrossmatchPositive).length;
+    const beyondLimit = sortedResults.filter(isBeyondIschaemicLimit).length;
+    // The run's bands go with its results, so the detail panel and saved snapshot read them as they were
+    const legends = {
+      thresholds,
+      paediatric: metricSettings.paediatric,
+      riskLegendLines: riskLegend(metricSettings.riskMetric, thresholds),
+      categoryLegendLines: categoryLegend(metricSettings.riskMetric, thresholds)
+    };
+    // Paediatric patients are rated by their own bands, so their legend goes alongside
+    if ([...sortedResults, ...excluded].some(isPaediatricResult)) {
+      const paediatric = paediatricLegends(metricSettings.paediatric);
+      legends.riskLegendLines.push(...paediatric.riskLegendLines);
+      legends.categoryLegendLines.push(...paediatric.categoryLegendLines);
+    }
+    // The transport assumptions go with the run whenever a distance was estimated
+    if ([...sortedResults, ...excluded].some(hasDistance)) {
+      legends.transportNote = describeTransport(transport);
+    }
     
     setMatchResults(sortedResults);
+    setDetailResult(null);
+    setExcludedResults(excluded);
+    setResultsPolicy(activePolicy);
+    setResultsDonor(matchDonor);
+    setResultsLegends(legends);
+    
+    // Keep a snapshot of this run for the donor history / audit trail
+    saveDonorRun({
+      donor: matchDonor,
+      recipients: listedRecipients,
+      results: sortedResults,
+      excluded,
+      policyName: activePolicy.name,
+      sortingCriteria: describePolicy(activePolicy),
+      ...legends
+    })
+      .then(() => setHistoryVersion(version => version + 1))
+      .catch(err => {
+        console.error('Could not save donor run:', err);
+        setError(`Warning: this run could not be saved to donor history (${err.message || 'Unknown error'}).`);
+      });
     
-    // Show Rhesus warning if applicable
+    // Show Rhesus and crossmatch warnings if applicable
+    const warnings = [];
     if (rhesusWarnings > 0) {
-      setError(`Warning: ${rhesusWarnings} recipient(s) have Rhesus incompatibility (Rh- recipient with Rh+ donor). Consider these matches carefully.`);
+      warnings.push(`${rhesusWarnings} recipient(s) have Rhesus incompatibility (Rh- recipient with Rh+ donor). Consider these matches carefully.`);
+    }
+    if (positiveCrossmatches > 0) {
+      warnings.push(`${positiveCrossmatches} ranked recipient(s) have a positive virtual crossmatch (donor carries an unacceptable antigen).`);
+    }
+    if (beyondLimit > 0) {
+      warnings.push(`${beyondLimit} ranked recipient(s) are beyond the maximum estimated ischaemic time.`);
     }
+    if (warnings.length) setError(`Warning: ${warnings.join(' ')}`);
     
   } catch (err) {
     console.error('Calculation error:', err);
@@ -317,119 +465,77 @@ const handleFileUpload = async (e) => {
   }
 };
 
+// The risk metric of the run on screen; the extra ratio columns follow the current settings
+const resultsRiskMetric = runRiskMetric(matchResults);
+const ratioColumns = extraRatioColumns(metricSettings.ratioColumns, resultsRiskMetric);
+const shownResults = applyResultsView(matchResults, resultsView, ratioColumns);
+
+// Exports describe the policy that produced the results on screen, and follow the table's filters and sort
+const reportOptions = () => ({
+  policyName: resultsPolicy.name,
+  sortingCriteria: describePolicy(resultsPolicy),
+  ratioColumns,
+  viewNote: resultsViewNote(resultsView, shownResults.length, matchResults.length, ratioColumns),
+  hiddenColumns: resultsView.hiddenColumns,
+  exclusionNote: describeExclusions(excludedResults),
+  // The run's thresholds and legend lines, so the report charts match the results even after the settings change
+  ...resultsLegends
+});
+
 const generatePDF = () => {
-  if (!matchResults.length) {
-    setError('No results to export');
+  if (!shownResults.length) {
+    setError('No results in the current view to export');
     return;
   }
 
   try {
-    const printWindow = window.open('', '_blank');
-    
-    printWindow.document.write(`
-      <html>
-        <head>
-          <title>Heart Transplant Match Report</title>
-          <style>
-            body { font-family: Arial, sans-serif; padding: 20px; font-size: 12px; }
-            table { border-collapse: collapse; width: 100%; margin: 10px 0; }
-            th, td { border: 1px solid #ddd; padding: 6px; text-align: left; }
-            th { background-color: #4285F4; color: white; font-size: 10px; }
-            .high-risk { background-color: #fecaca; color: #991b1b; }
-            .acceptable { background-color: #bbf7d0; color: #166534; }
-            .priority-high { color: #dc2626; font-weight: bold; }
-            .priority-medium { color: #ea580c; font-weight: bold; }
-            .priority-low { color: #16a34a; }
-          </style>
-        </head>
-        <body>
-          <h1>Heart Transplant Match Report</h1>
-          <p><strong>Donor:</strong> ${escapeHTML(donor.name)}</p>
-          <p><strong>Details:</strong> ${escapeHTML(donor.gender)}, Age: ${escapeHTML(donor.age)}, Blood Type: ${escapeHTML(donor.bloodType)}</p>
-          <p><strong>Physical:</strong> Height: ${escapeHTML(donor.height)}cm, Weight: ${escapeHTML(donor.weight)}kg</p>
-          <p><strong>Donor PHM:</strong> ${escapeHTML(matchResults[0].donorPHM.toFixed(2))}g</p>
-          <p><strong>Generated:</strong> ${escapeHTML(new Date().toLocaleDateString())}</p>
-          
-          <table>
-            <thead>
-              <tr>
-                <th>Rank</th>
-                <th>ID</th>
-                <th>Name</th>
-                <th>Age</th>
-                <th>Date Added</th>
-                <th>Status</th>
-                <th>Blood Type</th>
-                <th>ABO Match</th>
-                <th>Rh Warn</th>
-                <th>PHM Ratio</th>
-                <th>Risk Level</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${matchResults.map((result, index) => `
-                <tr>
-                  <td>${index + 1}</td>
-                  <td>${result.id}</td>
-                  <td>${result.name}</td>
-                  <td>${result.age}</td>
-                  <td>${result.dateAdded.toLocaleDateString()}</td>
-                  <td class="${result.status <= 2 ? 'priority-high' : result.status <= 4 ? 'priority-medium' : 'priority-low'}">${result.status}</td>
-                  <td>${result.bloodType || "Unknown"}</td>
-                  <td>${result.aboMatch ? "✓" : "✗"}</td>
-                  <td>${result.rhesusWarning ? "⚠" : "-"}</td>
-                  <td>${result.phmRatio.toFixed(2)}</td>
-                  <td class="${result.riskLevel === 'High Risk' ? 'high-risk' : 'acceptable'}">${result.riskLevel}</td>
-                </tr>
-              `).join('')}
-            </tbody>
-          </table>
-          
-          <h3>Sorting Criteria (in order of priority):</h3>
-          <ol>
-            <li>PHM Risk Level (Acceptable first)</li>
-            <li>ABO Blood Type Compatibility</li>
-            <li>Patient Status (1=highest priority)</li>
-            <li>Date Added to List (oldest first)</li>
-          </ol>
-          
-          <h3>Risk Categories:</h3>
-          <p><strong>High Risk:</strong> PHM ratio < 0.86</p>
-          <p><strong>Acceptable:</strong> PHM ratio ≥ 0.86</p>
-          
-          <h3>Status Levels:</h3>
-          <p><strong>1-2:</strong> Critical priority | <strong>3-4:</strong> High priority | <strong>5-7:</strong> Standard priority</p>
-          
-          <p><strong>Note:</strong> ⚠ indicates Rhesus incompatibility (Rh- recipient with Rh+ donor)</p>
-          
-          <p style="margin-top: 15px; font-size: 10px;"><em>Based on: Kransdorf et al. "Predicted heart mass is the optimal metric for size match in heart transplantation" (2019)</em></p>
-        </body>
-      </html>
-    `);
-    
-    printWindow.document.close();
-    printWindow.focus();
-    
-    setTimeout(() => {
-      printWindow.print();
-    }, 500);
-    
+    downloadResultsPDF(resultsDonor, shownResults, reportOptions());
   } catch (err) {
     console.error('PDF generation error:', err);
     setError(`Error generating PDF: ${err.message || 'Unknown error'}`);
   }
 };
+
+const handleExportExcel = async () => {
+  if (!shownResults.length) {
+    setError('No results in the current view to export');
+    return;
+  }
+
+  try {
+    await downloadResultsWorkbook(resultsDonor, shownResults, reportOptions());
+  } catch (err) {
+    console.error('Excel export error:', err);
+    setError(`Error exporting Excel file: ${err.message || 'Unknown error'}`);
+  }
+};
   
   return (
     <div className="p-6 max-w-6xl mx-auto bg-white rounded-lg shadow-md">
       <h1 className="text-2xl font-bold mb-6 text-blue-700">Heart Transplant Matching Tool</h1>
       
+      {isLocked ? (
+        <UnlockPanel onUnlocked={() => setIsLocked(false)} onReset={handleResetLockedData} />
+      ) : (
+        <DataProtectionPanel
+          encryptionEnabled={encryptionEnabled}
+          idleMinutes={idleMinutes}
+          onIdleMinutesChange={handleIdleMinutesChange}
+          onEncryptionChange={setEncryptionEnabled}
+          onLockNow={lockSession}
+        />
+      )}
+      
+      {!isLocked && (
+        <>
+      
       {/* File Upload Section */}
       <div className="mb-8 p-4 border rounded-lg bg-gray-50">
         <h2 className="text-xl font-semibold mb-3">Step 1: Upload Recipient List</h2>
         <p className="mb-3 text-sm text-gray-600">
-          Upload an Excel file (.xlsx) containing recipient information with columns: 
-          dateAdded, id, name, gender, age, height (cm), weight (kg), bloodType, status (1-7)
+          Upload an Excel (.xlsx), CSV/TSV or JSON file containing recipient information with columns: 
+          dateAdded, id, name, gender, age, height, weight, bloodType, status (1-7).
+          Columns with other names (e.g. MRN, Sex, Ht (cm)) can be mapped after upload.
         </p>
         <div className="mb-2 text-xs text-gray-500">
           <strong>Column details:</strong><br/>
@@ -442,7 +548,7 @@ const generatePDF = () => {
           <input 
             type="file" 
             onChange={handleFileUpload} 
-            accept=".xlsx, .xls" 
+            accept=".xlsx, .xls, .csv, .tsv, .txt, .json" 
             className="block w-full text-sm text-gray-500
               file:mr-4 file:py-2 file:px-4
               file:rounded-md file:border-0
@@ -452,14 +558,90 @@ const generatePDF = () => {
           />
           {file && <span className="ml-2 text-green-600">✓ {file.name}</span>}
         </div>
-        {recipients.length > 0 && (
+        {pendingImport && (
+          <ColumnMappingWizard
+            key={pendingImport.fileName}
+            fileName={pendingImport.fileName}
+            sheets={pendingImport.sheets}
+            onApply={handleApplyMapping}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+        {pendingDiff && (
+          <WaitlistDiffReview
+            key={pendingDiff.fileName}
+            fileName={pendingDiff.fileName}
+            diff={pendingDiff.diff}
+            onAccept={handleAcceptDiff}
+            onReject={() => setPendingDiff(null)}
+          />
+        )}
+        {recipients.length > 0 && !pendingImport && !pendingDiff && (
           <p className="mt-2 text-green-600">{recipients.length} recipients loaded successfully</p>
         )}
+        {waitlistInfo && (
+          <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-gray-600">
+            <span>
+              Saved in this browser · last imported {new Date(waitlistInfo.importedAt).toLocaleString()} from <strong>{waitlistInfo.fileName}</strong>
+              {waitlistInfo.importLog?.length > 0 && ` · ${describeImportRecord(waitlistInfo.importLog[waitlistInfo.importLog.length - 1])}`}
+            </span>
+            <button
+              onClick={handleClearPatientData}
+              className="px-3 py-1 bg-red-50 text-red-700 border border-red-300 rounded text-sm font-semibold hover:bg-red-100"
+            >
+              Clear all patient data
+            </button>
+          </div>
+        )}
+        
+        {/* Import issues */}
+        {importIssues.issues.length > 0 && (
+          <div className="mt-4 p-3 bg-yellow-50 border border-yellow-300 rounded">
+            <h3 className="font-semibold text-yellow-800">
+              Import issues: {importIssues.invalidRows.length} row(s) excluded from ranking
+            </h3>
+            <p className="text-sm text-gray-600 mb-2">
+              Correct these rows in the spreadsheet and upload it again to include them.
+            </p>
+            <div className="overflow-x-auto max-h-64 overflow-y-auto">
+              <table className="min-w-full bg-white border text-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-1 px-3 border">Row</th>
+                    <th className="py-1 px-3 border">Column</th>
+                    <th className="py-1 px-3 border">Issue</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {importIssues.issues.map((issue, index) => (
+                    <tr key={index}>
+                      <td className="py-1 px-3 border text-center">{issue.row}</td>
+                      <td className="py-1 px-3 border">{issue.column}</td>
+                      <td className="py-1 px-3 border">{issue.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
       </div>
       
+      {/* Waitlist Editor */}
+      {!pendingImport && !pendingDiff && (
+        <WaitlistEditor
+          recipients={recipients}
+          onChange={handleWaitlistChange}
+          onExport={handleExportWaitlist}
+          requireBloodType={waitlistInfo?.requireBloodType ?? true}
+        />
+      )}
+      {!pendingImport && !pendingDiff && <WaitlistDashboard recipients={recipients} paediatric={metricSettings.paediatric} />}
+      
       {/* Donor Information Section */}
       <div className="mb-8 p-4 border rounded-lg bg-gray-50">
         <h2 className="text-xl font-semibold mb-3">Step 2: Enter Donor Information</h2>
+        <DonorImportPanel onFill={handleDonorFill} />
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
@@ -468,9 +650,10 @@ const generatePDF = () => {
               name="name" 
               value={donor.name} 
               onChange={handleDonorChange} 
-              className="w-full p-2 border rounded"
+              className={donorFieldClass('name')}
               placeholder="Donor name"
             />
+            {donorFlagNote('name')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Gender</label>
@@ -478,12 +661,13 @@ const generatePDF = () => {
               name="gender" 
               value={donor.gender} 
               onChange={handleDonorChange} 
-              className="w-full p-2 border rounded"
+              className={donorFieldClass('gender')}
             >
               <option value="">Select gender</option>
               <option value="male">Male</option>
               <option value="female">Female</option>
             </select>
+            {donorFlagNote('gender')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Blood Type</label>
@@ -491,13 +675,14 @@ const generatePDF = () => {
               name="bloodType" 
               value={donor.bloodType} 
               onChange={handleDonorChange} 
-              className="w-full p-2 border rounded"
+              className={donorFieldClass('bloodType')}
             >
               <option value="">Select blood type</option>
               {bloodTypes.map(type => (
                 <option key={type} value={type}>{type}</option>
               ))}
             </select>
+            {donorFlagNote('bloodType')}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Age (years)</label>
@@ -506,35 +691,119 @@ const generatePDF = () => {
               name="age" 
               value={donor.age} 
               onChange={handleDonorChange} 
-              className="w-full p-2 border rounded"
+              className={donorFieldClass('age')}
               placeholder="Age in years"
             />
+            {donorFlagNote('age')}
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Height (cm)</label>
-            <input 
-              type="number" 
-              name="height" 
-              value={donor.height} 
-              onChange={handleDonorChange} 
-              className="w-full p-2 border rounded"
-              placeholder="Height in cm"
-            />
+            <label className="block text-sm font-medium text-gray-700 mb-1">Height ({donorUnits.height})</label>
+            <div className="flex gap-2">
+              <input 
+                type="number" 
+                name="height" 
+                value={donor.height} 
+                onChange={handleDonorChange} 
+                className={donorFieldClass('height')}
+                placeholder={`Height in ${donorUnits.height}`}
+              />
+              <select name="height" value={donorUnits.height} onChange={handleDonorUnitChange} className="p-2 border rounded" aria-label="Height unit">
+                {Object.keys(unitOptions.height).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+              </select>
+            </div>
+            {donorFlagNote('height')}
+            {unitWarning('height', donor.height, donorUnits.height) && (
+              <p className="mt-1 text-xs text-orange-700">{unitWarning('height', donor.height, donorUnits.height)}</p>
+            )}
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Weight (kg)</label>
-            <input 
-              type="number" 
-              name="weight" 
-              value={donor.weight} 
-              onChange={handleDonorChange} 
-              className="w-full p-2 border rounded"
-              placeholder="Weight in kg"
-            />
+            <label className="block text-sm font-medium text-gray-700 mb-1">Weight ({donorUnits.weight})</label>
+            <div className="flex gap-2">
+              <input 
+                type="number" 
+                name="weight" 
+                value={donor.weight} 
+                onChange={handleDonorChange} 
+                className={donorFieldClass('weight')}
+                placeholder={`Weight in ${donorUnits.weight}`}
+              />
+              <select name="weight" value={donorUnits.weight} onChange={handleDonorUnitChange} className="p-2 border rounded" aria-label="Weight unit">
+                {Object.keys(unitOptions.weight).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+              </select>
+            </div>
+            {donorFlagNote('weight')}
+            {unitWarning('weight', donor.weight, donorUnits.weight) && (
+              <p className="mt-1 text-xs text-orange-700">{unitWarning('weight', donor.weight, donorUnits.weight)}</p>
+            )}
           </div>
         </div>
+        <div className="mt-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Donor hospital (optional, for distance and ischaemic time)</label>
+          <input
+            type="text"
+            name="hospital"
+            list="centre-codes"
+            value={donor.hospital}
+            onChange={handleDonorChange}
+            className={donorFieldClass('hospital')}
+            placeholder="Centre code, or latitude, longitude"
+          />
+          <datalist id="centre-codes">
+            {centres.map(centre => <option key={centre.code} value={centre.code}>{centre.name}</option>)}
+          </datalist>
+          {donor.hospital.trim() && (
+            <p className={`mt-1 text-xs ${donorLocation ? 'text-gray-500' : 'text-orange-700'}`}>
+              {donorLocation
+                ? `${donorLocation.name} (${donorLocation.latitude}, ${donorLocation.longitude})`
+                : 'Not in the centre table; enter a centre code or "latitude, longitude"'}
+            </p>
+          )}
+        </div>
+        <div className="mt-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">HLA typing (optional, for the virtual crossmatch)</label>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            {hlaLoci.map(locus => (
+              <div key={locus}>
+                <input
+                  type="text"
+                  name={hlaField(locus)}
+                  value={donor[hlaField(locus)]}
+                  onChange={handleDonorChange}
+                  className={donorFieldClass(hlaField(locus))}
+                  placeholder={`HLA-${locus}, e.g. ${locus === 'C' ? 'C7 C4' : `${locus}1 ${locus}2`}`}
+                  aria-label={`HLA-${locus}`}
+                />
+                {donorFlagNote(hlaField(locus))}
+              </div>
+            ))}
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            Up to two antigens per locus, e.g. A2 A24 or A*02:01 A*24:02. Recipients whose unacceptable antigens include one of these have a positive virtual crossmatch.
+          </p>
+        </div>
       </div>
             
+      {/* Size Metrics */}
+      <SizeMetricSettings settings={metricSettings} thresholds={thresholds} onChange={handleMetricSettingsChange} />
+      
+      {/* Risk Thresholds */}
+      <ThresholdSettings thresholds={thresholds} initialMetric={metricSettings.riskMetric} onSave={handleThresholdsSave} />
+      
+      {/* Allocation Policy */}
+      <AllocationPolicyEditor activePolicy={activePolicy} onActivate={handleActivatePolicy} />
+      
+      {/* Clinical Rules */}
+      <ClinicalRulesEditor rules={clinicalRules} onSave={handleClinicalRulesSave} />
+      
+      {/* Centres and Transport */}
+      <CentresPanel
+        centres={centres}
+        transport={transport}
+        onCentresChange={handleCentresChange}
+        onCentresReset={() => setCentres(resetCentres())}
+        onTransportChange={handleTransportChange}
+      />
+      
       {/* Calculate Button */}
       <div className="flex justify-center mb-6">
         <button 
@@ -558,77 +827,58 @@ const generatePDF = () => {
         <div className="mb-8">
           <div className="flex justify-between items-center mb-4">
             <h2 className="text-xl font-semibold">Match Results</h2>
-            <button 
-              onClick={generatePDF}
-              className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
-            >
-              Download PDF Report
-            </button>
+            <div className="flex gap-2">
+              <button 
+                onClick={handleExportExcel}
+                className="px-4 py-2 bg-emerald-700 text-white rounded-lg font-semibold hover:bg-emerald-800"
+              >
+                Download Excel
+              </button>
+              <button 
+                onClick={generatePDF}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
+              >
+                Download PDF Report
+              </button>
+            </div>
           </div>
           
-          <div className="overflow-x-auto">
-            <table ref={resultsTableRef} className="min-w-full bg-white border">
-              <thead className="bg-gray-100">
-                <tr>
-                  <th className="py-2 px-4 border">Rank</th>
-                  <th className="py-2 px-4 border">ID</th>
-                  <th className="py-2 px-4 border">Name</th>
-                  <th className="py-2 px-4 border">Date Added</th>
-                  <th className="py-2 px-4 border">Status</th>
-                  <th className="py-2 px-4 border">Gender</th>
-                  <th className="py-2 px-4 border">Blood Type</th>
-                  <th className="py-2 px-4 border">ABO Compatible</th>
-                  <th className="py-2 px-4 border">Rh Warning</th>
-                  <th className="py-2 px-4 border">Age</th>
-                  <th className="py-2 px-4 border">Recipient PHM</th>
-                  <th className="py-2 px-4 border">Donor PHM</th>
-                  <th className="py-2 px-4 border">PHM Ratio</th>
-                  <th className="py-2 px-4 border">Match Category</th>
-                  <th className="py-2 px-4 border">Risk Level</th>
-                </tr>
-              </thead>
-              <tbody>
-                {matchResults.map((result, index) => (
-                  <tr key={index}>
-                    <td className="py-2 px-4 border text-center">{index + 1}</td>
-                    <td className="py-2 px-4 border">{result.id}</td>
-                    <td className="py-2 px-4 border">{result.name}</td>
-                    <td className="py-2 px-4 border">{result.dateAdded.toLocaleDateString()}</td>
-                    <td className="py-2 px-4 border text-center font-semibold" style={{
-                      color: result.status <= 2 ? '#dc2626' : result.status <= 4 ? '#ea580c' : '#16a34a'
-                    }}>
-                      {result.status}
-                    </td>
-                    <td className="py-2 px-4 border">{result.gender}</td>
-                    <td className="py-2 px-4 border">{result.bloodType || "Unknown"}</td>
-                    <td className="py-2 px-4 border text-center font-bold">
-                      {result.aboMatch ? 
-                        <span style={{color: '#16a34a'}}>✓</span> : 
-                        <span style={{color: '#dc2626'}}>✗</span>
-                      }
-                    </td>
-                    <td className="py-2 px-4 border text-center">
-                      {result.rhesusWarning ? 
-                        <span style={{color: '#ea580c'}}>⚠</span> : 
-                        <span style={{color: '#6b7280'}}>-</span>
-                      }
-                    </td>
-                    <td className="py-2 px-4 border">{result.age}</td>
-                    <td className="py-2 px-4 border">{result.recipientPHM.toFixed(2)}g</td>
-                    <td className="py-2 px-4 border">{result.donorPHM.toFixed(2)}g</td>
-                    <td className="py-2 px-4 border font-semibold">{result.phmRatio.toFixed(2)}</td>
-                    <td className="py-2 px-4 border">{result.matchCategory}</td>
-                    <td className="py-2 px-4 border font-bold" style={{
-                      backgroundColor: result.riskLevel === 'High Risk' ? '#fecaca' : '#bbf7d0',
-                      color: result.riskLevel === 'High Risk' ? '#991b1b' : '#166534'
-                    }}>
-                      {result.riskLevel}
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+          <p className="mb-3 text-sm text-gray-700">
+            Donor {resultsDonor.name}: height {describeMeasurement(resultsDonor, 'height')}, weight {describeMeasurement(resultsDonor, 'weight')}.
+            Heights are in cm and weights in kg throughout.
+            {describeHlaTyping(resultsDonor)
+              ? ` HLA typing: ${describeHlaTyping(resultsDonor)}.`
+              : ' The donor was not HLA typed, so virtual crossmatches are incomplete for recipients with unacceptable antigens.'}
+            {resultsDonor.hospitalName && ` Donor hospital: ${resultsDonor.hospitalName}.`}
+            {resultsLegends?.transportNote && ` Distances: ${resultsLegends.transportNote}.`}
+          </p>
+          {excludedResults.length > 0 && (
+            <p className="mb-3 text-sm text-gray-700">{describeExclusions(excludedResults)}</p>
+          )}
+          <MatchCharts results={shownResults} thresholds={resultsLegends.thresholds} />
+          <ResultsViewControls
+            results={matchResults}
+            shownCount={shownResults.length}
+            ratioColumns={ratioColumns}
+            view={resultsView}
+            onViewChange={setResultsView}
+          />
+          <ResultsTable
+            results={shownResults}
+            tableRef={resultsTableRef}
+            ratioColumns={ratioColumns}
+            view={resultsView}
+            onViewChange={setResultsView}
+            onRowClick={setDetailResult}
+          />
+          {detailResult && (
+            <RecipientDetailDrawer
+              result={detailResult}
+              donor={resultsDonor}
+              thresholds={resultsLegends.thresholds}
+              onClose={closeDetail}
+            />
+          )}
                     
           {/* Information about criteria */}
                 <div className="mt-6 p-4 bg-blue-50 rounded-lg">
@@ -636,9 +886,9 @@ const generatePDF = () => {
                   <ul className="list-disc pl-5 space-y-1">
                     <li><strong>Blood Type Compatibility:</strong> Recipients are prioritized by blood type compatibility with the donor</li>
                     <li><strong>PHM (Predicted Heart Mass):</strong> Calculated using formulas from Kransdorf et al. research</li>
-                    <li><strong>High Risk:</strong> Donor-to-recipient PHM ratio &lt; 0.86</li>
-                    <li><strong>Optimal match:</strong> Donor-to-recipient PHM ratio between 0.983 and 1.039 (Well-Matched)</li>
-                    <li><strong>Results sorting:</strong> PHM risk level first, then ABO compatibility, then patient status, then date added</li>
+                    <li><strong>Risk tiers ({sizeMetrics[resultsRiskMetric].label} ratio):</strong> {resultsLegends.riskLegendLines.join('; ')}</li>
+                    <li><strong>Match categories ({sizeMetrics[resultsRiskMetric].label} ratio):</strong> {resultsLegends.categoryLegendLines.join('; ')}</li>
+                    <li><strong>Results sorting ({resultsPolicy.name}):</strong> {describePolicy(resultsPolicy).join('; ')}</li>
                   </ul>
                 </div>
                 
@@ -693,6 +943,24 @@ const generatePDF = () => {
             </div>
           )}
           
+      {/* Batch matching */}
+      <BatchDonorMatching
+        recipients={listedRecipients}
+        currentDonor={donorInEngineUnits(donor, donorUnits)}
+        riskMetric={metricSettings.riskMetric}
+        paediatric={metricSettings.paediatric}
+        thresholds={thresholds}
+        policy={activePolicy}
+        clinicalRules={clinicalRules}
+        centres={centres}
+        transport={transport}
+      />
+      
+      {/* Donor history */}
+      <DonorHistory refreshKey={historyVersion} currentRecipients={listedRecipients} thresholds={thresholds} />
+        </>
+      )}
+          
           {/* Reference Section */}
           <div className="text-xs text-gray-500 mt-6 pt-4 border-t">
             <p><strong>Reference:</strong> Kransdorf et al. "Predicted heart mass is the optimal metric for size match in heart transplantation." The Journal of Heart and Lung Transplantation 38.2 (2019): 156-165.</p>
@@ -0,0 +1,200 @@
+// AllocationPolicyEditor.jsx - Reorder, toggle and weight ranking criteria; save policies by name
+import React, { useState } from 'react';
+import {
+  allocationCriteria,
+  allocationExclusions,
+  defaultPolicy,
+  describePolicy,
+  validatePolicy
+} from '../engine/allocationPolicy';
+import { loadPolicies, savePolicy, deletePolicy } from '../storage/policyStore';
+
+const AllocationPolicyEditor = ({ activePolicy, onActivate }) => {
+  const [policies, setPolicies] = useState(loadPolicies);
+  const [draft, setDraft] = useState(activePolicy);
+  const [message, setMessage] = useState('');
+
+  const problems = validatePolicy(draft);
+  const isDefault = draft.name === defaultPolicy.name;
+
+  const updateCriteria = (criteria) => setDraft(prev => ({ ...prev, criteria }));
+
+  const moveCriterion = (index, offset) => {
+    const criteria = [...draft.criteria];
+    const target = index + offset;
+    if (target < 0 || target >= criteria.length) return;
+    [criteria[index], criteria[target]] = [criteria[target], criteria[index]];
+    updateCriteria(criteria);
+  };
+
+  const setCriterion = (index, changes) => {
+    updateCriteria(draft.criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion)));
+  };
+
+  const toggleExclusion = (key) => {
+    const exclusions = draft.exclusions.includes(key)
+      ? draft.exclusions.filter(existing => existing !== key)
+      : [...draft.exclusions, key];
+    setDraft(prev => ({ ...prev, exclusions }));
+  };
+
+  const handleSelect = (e) => {
+    const policy = [defaultPolicy, ...policies].find(p => p.name === e.target.value);
+    if (policy) setDraft(policy);
+    setMessage('');
+  };
+
+  const handleSave = () => {
+    try {
+      setPolicies(savePolicy(draft));
+      onActivate(draft);
+      setMessage(`Saved "${draft.name}" and made it the active policy.`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  // An edited default is renamed so reports never attribute a custom ranking to the default policy
+  const handleUseUnsaved = () => {
+    const modifiedDefault = isDefault && JSON.stringify(draft) !== JSON.stringify(defaultPolicy);
+    const policy = modifiedDefault ? { ...draft, name: `${draft.name} (modified)` } : draft;
+    onActivate(policy);
+    setDraft(policy);
+    setMessage(`Using "${policy.name}" for this session.`);
+  };
+
+  const handleDelete = () => {
+    setPolicies(deletePolicy(draft.name));
+    if (activePolicy.name === draft.name) onActivate(defaultPolicy);
+    setDraft(defaultPolicy);
+    setMessage('');
+  };
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">
+        Allocation policy: <span className="font-normal">{activePolicy.name}</span>
+      </summary>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Edit policy</label>
+          <select
+            value={[defaultPolicy, ...policies].some(p => p.name === draft.name) ? draft.name : ''}
+            onChange={handleSelect}
+            className="w-full p-2 border rounded"
+          >
+            <option value="" disabled>Unsaved policy</option>
+            {[defaultPolicy, ...policies].map(policy => (
+              <option key={policy.name} value={policy.name}>{policy.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Policy name</label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            className="w-full p-2 border rounded"
+          />
+        </div>
+      </div>
+
+      <div className="mb-3 text-sm">
+        <span className="font-medium text-gray-700 mr-3">Ranking mode:</span>
+        <label className="mr-4">
+          <input type="radio" checked={draft.mode !== 'weighted'} onChange={() => setDraft(prev => ({ ...prev, mode: 'sequential' }))} className="mr-1" />
+          Sort by criteria in order
+        </label>
+        <label>
+          <input type="radio" checked={draft.mode === 'weighted'} onChange={() => setDraft(prev => ({ ...prev, mode: 'weighted' }))} className="mr-1" />
+          Weighted composite score
+        </label>
+      </div>
+
+      <table className="min-w-full bg-white border text-sm mb-4">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="py-1 px-2 border">Order</th>
+            <th className="py-1 px-2 border text-left">Criterion</th>
+            <th className="py-1 px-2 border">Enabled</th>
+            {draft.mode === 'weighted' && <th className="py-1 px-2 border">Weight</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {draft.criteria.map((criterion, index) => (
+            <tr key={criterion.key} className={criterion.enabled ? '' : 'text-gray-400'}>
+              <td className="py-1 px-2 border text-center whitespace-nowrap">
+                <button onClick={() => moveCriterion(index, -1)} disabled={index === 0} className="px-1 disabled:opacity-30" aria-label="Move up">▲</button>
+                <button onClick={() => moveCriterion(index, 1)} disabled={index === draft.criteria.length - 1} className="px-1 disabled:opacity-30" aria-label="Move down">▼</button>
+              </td>
+              <td className="py-1 px-2 border">{allocationCriteria[criterion.key].description}</td>
+              <td className="py-1 px-2 border text-center">
+                <input type="checkbox" checked={criterion.enabled} onChange={(e) => setCriterion(index, { enabled: e.target.checked })} />
+              </td>
+              {draft.mode === 'weighted' && (
+                <td className="py-1 px-2 border">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={criterion.weight}
+                    onChange={(e) => setCriterion(index, { weight: e.target.value })}
+                    disabled={!criterion.enabled}
+                    className="w-20 p-1 border rounded"
+                  />
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="mb-4 text-sm">
+        <span className="font-medium text-gray-700 mr-3">Hard exclusions:</span>
+        {Object.entries(allocationExclusions).map(([key, exclusion]) => (
+          <label key={key} className="mr-4">
+            <input type="checkbox" checked={draft.exclusions.includes(key)} onChange={() => toggleExclusion(key)} className="mr-1" />
+            {exclusion.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="mb-4 p-3 bg-white border rounded text-sm">
+        <strong>Resulting criteria:</strong>
+        <ol className="list-decimal pl-5">
+          {describePolicy(draft).map(line => <li key={line}>{line}</li>)}
+        </ol>
+      </div>
+
+      {problems.length > 0 && <p className="mb-2 text-sm text-red-700">{problems.join(' ')}</p>}
+      {message && <p className="mb-2 text-sm text-gray-700">{message}</p>}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={handleSave}
+          disabled={problems.length > 0 || isDefault}
+          title={isDefault ? 'Rename the policy to save it' : undefined}
+          className="px-3 py-2 bg-blue-600 text-white rounded text-sm font-semibold hover:bg-blue-700 disabled:bg-blue-300"
+        >
+          Save and use policy
+        </button>
+        <button
+          onClick={handleUseUnsaved}
+          disabled={problems.length > 0}
+          className="px-3 py-2 bg-gray-200 rounded text-sm font-semibold hover:bg-gray-300 disabled:opacity-50"
+        >
+          Use without saving
+        </button>
+        {policies.some(p => p.name === draft.name) && (
+          <button onClick={handleDelete} className="px-3 py-2 text-sm text-red-700 hover:underline">
+            Delete policy
+          </button>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default AllocationPolicyEditor;
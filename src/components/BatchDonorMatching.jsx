@@ -0,0 +1,349 @@
+// BatchDonorMatching.jsx - Enter or import several donors and compare them across the waitlist
+import React, { useState } from 'react';
+import { bloodTypes } from '../engine/matching';
+import { sizeMetrics, riskLegend } from '../engine/sizeMetrics';
+import { buildDonorMatrix, summarizeDonors } from '../engine/donorMatrix';
+import { paediatricLegends, isPaediatricResult } from '../engine/paediatricModels';
+import { hlaLoci, hlaField, isCrossmatchPositive, crossmatchLabel, describeHlaTyping } from '../engine/hla';
+import { transportLabel, hospitalProblem } from '../engine/geography';
+import { unitOptions, defaultUnits, donorInEngineUnits, unitWarning, describeMeasurement } from '../engine/units';
+import { describeExclusion } from '../results/exclusions';
+import { donorProblems } from '../import/validation';
+import { parseRecipientFile } from '../import/parsers';
+import { donorsFromSheet } from '../import/donorImport';
+import { downloadMatrixWorkbook } from '../export/matrixExport';
+import { downloadMatrixPDF } from '../export/pdfReport';
+import { riskStyle, ratioHeatColor, incompatibleColor } from '../export/reportStyles';
+
+const emptyDonor = {
+  name: '', gender: '', age: '', height: '', weight: '', bloodType: '', hospital: '',
+  ...Object.fromEntries(hlaLoci.map(locus => [hlaField(locus), '']))
+};
+const inputClass = 'w-full p-1 border rounded text-sm';
+
+// Cells are evaluated with the same policy, clinical rules and transport settings as a single-donor run
+const BatchDonorMatching = ({ recipients, currentDonor, riskMetric, thresholds, paediatric, policy, clinicalRules, centres, transport }) => {
+  const [donors, setDonors] = useState([]);
+  const [draft, setDraft] = useState(emptyDonor);
+  const [draftUnits, setDraftUnits] = useState(defaultUnits);
+  const [issues, setIssues] = useState([]);
+  const [matrix, setMatrix] = useState(null);
+  const [legendLines, setLegendLines] = useState([]);
+  const [colourBy, setColourBy] = useState('heat');
+  const [error, setError] = useState('');
+
+  // The same checks as the donor form: required fields, readable HLA typing and a hospital that can be placed
+  const addDonor = (donor) => {
+    const problems = [...donorProblems(donor), hospitalProblem(donor.hospital, centres)].filter(Boolean);
+    if (problems.length) {
+      setIssues([`${donor.name || 'Donor'}: ${problems.join('; ')}`]);
+      return false;
+    }
+    setDonors(prev => [...prev, { ...donor }]);
+    setIssues([]);
+    return true;
+  };
+
+  const handleDraftChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDraftUnitChange = (e) => {
+    const { name, value } = e.target;
+    setDraftUnits(prev => ({ ...prev, [name]: value }));
+  };
+
+  // The matrix works in cm/kg; a donor typed in other units keeps a note of what was entered
+  const handleAddDraft = () => {
+    if (addDonor(donorInEngineUnits(draft, draftUnits))) setDraft(emptyDonor);
+  };
+
+  const draftWarnings = ['height', 'weight'].map(field => unitWarning(field, draft[field], draftUnits[field])).filter(Boolean);
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const [sheet] = await parseRecipientFile(file);
+      if (!sheet || !sheet.rows.length) throw new Error('The file has no donor rows');
+      const imported = donorsFromSheet(sheet, centres);
+      setDonors(prev => [...prev, ...imported.donors]);
+      setIssues([...imported.warnings, ...imported.issues.map(issue => `Row ${issue.row}: ${issue.reason}`)]);
+      setError('');
+    } catch (err) {
+      console.error('Donor import error:', err);
+      setError(`Error importing donors: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const handleBuild = () => {
+    if (!donors.length) {
+      setError('Add at least one donor');
+      return;
+    }
+    if (!recipients.length) {
+      setError('No active recipients on the waitlist');
+      return;
+    }
+    try {
+      const built = buildDonorMatrix(donors, recipients, {
+        riskMetric, thresholds, paediatric, policy, clinicalRules, geography: { centres, transport }
+      });
+      const hasPaediatric = built.rows.some(row => isPaediatricResult(row.cells[0]));
+      setMatrix(built);
+      setLegendLines([...riskLegend(riskMetric, thresholds), ...(hasPaediatric ? paediatricLegends(paediatric).riskLegendLines : [])]);
+      setError('');
+    } catch (err) {
+      console.error('Donor matrix error:', err);
+      setError(`Error building the donor matrix: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const handleExport = async (exporter) => {
+    try {
+      await exporter(matrix, { riskLegendLines: legendLines });
+    } catch (err) {
+      console.error('Donor matrix export error:', err);
+      setError(`Error exporting the donor matrix: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const summaries = matrix ? summarizeDonors(matrix) : [];
+
+  const cellStyle = (match) => {
+    const ratio = match.sizeMetrics[match.riskMetric].ratio;
+    const risk = riskStyle(match);
+    const style = colourBy === 'heat'
+      ? { backgroundColor: ratioHeatColor(ratio) }
+      : { backgroundColor: risk?.background, color: risk?.text };
+    return match.aboMatch && !match.excluded ? style : { ...style, color: incompatibleColor };
+  };
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">
+        Batch matching: several donors ({donors.length})
+      </summary>
+
+      <div className="overflow-x-auto mt-3">
+        <table className="min-w-full bg-white border text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-1 px-2 border">Donor</th>
+              <th className="py-1 px-2 border">Gender</th>
+              <th className="py-1 px-2 border">Age</th>
+              <th className="py-1 px-2 border">Height</th>
+              <th className="py-1 px-2 border">Weight</th>
+              <th className="py-1 px-2 border">Blood Type</th>
+              <th className="py-1 px-2 border">Hospital</th>
+              <th className="py-1 px-2 border">HLA typing</th>
+              <th className="py-1 px-2 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {donors.map((donor, index) => (
+              <tr key={index}>
+                <td className="py-1 px-2 border">{donor.name}</td>
+                <td className="py-1 px-2 border">{donor.gender}</td>
+                <td className="py-1 px-2 border">{donor.age}</td>
+                <td className="py-1 px-2 border">{describeMeasurement(donor, 'height')}</td>
+                <td className="py-1 px-2 border">{describeMeasurement(donor, 'weight')}</td>
+                <td className="py-1 px-2 border">{donor.bloodType}</td>
+                <td className="py-1 px-2 border">{donor.hospital}</td>
+                <td className="py-1 px-2 border">{describeHlaTyping(donor)}</td>
+                <td className="py-1 px-2 border">
+                  <button onClick={() => setDonors(donors.filter((_, i) => i !== index))} className="text-red-700 hover:underline">
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+            <tr className="bg-blue-50">
+              <td className="py-1 px-2 border">
+                <input name="name" value={draft.name} onChange={handleDraftChange} placeholder="Donor name" className={inputClass} />
+              </td>
+              <td className="py-1 px-2 border">
+                <select name="gender" value={draft.gender} onChange={handleDraftChange} className={inputClass}>
+                  <option value="">-</option>
+                  <option value="male">Male</option>
+                  <option value="female">Female</option>
+                </select>
+              </td>
+              <td className="py-1 px-2 border"><input type="number" name="age" value={draft.age} onChange={handleDraftChange} className={inputClass} /></td>
+              {['height', 'weight'].map(field => (
+                <td key={field} className="py-1 px-2 border">
+                  <div className="flex gap-1">
+                    <input type="number" name={field} value={draft[field]} onChange={handleDraftChange} className={inputClass} />
+                    <select name={field} value={draftUnits[field]} onChange={handleDraftUnitChange} className="p-1 border rounded text-sm" aria-label={`${field} unit`}>
+                      {Object.keys(unitOptions[field]).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </select>
+                  </div>
+                </td>
+              ))}
+              <td className="py-1 px-2 border">
+                <select name="bloodType" value={draft.bloodType} onChange={handleDraftChange} className={inputClass}>
+                  <option value="">-</option>
+                  {bloodTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </td>
+              <td className="py-1 px-2 border">
+                <input name="hospital" value={draft.hospital} onChange={handleDraftChange} placeholder="Centre code or lat, long" className={inputClass} />
+              </td>
+              <td className="py-1 px-2 border">
+                <div className="flex gap-1">
+                  {hlaLoci.map(locus => (
+                    <input
+                      key={locus}
+                      name={hlaField(locus)}
+                      value={draft[hlaField(locus)]}
+                      onChange={handleDraftChange}
+                      placeholder={`HLA-${locus}`}
+                      aria-label={`HLA-${locus}`}
+                      className={`${inputClass} min-w-16`}
+                    />
+                  ))}
+                </div>
+              </td>
+              <td className="py-1 px-2 border">
+                <button onClick={handleAddDraft} className="px-2 py-1 bg-blue-600 text-white rounded text-xs font-semibold hover:bg-blue-700">
+                  Add
+                </button>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      {draftWarnings.map(warning => <p key={warning} className="mt-1 text-xs text-orange-700">{warning}</p>)}
+
+      <div className="flex flex-wrap items-center gap-2 my-3">
+        <button onClick={() => addDonor(currentDonor)} className="px-3 py-2 bg-gray-200 rounded text-sm font-semibold hover:bg-gray-300">
+          Add the Step 2 donor
+        </button>
+        <label className="px-3 py-2 bg-gray-200 rounded text-sm font-semibold hover:bg-gray-300 cursor-pointer">
+          Import donors (.xlsx, CSV, JSON)
+          <input type="file" accept=".xlsx,.csv,.tsv,.txt,.json" onChange={handleImport} className="hidden" />
+        </label>
+        <button
+          onClick={handleBuild}
+          className="px-3 py-2 bg-blue-600 text-white rounded text-sm font-semibold hover:bg-blue-700"
+        >
+          Build donor × recipient matrix
+        </button>
+      </div>
+
+      {issues.length > 0 && (
+        <ul className="mb-3 list-disc pl-5 text-sm text-orange-700">
+          {issues.map((issue, index) => <li key={index}>{issue}</li>)}
+        </ul>
+      )}
+      {error && <p className="mb-3 text-sm text-red-700">{error}</p>}
+
+      {matrix && (
+        <div className="mt-4">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+            <div className="text-sm text-gray-700">
+              Cells show the donor-to-recipient {sizeMetrics[matrix.riskMetric].label} ratio and risk tier.{' '}
+              <label className="ml-2">
+                Colour by{' '}
+                <select value={colourBy} onChange={(e) => setColourBy(e.target.value)} className="p-1 border rounded text-sm">
+                  <option value="heat">ratio heat-map</option>
+                  <option value="risk">risk tier</option>
+                </select>
+              </label>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleExport(downloadMatrixWorkbook)}
+                className="px-3 py-1 bg-emerald-700 text-white rounded text-sm font-semibold hover:bg-emerald-800"
+              >
+                Download Excel
+              </button>
+              <button
+                onClick={() => handleExport(downloadMatrixPDF)}
+                className="px-3 py-1 bg-green-600 text-white rounded text-sm font-semibold hover:bg-green-700"
+              >
+                Download PDF Report
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="py-1 px-2 border">ID</th>
+                  <th className="py-1 px-2 border">Name</th>
+                  <th className="py-1 px-2 border">Blood Type</th>
+                  {matrix.donors.map((donor, index) => (
+                    <th key={index} className="py-1 px-2 border">{donor.name} ({donor.bloodType})</th>
+                  ))}
+                  <th className="py-1 px-2 border">Best donor</th>
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.rows.map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    <td className="py-1 px-2 border">{row.recipient.id}</td>
+                    <td className="py-1 px-2 border">
+                      {row.recipient.name}
+                      {isPaediatricResult(row.cells[0]) && (
+                        <span className="ml-1 px-1 rounded bg-purple-100 text-purple-800 text-xs" title={row.cells[0].sizeModelLabel}>Paed.</span>
+                      )}
+                    </td>
+                    <td className="py-1 px-2 border">{row.recipient.bloodType || 'Unknown'}</td>
+                    {row.cells.map((match, index) => (
+                      <td
+                        key={index}
+                        className={`py-1 px-2 border text-center ${index === row.bestDonor ? 'font-bold ring-2 ring-inset ring-blue-600' : ''}`}
+                        style={cellStyle(match)}
+                        title={[
+                          `${match.matchCategory || 'No match category'}${match.aboMatch ? '' : ' · ABO incompatible'} · Virtual crossmatch: ${crossmatchLabel(match)}`,
+                          transportLabel(match),
+                          match.excluded && describeExclusion(match)
+                        ].filter(Boolean).join(' · ')}
+                      >
+                        {match.sizeMetrics[match.riskMetric].ratio?.toFixed(2) ?? '—'}
+                        <div className="text-xs">{match.aboMatch ? match.riskLevel : 'ABO ✗'}</div>
+                        {match.excluded && <div className="text-xs font-semibold">Excl.</div>}
+                        {isCrossmatchPositive(match) && <div className="text-xs font-bold text-red-700">XM+</div>}
+                      </td>
+                    ))}
+                    <td className="py-1 px-2 border font-semibold">
+                      {row.bestDonor >= 0 ? matrix.donors[row.bestDonor].name : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-gray-50">
+                {[
+                  ['ABO-compatible recipients', 'compatible'],
+                  ['Compatible, not excluded, lowest risk tier', 'lowestRisk'],
+                  ['Best donor for', 'bestFor']
+                ].map(([label, key]) => (
+                  <tr key={key}>
+                    <td colSpan="3" className="py-1 px-2 border text-right font-medium">{label}</td>
+                    {summaries.map((summary, index) => (
+                      <td key={index} className="py-1 px-2 border text-center">{summary[key]}</td>
+                    ))}
+                    <td className="py-1 px-2 border"></td>
+                  </tr>
+                ))}
+              </tfoot>
+            </table>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">
+            Cells use the active allocation policy, clinical rules and ischaemic-time limit; each donor's hospital gives its transport estimates.
+            Excl. marks a pair the policy or an exclude rule leaves out of the ranking (hover for the reason); it is never the best donor.
+            Best donor: ABO-compatible first, then no positive virtual crossmatch (XM+), the lowest-risk tier and the ratio closest to 1.0 (outlined).
+            Grey text marks ABO-incompatible and excluded pairs. Paediatric patients (Paed.) show the paediatric model's ratio.
+          </p>
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default BatchDonorMatching;
@@ -0,0 +1,114 @@
+// CentresPanel.jsx - The transplant centre table and the transport assumptions behind distance and ischaemic time
+import React, { useState } from 'react';
+import { transportFields, transportOptions, describeTransport } from '../engine/geography';
+import { parseRecipientFile } from '../import/parsers';
+import { centresFromSheet } from '../import/centreImport';
+
+const CentresPanel = ({ centres, transport, onCentresChange, onCentresReset, onTransportChange }) => {
+  const [issues, setIssues] = useState([]);
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const [sheet] = await parseRecipientFile(file);
+      const imported = sheet ? centresFromSheet(sheet) : { centres: [], issues: [] };
+      if (!imported.centres.length) throw new Error('The file has no usable centres');
+      onCentresChange(imported.centres);
+      setIssues(imported.issues.map(issue => `Row ${issue.row}: ${issue.reason}`));
+      setError('');
+    } catch (err) {
+      console.error('Centre import error:', err);
+      setError(`Error importing the centre table: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const handleTransportChange = (e) => {
+    const { name, value } = e.target;
+    onTransportChange({ ...transport, [name]: value });
+  };
+
+  const handleReset = () => {
+    onCentresReset();
+    setIssues([]);
+    setError('');
+  };
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">
+        Centres and transport <span className="font-normal">({centres.length} centres, max {transportOptions(transport).maxIschaemicHours} h)</span>
+      </summary>
+
+      <p className="mt-3 mb-3 text-sm text-gray-700">
+        Recipients with a centre code are given the great-circle distance from the donor hospital and an estimated ischaemic time.
+        Everything is worked out from the table below, so it works offline.
+      </p>
+
+      <h3 className="font-semibold mb-1">Transport assumptions</h3>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-2">
+        {Object.entries(transportFields).map(([key, field]) => (
+          <label key={key} className="text-sm text-gray-700">
+            {field.label}
+            <input
+              type="number"
+              step="any"
+              min={field.min}
+              name={key}
+              value={transport[key] ?? ''}
+              onChange={handleTransportChange}
+              className="w-full p-1 border rounded"
+            />
+          </label>
+        ))}
+      </div>
+      <p className="mb-4 text-xs text-gray-500">{describeTransport(transport)}.</p>
+
+      <h3 className="font-semibold mb-1">Centre table</h3>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <input type="file" accept=".xlsx,.csv,.tsv,.txt,.json" onChange={handleFile} className="p-1 border rounded text-sm" />
+        <button onClick={handleReset} className="px-3 py-1 bg-gray-200 rounded text-sm font-semibold hover:bg-gray-300">
+          Restore bundled table
+        </button>
+      </div>
+      <p className="mb-2 text-xs text-gray-500">
+        Import a table with code, name, latitude and longitude columns; it replaces the current table and is kept in this browser.
+        The donor hospital can be one of these codes or typed as "latitude, longitude".
+      </p>
+      {error && <p className="mb-2 text-sm text-red-700">{error}</p>}
+      {issues.length > 0 && (
+        <ul className="mb-2 list-disc pl-5 text-sm text-red-700">
+          {issues.map(issue => <li key={issue}>{issue}</li>)}
+        </ul>
+      )}
+
+      <div className="max-h-64 overflow-y-auto">
+        <table className="min-w-full bg-white border text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-1 px-2 border">Code</th>
+              <th className="py-1 px-2 border">Name</th>
+              <th className="py-1 px-2 border">Latitude</th>
+              <th className="py-1 px-2 border">Longitude</th>
+            </tr>
+          </thead>
+          <tbody>
+            {centres.map(centre => (
+              <tr key={centre.code}>
+                <td className="py-1 px-2 border font-mono">{centre.code}</td>
+                <td className="py-1 px-2 border">{centre.name}</td>
+                <td className="py-1 px-2 border">{centre.latitude}</td>
+                <td className="py-1 px-2 border">{centre.longitude}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
+
+export default CentresPanel;
@@ -0,0 +1,150 @@
+// ClinicalRulesEditor.jsx - Edit the rules that flag or exclude recipients on PVR, sternotomy, VAD and cPRA
+import React, { useState } from 'react';
+import {
+  ruleQuantities,
+  ruleOperators,
+  ruleActions,
+  defaultClinicalRules,
+  describeRule,
+  validateClinicalRules,
+  normalizeClinicalRules
+} from '../engine/clinicalRules';
+
+const inputClass = 'p-1 border rounded text-sm';
+
+const newCondition = () => ({ quantity: 'pvr', operator: '>', value: '' });
+
+const ClinicalRulesEditor = ({ rules, onSave }) => {
+  const [draft, setDraft] = useState(rules);
+  const [message, setMessage] = useState('');
+
+  const problems = validateClinicalRules(draft);
+  const activeCount = rules.filter(rule => rule.enabled).length;
+
+  const updateRule = (index, changes) => {
+    setDraft(draft.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    setMessage('');
+  };
+
+  const updateCondition = (ruleIndex, conditionIndex, changes) => {
+    const conditions = draft[ruleIndex].conditions.map((condition, i) => (i === conditionIndex ? { ...condition, ...changes } : condition));
+    updateRule(ruleIndex, { conditions });
+  };
+
+  const handleAddRule = () => {
+    setDraft([...draft, { id: `rule${Date.now()}`, name: '', enabled: true, action: 'warn', conditions: [newCondition()] }]);
+  };
+
+  const handleSave = () => {
+    const saved = normalizeClinicalRules(draft);
+    onSave(saved);
+    setDraft(saved);
+    setMessage('Saved the clinical rules.');
+  };
+
+  const handleReset = () => {
+    setDraft(defaultClinicalRules);
+    onSave(defaultClinicalRules);
+    setMessage('Restored the default rules.');
+  };
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">
+        Clinical rules <span className="font-normal">({activeCount} active)</span>
+      </summary>
+
+      <p className="mt-3 mb-3 text-sm text-gray-700">
+        Rules test the optional recipient columns (PVR, prior sternotomy, VAD, cPRA, unacceptable antigens) together with the size match and the distance to the donor.
+        A rule fires when all of its conditions hold; recipients with no value for a column never match it.
+        Warnings show as flags next to the Rh warning; exclusions remove the recipient from the ranking.
+      </p>
+
+      {draft.map((rule, ruleIndex) => (
+        <div key={rule.id} className={`mb-3 p-3 bg-white border rounded ${rule.enabled ? '' : 'opacity-60'}`}>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(ruleIndex, { enabled: e.target.checked })} aria-label="Enabled" />
+            <input
+              value={rule.name}
+              onChange={(e) => updateRule(ruleIndex, { name: e.target.value })}
+              placeholder="Rule name"
+              className={`${inputClass} flex-1 min-w-48`}
+            />
+            <select value={rule.action} onChange={(e) => updateRule(ruleIndex, { action: e.target.value })} className={inputClass}>
+              {Object.entries(ruleActions).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <button onClick={() => setDraft(draft.filter((_, i) => i !== ruleIndex))} className="text-sm text-red-700 hover:underline">
+              Remove rule
+            </button>
+          </div>
+
+          {rule.conditions.map((condition, conditionIndex) => (
+            <div key={conditionIndex} className="flex flex-wrap items-center gap-2 mb-1 text-sm">
+              <span className="w-10 text-right text-gray-500">{conditionIndex === 0 ? 'When' : 'and'}</span>
+              <select
+                value={condition.quantity}
+                onChange={(e) => updateCondition(ruleIndex, conditionIndex, { quantity: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(ruleQuantities).map(([key, quantity]) => <option key={key} value={key}>{quantity.label}</option>)}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(e) => updateCondition(ruleIndex, conditionIndex, { operator: e.target.value })}
+                className={inputClass}
+              >
+                {Object.keys(ruleOperators).map(operator => <option key={operator} value={operator}>{operator}</option>)}
+              </select>
+              <input
+                type="number"
+                step="any"
+                value={condition.value}
+                onChange={(e) => updateCondition(ruleIndex, conditionIndex, { value: e.target.value })}
+                className={`${inputClass} w-24`}
+              />
+              <button
+                onClick={() => updateRule(ruleIndex, { conditions: rule.conditions.filter((_, i) => i !== conditionIndex) })}
+                className="text-red-700 hover:underline"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => updateRule(ruleIndex, { conditions: [...rule.conditions, newCondition()] })}
+            className="mt-1 px-2 py-1 bg-gray-200 rounded text-xs font-semibold hover:bg-gray-300"
+          >
+            Add condition
+          </button>
+          {rule.conditions.length > 0 && <p className="mt-1 text-xs text-gray-500">{describeRule(rule)}</p>}
+        </div>
+      ))}
+
+      <button onClick={handleAddRule} className="mb-4 px-2 py-1 bg-gray-200 rounded text-xs font-semibold hover:bg-gray-300">
+        Add rule
+      </button>
+
+      {problems.length > 0 && (
+        <ul className="mb-3 list-disc pl-5 text-sm text-red-700">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleSave}
+          disabled={problems.length > 0}
+          className="px-3 py-2 bg-blue-600 text-white rounded text-sm font-semibold hover:bg-blue-700 disabled:bg-blue-300"
+        >
+          Save rules
+        </button>
+        <button onClick={handleReset} className="px-3 py-2 bg-gray-200 rounded text-sm font-semibold hover:bg-gray-300">
+          Reset to default rules
+        </button>
+        {message && <span className="text-sm text-gray-700">{message}</span>}
+      </div>
+    </details>
+  );
+};
+
+export default ClinicalRulesEditor;
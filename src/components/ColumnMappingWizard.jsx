@@ -0,0 +1,198 @@
+// ColumnMappingWizard.jsx - Choose worksheet, map source columns to recipient fields, pick units
+import React, { useState } from 'react';
+import {
+  recipientFields,
+  unitOptions,
+  suggestMapping,
+  missingRequiredFields,
+  unitRangeWarnings
+} from '../import/columnMapping';
+import {
+  loadMappingProfiles,
+  saveMappingProfile,
+  deleteMappingProfile,
+  findMatchingProfile
+} from '../import/mappingProfiles';
+
+// Initial mapping for a sheet: a saved profile that fits its headers, else auto-suggestions
+const initialMapping = (sheet, profiles) => {
+  const profile = findMatchingProfile(profiles, sheet.headers);
+  if (profile) {
+    return { mapping: { ...profile.mapping }, units: { ...profile.units }, profileName: profile.name };
+  }
+  return { ...suggestMapping(sheet.headers), profileName: '' };
+};
+
+const ColumnMappingWizard = ({ fileName, sheets, onApply, onCancel }) => {
+  const [profiles, setProfiles] = useState(loadMappingProfiles);
+  // Start on the first worksheet a saved profile fits, else the first worksheet
+  const [sheetIndex, setSheetIndex] = useState(() => {
+    const index = sheets.findIndex(sheet => findMatchingProfile(profiles, sheet.headers));
+    return index >= 0 ? index : 0;
+  });
+  const [state, setState] = useState(() => initialMapping(sheets[sheetIndex], profiles));
+
+  const sheet = sheets[sheetIndex];
+  const headers = sheet.headers.filter(Boolean);
+  const missing = missingRequiredFields(state.mapping, headers);
+  const unitWarnings = unitRangeWarnings(sheet.rows, state.mapping, state.units);
+
+  const handleSheetChange = (e) => {
+    const index = parseInt(e.target.value);
+    setSheetIndex(index);
+    setState(initialMapping(sheets[index], profiles));
+  };
+
+  const handleFieldChange = (field, header) => {
+    setState(prev => ({ ...prev, mapping: { ...prev.mapping, [field]: header } }));
+  };
+
+  const handleUnitChange = (field, unit) => {
+    setState(prev => ({ ...prev, units: { ...prev.units, [field]: unit } }));
+  };
+
+  const handleProfileSelect = (e) => {
+    const profile = profiles.find(p => p.name === e.target.value);
+    if (!profile) {
+      setState({ ...suggestMapping(sheet.headers), profileName: '' });
+      return;
+    }
+    const index = sheets.findIndex(s => s.name === profile.sheetName);
+    if (index >= 0) setSheetIndex(index);
+    setState({ mapping: { ...profile.mapping }, units: { ...profile.units }, profileName: profile.name });
+  };
+
+  const handleSaveProfile = () => {
+    const name = state.profileName.trim();
+    if (!name) return;
+    setProfiles(saveMappingProfile({ name, sheetName: sheet.name, mapping: state.mapping, units: state.units }));
+  };
+
+  const handleDeleteProfile = () => {
+    setProfiles(deleteMappingProfile(state.profileName));
+    setState(prev => ({ ...prev, profileName: '' }));
+  };
+
+  return (
+    <div className="mt-4 p-4 border border-blue-300 rounded-lg bg-white">
+      <h3 className="font-semibold mb-1">Map columns for {fileName}</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        Check the suggested column for each field and the units used, then import. Required fields are marked *.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Saved mapping profile</label>
+          <select value={profiles.some(p => p.name === state.profileName) ? state.profileName : ''} onChange={handleProfileSelect} className="w-full p-2 border rounded">
+            <option value="">Auto-suggest from headers</option>
+            {profiles.map(profile => (
+              <option key={profile.name} value={profile.name}>{profile.name}</option>
+            ))}
+          </select>
+        </div>
+        {sheets.length > 1 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Worksheet</label>
+            <select value={sheetIndex} onChange={handleSheetChange} className="w-full p-2 border rounded">
+              {sheets.map((s, index) => (
+                <option key={index} value={index}>{s.name} ({s.rows.length} rows)</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <table className="min-w-full bg-white border text-sm mb-4">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="py-1 px-3 border text-left">Field</th>
+            <th className="py-1 px-3 border text-left">Source column</th>
+            <th className="py-1 px-3 border text-left">Unit</th>
+            <th className="py-1 px-3 border text-left">First value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {recipientFields.map(field => (
+            <tr key={field.key}>
+              <td className="py-1 px-3 border">{field.label}{field.required && ' *'}</td>
+              <td className="py-1 px-3 border">
+                <select
+                  value={state.mapping[field.key] || ''}
+                  onChange={(e) => handleFieldChange(field.key, e.target.value)}
+                  className={`w-full p-1 border rounded ${missing.includes(field) ? 'border-red-400' : ''}`}
+                >
+                  <option value="">{field.required ? 'Select column' : 'Not provided'}</option>
+                  {headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="py-1 px-3 border">
+                {unitOptions[field.key] ? (
+                  <select
+                    value={state.units[field.key]}
+                    onChange={(e) => handleUnitChange(field.key, e.target.value)}
+                    className="p-1 border rounded"
+                  >
+                    {Object.keys(unitOptions[field.key]).map(unit => (
+                      <option key={unit} value={unit}>{unit}</option>
+                    ))}
+                  </select>
+                ) : '-'}
+              </td>
+              <td className="py-1 px-3 border text-gray-500">
+                {state.mapping[field.key] ? String(sheet.rows[0]?.data[state.mapping[field.key]] ?? '') : ''}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {unitWarnings.length > 0 && (
+        <ul className="mb-4 list-disc pl-5 text-sm text-orange-700">
+          {unitWarnings.map(warning => <li key={warning}>Check the unit. {warning}</li>)}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <input
+          type="text"
+          value={state.profileName}
+          onChange={(e) => setState(prev => ({ ...prev, profileName: e.target.value }))}
+          className="p-2 border rounded text-sm"
+          placeholder="Profile name"
+        />
+        <button
+          onClick={handleSaveProfile}
+          disabled={!state.profileName.trim()}
+          className="px-3 py-2 bg-gray-200 rounded text-sm font-semibold hover:bg-gray-300 disabled:opacity-50"
+        >
+          Save mapping profile
+        </button>
+        {profiles.some(p => p.name === state.profileName) && (
+          <button onClick={handleDeleteProfile} className="px-3 py-2 text-sm text-red-700 hover:underline">
+            Delete profile
+          </button>
+        )}
+      </div>
+
+      {missing.length > 0 && (
+        <p className="text-sm text-red-700 mb-2">Map the required fields: {missing.map(field => field.label).join(', ')}</p>
+      )}
+      <div className="flex gap-2">
+        <button
+          onClick={() => onApply({ sheet, mapping: state.mapping, units: state.units })}
+          disabled={missing.length > 0}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-300"
+        >
+          Import {sheet.rows.length} rows
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,118 @@
+// DataProtectionPanel.jsx - Passphrase encryption and auto-lock settings for stored patient data
+import React, { useState } from 'react';
+import { enableEncryption, disableEncryption, MIN_PASSPHRASE_LENGTH } from '../storage/encryption';
+
+const idleOptions = [2, 5, 10, 15, 30, 60];
+
+const DataProtectionPanel = ({ encryptionEnabled, idleMinutes, onIdleMinutesChange, onEncryptionChange, onLockNow }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (passphrase !== confirmation) {
+      setError('Passphrases do not match.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      await enableEncryption(passphrase, idleMinutes);
+      setPassphrase('');
+      setConfirmation('');
+      onEncryptionChange(true);
+    } catch (err) {
+      console.error('Enable encryption error:', err);
+      setError(err.message || 'Unknown error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Store patient data in this browser without encryption?')) return;
+
+    setIsSaving(true);
+    setError('');
+    try {
+      await disableEncryption();
+      onEncryptionChange(false);
+    } catch (err) {
+      console.error('Disable encryption error:', err);
+      setError(err.message || 'Unknown error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const idleSelect = (
+    <label className="text-sm text-gray-700">
+      Auto-lock after{' '}
+      <select
+        value={idleMinutes}
+        onChange={(e) => onIdleMinutesChange(parseInt(e.target.value))}
+        className="p-1 border rounded"
+      >
+        {idleOptions.map(minutes => (
+          <option key={minutes} value={minutes}>{minutes} min</option>
+        ))}
+      </select>
+      {' '}idle
+    </label>
+  );
+
+  return (
+    <details className="mb-6 p-3 border rounded-lg bg-gray-50 text-sm">
+      <summary className="cursor-pointer font-semibold">
+        Data protection: {encryptionEnabled ? 'stored data encrypted' : 'stored data not encrypted'}
+      </summary>
+
+      {encryptionEnabled ? (
+        <div className="mt-3 flex flex-wrap items-center gap-3">
+          {idleSelect}
+          <button onClick={onLockNow} className="px-3 py-1 bg-blue-600 text-white rounded font-semibold hover:bg-blue-700">
+            Lock now
+          </button>
+          <button onClick={handleDisable} disabled={isSaving} className="px-3 py-1 text-red-700 hover:underline">
+            Turn off encryption
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleEnable} className="mt-3 flex flex-wrap items-center gap-2">
+          <p className="w-full text-gray-600">
+            Encrypt the waitlist and other patient data kept in this browser with a passphrase
+            (at least {MIN_PASSPHRASE_LENGTH} characters). The passphrase cannot be recovered.
+          </p>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            className="p-2 border rounded"
+            placeholder="Passphrase"
+          />
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            className="p-2 border rounded"
+            placeholder="Confirm passphrase"
+          />
+          {idleSelect}
+          <button
+            type="submit"
+            disabled={isSaving || !passphrase}
+            className="px-3 py-2 bg-blue-600 text-white rounded font-semibold hover:bg-blue-700 disabled:bg-blue-300"
+          >
+            {isSaving ? 'Encrypting...' : 'Encrypt stored data'}
+          </button>
+        </form>
+      )}
+      {error && <p className="mt-2 text-red-700">{error}</p>}
+    </details>
+  );
+};
+
+export default DataProtectionPanel;
@@ -0,0 +1,186 @@
+// DonorHistory.jsx - List past donor match runs and re-open them read-only
+import React, { useState, useEffect, useCallback } from 'react';
+import { listDonorRuns, hashRecipients, snapshotThresholds } from '../history/donorHistory';
+import { downloadResultsPDF } from '../export/pdfReport';
+import { downloadResultsWorkbook } from '../export/excelExport';
+import ResultsTable from './ResultsTable';
+import ResultsViewControls from './ResultsViewControls';
+import RecipientDetailDrawer from './RecipientDetailDrawer';
+import useResultsView from '../hooks/useResultsView';
+import { applyResultsView, resultsViewNote } from '../results/resultsView';
+import { extraRatioColumns } from '../engine/sizeMetrics';
+import { describeMeasurement } from '../engine/units';
+import { runRiskMetric } from '../engine/paediatricModels';
+import { describeHlaTyping } from '../engine/hla';
+import { describeExclusions } from '../results/exclusions';
+
+// thresholds are the current ones, used only for runs saved before their own thresholds were kept
+const DonorHistory = ({ refreshKey, currentRecipients, thresholds }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [currentHash, setCurrentHash] = useState(null);
+  const [error, setError] = useState('');
+  const [view, setView] = useResultsView();
+  const [detailResult, setDetailResult] = useState(null);
+  const closeDetail = useCallback(() => setDetailResult(null), []);
+
+  useEffect(() => {
+    listDonorRuns()
+      .then(setSnapshots)
+      .catch(err => {
+        console.error('Could not load donor history:', err);
+        setError(`Error loading donor history: ${err.message || 'Unknown error'}`);
+      });
+  }, [refreshKey]);
+
+  useEffect(() => {
+    hashRecipients(currentRecipients).then(setCurrentHash).catch(() => setCurrentHash(null));
+  }, [currentRecipients]);
+
+  const handleExport = async (exporter) => {
+    if (!shownResults.length) {
+      setError('No results in the current view to export');
+      return;
+    }
+    try {
+      await exporter(selected.donor, shownResults, {
+        generatedAt: new Date(selected.createdAt),
+        policyName: selected.policyName,
+        ratioColumns: snapshotRatioColumns,
+        riskLegendLines: selected.riskLegendLines,
+        categoryLegendLines: selected.categoryLegendLines,
+        sortingCriteria: selected.sortingCriteria,
+        transportNote: selected.transportNote,
+        viewNote: resultsViewNote(view, shownResults.length, selected.results.length, snapshotRatioColumns),
+        hiddenColumns: view.hiddenColumns,
+        exclusionNote: describeExclusions(selected.excluded),
+        thresholds: snapshotThresholds(selected, thresholds)
+      });
+    } catch (err) {
+      console.error('Snapshot export error:', err);
+      setError(`Error exporting snapshot: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  // Older snapshots predate the size metrics and show the PHM ratio only
+  const snapshotRiskMetric = selected ? runRiskMetric(selected.results) : undefined;
+  const snapshotRatioColumns = snapshotRiskMetric ? extraRatioColumns([], snapshotRiskMetric) : [];
+  const shownResults = selected ? applyResultsView(selected.results, view, snapshotRatioColumns) : [];
+
+  if (!snapshots.length && !error) return null;
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">Donor history ({snapshots.length})</summary>
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+
+      <div className="overflow-x-auto mt-3">
+        <table className="min-w-full bg-white border text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-1 px-2 border">Run</th>
+              <th className="py-1 px-2 border">Donor</th>
+              <th className="py-1 px-2 border">Blood Type</th>
+              <th className="py-1 px-2 border">Recipients ranked</th>
+              <th className="py-1 px-2 border">Waitlist version</th>
+              <th className="py-1 px-2 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {snapshots.map(snapshot => (
+              <tr key={snapshot.id} className={selected?.id === snapshot.id ? 'bg-blue-50' : ''}>
+                <td className="py-1 px-2 border">{new Date(snapshot.createdAt).toLocaleString()}</td>
+                <td className="py-1 px-2 border">{snapshot.donor.name}</td>
+                <td className="py-1 px-2 border">{snapshot.donor.bloodType}</td>
+                <td className="py-1 px-2 border text-center">{snapshot.recipientCount}</td>
+                <td className="py-1 px-2 border font-mono text-xs" title={snapshot.recipientListHash}>
+                  {snapshot.recipientListHash.slice(0, 12)}
+                  {currentHash && snapshot.recipientListHash !== currentHash && (
+                    <span className="ml-1 font-sans text-orange-700">(changed since)</span>
+                  )}
+                </td>
+                <td className="py-1 px-2 border">
+                  <button
+                    onClick={() => {
+                      setSelected(selected?.id === snapshot.id ? null : snapshot);
+                      setDetailResult(null);
+                    }}
+                    className="text-blue-700 hover:underline"
+                  >
+                    {selected?.id === snapshot.id ? 'Close' : 'Open'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selected && (
+        <div className="mt-4 p-3 border border-gray-300 rounded bg-white">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+            <h3 className="font-semibold">
+              Read-only snapshot · {new Date(selected.createdAt).toLocaleString()}
+            </h3>
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleExport(downloadResultsWorkbook)}
+                className="px-3 py-1 bg-emerald-700 text-white rounded text-sm font-semibold hover:bg-emerald-800"
+              >
+                Download Excel
+              </button>
+              <button
+                onClick={() => handleExport(downloadResultsPDF)}
+                className="px-3 py-1 bg-green-600 text-white rounded text-sm font-semibold hover:bg-green-700"
+              >
+                Download PDF Report
+              </button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-700 mb-1">
+            <strong>Donor:</strong> {selected.donor.name} · {selected.donor.gender}, Age {selected.donor.age},
+            Height {describeMeasurement(selected.donor, 'height')}, Weight {describeMeasurement(selected.donor, 'weight')}, Blood Type {selected.donor.bloodType}
+            {describeHlaTyping(selected.donor) && `, HLA ${describeHlaTyping(selected.donor)}`}
+            {selected.donor.hospitalName && `, from ${selected.donor.hospitalName}`}
+          </p>
+          <p className="text-sm text-gray-700 mb-3">
+            <strong>Sorting criteria{selected.policyName ? ` (${selected.policyName})` : ''}:</strong> {selected.sortingCriteria.join(' → ')}
+          </p>
+          {/* Snapshots saved before exclusions were recorded have none to show */}
+          {selected.excluded?.length > 0 && (
+            <p className="text-sm text-gray-700 mb-3">{describeExclusions(selected.excluded)}</p>
+          )}
+          {currentHash && selected.recipientListHash !== currentHash && (
+            <p className="text-sm text-orange-700 mb-3">
+              The waitlist has changed since this run. The ranking below is the original one.
+            </p>
+          )}
+          <ResultsViewControls
+            results={selected.results}
+            shownCount={shownResults.length}
+            ratioColumns={snapshotRatioColumns}
+            view={view}
+            onViewChange={setView}
+          />
+          <ResultsTable
+            results={shownResults}
+            ratioColumns={snapshotRatioColumns}
+            view={view}
+            onViewChange={setView}
+            onRowClick={setDetailResult}
+          />
+          {detailResult && (
+            <RecipientDetailDrawer
+              result={detailResult}
+              donor={selected.donor}
+              thresholds={snapshotThresholds(selected, thresholds)}
+              onClose={closeDetail}
+            />
+          )}
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default DonorHistory;
@@ -0,0 +1,88 @@
+// DonorImportPanel.jsx - Fill the donor form from a donor file or pasted referral text
+import React, { useState } from 'react';
+import { parseRecipientFile } from '../import/parsers';
+import { parseReferralText, parseDonorRecords } from '../import/donorReferral';
+
+const DonorImportPanel = ({ onFill }) => {
+  const [text, setText] = useState('');
+  const [records, setRecords] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const [sheet] = await parseRecipientFile(file);
+      const parsed = sheet ? parseDonorRecords(sheet) : [];
+      if (!parsed.length) throw new Error('The file has no donor records');
+      setFileName(file.name);
+      setRecords(parsed);
+      setError('');
+      // A single record fills the form straight away; several need a choice
+      if (parsed.length === 1) onFill(parsed[0]);
+    } catch (err) {
+      console.error('Donor file error:', err);
+      setError(`Error reading the donor file: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const handleRecordChoice = (e) => {
+    if (e.target.value !== '') onFill(records[Number(e.target.value)]);
+  };
+
+  const handleReadText = () => {
+    if (!text.trim()) {
+      setError('Paste the referral text first');
+      return;
+    }
+    setError('');
+    onFill(parseReferralText(text));
+  };
+
+  return (
+    <details className="mb-4 p-3 border rounded bg-white">
+      <summary className="cursor-pointer font-medium">Import donor details (file or referral text)</summary>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Donor file (.xlsx, CSV, JSON)</label>
+          <input type="file" accept=".xlsx,.csv,.tsv,.txt,.json" onChange={handleFile} className="w-full p-2 border rounded" />
+          {records.length > 1 && (
+            <select defaultValue="" onChange={handleRecordChoice} className="w-full p-2 border rounded mt-2">
+              <option value="">Choose a donor from {fileName} ({records.length} records)</option>
+              {records.map((record, index) => (
+                <option key={index} value={index}>
+                  Row {record.rowNumber}: {record.donor.name || 'unnamed'}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Pasted referral text</label>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={4}
+            className="w-full p-2 border rounded text-sm"
+            placeholder={'e.g. Donor ID: ABC123, 34 yo male, Ht 5\'11", Wt 185 lbs, ABO O pos'}
+          />
+          <button onClick={handleReadText} className="mt-1 px-3 py-1 bg-gray-200 rounded text-sm font-semibold hover:bg-gray-300">
+            Read referral
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+      <p className="mt-2 text-xs text-gray-500">
+        Imported values fill the form below for you to confirm. Fields highlighted in yellow could not be read with confidence.
+      </p>
+    </details>
+  );
+};
+
+export default DonorImportPanel;
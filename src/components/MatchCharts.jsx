@@ -0,0 +1,126 @@
+// MatchCharts.jsx - PHM ratio against status, and recipients per septile, as inline SVG
+import React from 'react';
+import { aboColors, chartColors } from '../export/reportStyles';
+import {
+  scatterData,
+  categoryHistogram,
+  linearScale,
+  categoryCode,
+  statusDomain,
+  statusJitter,
+  countTicks
+} from '../results/matchDistribution';
+
+const WIDTH = 480;
+const HEIGHT = 300;
+const margin = { top: 12, right: 12, bottom: 40, left: 44 };
+const plot = { left: margin.left, right: WIDTH - margin.right, top: margin.top, bottom: HEIGHT - margin.bottom };
+const axisText = { fontSize: 11, fill: chartColors.axis };
+
+const RatioScatter = ({ results, thresholds }) => {
+  const { points, bands, domain, ticks, omitted } = scatterData(results, thresholds);
+  const x = linearScale(domain, [plot.left, plot.right]);
+  // Status 1 (most urgent) at the top
+  const y = linearScale([statusDomain[0] - 0.5, statusDomain[1] + 0.5], [plot.top, plot.bottom]);
+  const { wellMatched, highRiskBelow } = bands;
+  const bandFrom = x(wellMatched.from ?? domain[0]);
+  const bandTo = x(wellMatched.to ?? domain[1]);
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="PHM ratio against status">
+        <rect x={bandFrom} y={plot.top} width={bandTo - bandFrom} height={plot.bottom - plot.top} fill={chartColors.wellMatchedBand} />
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line x1={x(tick)} x2={x(tick)} y1={plot.top} y2={plot.bottom} stroke={chartColors.grid} />
+            <text x={x(tick)} y={plot.bottom + 14} textAnchor="middle" {...axisText}>{tick.toFixed(1)}</text>
+          </g>
+        ))}
+        {[1, 2, 3, 4, 5, 6, 7].map(status => (
+          <text key={status} x={plot.left - 8} y={y(status) + 4} textAnchor="end" {...axisText}>{status}</text>
+        ))}
+        {highRiskBelow !== null && (
+          <g>
+            <line x1={x(highRiskBelow)} x2={x(highRiskBelow)} y1={plot.top} y2={plot.bottom} stroke={chartColors.highRiskLine} strokeDasharray="5 3" strokeWidth={1.5} />
+            <text x={x(highRiskBelow) - 4} y={plot.top + 10} textAnchor="end" fontSize={10} fill={chartColors.highRiskLine}>High Risk &lt; {highRiskBelow}</text>
+          </g>
+        )}
+        <rect x={plot.left} y={plot.top} width={plot.right - plot.left} height={plot.bottom - plot.top} fill="none" stroke={chartColors.axis} />
+        {points.map(point => (
+          <circle
+            key={point.rank}
+            cx={x(point.ratio)}
+            cy={y(point.status + statusJitter(point.rank))}
+            r={4}
+            fill={point.aboMatch ? aboColors.match : aboColors.mismatch}
+            fillOpacity={0.75}
+          >
+            <title>{`#${point.rank} ${point.name}: PHM ratio ${point.ratio.toFixed(3)}, status ${point.status}`}</title>
+          </circle>
+        ))}
+        <text x={(plot.left + plot.right) / 2} y={HEIGHT - 6} textAnchor="middle" {...axisText}>Donor/recipient PHM ratio</text>
+        <text x={12} y={(plot.top + plot.bottom) / 2} textAnchor="middle" transform={`rotate(-90 12 ${(plot.top + plot.bottom) / 2})`} {...axisText}>Status</text>
+      </svg>
+      <figcaption className="text-xs text-gray-600">
+        Shaded: {wellMatched.label}
+        {wellMatched.from !== null && wellMatched.to !== null && ` (${wellMatched.from}–${wellMatched.to})`}.
+        {omitted > 0 && ` ${omitted} recipient(s) not plotted: no adult PHM ratio (paediatric model or age 0).`}
+      </figcaption>
+    </figure>
+  );
+};
+
+const CategoryHistogram = ({ results, thresholds }) => {
+  const bars = categoryHistogram(results, thresholds);
+  const ticks = countTicks(Math.max(...bars.map(bar => bar.total)));
+  const y = linearScale([0, ticks[ticks.length - 1]], [plot.bottom, plot.top]);
+  const slot = (plot.right - plot.left) / bars.length;
+  const barWidth = slot * 0.7;
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Recipients per PHM septile">
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line x1={plot.left} x2={plot.right} y1={y(tick)} y2={y(tick)} stroke={chartColors.grid} />
+            <text x={plot.left - 8} y={y(tick) + 4} textAnchor="end" {...axisText}>{tick}</text>
+          </g>
+        ))}
+        {bars.map((bar, index) => {
+          const left = plot.left + index * slot + (slot - barWidth) / 2;
+          return (
+            <g key={bar.label}>
+              <title>{`${bar.label}: ${bar.total} (${bar.compatible} ABO compatible)`}</title>
+              <rect x={left} y={y(bar.compatible)} width={barWidth} height={plot.bottom - y(bar.compatible)} fill={aboColors.match} />
+              <rect x={left} y={y(bar.total)} width={barWidth} height={y(bar.compatible) - y(bar.total)} fill={aboColors.mismatch} />
+              {bar.total > 0 && <text x={left + barWidth / 2} y={y(bar.total) - 4} textAnchor="middle" fontSize={11}>{bar.total}</text>}
+              <text x={left + barWidth / 2} y={plot.bottom + 14} textAnchor="middle" {...axisText}>{categoryCode(bar.label)}</text>
+            </g>
+          );
+        })}
+        <line x1={plot.left} x2={plot.right} y1={plot.bottom} y2={plot.bottom} stroke={chartColors.axis} />
+        <text x={(plot.left + plot.right) / 2} y={HEIGHT - 6} textAnchor="middle" {...axisText}>PHM septile</text>
+        <text x={12} y={(plot.top + plot.bottom) / 2} textAnchor="middle" transform={`rotate(-90 12 ${(plot.top + plot.bottom) / 2})`} {...axisText}>Recipients</text>
+      </svg>
+      <figcaption className="text-xs text-gray-600">Recipients per match category from the PHM ratio.</figcaption>
+    </figure>
+  );
+};
+
+// results are the ranked results shown in the table; thresholds are the category and risk-tier bands of their run
+const MatchCharts = ({ results, thresholds }) => (
+  <details className="mb-4 p-4 border rounded-lg bg-gray-50" open>
+    <summary className="cursor-pointer text-lg font-semibold">Match distribution</summary>
+    <p className="mt-2 mb-2 text-sm text-gray-700">
+      <span style={{ color: aboColors.match }}>●</span> ABO compatible
+      <span className="ml-3" style={{ color: aboColors.mismatch }}>●</span> ABO incompatible
+      <span className="ml-3" style={{ color: chartColors.highRiskLine }}>┆</span> High Risk boundary
+    </p>
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <RatioScatter results={results} thresholds={thresholds} />
+      <CategoryHistogram results={results} thresholds={thresholds} />
+    </div>
+  </details>
+);
+
+export default MatchCharts;
@@ -0,0 +1,141 @@
+// RecipientDetailDrawer.jsx - One recipient's PHM breakdown, band boundaries and donor size sensitivity
+import React, { useEffect } from 'react';
+import { sizeMetrics } from '../engine/sizeMetrics';
+import { isPaediatricResult } from '../engine/paediatricModels';
+import { recipientSizeDetail, sensitivityFields, describeCrossing } from '../engine/sizeSensitivity';
+import { riskStyle } from '../export/reportStyles';
+
+const grams = (value) => (value === null ? '—' : `${value.toFixed(1)} g`);
+const ratioText = (donorValue, recipientValue) =>
+  (donorValue === null || recipientValue === null ? '—' : (donorValue / recipientValue).toFixed(3));
+
+// "U2 - Moderately Undersized below 0.929 (0.012 away)"
+const boundaryText = (label, bound, ratio) =>
+  `${label} ${bound < ratio ? 'below' : 'from'} ${bound} (${Math.abs(ratio - bound).toFixed(3)} away)`;
+
+const BandPosition = ({ title, band, ratio }) => (
+  <div className="mb-3">
+    <p className="font-semibold">{title}: {band.label}</p>
+    <ul className="list-disc pl-5 text-gray-700">
+      <li>{band.lower === null ? 'No lower boundary' : boundaryText(band.lowerLabel, band.lower, ratio)}</li>
+      <li>{band.upper === null ? 'No upper boundary' : boundaryText(band.upperLabel, band.upper, ratio)}</li>
+    </ul>
+  </div>
+);
+
+// donor is the run's donor in cm/kg; thresholds are the category and risk-tier bands the run was made with
+const RecipientDetailDrawer = ({ result, donor, thresholds, onClose }) => {
+  useEffect(() => {
+    const closeOnEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', closeOnEscape);
+    return () => window.removeEventListener('keydown', closeOnEscape);
+  }, [onClose]);
+
+  const detail = recipientSizeDetail(donor, result, thresholds);
+  const metric = sizeMetrics[detail.metric];
+  const { phm } = detail;
+  // Paediatric patients have no adult PHM figures
+  const recipientPhm = phm.recipient || { lvm: null, rvm: null, phm: null };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <aside
+        className="h-full w-full max-w-xl overflow-y-auto bg-white p-5 shadow-xl text-sm"
+        onClick={(e) => e.stopPropagation()}
+        aria-label={`Details for ${result.name}`}
+      >
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-xl font-semibold">{result.name}</h2>
+            <p className="text-gray-600">
+              {result.id} · Rank {result.rank} · {result.gender}, Age {result.age}, {result.height} cm, {result.weight} kg
+            </p>
+          </div>
+          <button onClick={onClose} className="px-2 text-2xl leading-none text-gray-500 hover:text-gray-800" aria-label="Close">×</button>
+        </div>
+
+        <h3 className="text-lg font-semibold mb-2">Predicted heart mass</h3>
+        <table className="w-full mb-2 border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-1 px-2 border text-left"></th>
+              <th className="py-1 px-2 border">Donor</th>
+              <th className="py-1 px-2 border">Recipient</th>
+              <th className="py-1 px-2 border">Ratio</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[['Left ventricular mass (LVM)', 'lvm'], ['Right ventricular mass (RVM)', 'rvm'], ['PHM = LVM + RVM', 'phm']].map(([label, key]) => (
+              <tr key={key} className={key === 'phm' ? 'font-semibold' : ''}>
+                <td className="py-1 px-2 border">{label}</td>
+                <td className="py-1 px-2 border text-right">{grams(phm.donor[key])}</td>
+                <td className="py-1 px-2 border text-right">{grams(recipientPhm[key])}</td>
+                <td className="py-1 px-2 border text-right">{ratioText(phm.donor[key], recipientPhm[key])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="mb-4 text-xs text-gray-500">
+          Kransdorf et al.: LVM = a·height<sup>0.54</sup>·weight<sup>0.61</sup>, RVM = b·age<sup>−0.32</sup>·height<sup>1.135</sup>·weight<sup>0.315</sup>,
+          with a = 8.25, b = 11.25 for men and a = 6.82, b = 10.59 for women (height in m, weight in kg).
+          {isPaediatricResult(result) && ' This patient is rated by the paediatric model: the adult PHM equations do not apply, so no recipient figures are given.'}
+          {!isPaediatricResult(result) && recipientPhm.rvm === null && ' RVM and PHM cannot be calculated without an age above 0.'}
+        </p>
+
+        <h3 className="text-lg font-semibold mb-2">
+          {metric.label} ratio {isFinite(detail.ratio) ? detail.ratio.toFixed(3) : 'not available'}
+          <span
+            className="ml-2 px-2 rounded text-sm"
+            style={{ backgroundColor: riskStyle(result)?.background, color: riskStyle(result)?.text }}
+          >
+            {result.riskLevel}
+          </span>
+        </h3>
+        {isFinite(detail.ratio) ? (
+          <>
+            <BandPosition title="Match category" band={detail.category} ratio={detail.ratio} />
+            <BandPosition title="Risk tier" band={detail.riskTier} ratio={detail.ratio} />
+          </>
+        ) : (
+          <p className="mb-3 text-gray-700">The ratio cannot be calculated, so there are no band boundaries to show.</p>
+        )}
+        {detail.thresholdsChanged && (
+          <p className="mb-3 text-orange-700">
+            This run was saved without its thresholds and placed the ratio in {result.matchCategory}. The boundaries above are today's.
+          </p>
+        )}
+
+        <h3 className="text-lg font-semibold mb-1">Donor size sensitivity</h3>
+        <p className="mb-2 text-gray-700">
+          How far the donor's weight or height would have to change, all else equal, to move this {metric.label} ratio into another band.
+        </p>
+        <table className="w-full mb-2 border">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-1 px-2 border text-left">Donor</th>
+              <th className="py-1 px-2 border">Smaller</th>
+              <th className="py-1 px-2 border">Larger</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(sensitivityFields).flatMap(([field, { label, unit }]) => [
+              ['Category', detail.categoryCrossings[field]],
+              ['Risk tier', detail.riskTierCrossings[field]]
+            ].map(([bands, crossings]) => (
+              <tr key={`${field}-${bands}`}>
+                <td className="py-1 px-2 border">{label} ({donor[field]} {unit}) · {bands}</td>
+                <td className="py-1 px-2 border">{describeCrossing(crossings.down, field)}</td>
+                <td className="py-1 px-2 border">{describeCrossing(crossings.up, field)}</td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500">Changes are searched up to 50% either side of the donor's value; age and sex are held fixed.</p>
+      </aside>
+    </div>
+  );
+};
+
+export default RecipientDetailDrawer;
@@ -0,0 +1,159 @@
+// ResultsTable.jsx - Ranked match results with risk and status colour coding
+import React from 'react';
+import { riskStyle, statusColor, aboColors, rhesusWarningColor, crossmatchColors } from '../export/reportStyles';
+import { sizeMetrics } from '../engine/sizeMetrics';
+import { flagSummary } from '../engine/clinicalRules';
+import { isPaediatricResult, runRiskMetric, sizeModelLabel } from '../engine/paediatricModels';
+import { crossmatchLabel, isCrossmatchPositive } from '../engine/hla';
+import { transportLabel, isBeyondIschaemicLimit, hasDistance } from '../engine/geography';
+import { visibleColumns, nextSort, ratioColumnKey } from '../results/resultsView';
+
+const cellClass = 'py-2 px-4 border';
+
+// One <td> per column key; extra ratio columns are added per run
+const cells = {
+  rank: result => <td className={`${cellClass} text-center`}>{result.rank}</td>,
+  score: result => <td className={`${cellClass} text-center`}>{result.policyScore.toFixed(3)}</td>,
+  id: result => <td className={cellClass}>{result.id}</td>,
+  name: result => (
+    <td className={cellClass}>
+      {result.name}
+      {isPaediatricResult(result) && (
+        <span className="ml-1 px-1 rounded bg-purple-100 text-purple-800 text-xs">Paed.</span>
+      )}
+    </td>
+  ),
+  dateAdded: result => <td className={cellClass}>{result.dateAdded.toLocaleDateString()}</td>,
+  status: result => (
+    <td className={`${cellClass} text-center font-semibold`} style={{ color: statusColor(result.status) }}>
+      {result.status}
+    </td>
+  ),
+  gender: result => <td className={cellClass}>{result.gender}</td>,
+  bloodType: result => <td className={cellClass}>{result.bloodType || "Unknown"}</td>,
+  aboMatch: result => (
+    <td className={`${cellClass} text-center font-bold`}>
+      {result.aboMatch ?
+        <span style={{color: aboColors.match}}>✓</span> :
+        <span style={{color: aboColors.mismatch}}>✗</span>
+      }
+    </td>
+  ),
+  rhesusWarning: result => (
+    <td className={`${cellClass} text-center`}>
+      {result.rhesusWarning ?
+        <span style={{color: rhesusWarningColor}}>⚠</span> :
+        <span style={{color: '#6b7280'}}>-</span>
+      }
+    </td>
+  ),
+  virtualCrossmatch: result => (
+    <td
+      className={`${cellClass} text-sm${isCrossmatchPositive(result) ? ' font-bold' : ''}`}
+      style={{color: crossmatchColors[result.virtualCrossmatch?.status] || '#6b7280'}}
+    >
+      {crossmatchLabel(result) || '-'}
+    </td>
+  ),
+  clinicalFlags: result => (
+    <td className={`${cellClass} text-sm`} title={(result.clinicalFlags || []).map(flag => flag.description).join('\n')}>
+      {result.clinicalFlags?.length
+        ? <span style={{color: rhesusWarningColor}}>⚠ {flagSummary(result)}</span>
+        : <span style={{color: '#6b7280'}}>-</span>
+      }
+    </td>
+  ),
+  transport: result => (
+    <td
+      className={`${cellClass} text-sm${isBeyondIschaemicLimit(result) ? ' font-bold' : ''}`}
+      style={{color: isBeyondIschaemicLimit(result) ? rhesusWarningColor : hasDistance(result) ? undefined : '#6b7280'}}
+      title={result.transport?.centreName}
+    >
+      {transportLabel(result) || '-'}
+    </td>
+  ),
+  age: result => <td className={cellClass}>{result.age}</td>,
+  height: result => <td className={cellClass}>{result.height}</td>,
+  weight: result => <td className={cellClass}>{result.weight}</td>,
+  // Older snapshots still hold adult PHM figures for paediatric patients; newer runs have null there and at age 0
+  recipientPHM: result => <td className={cellClass}>{isPaediatricResult(result) || result.recipientPHM === null ? '—' : `${result.recipientPHM.toFixed(2)}g`}</td>,
+  donorPHM: result => <td className={cellClass}>{result.donorPHM === null ? '—' : `${result.donorPHM.toFixed(2)}g`}</td>,
+  phmRatio: result => <td className={`${cellClass} font-semibold`}>{isPaediatricResult(result) || result.phmRatio === null ? '—' : result.phmRatio.toFixed(2)}</td>,
+  sizeModel: result => <td className={cellClass}>{sizeModelLabel(result)}</td>,
+  matchCategory: result => <td className={cellClass}>{result.matchCategory}</td>,
+  riskLevel: result => (
+    <td className={`${cellClass} font-bold`} style={{
+      backgroundColor: riskStyle(result)?.background,
+      color: riskStyle(result)?.text
+    }}>
+      {result.riskLevel}
+    </td>
+  )
+};
+
+const ratioCell = (metric) => result => (
+  <td className={cellClass}>{result.sizeMetrics?.[metric]?.ratio?.toFixed(2) ?? '—'}</td>
+);
+
+const sortMarks = { asc: ' ▲', desc: ' ▼' };
+
+// results are the rows to show, in display order; each carries its allocation rank.
+// Weighted allocation policies add a composite score to each result.
+// ratioColumns lists extra size metrics (sizeMetrics.js keys) to show next to the PHM ratio.
+// Paediatric patients have no PHM values shown: the adult model does not apply to them.
+// With view and onViewChange, clicking a header sorts by it; hidden columns come from view.hiddenColumns.
+// onRowClick(result) makes each row open that recipient's details.
+const ResultsTable = ({ results, tableRef, ratioColumns = [], view, onViewChange, onRowClick }) => {
+  const riskMetric = sizeMetrics[runRiskMetric(results)];
+  const sort = view?.sort;
+  const columns = visibleColumns(results, ratioColumns, view?.hiddenColumns);
+  const renderers = { ...cells, ...Object.fromEntries(ratioColumns.map(metric => [ratioColumnKey(metric), ratioCell(metric)])) };
+
+  const headerLabel = (column) => (column.key === 'matchCategory' && riskMetric && riskMetric !== sizeMetrics.phm
+    ? `${column.label} (${riskMetric.label})`
+    : column.label);
+
+  return (
+    <div className="overflow-x-auto">
+      <table ref={tableRef} className="min-w-full bg-white border">
+        <thead className="bg-gray-100">
+          <tr>
+            {columns.map(column => (
+              <th
+                key={column.key}
+                className="py-2 px-4 border"
+                aria-sort={sort?.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+              >
+                {onViewChange ? (
+                  <button
+                    onClick={() => onViewChange({ ...view, sort: nextSort(sort, column.key) })}
+                    className="font-bold hover:text-blue-700"
+                    title="Sort by this column; click again to reverse, a third time to return to the allocation rank"
+                  >
+                    {headerLabel(column)}{sortMarks[sort?.key === column.key && sort.direction] || ''}
+                  </button>
+                ) : headerLabel(column)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {results.map(result => (
+            <tr
+              key={result.rank}
+              onClick={onRowClick && (() => onRowClick(result))}
+              className={onRowClick ? 'cursor-pointer hover:bg-blue-50' : undefined}
+              title={onRowClick ? 'Show PHM breakdown and size sensitivity' : undefined}
+            >
+              {columns.map(column => (
+                <React.Fragment key={column.key}>{renderers[column.key](result)}</React.Fragment>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ResultsTable;
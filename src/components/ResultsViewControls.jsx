@@ -0,0 +1,111 @@
+// ResultsViewControls.jsx - Filters, search and column chooser for the results table
+import React from 'react';
+import { visibleColumns, defaultResultsView, isFiltered } from '../results/resultsView';
+
+// results are all the ranked results of the run; shownCount is how many pass the current view
+const ResultsViewControls = ({ results, shownCount, ratioColumns = [], view, onViewChange }) => {
+  const { filters, search, sort, hiddenColumns } = view;
+  // Recipients without a usable ratio have no category to filter by
+  const categories = [...new Set(results.map(result => result.matchCategory).filter(Boolean))];
+  const choosable = visibleColumns(results, ratioColumns).filter(column => !column.fixed);
+
+  const setFilter = (name, value) => onViewChange({ ...view, filters: { ...filters, [name]: value } });
+
+  const toggleCategory = (category) => setFilter('matchCategories', filters.matchCategories.includes(category)
+    ? filters.matchCategories.filter(selected => selected !== category)
+    : [...filters.matchCategories, category]);
+
+  const toggleColumn = (key) => onViewChange({
+    ...view,
+    hiddenColumns: hiddenColumns.includes(key) ? hiddenColumns.filter(hidden => hidden !== key) : [...hiddenColumns, key]
+  });
+
+  return (
+    <div className="mb-3 p-3 border rounded-lg bg-gray-50 text-sm">
+      <div className="flex flex-wrap items-center gap-4 mb-2">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => onViewChange({ ...view, search: e.target.value })}
+          placeholder="Search ID or name"
+          className="p-1 border rounded w-48"
+        />
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={filters.aboCompatibleOnly}
+            onChange={(e) => setFilter('aboCompatibleOnly', e.target.checked)}
+          />
+          ABO-compatible only
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={filters.hideHighRisk}
+            onChange={(e) => setFilter('hideHighRisk', e.target.checked)}
+          />
+          Hide High Risk
+        </label>
+        <label className="flex items-center gap-1">
+          Status ≤
+          <select
+            value={filters.maxStatus}
+            onChange={(e) => setFilter('maxStatus', e.target.value === '' ? '' : Number(e.target.value))}
+            className="p-1 border rounded"
+          >
+            <option value="">Any</option>
+            {[1, 2, 3, 4, 5, 6].map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </label>
+        <button
+          onClick={() => onViewChange({ ...defaultResultsView, hiddenColumns })}
+          disabled={!isFiltered(view) && !sort}
+          className="px-3 py-1 bg-gray-200 rounded font-semibold hover:bg-gray-300 disabled:opacity-50"
+        >
+          Show full ranking
+        </button>
+      </div>
+
+      {categories.length > 1 && (
+        <div className="flex flex-wrap items-center gap-3 mb-2">
+          <span className="text-gray-700">Match category:</span>
+          {categories.map(category => (
+            <label key={category} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={filters.matchCategories.includes(category)}
+                onChange={() => toggleCategory(category)}
+              />
+              {category}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <details>
+        <summary className="cursor-pointer text-gray-700">
+          Columns ({choosable.filter(column => !hiddenColumns.includes(column.key)).length} of {choosable.length} shown; Rank and Name always shown)
+        </summary>
+        <div className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-1">
+          {choosable.map(column => (
+            <label key={column.key} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={!hiddenColumns.includes(column.key)}
+                onChange={() => toggleColumn(column.key)}
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      </details>
+
+      <p className="mt-2 text-gray-700">
+        Showing {shownCount} of {results.length} ranked recipients{sort ? ', re-sorted' : ''}.
+        {(isFiltered(view) || sort) && ' Rank is always the allocation rank; exports follow this view.'}
+      </p>
+    </div>
+  );
+};
+
+export default ResultsViewControls;
@@ -0,0 +1,93 @@
+// SizeMetricSettings.jsx - Choose the size metric behind the risk level and the extra ratio columns
+import React from 'react';
+import { sizeMetrics, riskLegend } from '../engine/sizeMetrics';
+import { paediatricModels, paediatricOptions, paediatricLegends } from '../engine/paediatricModels';
+
+const SizeMetricSettings = ({ settings, thresholds, onChange }) => {
+  const toggleColumn = (key) => {
+    const ratioColumns = settings.ratioColumns.includes(key)
+      ? settings.ratioColumns.filter(existing => existing !== key)
+      : [...settings.ratioColumns, key];
+    onChange({ ...settings, ratioColumns });
+  };
+
+  const riskMetric = sizeMetrics[settings.riskMetric];
+  const paediatric = paediatricOptions(settings.paediatric);
+
+  const handlePaediatricChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...settings, paediatric: { ...settings.paediatric, [name]: value } });
+  };
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">
+        Size metrics: <span className="font-normal">risk level by {riskMetric.label} ratio</span>
+      </summary>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+        <div>
+          <label className="block mb-1 font-medium">Metric that drives the risk level</label>
+          <select
+            value={settings.riskMetric}
+            onChange={(e) => onChange({ ...settings, riskMetric: e.target.value })}
+            className="w-full p-2 border rounded"
+          >
+            {Object.entries(sizeMetrics).map(([key, metric]) => (
+              <option key={key} value={key}>{metric.label} ratio ({metric.name})</option>
+            ))}
+          </select>
+          <p className="mt-2 text-sm text-gray-700">
+            {riskLegend(settings.riskMetric, thresholds).join('; ')}. Edit the tiers under "Risk thresholds".
+          </p>
+        </div>
+
+        <div>
+          <span className="block mb-1 font-medium">Extra ratio columns in results and reports</span>
+          {Object.entries(sizeMetrics).filter(([key]) => key !== 'phm').map(([key, metric]) => (
+            <label key={key} className="block text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={settings.ratioColumns.includes(key) || key === settings.riskMetric}
+                disabled={key === settings.riskMetric}
+                onChange={() => toggleColumn(key)}
+                className="mr-1"
+              />
+              {metric.label} ratio
+            </label>
+          ))}
+          <p className="mt-1 text-xs text-gray-500">The PHM ratio and the metric driving the risk level are always shown.</p>
+        </div>
+      </div>
+
+      <h3 className="font-semibold mt-4 mb-1">Paediatric and adolescent patients</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block mb-1 font-medium">Age cut-off (years)</label>
+          <input
+            type="number"
+            name="ageCutoff"
+            min="0"
+            value={settings.paediatric?.ageCutoff ?? paediatric.ageCutoff}
+            onChange={handlePaediatricChange}
+            className="w-full p-2 border rounded"
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            The PHM equations were derived in adults. Patients younger than this are flagged and rated by the paediatric model; 0 turns it off.
+          </p>
+        </div>
+        <div>
+          <label className="block mb-1 font-medium">Paediatric model</label>
+          <select name="model" value={paediatric.model} onChange={handlePaediatricChange} className="w-full p-2 border rounded">
+            {Object.entries(paediatricModels).map(([key, model]) => (
+              <option key={key} value={key}>{model.name}</option>
+            ))}
+          </select>
+          <p className="mt-2 text-sm text-gray-700">{paediatricLegends(paediatric).riskLegendLines.join('; ')}.</p>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default SizeMetricSettings;
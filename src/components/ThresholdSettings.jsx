@@ -0,0 +1,196 @@
+// ThresholdSettings.jsx - Edit category boundaries and named risk tiers for each size metric
+import React, { useState } from 'react';
+import { sizeMetrics, riskSeverities } from '../engine/sizeMetrics';
+import {
+  severityLabels,
+  publishedMetricThresholds,
+  validateMetricThresholds,
+  finalizeMetricThresholds,
+  customizedMetrics
+} from '../engine/riskThresholds';
+
+const inputClass = 'w-full p-1 border rounded text-sm';
+
+// Editable rows: bounds as text, the open-ended last bound left blank
+const toDraft = ({ categories, riskTiers }) => {
+  const open = (bands) => bands.map(band => ({ ...band, below: isFinite(band.below) ? String(band.below) : '' }));
+  return { categories: open(categories), riskTiers: open(riskTiers) };
+};
+
+const BandRows = ({ bands, onChange, renderExtra }) => {
+  const update = (index, changes) => onChange(bands.map((band, i) => (i === index ? { ...band, ...changes } : band)));
+  const remove = (index) => onChange(bands.filter((_, i) => i !== index));
+
+  return bands.map((band, index) => (
+    <tr key={index}>
+      <td className="py-1 px-2 border text-right text-gray-600 whitespace-nowrap">
+        {index === 0 ? 'below' : `${bands[index - 1].below || '?'} to below`}
+      </td>
+      <td className="py-1 px-2 border w-24">
+        {index === bands.length - 1
+          ? <span className="text-gray-500">and above</span>
+          : <input type="number" step="0.001" value={band.below} onChange={(e) => update(index, { below: e.target.value })} className={inputClass} />}
+      </td>
+      <td className="py-1 px-2 border">
+        <input value={band.label} onChange={(e) => update(index, { label: e.target.value })} className={inputClass} />
+      </td>
+      {renderExtra && renderExtra(band, (changes) => update(index, changes))}
+      <td className="py-1 px-2 border">
+        <button onClick={() => remove(index)} disabled={bands.length <= 1} className="text-red-700 hover:underline disabled:opacity-40">
+          Remove
+        </button>
+      </td>
+    </tr>
+  ));
+};
+
+// A new band goes just before the open-ended last one
+const insertBand = (bands, band) => [...bands.slice(0, -1), band, bands[bands.length - 1]];
+
+const ThresholdSettings = ({ thresholds, initialMetric, onSave }) => {
+  const [metricKey, setMetricKey] = useState(initialMetric);
+  const [draft, setDraft] = useState(() => toDraft(thresholds[initialMetric]));
+  const [message, setMessage] = useState('');
+
+  const problems = validateMetricThresholds(draft);
+  const customized = customizedMetrics(thresholds);
+
+  const handleMetricChange = (e) => {
+    setMetricKey(e.target.value);
+    setDraft(toDraft(thresholds[e.target.value]));
+    setMessage('');
+  };
+
+  const handleSave = () => {
+    onSave({ ...thresholds, [metricKey]: finalizeMetricThresholds(draft) });
+    setMessage(`Saved thresholds for ${sizeMetrics[metricKey].label}.`);
+  };
+
+  const handleReset = () => {
+    const published = publishedMetricThresholds(metricKey);
+    setDraft(toDraft(published));
+    onSave({ ...thresholds, [metricKey]: published });
+    setMessage(`Restored the published defaults for ${sizeMetrics[metricKey].label}.`);
+  };
+
+  const renderTierExtra = (tier, update) => (
+    <>
+      <td className="py-1 px-2 border">
+        <select value={tier.severity} onChange={(e) => update({ severity: Number(e.target.value) })} className={inputClass}>
+          {Object.values(riskSeverities).map(severity => (
+            <option key={severity} value={severity}>{severityLabels[severity]}</option>
+          ))}
+        </select>
+      </td>
+      <td className="py-1 px-2 border whitespace-nowrap">
+        <input type="color" value={tier.background} onChange={(e) => update({ background: e.target.value })} title="Background" className="mr-1" />
+        <input type="color" value={tier.text} onChange={(e) => update({ text: e.target.value })} title="Text" />
+        <span className="ml-2 px-2 py-0.5 rounded text-xs font-bold" style={{ backgroundColor: tier.background, color: tier.text }}>
+          {tier.label || 'Preview'}
+        </span>
+      </td>
+    </>
+  );
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">
+        Risk thresholds{' '}
+        <span className="font-normal">
+          {customized.length ? `(customised: ${customized.map(key => sizeMetrics[key].label).join(', ')})` : '(published defaults)'}
+        </span>
+      </summary>
+
+      <div className="mt-3 mb-4 max-w-md">
+        <label className="block mb-1 font-medium">Metric</label>
+        <select value={metricKey} onChange={handleMetricChange} className="w-full p-2 border rounded">
+          {Object.entries(sizeMetrics).map(([key, metric]) => (
+            <option key={key} value={key}>{metric.label} ratio</option>
+          ))}
+        </select>
+      </div>
+
+      <h3 className="font-semibold mb-1">Match categories</h3>
+      <div className="overflow-x-auto mb-2">
+        <table className="min-w-full bg-white border text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-1 px-2 border">Ratio</th>
+              <th className="py-1 px-2 border">Upper bound</th>
+              <th className="py-1 px-2 border">Label</th>
+              <th className="py-1 px-2 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            <BandRows bands={draft.categories} onChange={(categories) => setDraft(prev => ({ ...prev, categories }))} />
+          </tbody>
+        </table>
+      </div>
+      <button
+        onClick={() => setDraft(prev => ({ ...prev, categories: insertBand(prev.categories, { label: '', below: '' }) }))}
+        className="mb-4 px-2 py-1 bg-gray-200 rounded text-xs font-semibold hover:bg-gray-300"
+      >
+        Add category
+      </button>
+
+      <h3 className="font-semibold mb-1">Risk tiers</h3>
+      <div className="overflow-x-auto mb-2">
+        <table className="min-w-full bg-white border text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-1 px-2 border">Ratio</th>
+              <th className="py-1 px-2 border">Upper bound</th>
+              <th className="py-1 px-2 border">Name</th>
+              <th className="py-1 px-2 border">Severity</th>
+              <th className="py-1 px-2 border">Colours</th>
+              <th className="py-1 px-2 border"></th>
+            </tr>
+          </thead>
+          <tbody>
+            <BandRows
+              bands={draft.riskTiers}
+              onChange={(riskTiers) => setDraft(prev => ({ ...prev, riskTiers }))}
+              renderExtra={renderTierExtra}
+            />
+          </tbody>
+        </table>
+      </div>
+      <button
+        onClick={() => setDraft(prev => ({
+          ...prev,
+          riskTiers: insertBand(prev.riskTiers, {
+            label: '', below: '', severity: riskSeverities.caution, background: '#fef08a', text: '#854d0e'
+          })
+        }))}
+        className="mb-4 px-2 py-1 bg-gray-200 rounded text-xs font-semibold hover:bg-gray-300"
+      >
+        Add risk tier
+      </button>
+      <p className="text-xs text-gray-500 mb-3">
+        Ranking puts lower-severity tiers first. Runs already in the donor history keep the thresholds they were made with.
+      </p>
+
+      {problems.length > 0 && (
+        <ul className="mb-3 list-disc pl-5 text-sm text-red-700">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleSave}
+          disabled={problems.length > 0}
+          className="px-3 py-2 bg-blue-600 text-white rounded text-sm font-semibold hover:bg-blue-700 disabled:bg-blue-300"
+        >
+          Save thresholds
+        </button>
+        <button onClick={handleReset} className="px-3 py-2 bg-gray-200 rounded text-sm font-semibold hover:bg-gray-300">
+          Reset to published defaults
+        </button>
+        {message && <span className="text-sm text-gray-700">{message}</span>}
+      </div>
+    </details>
+  );
+};
+
+export default ThresholdSettings;
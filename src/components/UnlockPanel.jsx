@@ -0,0 +1,66 @@
+// UnlockPanel.jsx - Passphrase prompt shown while stored patient data is locked
+import React, { useState } from 'react';
+import { unlock } from '../storage/vault';
+
+const UnlockPanel = ({ onUnlocked, onReset }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    setError('');
+
+    try {
+      if (await unlock(passphrase)) {
+        setPassphrase('');
+        onUnlocked();
+      } else {
+        setError('Incorrect passphrase.');
+      }
+    } catch (err) {
+      console.error('Unlock error:', err);
+      setError(`Error unlocking data: ${err.message || 'Unknown error'}`);
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Without the passphrase the stored data cannot be recovered. Delete all stored patient data and turn off encryption?')) return;
+    onReset();
+  };
+
+  return (
+    <div className="mb-8 p-4 border border-blue-300 rounded-lg bg-blue-50">
+      <h2 className="text-xl font-semibold mb-2">Locked</h2>
+      <p className="mb-3 text-sm text-gray-600">
+        Patient data stored in this browser is encrypted. Enter the passphrase to continue.
+      </p>
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          className="p-2 border rounded"
+          placeholder="Passphrase"
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={isUnlocking || !passphrase}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:bg-blue-300"
+        >
+          {isUnlocking ? 'Unlocking...' : 'Unlock'}
+        </button>
+      </form>
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+      <button onClick={handleReset} className="mt-3 text-xs text-red-700 hover:underline">
+        Forgot passphrase? Delete stored data
+      </button>
+    </div>
+  );
+};
+
+export default UnlockPanel;
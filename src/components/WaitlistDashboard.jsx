@@ -0,0 +1,184 @@
+// WaitlistDashboard.jsx - Waitlist breakdowns, hard-to-match patients and waiting-time flags, without a donor
+import React, { useState, useMemo } from 'react';
+import { waitlistAnalytics, analyticsFields, describeWaitingDays } from '../waitlist/waitlistAnalytics';
+import { loadAnalyticsSettings, saveAnalyticsSettings } from '../storage/analyticsSettings';
+import { downloadDashboardWorkbook } from '../export/dashboardExport';
+import { statusColor, rhesusWarningColor } from '../export/reportStyles';
+
+const CountBars = ({ title, counts, note }) => {
+  const max = Math.max(1, ...counts.map(({ count }) => count));
+  return (
+    <div>
+      <h4 className="font-semibold mb-1">{title}</h4>
+      <table className="w-full text-sm">
+        <tbody>
+          {counts.map(({ label, count }) => (
+            <tr key={label}>
+              <td className="pr-2 py-0.5 whitespace-nowrap text-gray-700">{label}</td>
+              <td className="w-full py-0.5">
+                <div className="h-3 rounded bg-blue-500" style={{ width: `${(count / max) * 100}%`, minWidth: count ? 2 : 0 }} />
+              </td>
+              <td className="pl-2 py-0.5 text-right">{count}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {note && <p className="mt-1 text-xs text-gray-500">{note}</p>}
+    </div>
+  );
+};
+
+// paediatric are the size-metric settings' { ageCutoff, model }: younger patients are left out of the PHM figures
+const WaitlistDashboard = ({ recipients, paediatric }) => {
+  const [settings, setSettings] = useState(loadAnalyticsSettings);
+  const [error, setError] = useState('');
+  const analytics = useMemo(() => waitlistAnalytics(recipients, { options: settings, paediatric }), [recipients, settings, paediatric]);
+
+  if (!recipients.length) return null;
+
+  const handleSettingChange = (e) => {
+    const { name, value } = e.target;
+    const next = { ...settings, [name]: value };
+    setSettings(next);
+    saveAnalyticsSettings(next);
+  };
+
+  const handleExport = async () => {
+    try {
+      await downloadDashboardWorkbook(analytics);
+      setError('');
+    } catch (err) {
+      console.error('Dashboard export error:', err);
+      setError(`Error exporting the waitlist review: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const { phm, waiting, hardToMatch, waitingFlags } = analytics;
+  const effective = analytics.settings;
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">
+        Waitlist dashboard <span className="font-normal">({analytics.active} active, {hardToMatch.length} hard to match, {waitingFlags.length} waiting-time flags)</span>
+      </summary>
+
+      <div className="flex flex-wrap justify-between items-center gap-2 mt-3 mb-3">
+        <p className="text-sm text-gray-700">
+          Active patients only, as of today. {analytics.total - analytics.active} inactive or removed patient(s) are counted under listing state only.
+        </p>
+        <button
+          onClick={handleExport}
+          className="px-3 py-1 bg-emerald-700 text-white rounded text-sm font-semibold hover:bg-emerald-800"
+        >
+          Download Excel
+        </button>
+      </div>
+      {error && <p className="mb-2 text-sm text-red-700">{error}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        <CountBars title="Blood type" counts={analytics.byBloodType} />
+        <CountBars title="Status" counts={analytics.byStatus} />
+        <div className="space-y-4">
+          <CountBars title="Sex" counts={analytics.byGender} />
+          <CountBars title="Listing state" counts={analytics.byListingState} />
+        </div>
+        <CountBars
+          title="Recipient PHM"
+          counts={phm.bins}
+          note={`Median ${phm.median === null ? '—' : `${Math.round(phm.median)} g`}.${phm.omitted ? ` ${phm.omitted} paediatric or incomplete patient(s) not included.` : ''}`}
+        />
+        <CountBars
+          title="Time on list"
+          counts={waiting.bins}
+          note={`Median ${waiting.median === null ? '—' : describeWaitingDays(Math.round(waiting.median))}.`}
+        />
+        <div>
+          <h4 className="font-semibold mb-1">Review settings</h4>
+          {Object.entries(analyticsFields).map(([key, field]) => (
+            <label key={key} className="block text-sm text-gray-700 mb-1">
+              {field.label}
+              <input
+                type="number"
+                min={field.min}
+                max={field.max}
+                name={key}
+                value={settings[key] ?? ''}
+                onChange={handleSettingChange}
+                className="w-full p-1 border rounded"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <h3 className="text-lg font-semibold mb-1">Hard to match ({hardToMatch.length})</h3>
+      <p className="mb-2 text-sm text-gray-700">
+        Blood type O patients with a PHM in the lowest or highest {effective.extremePhmPercent}% of the list
+        ({phm.low === null ? '—' : `≤ ${Math.round(phm.low)} g or ≥ ${Math.round(phm.high)} g`}), and patients with cPRA ≥ {effective.highCpra}%.
+      </p>
+      {hardToMatch.length > 0 && (
+        <div className="overflow-x-auto mb-6">
+          <table className="min-w-full bg-white border text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-1 px-2 border">ID</th>
+                <th className="py-1 px-2 border">Name</th>
+                <th className="py-1 px-2 border">Blood Type</th>
+                <th className="py-1 px-2 border">Status</th>
+                <th className="py-1 px-2 border">Reasons</th>
+              </tr>
+            </thead>
+            <tbody>
+              {hardToMatch.map(({ recipient, reasons }) => (
+                <tr key={recipient.id}>
+                  <td className="py-1 px-2 border">{recipient.id}</td>
+                  <td className="py-1 px-2 border">{recipient.name}</td>
+                  <td className="py-1 px-2 border">{recipient.bloodType || 'Unknown'}</td>
+                  <td className="py-1 px-2 border text-center font-semibold" style={{ color: statusColor(recipient.status) }}>{recipient.status}</td>
+                  <td className="py-1 px-2 border">{reasons.join('; ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h3 className="text-lg font-semibold mb-1">Waiting time ({waitingFlags.length})</h3>
+      <p className="mb-2 text-sm text-gray-700">
+        Patients on the list for {effective.reviewDays} days or more; from {effective.longWaitDays} days they are flagged as long waits.
+      </p>
+      {waitingFlags.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white border text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-1 px-2 border">ID</th>
+                <th className="py-1 px-2 border">Name</th>
+                <th className="py-1 px-2 border">Status</th>
+                <th className="py-1 px-2 border">Date Added</th>
+                <th className="py-1 px-2 border">Time on List</th>
+                <th className="py-1 px-2 border">Flag</th>
+              </tr>
+            </thead>
+            <tbody>
+              {waitingFlags.map(({ recipient, days, level }) => (
+                <tr key={recipient.id}>
+                  <td className="py-1 px-2 border">{recipient.id}</td>
+                  <td className="py-1 px-2 border">{recipient.name}</td>
+                  <td className="py-1 px-2 border text-center font-semibold" style={{ color: statusColor(recipient.status) }}>{recipient.status}</td>
+                  <td className="py-1 px-2 border">{new Date(recipient.dateadded).toLocaleDateString()}</td>
+                  <td className="py-1 px-2 border">{describeWaitingDays(days)}</td>
+                  <td className="py-1 px-2 border font-semibold" style={{ color: level === 'long' ? '#dc2626' : rhesusWarningColor }}>
+                    {level === 'long' ? 'Long wait' : 'Review'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default WaitlistDashboard;
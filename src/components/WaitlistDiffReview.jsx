@@ -0,0 +1,158 @@
+// WaitlistDiffReview.jsx - Review what a re-imported spreadsheet changes before it replaces the loaded waitlist
+import React, { useState } from 'react';
+import { initialAcceptedKeys, changeKey, describeChange } from '../waitlist/waitlistDiff';
+import { rhesusWarningColor } from '../export/reportStyles';
+
+const PatientTable = ({ title, recipients, kind, accepted, onToggle }) => (
+  <div className="mb-4">
+    <h4 className="font-semibold mb-1">{title} ({recipients.length})</h4>
+    <table className="min-w-full bg-white border text-sm">
+      <thead className="bg-gray-100">
+        <tr>
+          <th className="py-1 px-3 border w-16">Accept</th>
+          <th className="py-1 px-3 border text-left">ID</th>
+          <th className="py-1 px-3 border text-left">Name</th>
+          <th className="py-1 px-3 border text-left">Blood Type</th>
+          <th className="py-1 px-3 border text-left">Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {recipients.map(recipient => {
+          const key = `${kind}:${String(recipient.id).trim()}`;
+          return (
+            <tr key={key}>
+              <td className="py-1 px-3 border text-center">
+                <input type="checkbox" checked={accepted.includes(key)} onChange={() => onToggle(key)} aria-label={`Accept ${recipient.id}`} />
+              </td>
+              <td className="py-1 px-3 border">{recipient.id}</td>
+              <td className="py-1 px-3 border">{recipient.name}</td>
+              <td className="py-1 px-3 border">{recipient.bloodType || 'Unknown'}</td>
+              <td className="py-1 px-3 border">{recipient.status}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+// diff comes from diffWaitlists; onAccept receives the keys of the entries left ticked.
+// Changed patients are reviewed field by field; changes flagged for a second look start unticked.
+const WaitlistDiffReview = ({ fileName, diff, onAccept, onReject }) => {
+  const [accepted, setAccepted] = useState(() => initialAcceptedKeys(diff));
+  const attentionCount = diff.changed.reduce((count, entry) => count + entry.changes.filter(change => change.attention).length, 0);
+
+  const toggle = (key) => setAccepted(keys => keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key]);
+  // The patient's box ticks or unticks all of their changes
+  const togglePatient = (keys) => setAccepted(current => keys.every(key => current.includes(key))
+    ? current.filter(key => !keys.includes(key))
+    : [...current, ...keys.filter(key => !current.includes(key))]);
+
+  return (
+    <div className="mt-4 p-4 border border-blue-300 rounded-lg bg-white">
+      <h3 className="font-semibold mb-1">Changes in {fileName}</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        Compared with the loaded waitlist by ID: {diff.added.length} added, {diff.removed.length} removed,{' '}
+        {diff.changed.length} changed, {diff.unchanged} unchanged. Untick anything that looks wrong; it keeps its current entry.
+      </p>
+
+      {diff.duplicateIds.length > 0 && (
+        <p className="mb-2 text-sm text-red-700">
+          Duplicate IDs in the file: {diff.duplicateIds.join(', ')}. Only the first row for each was compared.
+        </p>
+      )}
+      {diff.heldBack.length > 0 && (
+        <p className="mb-2 text-sm text-gray-700">
+          {diff.heldBack.length} patient(s) with import issues in the new file are kept as they are: {diff.heldBack.map(r => r.id).join(', ')}.
+        </p>
+      )}
+      {attentionCount > 0 && (
+        <p className="mb-2 text-sm font-semibold" style={{ color: rhesusWarningColor }}>
+          {attentionCount} change(s) need a second look: blood type corrections, large weight or height changes, or a lower age.
+          They start unticked; tick them once checked.
+        </p>
+      )}
+
+      {diff.changed.length > 0 && (
+        <div className="mb-4">
+          <h4 className="font-semibold mb-1">Changed ({diff.changed.length})</h4>
+          <table className="min-w-full bg-white border text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="py-1 px-3 border w-16">Accept</th>
+                <th className="py-1 px-3 border text-left">ID</th>
+                <th className="py-1 px-3 border text-left">Name</th>
+                <th className="py-1 px-3 border text-left">Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diff.changed.map(entry => {
+                const keys = entry.changes.map(change => changeKey(entry.id, change.field));
+                return (
+                  <tr key={entry.id}>
+                    <td className="py-1 px-3 border text-center align-top">
+                      <input
+                        type="checkbox"
+                        checked={keys.every(key => accepted.includes(key))}
+                        onChange={() => togglePatient(keys)}
+                        aria-label={`Accept all changes for ${entry.id}`}
+                      />
+                    </td>
+                    <td className="py-1 px-3 border align-top">{entry.id}</td>
+                    <td className="py-1 px-3 border align-top">{entry.name}</td>
+                    <td className="py-1 px-3 border">
+                      <ul>
+                        {entry.changes.map(change => {
+                          const key = changeKey(entry.id, change.field);
+                          return (
+                            <li
+                              key={key}
+                              className={change.attention ? 'font-semibold' : ''}
+                              style={change.attention ? { color: rhesusWarningColor } : undefined}
+                              title={change.attention || undefined}
+                            >
+                              <label>
+                                <input
+                                  type="checkbox"
+                                  className="mr-2"
+                                  checked={accepted.includes(key)}
+                                  onChange={() => toggle(key)}
+                                  aria-label={`Accept ${describeChange(change)} for ${entry.id}`}
+                                />
+                                {describeChange(change)}
+                              </label>
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {diff.added.length > 0 && (
+        <PatientTable title="Added" recipients={diff.added} kind="added" accepted={accepted} onToggle={toggle} />
+      )}
+      {diff.removed.length > 0 && (
+        <PatientTable title="No longer in the file (marked removed)" recipients={diff.removed} kind="removed" accepted={accepted} onToggle={toggle} />
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => onAccept(accepted)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700"
+        >
+          Accept selected changes ({accepted.length})
+        </button>
+        <button onClick={onReject} className="px-4 py-2 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300">
+          Reject all
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WaitlistDiffReview;
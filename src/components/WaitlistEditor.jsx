@@ -0,0 +1,309 @@
+// WaitlistEditor.jsx - Add, edit and de-list recipients without re-uploading the spreadsheet
+import React, { useState } from 'react';
+import { bloodTypes } from '../engine/matching';
+import { vadTypes } from '../import/validation';
+import { applyRecipientEdit, createRecipient, setRecipientField, listingStates, isActive } from '../waitlist/waitlistEdits';
+import { dateStamp } from '../export/download';
+
+const emptyDraft = {
+  id: '', name: '', gender: '', age: '', height: '', weight: '', bloodType: '', status: '7', dateadded: dateStamp(),
+  pvr: '', priorSternotomy: '', vad: '', cpra: '', unacceptableAntigens: '', centre: ''
+};
+
+// <input type="date"> gives "yyyy-mm-dd"; read it as a local date, not UTC midnight
+const fromDateInput = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : value;
+};
+
+const yesNo = (value) => (value === null || value === undefined ? '' : value ? 'yes' : 'no');
+
+const toDraft = (recipient) => ({
+  ...emptyDraft,
+  ...Object.fromEntries(Object.keys(emptyDraft).map(field => [field, recipient[field] ?? ''])),
+  dateadded: recipient.dateadded instanceof Date && !isNaN(recipient.dateadded) ? dateStamp(recipient.dateadded) : '',
+  priorSternotomy: yesNo(recipient.priorSternotomy),
+  unacceptableAntigens: (recipient.unacceptableAntigens || []).join(' ')
+});
+
+// "PVR 4.5 · cPRA 85% · LVAD · redo · HAREFIELD" for the waitlist table
+const clinicalSummary = (recipient) => [
+  recipient.pvr !== null && recipient.pvr !== undefined && `PVR ${recipient.pvr}`,
+  recipient.cpra !== null && recipient.cpra !== undefined && `cPRA ${recipient.cpra}%`,
+  recipient.vad && recipient.vad !== 'none' && recipient.vad,
+  recipient.priorSternotomy && 'redo',
+  recipient.unacceptableAntigens?.length && `UA ${recipient.unacceptableAntigens.join(' ')}`,
+  recipient.centre
+].filter(Boolean).join(' · ') || '—';
+
+const formatValue = (value) => {
+  if (value instanceof Date) return value.toLocaleDateString();
+  if (value === null || value === undefined || value === '') return '—';
+  return String(value);
+};
+
+const inputClass = 'w-full p-1 border rounded text-sm';
+
+const DraftRow = ({ draft, onDraftChange, onSave, onCancel, issues, saveLabel }) => {
+  const field = (name, props = {}) => (
+    <input
+      name={name}
+      value={draft[name]}
+      onChange={onDraftChange}
+      className={`${inputClass} ${issues.some(issue => issue.column === name) ? 'border-red-400' : ''}`}
+      {...props}
+    />
+  );
+
+  return (
+    <>
+      <tr className="bg-blue-50">
+        <td className="py-1 px-2 border">{field('id')}</td>
+        <td className="py-1 px-2 border">{field('name')}</td>
+        <td className="py-1 px-2 border">
+          <select name="gender" value={draft.gender} onChange={onDraftChange} className={inputClass}>
+            <option value="">-</option>
+            <option value="male">Male</option>
+            <option value="female">Female</option>
+          </select>
+        </td>
+        <td className="py-1 px-2 border">{field('age', { type: 'number' })}</td>
+        <td className="py-1 px-2 border">{field('height', { type: 'number' })}</td>
+        <td className="py-1 px-2 border">{field('weight', { type: 'number' })}</td>
+        <td className="py-1 px-2 border">
+          <select name="bloodType" value={draft.bloodType} onChange={onDraftChange} className={inputClass}>
+            <option value="">-</option>
+            {bloodTypes.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </td>
+        <td className="py-1 px-2 border">
+          <select name="status" value={draft.status} onChange={onDraftChange} className={inputClass}>
+            {[1, 2, 3, 4, 5, 6, 7].map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </td>
+        <td className="py-1 px-2 border">{field('dateadded', { type: 'date' })}</td>
+        <td className="py-1 px-2 border"></td>
+        <td className="py-1 px-2 border" colSpan="2">
+          <button onClick={onSave} className="mr-2 px-2 py-1 bg-blue-600 text-white rounded text-xs font-semibold hover:bg-blue-700">
+            {saveLabel}
+          </button>
+          <button onClick={onCancel} className="px-2 py-1 bg-gray-200 rounded text-xs font-semibold hover:bg-gray-300">
+            Cancel
+          </button>
+        </td>
+      </tr>
+      <tr className="bg-blue-50">
+        <td colSpan="12" className="py-1 px-2 border">
+          <div className="flex flex-wrap items-center gap-3 text-xs text-gray-700">
+            <label>PVR (WU) {field('pvr', { type: 'number', step: 'any', className: `${inputClass} w-20 inline-block` })}</label>
+            <label>
+              Prior sternotomy{' '}
+              <select name="priorSternotomy" value={draft.priorSternotomy} onChange={onDraftChange} className="p-1 border rounded text-sm">
+                <option value="">-</option>
+                <option value="yes">Yes</option>
+                <option value="no">No</option>
+              </select>
+            </label>
+            <label>
+              VAD{' '}
+              <select name="vad" value={draft.vad} onChange={onDraftChange} className="p-1 border rounded text-sm">
+                <option value="">-</option>
+                {vadTypes.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+            <label>cPRA (%) {field('cpra', { type: 'number', className: `${inputClass} w-20 inline-block` })}</label>
+            <label>Unacceptable antigens {field('unacceptableAntigens', { className: `${inputClass} w-48 inline-block`, placeholder: 'e.g. A2 B44' })}</label>
+            <label>Centre {field('centre', { className: `${inputClass} w-32 inline-block`, placeholder: 'Centre code' })}</label>
+          </div>
+        </td>
+      </tr>
+      {issues.length > 0 && (
+        <tr>
+          <td colSpan="12" className="py-1 px-2 border text-xs text-red-700">
+            {issues.map(issue => issue.reason).join('; ')}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+const WaitlistEditor = ({ recipients, onChange, onExport, requireBloodType = true }) => {
+  // editing: null, 'new', or the index of the recipient being edited
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [issues, setIssues] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(null);
+  const [showDelisted, setShowDelisted] = useState(false);
+
+  const startEdit = (index) => {
+    setEditing(index);
+    setDraft(index === 'new' ? emptyDraft : toDraft(recipients[index]));
+    setIssues([]);
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
+    setIssues([]);
+  };
+
+  const handleDraftChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = () => {
+    const changes = { ...draft, dateadded: fromDateInput(draft.dateadded) };
+    const otherIds = recipients
+      .filter((_, index) => index !== editing)
+      .map(recipient => String(recipient.id).trim());
+
+    const result = editing === 'new'
+      ? createRecipient(changes, { otherIds, requireBloodType })
+      : applyRecipientEdit(recipients[editing], changes, { otherIds, requireBloodType });
+
+    if (!result.recipient) {
+      setIssues(result.issues);
+      return;
+    }
+
+    onChange(editing === 'new'
+      ? [...recipients, result.recipient]
+      : recipients.map((recipient, index) => (index === editing ? result.recipient : recipient)));
+    cancelEdit();
+  };
+
+  const handleFieldChange = (index, field, value) => {
+    onChange(recipients.map((recipient, i) => (i === index ? setRecipientField(recipient, field, value) : recipient)));
+  };
+
+  const activeCount = recipients.filter(isActive).length;
+
+  return (
+    <details className="mb-8 p-4 border rounded-lg bg-gray-50">
+      <summary className="cursor-pointer text-xl font-semibold">
+        Waitlist ({activeCount} active of {recipients.length})
+      </summary>
+
+      <div className="flex flex-wrap items-center gap-2 my-3">
+        <button
+          onClick={() => startEdit('new')}
+          disabled={editing !== null}
+          className="px-3 py-2 bg-blue-600 text-white rounded text-sm font-semibold hover:bg-blue-700 disabled:bg-blue-300"
+        >
+          Add patient
+        </button>
+        <button
+          onClick={onExport}
+          disabled={!recipients.length}
+          className="px-3 py-2 bg-emerald-700 text-white rounded text-sm font-semibold hover:bg-emerald-800 disabled:opacity-50"
+        >
+          Export waitlist (.xlsx)
+        </button>
+        <label className="text-sm text-gray-700 ml-2">
+          <input type="checkbox" checked={showDelisted} onChange={(e) => setShowDelisted(e.target.checked)} className="mr-1" />
+          Show inactive/removed patients
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-1 px-2 border">ID</th>
+              <th className="py-1 px-2 border">Name</th>
+              <th className="py-1 px-2 border">Gender</th>
+              <th className="py-1 px-2 border">Age</th>
+              <th className="py-1 px-2 border">Height (cm)</th>
+              <th className="py-1 px-2 border">Weight (kg)</th>
+              <th className="py-1 px-2 border">Blood Type</th>
+              <th className="py-1 px-2 border">Status</th>
+              <th className="py-1 px-2 border">Date Added</th>
+              <th className="py-1 px-2 border">Clinical / Centre</th>
+              <th className="py-1 px-2 border">Listing</th>
+              <th className="py-1 px-2 border">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {recipients.map((recipient, index) => {
+              if (!showDelisted && !isActive(recipient) && editing !== index) return null;
+
+              if (editing === index) {
+                return (
+                  <DraftRow key={index} draft={draft} onDraftChange={handleDraftChange} onSave={handleSave}
+                    onCancel={cancelEdit} issues={issues} saveLabel="Save" />
+                );
+              }
+
+              return (
+                <React.Fragment key={index}>
+                  <tr className={isActive(recipient) ? '' : 'text-gray-400'}>
+                    <td className="py-1 px-2 border">{recipient.id}</td>
+                    <td className="py-1 px-2 border">{recipient.name}</td>
+                    <td className="py-1 px-2 border">{recipient.gender}</td>
+                    <td className="py-1 px-2 border">{recipient.age}</td>
+                    <td className="py-1 px-2 border">{recipient.height}</td>
+                    <td className="py-1 px-2 border">{recipient.weight}</td>
+                    <td className="py-1 px-2 border">{recipient.bloodType || 'Unknown'}</td>
+                    <td className="py-1 px-2 border">
+                      <select
+                        value={recipient.status}
+                        onChange={(e) => handleFieldChange(index, 'status', parseInt(e.target.value))}
+                        className="p-1 border rounded text-sm"
+                      >
+                        {[1, 2, 3, 4, 5, 6, 7].map(status => <option key={status} value={status}>{status}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 px-2 border">{formatValue(recipient.dateadded)}</td>
+                    <td className="py-1 px-2 border text-xs">{clinicalSummary(recipient)}</td>
+                    <td className="py-1 px-2 border">
+                      <select
+                        value={recipient.listingState || 'active'}
+                        onChange={(e) => handleFieldChange(index, 'listingState', e.target.value)}
+                        className="p-1 border rounded text-sm"
+                      >
+                        {listingStates.map(state => <option key={state} value={state}>{state}</option>)}
+                      </select>
+                    </td>
+                    <td className="py-1 px-2 border whitespace-nowrap">
+                      <button onClick={() => startEdit(index)} disabled={editing !== null} className="mr-2 text-blue-700 hover:underline disabled:opacity-50">
+                        Edit
+                      </button>
+                      <button onClick={() => setHistoryIndex(historyIndex === index ? null : index)} className="text-gray-700 hover:underline">
+                        History ({recipient.history?.length || 0})
+                      </button>
+                    </td>
+                  </tr>
+                  {historyIndex === index && (
+                    <tr>
+                      <td colSpan="12" className="py-2 px-4 border bg-gray-50">
+                        {recipient.history?.length ? (
+                          <ul className="text-xs space-y-1">
+                            {recipient.history.map((entry, i) => (
+                              <li key={i}>
+                                {new Date(entry.changedAt).toLocaleString()}: <strong>{entry.field}</strong>{' '}
+                                {formatValue(entry.oldValue)} → {formatValue(entry.newValue)}
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <span className="text-xs text-gray-500">No changes since import.</span>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+            {editing === 'new' && (
+              <DraftRow draft={draft} onDraftChange={handleDraftChange} onSave={handleSave}
+                onCancel={cancelEdit} issues={issues} saveLabel="Add" />
+            )}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
+
+export default WaitlistEditor;
@@ -0,0 +1,201 @@
+// allocationPolicy.js - Ranking criteria, sort order, weights and exclusions for an allocation policy
+import { riskSeverities } from './sizeMetrics';
+import { isPaediatricResult } from './paediatricModels';
+import { isCrossmatchPositive } from './hla';
+import { hasDistance, isBeyondIschaemicLimit } from './geography';
+
+// Recipients without a known distance (no centre, or no donor hospital) sort after those with one
+const compareDistance = (a, b) => {
+  if (hasDistance(a) !== hasDistance(b)) return hasDistance(a) ? -1 : 1;
+  return hasDistance(a) ? a.transport.distanceKm - b.transport.distanceKm : 0;
+};
+
+// PHM is not valid for paediatric patients; their closeness uses the paediatric model's ratio.
+// Null when there is no usable ratio (e.g. no PHM at age 0).
+const closeness = (result) => {
+  const ratio = isPaediatricResult(result) ? result.sizeMetrics[result.riskMetric].ratio : result.phmRatio;
+  return ratio === null || !isFinite(ratio) ? null : Math.abs(ratio - 1);
+};
+
+// Recipients without a usable ratio sort after those with one
+const compareCloseness = (a, b) => {
+  const [x, y] = [closeness(a), closeness(b)];
+  if ((x === null) !== (y === null)) return x === null ? 1 : -1;
+  return x === null ? 0 : x - y;
+};
+
+// Recipients without a risk tier (no usable ratio, see unavailableTier) sort after every rated one
+const compareSeverity = (a, b) => {
+  if ((a.riskSeverity === null) !== (b.riskSeverity === null)) return a.riskSeverity === null ? 1 : -1;
+  return a.riskSeverity === null ? 0 : a.riskSeverity - b.riskSeverity;
+};
+
+// Each criterion compares two match results (negative = a ranks first) and scores one result in 0..1
+export const allocationCriteria = {
+  riskLevel: {
+    label: 'Size-Match Risk Level',
+    description: 'Size-Match Risk Level (lowest risk first)',
+    compare: compareSeverity,
+    score: (result) => (result.riskSeverity === null ? 0 : 1 - result.riskSeverity / riskSeverities.high)
+  },
+  aboMatch: {
+    label: 'ABO Compatibility',
+    description: 'ABO Blood Type Compatibility',
+    compare: (a, b) => (a.aboMatch === b.aboMatch ? 0 : a.aboMatch ? -1 : 1),
+    score: (result) => (result.aboMatch ? 1 : 0)
+  },
+  status: {
+    label: 'Patient Status',
+    description: 'Patient Status (1=highest priority)',
+    compare: (a, b) => a.status - b.status,
+    score: (result) => (7 - result.status) / 6
+  },
+  dateAdded: {
+    label: 'Date Added',
+    description: 'Date Added to List (oldest first)',
+    compare: (a, b) => a.dateAdded - b.dateAdded,
+    // Longest wait on the list scores 1, most recent listing scores 0
+    score: (result, context) => (context.waitSpan ? (context.newest - result.dateAdded) / context.waitSpan : 1)
+  },
+  phmCloseness: {
+    label: 'PHM Ratio Closeness',
+    description: 'Closeness to ideal PHM ratio (1.0)',
+    compare: compareCloseness,
+    score: (result) => (closeness(result) === null ? 0 : Math.max(0, 1 - closeness(result) / 0.5))
+  },
+  distance: {
+    label: 'Distance to Donor',
+    description: 'Distance from the donor hospital (nearest first)',
+    compare: compareDistance,
+    // The nearest centre scores 1, the farthest 0; unknown distances score 0
+    score: (result, context) => (hasDistance(result)
+      ? (context.distanceSpan ? (context.farthest - result.transport.distanceKm) / context.distanceSpan : 1)
+      : 0)
+  }
+};
+
+// Hard exclusions: matching recipients are removed from the ranking
+export const allocationExclusions = {
+  aboIncompatible: {
+    label: 'Exclude ABO-incompatible recipients',
+    description: 'ABO-incompatible recipients',
+    excludes: (result) => !result.aboMatch
+  },
+  positiveCrossmatch: {
+    label: 'Exclude positive virtual crossmatches',
+    description: 'Positive virtual HLA crossmatches',
+    excludes: isCrossmatchPositive
+  },
+  beyondIschaemicLimit: {
+    label: 'Exclude recipients beyond the maximum ischaemic time',
+    description: 'Recipients beyond the maximum estimated ischaemic time',
+    excludes: isBeyondIschaemicLimit
+  }
+};
+
+// The built-in ranking: PHM risk level → ABO compatibility → Status → Date added
+export const defaultPolicy = {
+  name: 'Default (Kransdorf PHM risk first)',
+  mode: 'sequential',
+  criteria: [
+    { key: 'riskLevel', enabled: true, weight: 4 },
+    { key: 'aboMatch', enabled: true, weight: 3 },
+    { key: 'status', enabled: true, weight: 2 },
+    { key: 'dateAdded', enabled: true, weight: 1 },
+    { key: 'phmCloseness', enabled: false, weight: 1 }
+  ],
+  exclusions: []
+};
+
+// Fill in criteria added since a policy was saved (disabled) and drop unknown ones
+export const normalizePolicy = (policy) => {
+  const known = (policy.criteria || []).filter(criterion => allocationCriteria[criterion.key]);
+  const missing = Object.keys(allocationCriteria)
+    .filter(key => !known.some(criterion => criterion.key === key))
+    .map(key => ({ key, enabled: false, weight: 1 }));
+  return {
+    ...policy,
+    mode: policy.mode === 'weighted' ? 'weighted' : 'sequential',
+    criteria: [...known, ...missing],
+    exclusions: (policy.exclusions || []).filter(key => allocationExclusions[key])
+  };
+};
+
+const enabledCriteria = (policy) => policy.criteria.filter(criterion => criterion.enabled && allocationCriteria[criterion.key]);
+
+// Returns a list of problems; an empty list means the policy can be used
+export const validatePolicy = (policy) => {
+  const problems = [];
+  if (!String(policy.name || '').trim()) problems.push('Policy needs a name.');
+  if (!enabledCriteria(policy).length) problems.push('Enable at least one criterion.');
+  if (policy.mode === 'weighted') {
+    enabledCriteria(policy).forEach(criterion => {
+      if (!(Number(criterion.weight) > 0)) {
+        problems.push(`${allocationCriteria[criterion.key].label} needs a weight greater than 0.`);
+      }
+    });
+  }
+  return problems;
+};
+
+// Keys of the policy's hard exclusions that apply to a result
+export const policyExclusions = (policy, result) =>
+  (policy.exclusions || []).filter(key => allocationExclusions[key]?.excludes(result));
+
+// Composite score (0..1) for weighted policies
+export const scoreResult = (policy, result, context) => {
+  const criteria = enabledCriteria(policy);
+  const totalWeight = criteria.reduce((sum, criterion) => sum + Number(criterion.weight), 0);
+  if (!totalWeight) return 0;
+  return criteria.reduce((sum, criterion) =>
+    sum + Number(criterion.weight) * allocationCriteria[criterion.key].score(result, context), 0) / totalWeight;
+};
+
+const scoringContext = (results) => {
+  const times = results.map(result => result.dateAdded.getTime()).filter(time => !isNaN(time));
+  const newest = times.length ? Math.max(...times) : 0;
+  const oldest = times.length ? Math.min(...times) : 0;
+  const distances = results.filter(hasDistance).map(result => result.transport.distanceKm);
+  const farthest = distances.length ? Math.max(...distances) : 0;
+  const nearest = distances.length ? Math.min(...distances) : 0;
+  return { newest, waitSpan: newest - oldest, farthest, distanceSpan: farthest - nearest };
+};
+
+// Copy of the results with a policyScore (0..1) on each
+export const withPolicyScores = (policy, results) => {
+  const context = scoringContext(results);
+  return results.map(result => ({ ...result, policyScore: scoreResult(policy, result, context) }));
+};
+
+// Comparator for a policy. Weighted policies sort by composite score and break ties
+// with the enabled criteria in their listed order.
+export const buildComparator = (policy, results = []) => {
+  const criteria = enabledCriteria(policy).map(criterion => allocationCriteria[criterion.key]);
+  const sequential = (a, b) => {
+    for (const criterion of criteria) {
+      const order = criterion.compare(a, b);
+      if (order) return order;
+    }
+    return 0;
+  };
+
+  if (policy.mode !== 'weighted') return sequential;
+
+  const context = scoringContext(results);
+  const scores = new Map(results.map(result => [result, scoreResult(policy, result, context)]));
+  return (a, b) => (scores.get(b) - scores.get(a)) || sequential(a, b);
+};
+
+// Human-readable criteria for the results panel and reports
+export const describePolicy = (policy) => {
+  const weighted = policy.mode === 'weighted';
+  const lines = enabledCriteria(policy).map(criterion => {
+    const { description } = allocationCriteria[criterion.key];
+    return weighted ? `${description} - weight ${criterion.weight}` : description;
+  });
+  if (weighted) lines.push('Ties broken by the criteria above, in order');
+  (policy.exclusions || []).forEach(key => {
+    if (allocationExclusions[key]) lines.push(`Excluded: ${allocationExclusions[key].description}`);
+  });
+  return lines;
+};
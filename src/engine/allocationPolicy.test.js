@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { defaultPolicy, normalizePolicy, validatePolicy, describePolicy } from './allocationPolicy';
+import { evaluateRecipients, rankRecipients } from './matching';
+import { makeDonor, makeRecipient } from '../test/fixtures';
+
+const donor = makeDonor({ name: 'D1', height: '175', bloodType: 'A+' });
+const recipient = (overrides) => makeRecipient({ age: 40, height: 175, bloodType: 'A+', status: 3, ...overrides });
+
+// Policy with only the given criteria enabled, listed first in the given order
+const withCriteria = (keys, extra = {}) => ({
+  ...defaultPolicy,
+  name: 'Test',
+  criteria: [
+    ...keys.map(key => ({ ...defaultPolicy.criteria.find(criterion => criterion.key === key), enabled: true })),
+    ...defaultPolicy.criteria.filter(criterion => !keys.includes(criterion.key)).map(criterion => ({ ...criterion, enabled: false }))
+  ],
+  ...extra
+});
+
+describe('allocation policies', () => {
+  const recipients = [
+    recipient({ id: 'abo-mismatch', bloodType: 'O+', status: 1 }),
+    recipient({ id: 'status-4', status: 4 }),
+    recipient({ id: 'status-2', status: 2 })
+  ];
+
+  it('ranks with the default policy like the built-in order', () => {
+    const { ranked, excluded } = evaluateRecipients(donor, recipients);
+    expect(ranked.map(r => r.id)).toEqual(['status-2', 'status-4', 'abo-mismatch']);
+    expect(excluded).toEqual([]);
+  });
+
+  it('follows a reordered criteria list', () => {
+    const ranked = rankRecipients(donor, recipients, { policy: withCriteria(['status', 'aboMatch']) });
+    expect(ranked.map(r => r.id)).toEqual(['abo-mismatch', 'status-2', 'status-4']);
+  });
+
+  it('removes recipients matched by an exclusion', () => {
+    const { ranked, excluded } = evaluateRecipients(donor, recipients, {
+      policy: { ...defaultPolicy, exclusions: ['aboIncompatible'] }
+    });
+    expect(ranked.map(r => r.id)).toEqual(['status-2', 'status-4']);
+    expect(excluded.map(r => r.id)).toEqual(['abo-mismatch']);
+  });
+
+  it('sorts weighted policies by composite score', () => {
+    const policy = withCriteria(['status', 'aboMatch'], { mode: 'weighted' });
+    policy.criteria = policy.criteria.map(criterion => ({ ...criterion, weight: criterion.key === 'aboMatch' ? 5 : 1 }));
+    const ranked = rankRecipients(donor, recipients, { policy });
+    expect(ranked.map(r => r.id)).toEqual(['status-2', 'status-4', 'abo-mismatch']);
+    expect(ranked[0].policyScore).toBeGreaterThan(ranked[1].policyScore);
+    expect(ranked[2].policyScore).toBeCloseTo(1 / 6, 6);
+  });
+
+  it('ranks recipients without a PHM ratio last by closeness', () => {
+    const policy = withCriteria(['phmCloseness']);
+    const closest = recipient({ id: 'closest' });
+    const noPhm = recipient({ id: 'age-0', age: 0 });
+    const further = recipient({ id: 'further', weight: 95 });
+    const ranked = rankRecipients(donor, [noPhm, further, closest], { policy, paediatric: { ageCutoff: 0 } });
+    expect(ranked.map(r => r.id)).toEqual(['closest', 'further', 'age-0']);
+
+    const weighted = rankRecipients(donor, [noPhm], { policy: { ...policy, mode: 'weighted' }, paediatric: { ageCutoff: 0 } });
+    expect(weighted[0].policyScore).toBe(0);
+  });
+
+  it('fills in criteria missing from an older saved policy', () => {
+    const policy = normalizePolicy({ name: 'Old', criteria: [{ key: 'status', enabled: true, weight: 1 }, { key: 'gone', enabled: true }] });
+    expect(policy.mode).toBe('sequential');
+    expect(policy.criteria[0].key).toBe('status');
+    expect(policy.criteria.filter(criterion => criterion.enabled)).toHaveLength(1);
+    expect(policy.criteria.some(criterion => criterion.key === 'gone')).toBe(false);
+  });
+
+  it('reports problems with unusable policies', () => {
+    expect(validatePolicy(defaultPolicy)).toEqual([]);
+    expect(validatePolicy(withCriteria([], { name: ' ' }))).toHaveLength(2);
+    const zeroWeight = withCriteria(['status'], { mode: 'weighted' });
+    zeroWeight.criteria[0].weight = 0;
+    expect(validatePolicy(zeroWeight)).toEqual(['Patient Status needs a weight greater than 0.']);
+  });
+
+  it('describes the criteria for reports', () => {
+    expect(describePolicy(defaultPolicy)).toEqual([
+      'Size-Match Risk Level (lowest risk first)',
+      'ABO Blood Type Compatibility',
+      'Patient Status (1=highest priority)',
+      'Date Added to List (oldest first)'
+    ]);
+    const lines = describePolicy({ ...withCriteria(['status'], { mode: 'weighted' }), exclusions: ['aboIncompatible'] });
+    expect(lines).toEqual([
+      'Patient Status (1=highest priority) - weight 2',
+      'Ties broken by the criteria above, in order',
+      'Excluded: ABO-incompatible recipients'
+    ]);
+  });
+});
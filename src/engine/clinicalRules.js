@@ -0,0 +1,123 @@
+// clinicalRules.js - Warnings and exclusions from recipient clinical modifiers (PVR, sternotomy, VAD, cPRA)
+import { isPaediatricResult } from './paediatricModels';
+
+// Values a rule condition can test. Missing values (null) never satisfy a condition.
+// Yes/no modifiers read as 1 (yes) or 0 (no).
+const yesNo = (value) => (value === null || value === undefined ? null : value ? 1 : 0);
+
+export const ruleQuantities = {
+  pvr: { label: 'PVR (WU)', value: result => result.pvr ?? null },
+  cpra: { label: 'cPRA (%)', value: result => result.cpra ?? null },
+  phmRatio: { label: 'PHM ratio', value: result => (isPaediatricResult(result) ? null : result.phmRatio) },
+  sizeRatio: { label: 'Risk-metric ratio', value: result => result.sizeMetrics?.[result.riskMetric]?.ratio ?? null },
+  priorSternotomy: { label: 'Prior sternotomy (1 = yes)', value: result => yesNo(result.priorSternotomy) },
+  vad: { label: 'Mechanical support (1 = yes)', value: result => (result.vad ? yesNo(result.vad !== 'none') : null) },
+  unacceptableAntigens: { label: 'Unacceptable HLA antigens (count)', value: result => result.unacceptableAntigens?.length ?? null },
+  distanceKm: { label: 'Distance to donor (km)', value: result => (result.transport?.found ? result.transport.distanceKm : null) },
+  ischaemicHours: { label: 'Est. ischaemic time (h)', value: result => (result.transport?.found ? result.transport.ischaemicHours : null) }
+};
+
+export const ruleOperators = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b
+};
+
+export const ruleActions = { warn: 'Warn', exclude: 'Exclude' };
+
+// A rule fires when all of its conditions hold
+export const defaultClinicalRules = [
+  {
+    id: 'pvrUndersized',
+    name: 'High PVR with undersized heart',
+    enabled: true,
+    action: 'warn',
+    conditions: [
+      { quantity: 'pvr', operator: '>', value: 4 },
+      { quantity: 'phmRatio', operator: '<', value: 0.95 }
+    ]
+  },
+  {
+    id: 'highlySensitised',
+    name: 'Highly sensitised',
+    enabled: true,
+    action: 'warn',
+    conditions: [{ quantity: 'cpra', operator: '>=', value: 80 }]
+  },
+  {
+    id: 'redoSternotomy',
+    name: 'Prior sternotomy',
+    enabled: true,
+    action: 'warn',
+    conditions: [{ quantity: 'priorSternotomy', operator: '=', value: 1 }]
+  },
+  {
+    id: 'mechanicalSupport',
+    name: 'On mechanical support',
+    enabled: true,
+    action: 'warn',
+    conditions: [{ quantity: 'vad', operator: '=', value: 1 }]
+  }
+];
+
+// "PVR (WU) > 4 and PHM ratio < 0.95"
+export const describeRule = (rule) => rule.conditions
+  .map(({ quantity, operator, value }) => `${ruleQuantities[quantity]?.label || quantity} ${operator} ${value}`)
+  .join(' and ');
+
+// Returns a list of problems; an empty list means the rules can be used
+export const validateClinicalRules = (rules) => {
+  const problems = [];
+  rules.forEach((rule, index) => {
+    const name = String(rule.name || '').trim() || `Rule ${index + 1}`;
+    if (!String(rule.name || '').trim()) problems.push(`Rule ${index + 1} needs a name.`);
+    if (!ruleActions[rule.action]) problems.push(`${name}: choose warn or exclude.`);
+    if (!rule.conditions?.length) problems.push(`${name} needs at least one condition.`);
+    (rule.conditions || []).forEach(condition => {
+      if (!ruleQuantities[condition.quantity] || !ruleOperators[condition.operator]) {
+        problems.push(`${name} has an unknown condition.`);
+      } else if (String(condition.value ?? '').trim() === '' || isNaN(Number(condition.value))) {
+        problems.push(`${name}: ${ruleQuantities[condition.quantity].label} needs a number to compare with.`);
+      }
+    });
+  });
+  return problems;
+};
+
+// Saved rules with numeric values and unknown conditions dropped
+export const normalizeClinicalRules = (rules) => (Array.isArray(rules) ? rules : defaultClinicalRules).map((rule, index) => ({
+  id: rule.id || `rule${index + 1}`,
+  name: String(rule.name || ''),
+  enabled: rule.enabled !== false,
+  action: ruleActions[rule.action] ? rule.action : 'warn',
+  conditions: (rule.conditions || [])
+    .filter(condition => ruleQuantities[condition.quantity] && ruleOperators[condition.operator])
+    .map(condition => ({ ...condition, value: Number(condition.value) }))
+}));
+
+const ruleFires = (rule, result) => rule.conditions.every(({ quantity, operator, value }) => {
+  const actual = ruleQuantities[quantity].value(result);
+  return actual !== null && ruleOperators[operator](actual, Number(value));
+});
+
+// Flags for one match result: { id, name, action, description } for each enabled rule that fires
+export const clinicalFlags = (result, rules = defaultClinicalRules) => rules
+  .filter(rule => rule.enabled && rule.conditions.length && ruleFires(rule, result))
+  .map(rule => ({ id: rule.id, name: rule.name, action: rule.action, description: describeRule(rule) }));
+
+export const isExcludedByRules = (result) => (result.clinicalFlags || []).some(flag => flag.action === 'exclude');
+
+// "High PVR with undersized heart; Prior sternotomy" for tables and reports
+export const flagSummary = (result) => (result.clinicalFlags || []).map(flag => flag.name).join('; ');
+
+export const exclusionReasons = (result) =>
+  (result.clinicalFlags || []).filter(flag => flag.action === 'exclude').map(flag => flag.name).join(', ');
+
+// One legend line per rule that fired in a run, e.g. "High PVR with undersized heart: PVR (WU) > 4 and PHM ratio < 0.95"
+export const clinicalFlagLegend = (results) => {
+  const seen = new Map();
+  results.forEach(result => (result.clinicalFlags || []).forEach(flag => seen.set(flag.id, `${flag.name}: ${flag.description}`)));
+  return [...seen.values()];
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateRecipients } from './matching';
+import {
+  defaultClinicalRules,
+  clinicalFlags,
+  describeRule,
+  validateClinicalRules,
+  normalizeClinicalRules,
+  clinicalFlagLegend
+} from './clinicalRules';
+import { makeDonor, makeRecipient } from '../test/fixtures';
+
+// A small donor for a large recipient, so the size rules have something to fire on
+const donor = makeDonor({ height: '165', weight: '60' });
+const recipient = (overrides) => makeRecipient({ height: 185, weight: 95, ...overrides });
+
+const flagIds = (result, rules) => clinicalFlags(result, rules).map(flag => flag.id);
+
+describe('clinicalFlags', () => {
+  it('fires a rule only when all of its conditions hold', () => {
+    expect(flagIds({ pvr: 5, phmRatio: 0.9 })).toEqual(['pvrUndersized']);
+    expect(flagIds({ pvr: 5, phmRatio: 1.05 })).toEqual([]);
+    expect(flagIds({ pvr: 3, phmRatio: 0.9 })).toEqual([]);
+  });
+
+  it('reads yes/no modifiers and cPRA', () => {
+    expect(flagIds({ cpra: 85, priorSternotomy: true, vad: 'LVAD' }))
+      .toEqual(['highlySensitised', 'redoSternotomy', 'mechanicalSupport']);
+    expect(flagIds({ cpra: 20, priorSternotomy: false, vad: 'none' })).toEqual([]);
+  });
+
+  it('never fires on missing values or disabled rules', () => {
+    expect(flagIds({ pvr: null, phmRatio: 0.8 })).toEqual([]);
+    const disabled = defaultClinicalRules.map(rule => ({ ...rule, enabled: false }));
+    expect(flagIds({ cpra: 99 }, disabled)).toEqual([]);
+  });
+
+  it('ignores the adult PHM ratio for paediatric patients', () => {
+    expect(flagIds({ pvr: 6, phmRatio: 0.8, sizeModel: 'paediatric' })).toEqual([]);
+  });
+});
+
+describe('clinical rules in matching', () => {
+  it('flags warnings and keeps the recipient ranked', () => {
+    const { ranked, excluded } = evaluateRecipients(donor, [recipient({ pvr: 5 })]);
+    expect(excluded).toEqual([]);
+    expect(ranked[0].clinicalFlags.map(flag => flag.id)).toEqual(['pvrUndersized']);
+    expect(clinicalFlagLegend(ranked)).toEqual(['High PVR with undersized heart: PVR (WU) > 4 and PHM ratio < 0.95']);
+  });
+
+  it('excludes recipients caught by an exclude rule', () => {
+    const clinicalRules = [{ id: 'cpra', name: 'cPRA over 95', enabled: true, action: 'exclude', conditions: [{ quantity: 'cpra', operator: '>', value: 95 }] }];
+    const { ranked, excluded } = evaluateRecipients(donor, [
+      recipient({ id: 'A', cpra: 98 }),
+      recipient({ id: 'B', cpra: 10 })
+    ], { clinicalRules });
+    expect(ranked.map(result => result.id)).toEqual(['B']);
+    expect(excluded.map(result => result.id)).toEqual(['A']);
+  });
+});
+
+describe('rule editing helpers', () => {
+  it('describes a rule from its conditions', () => {
+    expect(describeRule(defaultClinicalRules[1])).toBe('cPRA (%) >= 80');
+  });
+
+  it('reports unusable rules', () => {
+    expect(validateClinicalRules(defaultClinicalRules)).toEqual([]);
+    expect(validateClinicalRules([{ name: '', action: 'warn', conditions: [{ quantity: 'pvr', operator: '>', value: '' }] }]))
+      .toEqual(['Rule 1 needs a name.', 'Rule 1: PVR (WU) needs a number to compare with.']);
+    expect(validateClinicalRules([{ name: 'Empty', action: 'drop', conditions: [] }]))
+      .toEqual(['Empty: choose warn or exclude.', 'Empty needs at least one condition.']);
+  });
+
+  it('normalises saved rules and falls back to the defaults', () => {
+    expect(normalizeClinicalRules(undefined)).toEqual(normalizeClinicalRules(defaultClinicalRules));
+    const [rule] = normalizeClinicalRules([{ name: 'X', conditions: [{ quantity: 'pvr', operator: '>', value: '3' }, { quantity: 'bogus', operator: '>', value: 1 }] }]);
+    expect(rule).toEqual({ id: 'rule1', name: 'X', enabled: true, action: 'warn', conditions: [{ quantity: 'pvr', operator: '>', value: 3 }] });
+  });
+});
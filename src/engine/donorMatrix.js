@@ -0,0 +1,75 @@
+// donorMatrix.js - Match several donors against the waitlist at once (donor × recipient matrix)
+import { measureDonor, defaultRiskMetric, riskSeverities } from './sizeMetrics';
+import { evaluateRecipient, exclusionsFor } from './matching';
+import { defaultPolicy } from './allocationPolicy';
+import { isCrossmatchPositive } from './hla';
+import { locateHospital } from './geography';
+
+// The ratio a cell was rated by: the run's risk metric, or the paediatric model's for a child; null without PHM (age 0)
+const cellRatio = (cell, riskMetric) => cell.sizeMetrics[cell.riskMetric || riskMetric].ratio;
+
+// Severity of a cell for choosing the best donor: ABO-incompatible donors come last, then positive crossmatches.
+// Cells excluded by the allocation policy or clinical rules are never chosen.
+const preference = (cell, riskMetric) => [
+  cell.aboMatch ? 0 : 1,
+  isCrossmatchPositive(cell) ? 1 : 0,
+  cell.riskSeverity,
+  Math.abs(cellRatio(cell, riskMetric) - 1)
+];
+
+const comparePreference = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
+
+// Index of the donor giving the best size match for one recipient row, or -1 when every cell is excluded or unusable.
+// ABO compatibility comes first, then a non-positive virtual crossmatch, the lowest-severity risk tier and the ratio closest to 1.0.
+export const bestDonorIndex = (cells, riskMetric = defaultRiskMetric) => {
+  let best = -1;
+  cells.forEach((cell, index) => {
+    if (cell.excluded || !Number.isFinite(cellRatio(cell, riskMetric))) return;
+    if (best === -1 || comparePreference(preference(cell, riskMetric), preference(cells[best], riskMetric)) < 0) {
+      best = index;
+    }
+  });
+  return best;
+};
+
+// Rows follow the waitlist order; each cell is the full match result for that donor/recipient pair,
+// evaluated with the same options as a single-donor run (see evaluateRecipients).
+// options.geography is { centres, transport }: each donor's own hospital gives its transport estimates.
+// A cell the policy or clinical rules would leave out of the ranking has excluded: true and excludedBy (see exclusionsFor).
+export const buildDonorMatrix = (donors, recipients, options = {}) => {
+  const { riskMetric = defaultRiskMetric, policy = defaultPolicy, geography = {} } = options;
+  const { centres = [] } = geography;
+  const donorValues = donors.map(donor => measureDonor(donor));
+  const donorOptions = donors.map(donor => ({
+    ...options,
+    riskMetric,
+    geography: { ...geography, donorLocation: locateHospital(donor.hospital, centres) }
+  }));
+
+  const rows = recipients.map(recipient => {
+    const cells = donors.map((donor, index) => {
+      const cell = evaluateRecipient(donor, donorValues[index], recipient, donorOptions[index]);
+      const excludedBy = exclusionsFor(policy, cell);
+      return { ...cell, excluded: excludedBy.length > 0, excludedBy };
+    });
+    return { recipient, cells, bestDonor: bestDonorIndex(cells, riskMetric) };
+  });
+
+  return { donors, riskMetric, rows };
+};
+
+// Per-donor totals for the matrix footer: compatible and acceptable-risk recipients not excluded, and best-match counts
+export const summarizeDonors = (matrix) => matrix.donors.map((donor, index) => ({
+  donor,
+  compatible: matrix.rows.filter(row => row.cells[index].aboMatch).length,
+  lowestRisk: matrix.rows.filter(row => {
+    const cell = row.cells[index];
+    return cell.aboMatch && !cell.excluded && cell.riskSeverity === riskSeverities.acceptable;
+  }).length,
+  bestFor: matrix.rows.filter(row => row.bestDonor === index).length
+}));
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { buildDonorMatrix, bestDonorIndex, summarizeDonors } from './donorMatrix';
+import { bundledCentres } from './transplantCentres';
+import { transportOptions } from './geography';
+import { makeRecipient } from '../test/fixtures';
+
+const donors = [
+  { name: 'Small', gender: 'female', age: '30', height: '155', weight: '50', bloodType: 'O+' },
+  { name: 'Match', gender: 'male', age: '40', height: '175', weight: '80', bloodType: 'A+' },
+  { name: 'Large', gender: 'male', age: '35', height: '190', weight: '100', bloodType: 'O-' }
+];
+const recipient = (overrides) => makeRecipient({ age: 40, height: 175, bloodType: 'A+', status: 3, ...overrides });
+
+describe('buildDonorMatrix', () => {
+  const matrix = buildDonorMatrix(donors, [
+    recipient({ id: 'R-A' }),
+    recipient({ id: 'R-O', bloodType: 'O+' })
+  ]);
+
+  it('has one row per recipient and one cell per donor', () => {
+    expect(matrix.rows).toHaveLength(2);
+    expect(matrix.rows[0].cells).toHaveLength(3);
+    expect(matrix.rows[0].cells[1].phmRatio).toBeCloseTo(1, 6);
+    expect(matrix.rows[0].cells[0].riskLevel).toBe('High Risk');
+    expect(matrix.rows[1].cells[1].aboMatch).toBe(false);
+  });
+
+  it('picks the best size match among ABO-compatible donors', () => {
+    expect(matrix.rows[0].bestDonor).toBe(1);
+    // The well-matched A+ donor is ABO-incompatible with an O recipient
+    expect(matrix.rows[1].bestDonor).toBe(2);
+  });
+
+  it('summarises each donor', () => {
+    expect(summarizeDonors(matrix).map(summary => summary.bestFor)).toEqual([0, 1, 1]);
+    expect(summarizeDonors(matrix).map(summary => summary.compatible)).toEqual([2, 1, 2]);
+  });
+
+  it('applies exclude rules and the ischaemic-time limit from each donor hospital', () => {
+    const clinicalRules = [{ id: 'cpra', name: 'cPRA over 95', enabled: true, action: 'exclude', conditions: [{ quantity: 'cpra', operator: '>', value: 95 }] }];
+    const policy = { name: 'Limit', mode: 'sequential', criteria: [{ key: 'status', enabled: true, weight: 1 }], exclusions: ['beyondIschaemicLimit'] };
+    const geography = { centres: bundledCentres, transport: { ...transportOptions(), maxIschaemicHours: 2.5 } };
+    const placed = buildDonorMatrix([
+      { ...donors[1], hospital: 'GJNH' },
+      { ...donors[1], name: 'Near', height: '180', hospital: 'GOSH' }
+    ], [
+      recipient({ id: 'R-LON', centre: 'HAREFIELD' }),
+      recipient({ id: 'R-SENS', cpra: 99 })
+    ], { policy, clinicalRules, geography });
+
+    expect(placed.rows[0].cells.map(cell => cell.excluded)).toEqual([true, false]);
+    expect(placed.rows[0].bestDonor).toBe(1);
+    expect(placed.rows[0].cells[0].excludedBy).toEqual(['beyondIschaemicLimit']);
+    expect(placed.rows[1].cells.every(cell => cell.excluded)).toBe(true);
+    expect(placed.rows[1].cells[1].excludedBy).toEqual(['clinicalRules']);
+    expect(placed.rows[1].bestDonor).toBe(-1);
+    expect(summarizeDonors(placed).map(summary => summary.lowestRisk)).toEqual([0, 1]);
+  });
+});
+
+describe('bestDonorIndex', () => {
+  const cell = (ratio, extra = {}) => ({ aboMatch: true, riskSeverity: 0, sizeMetrics: { phm: { ratio } }, ...extra });
+
+  it('prefers lower severity, then the ratio closest to 1.0', () => {
+    expect(bestDonorIndex([cell(1.2), cell(0.95), cell(1.02)])).toBe(2);
+    expect(bestDonorIndex([cell(1.01, { riskSeverity: 1 }), cell(1.2)])).toBe(1);
+    expect(bestDonorIndex([cell(1, { aboMatch: false }), cell(0.8, { riskSeverity: 2 })])).toBe(1);
+  });
+
+  it('returns -1 when no ratio can be computed', () => {
+    expect(bestDonorIndex([cell(NaN)])).toBe(-1);
+    expect(bestDonorIndex([cell(null, { riskSeverity: null })])).toBe(-1);
+    expect(bestDonorIndex([cell(null, { riskSeverity: null }), cell(1.3)])).toBe(1);
+    expect(bestDonorIndex([])).toBe(-1);
+  });
+});
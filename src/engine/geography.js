@@ -0,0 +1,135 @@
+// geography.js - Donor-to-centre distance and estimated ischaemic time, from a local table of centres (no network)
+
+const EARTH_RADIUS_KM = 6371;
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle (haversine) distance in km between two { latitude, longitude } points
+export const greatCircleKm = (from, to) => {
+  const dLat = radians(to.latitude - from.latitude);
+  const dLon = radians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Transport assumptions. Ischaemic time = fixed hours (cross-clamp to departure, implant to reperfusion) + travel.
+// Hearts within airThresholdKm go by road; beyond it by air, with airTransferHours for the airport legs.
+export const transportDefaults = {
+  maxIschaemicHours: 4,
+  fixedHours: 1.5,
+  groundSpeedKmh: 70,
+  airThresholdKm: 150,
+  airSpeedKmh: 400,
+  airTransferHours: 1
+};
+
+export const transportFields = {
+  maxIschaemicHours: { label: 'Maximum ischaemic time (h)', min: 0.5 },
+  fixedHours: { label: 'Fixed time outside transport (h)', min: 0 },
+  groundSpeedKmh: { label: 'Road speed (km/h)', min: 1 },
+  airThresholdKm: { label: 'Fly beyond (km)', min: 0 },
+  airSpeedKmh: { label: 'Air speed (km/h)', min: 1 },
+  airTransferHours: { label: 'Airport transfers (h)', min: 0 }
+};
+
+// Saved or edited options with anything unusable replaced by the default
+export const transportOptions = (options = {}) => Object.fromEntries(Object.entries(transportDefaults).map(([key, fallback]) => {
+  const value = parseFloat(options[key]);
+  return [key, isFinite(value) && value >= transportFields[key].min ? value : fallback];
+}));
+
+// { mode: 'ground' | 'air', hours } for a great-circle distance
+export const estimateTransport = (distanceKm, options) => {
+  const { fixedHours, groundSpeedKmh, airThresholdKm, airSpeedKmh, airTransferHours } = transportOptions(options);
+  if (distanceKm <= airThresholdKm) return { mode: 'ground', hours: fixedHours + distanceKm / groundSpeedKmh };
+  return { mode: 'air', hours: fixedHours + airTransferHours + distanceKm / airSpeedKmh };
+};
+
+export const normalizeCentreCode = (code) => String(code ?? '').trim().toUpperCase();
+
+const isLatitude = (value) => isFinite(value) && Math.abs(value) <= 90;
+const isLongitude = (value) => isFinite(value) && Math.abs(value) <= 180;
+
+// "51.60, -0.48" -> { latitude: 51.6, longitude: -0.48 }, or null
+export const parseCoordinates = (text) => {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(text ?? ''));
+  if (!match) return null;
+  const [latitude, longitude] = [Number(match[1]), Number(match[2])];
+  return isLatitude(latitude) && isLongitude(longitude) ? { latitude, longitude } : null;
+};
+
+// Problems with a centre table row; empty when usable
+export const centreProblems = (centre) => {
+  const problems = [];
+  if (!normalizeCentreCode(centre.code)) problems.push('code is blank');
+  if (!isLatitude(parseFloat(centre.latitude))) problems.push(`latitude "${centre.latitude ?? ''}" must be between -90 and 90`);
+  if (!isLongitude(parseFloat(centre.longitude))) problems.push(`longitude "${centre.longitude ?? ''}" must be between -180 and 180`);
+  return problems;
+};
+
+export const normalizeCentres = (centres) => (Array.isArray(centres) ? centres : [])
+  .filter(centre => !centreProblems(centre).length)
+  .map(centre => ({
+    code: normalizeCentreCode(centre.code),
+    name: String(centre.name || '').trim() || normalizeCentreCode(centre.code),
+    latitude: parseFloat(centre.latitude),
+    longitude: parseFloat(centre.longitude)
+  }));
+
+export const findCentre = (code, centres) => centres.find(centre => centre.code === normalizeCentreCode(code)) || null;
+
+// The donor hospital as a centre code from the table or "latitude, longitude"; null when neither
+export const locateHospital = (value, centres) => {
+  const centre = findCentre(value, centres);
+  if (centre) return { ...centre };
+  const coordinates = parseCoordinates(value);
+  return coordinates ? { code: '', name: `${coordinates.latitude}, ${coordinates.longitude}`, ...coordinates } : null;
+};
+
+// Why a donor hospital cannot be placed; '' when it is blank or found
+export const hospitalProblem = (value, centres) => String(value ?? '').trim() && !locateHospital(value, centres)
+  ? `Donor hospital "${value}" is not in the centre table; enter a centre code or "latitude, longitude"`
+  : '';
+
+// Distance and transport estimate for one recipient's centre, or null without a donor hospital or recipient centre.
+// A centre missing from the table gives { centre, found: false }.
+export const recipientTransport = (centreCode, geography = {}) => {
+  const { donorLocation, centres = [], transport } = geography;
+  const code = normalizeCentreCode(centreCode);
+  if (!donorLocation || !code) return null;
+
+  const centre = findCentre(code, centres);
+  if (!centre) return { centre: code, found: false };
+
+  const distanceKm = greatCircleKm(donorLocation, centre);
+  const { mode, hours } = estimateTransport(distanceKm, transport);
+  return {
+    centre: code,
+    centreName: centre.name,
+    found: true,
+    distanceKm: Math.round(distanceKm),
+    mode,
+    ischaemicHours: Math.round(hours * 10) / 10,
+    beyondLimit: hours > transportOptions(transport).maxIschaemicHours
+  };
+};
+
+export const hasDistance = (result) => Boolean(result?.transport?.found);
+
+export const isBeyondIschaemicLimit = (result) => Boolean(result?.transport?.beyondLimit);
+
+// "212 km, 2.9 h by road" / "Centre XYZ not in table"; '' when there is nothing to estimate
+export const transportLabel = (result) => {
+  const transport = result?.transport;
+  if (!transport) return '';
+  if (!transport.found) return `Centre ${transport.centre} not in table`;
+  return `${transport.distanceKm} km, ${transport.ischaemicHours} h by ${transport.mode === 'air' ? 'air' : 'road'}`;
+};
+
+// One line for reports describing the assumptions behind the estimates
+export const describeTransport = (transport) => {
+  const { maxIschaemicHours, fixedHours, groundSpeedKmh, airThresholdKm, airSpeedKmh, airTransferHours } = transportOptions(transport);
+  return `Great-circle distance; ${fixedHours} h fixed + road at ${groundSpeedKmh} km/h up to ${airThresholdKm} km, ` +
+    `air at ${airSpeedKmh} km/h + ${airTransferHours} h transfers beyond; flagged over ${maxIschaemicHours} h`;
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateRecipients } from './matching';
+import { bundledCentres } from './transplantCentres';
+import {
+  greatCircleKm,
+  estimateTransport,
+  transportOptions,
+  parseCoordinates,
+  locateHospital,
+  recipientTransport,
+  transportLabel
+} from './geography';
+import { donor, makeRecipient } from '../test/fixtures';
+
+const london = { latitude: 51.5074, longitude: -0.1278 };
+const manchester = { latitude: 53.4808, longitude: -2.2426 };
+
+const geography = { donorLocation: locateHospital('GOSH', bundledCentres), centres: bundledCentres, transport: transportOptions() };
+
+describe('distance and transport', () => {
+  it('computes great-circle distances', () => {
+    expect(greatCircleKm(london, manchester)).toBeCloseTo(262, 0);
+    expect(greatCircleKm(london, london)).toBe(0);
+  });
+
+  it('goes by road nearby and by air further away', () => {
+    expect(estimateTransport(70)).toEqual({ mode: 'ground', hours: 2.5 });
+    expect(estimateTransport(400)).toEqual({ mode: 'air', hours: 3.5 });
+    expect(estimateTransport(400, { airThresholdKm: 500, groundSpeedKmh: 100 })).toEqual({ mode: 'ground', hours: 5.5 });
+  });
+
+  it('falls back to the defaults for unusable options', () => {
+    expect(transportOptions({ maxIschaemicHours: 'soon', groundSpeedKmh: 0 })).toEqual(transportOptions());
+  });
+
+  it('locates the donor hospital by code or coordinates', () => {
+    expect(locateHospital('harefield', bundledCentres)).toMatchObject({ code: 'HAREFIELD', latitude: 51.6036 });
+    expect(locateHospital('53.48, -2.24', bundledCentres)).toMatchObject({ latitude: 53.48, longitude: -2.24 });
+    expect(locateHospital('Nowhere', bundledCentres)).toBeNull();
+    expect(parseCoordinates('95, 10')).toBeNull();
+  });
+});
+
+describe('recipientTransport', () => {
+  it('estimates distance and ischaemic time to the recipient centre', () => {
+    const transport = recipientTransport('harefield', geography);
+    expect(transport).toMatchObject({ centre: 'HAREFIELD', found: true, distanceKm: 27, mode: 'ground', beyondLimit: false });
+    expect(transportLabel({ transport })).toBe('27 km, 1.9 h by road');
+  });
+
+  it('flags centres beyond the maximum ischaemic time', () => {
+    expect(recipientTransport('GJNH', geography)).toMatchObject({ mode: 'air', beyondLimit: false });
+    expect(recipientTransport('GJNH', { ...geography, transport: { ...geography.transport, maxIschaemicHours: 3 } }))
+      .toMatchObject({ beyondLimit: true });
+  });
+
+  it('reports unknown centres and skips recipients without one', () => {
+    expect(recipientTransport('XYZ', geography)).toEqual({ centre: 'XYZ', found: false });
+    expect(recipientTransport(null, geography)).toBeNull();
+    expect(recipientTransport('GOSH', {})).toBeNull();
+  });
+});
+
+describe('distance in allocation', () => {
+  const recipients = [
+    makeRecipient({ id: 'FAR', centre: 'FREEMAN' }),
+    makeRecipient({ id: 'NONE' }),
+    makeRecipient({ id: 'NEAR', centre: 'HAREFIELD' })
+  ];
+
+  it('ranks the nearest centres first when distance is a criterion', () => {
+    const policy = { name: 'Nearest', mode: 'sequential', criteria: [{ key: 'distance', enabled: true, weight: 1 }], exclusions: [] };
+    const { ranked } = evaluateRecipients(donor, recipients, { policy, geography });
+    expect(ranked.map(result => result.id)).toEqual(['NEAR', 'FAR', 'NONE']);
+  });
+
+  it('excludes recipients beyond the limit when the policy says so', () => {
+    const policy = { name: 'Limit', mode: 'sequential', criteria: [{ key: 'status', enabled: true, weight: 1 }], exclusions: ['beyondIschaemicLimit'] };
+    const { excluded } = evaluateRecipients(donor, recipients, {
+      policy, geography: { ...geography, transport: { ...geography.transport, maxIschaemicHours: 2.5 } }
+    });
+    expect(excluded.map(result => result.id)).toEqual(['FAR']);
+  });
+});
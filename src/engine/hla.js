@@ -0,0 +1,114 @@
+// hla.js - Donor HLA typing and the virtual crossmatch against a recipient's unacceptable antigens
+
+// Loci typed on the donor form, each held in its own donor field (hlaA, hlaB, ...)
+export const hlaLoci = ['A', 'B', 'C', 'DR', 'DQ'];
+
+export const hlaField = (locus) => `hla${locus}`;
+
+// Written prefixes -> locus; Cw is the older name for C, DRB1/DQB1 are the allele-level gene names
+const locusPrefixes = { A: 'A', B: 'B', CW: 'C', C: 'C', DRB1: 'DR', DR: 'DR', DQB1: 'DQ', DQ: 'DQ' };
+
+const antigenPattern = /^(?:HLA-)?(DRB1|DQB1|DR|DQ|CW|A|B|C)?\*?0*(\d+)(?::\d+)*[A-Z]?$/;
+
+// "A2", "A*02:01", "Cw7", "DRB1*15:01" -> "A2", "A2", "C7", "DR15"; a bare number takes the given locus.
+// Allele typings are read at the first field only, which is close to but not always the serological antigen.
+export const normalizeAntigen = (token, locus) => {
+  const match = antigenPattern.exec(String(token).trim().toUpperCase());
+  if (!match) return null;
+  const prefix = match[1] ? locusPrefixes[match[1]] : locus;
+  if (!prefix || (locus && prefix !== locus)) return null;
+  return `${prefix}${Number(match[2])}`;
+};
+
+const tokens = (value) => String(value ?? '').split(/[\s,;/]+/).filter(Boolean);
+
+// A locus written apart from its numbers gives one antigen per number:
+// "HLA-B 44" -> "HLA-B44", "DR 4" -> "DR4", "HLA-A 2, 24" -> "HLA-A2 HLA-A24", "B: 7/44" -> "B7 B44"
+export const joinLocusNumbers = (text) => text.replace(
+  /\b((?:HLA-)?(?:DRB1|DQB1|DR|DQ|CW|A|B|C))\s*:?\s*(\*?\d[\d:]*(?:\s*[,/]\s*\*?\d[\d:]*)*)/gi,
+  (match, locus, numbers) => numbers.split(/\s*[,/]\s*/).map(number => `${locus}${number}`).join(' ')
+);
+
+// A recipient's unacceptable antigens at any locus ("A2/A68, HLA-B 44" -> A2, A68, B44), and the tokens that
+// could not be read. Unreadable tokens must not be dropped silently: they may hide a positive crossmatch.
+export const parseAntigenList = (value) => {
+  const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+  const antigens = [];
+  const unreadable = [];
+  tokens(joinLocusNumbers(text)).forEach(token => {
+    const antigen = normalizeAntigen(token);
+    if (antigen) antigens.push(antigen);
+    else unreadable.push(token);
+  });
+  return { antigens: [...new Set(antigens)], unreadable };
+};
+
+// Antigens typed at one locus, and the tokens that could not be read
+export const parseLocusTyping = (value, locus) => {
+  const antigens = [];
+  const unreadable = [];
+  tokens(value).forEach(token => {
+    const antigen = normalizeAntigen(token, locus);
+    if (antigen) antigens.push(antigen);
+    else unreadable.push(token);
+  });
+  return { antigens: [...new Set(antigens)], unreadable };
+};
+
+// { A: ['A1', 'A2'], B: [...], ... } from the donor's hla fields
+export const donorHlaTyping = (donor) => Object.fromEntries(
+  hlaLoci.map(locus => [locus, parseLocusTyping(donor?.[hlaField(locus)], locus).antigens])
+);
+
+export const hasHlaTyping = (donor) => hlaLoci.some(locus => tokens(donor?.[hlaField(locus)]).length);
+
+// Problems with the typing entered for a donor, e.g. "HLA-B: "B4x" could not be read"
+export const hlaTypingProblems = (donor) => hlaLoci.flatMap(locus => {
+  const { antigens, unreadable } = parseLocusTyping(donor?.[hlaField(locus)], locus);
+  return [
+    ...unreadable.map(token => `HLA-${locus}: "${token}" could not be read`),
+    ...(antigens.length > 2 ? [`HLA-${locus} has more than two antigens`] : [])
+  ];
+});
+
+// "A1 A2; B8 B44; DR3 DR4" for reports, or '' when the donor was not typed
+export const describeHlaTyping = (donor) => {
+  const typing = donorHlaTyping(donor);
+  return hlaLoci.filter(locus => typing[locus].length).map(locus => typing[locus].join(' ')).join('; ');
+};
+
+export const crossmatchStatuses = { positive: 'positive', negative: 'negative', incomplete: 'incomplete' };
+
+// Virtual crossmatch: positive when the donor carries any of the recipient's unacceptable antigens.
+// With no conflict it is incomplete while the donor is untyped at a locus the recipient has antigens listed for,
+// or while any listed antigen could not be read.
+export const virtualCrossmatch = (donor, unacceptableAntigens = []) => {
+  const typing = donorHlaTyping(donor);
+  const { antigens: listed, unreadable } = parseAntigenList(unacceptableAntigens);
+  const typed = new Set(Object.values(typing).flat());
+
+  const conflicts = [...new Set(listed.filter(antigen => typed.has(antigen)))];
+  const untypedLoci = hlaLoci.filter(locus => !typing[locus].length && listed.some(antigen => normalizeAntigen(antigen, locus)));
+
+  const status = conflicts.length ? crossmatchStatuses.positive
+    : untypedLoci.length || unreadable.length ? crossmatchStatuses.incomplete
+      : crossmatchStatuses.negative;
+  return { status, conflicts, untypedLoci, unreadable };
+};
+
+export const isCrossmatchPositive = (result) => result?.virtualCrossmatch?.status === crossmatchStatuses.positive;
+
+// "Positive (A2, B44)", "Negative", "Incomplete (donor not typed at DQ; could not read BW4)"; '' for runs saved before crossmatching
+export const crossmatchLabel = (result) => {
+  const crossmatch = result?.virtualCrossmatch;
+  if (!crossmatch) return '';
+  if (crossmatch.status === crossmatchStatuses.positive) return `Positive (${crossmatch.conflicts.join(', ')})`;
+  if (crossmatch.status === crossmatchStatuses.incomplete) {
+    const reasons = [
+      ...(crossmatch.untypedLoci.length ? [`donor not typed at ${crossmatch.untypedLoci.join(', ')}`] : []),
+      ...(crossmatch.unreadable?.length ? [`could not read ${crossmatch.unreadable.join(', ')}`] : [])
+    ];
+    return `Incomplete (${reasons.join('; ')})`;
+  }
+  return 'Negative';
+};
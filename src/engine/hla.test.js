@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateRecipients } from './matching';
+import { buildDonorMatrix } from './donorMatrix';
+import {
+  normalizeAntigen,
+  donorHlaTyping,
+  hlaTypingProblems,
+  describeHlaTyping,
+  virtualCrossmatch,
+  crossmatchLabel,
+  parseAntigenList
+} from './hla';
+import { makeDonor, makeRecipient } from '../test/fixtures';
+
+const donor = makeDonor({ hlaA: 'A1 A*02:01', hlaB: 'B8 B44', hlaC: 'Cw7', hlaDR: 'DRB1*15:01 DR3', hlaDQ: '' });
+const recipient = (overrides) => makeRecipient({ unacceptableAntigens: [], ...overrides });
+
+describe('HLA typing', () => {
+  it('reads antigens, allele typings and the older Cw names', () => {
+    expect(normalizeAntigen('a2')).toBe('A2');
+    expect(normalizeAntigen('A*02:01')).toBe('A2');
+    expect(normalizeAntigen('Cw07')).toBe('C7');
+    expect(normalizeAntigen('DQB1*06:02')).toBe('DQ6');
+    expect(normalizeAntigen('44', 'B')).toBe('B44');
+    expect(normalizeAntigen('44')).toBeNull();
+    expect(normalizeAntigen('B44', 'A')).toBeNull();
+  });
+
+  it('collects the donor typing per locus', () => {
+    expect(donorHlaTyping(donor)).toEqual({ A: ['A1', 'A2'], B: ['B8', 'B44'], C: ['C7'], DR: ['DR15', 'DR3'], DQ: [] });
+    expect(describeHlaTyping(donor)).toBe('A1 A2; B8 B44; C7; DR15 DR3');
+    expect(describeHlaTyping({})).toBe('');
+  });
+
+  it('reports unreadable or surplus antigens', () => {
+    expect(hlaTypingProblems(donor)).toEqual([]);
+    expect(hlaTypingProblems({ hlaB: 'B8 Bx', hlaA: '1 2 3' }))
+      .toEqual(['HLA-A has more than two antigens', 'HLA-B: "Bx" could not be read']);
+  });
+});
+
+describe('virtualCrossmatch', () => {
+  it('is positive when the donor carries an unacceptable antigen', () => {
+    expect(virtualCrossmatch(donor, ['A2', 'B57', 'CW7'])).toEqual({ status: 'positive', conflicts: ['A2', 'C7'], untypedLoci: [], unreadable: [] });
+  });
+
+  it('is negative when every listed locus was typed without a conflict', () => {
+    expect(virtualCrossmatch(donor, ['A3', 'DR4'])).toEqual({ status: 'negative', conflicts: [], untypedLoci: [], unreadable: [] });
+    expect(virtualCrossmatch(donor, [])).toMatchObject({ status: 'negative' });
+  });
+
+  it('reads slash-joined and spaced antigens, so they still give a positive crossmatch', () => {
+    expect(parseAntigenList('A2/A68, Bw4, HLA-B 44')).toEqual({ antigens: ['A2', 'A68', 'B44'], unreadable: ['Bw4'] });
+    expect(parseAntigenList('HLA-A 2, 24; DRB1*15:01')).toEqual({ antigens: ['A2', 'A24', 'DR15'], unreadable: [] });
+    const typed = { hlaA: 'A2 A3', hlaB: 'B44 B8' };
+    expect(virtualCrossmatch(typed, 'A2/A68, Bw4, HLA-B 44')).toMatchObject({ status: 'positive', conflicts: ['A2', 'B44'] });
+    // Lists saved before slash-joined antigens were split
+    expect(virtualCrossmatch(typed, ['A2/A68'])).toMatchObject({ status: 'positive', conflicts: ['A2'] });
+  });
+
+  it('is incomplete, never negative, when a listed antigen cannot be read', () => {
+    const crossmatch = virtualCrossmatch(donor, ['A3', 'BW4']);
+    expect(crossmatch).toMatchObject({ status: 'incomplete', unreadable: ['BW4'] });
+    expect(crossmatchLabel({ virtualCrossmatch: crossmatch })).toBe('Incomplete (could not read BW4)');
+  });
+
+  it('is incomplete when the donor was not typed at a listed locus', () => {
+    const crossmatch = virtualCrossmatch(donor, ['A3', 'DQ7']);
+    expect(crossmatch).toEqual({ status: 'incomplete', conflicts: [], untypedLoci: ['DQ'], unreadable: [] });
+    expect(crossmatchLabel({ virtualCrossmatch: crossmatch })).toBe('Incomplete (donor not typed at DQ)');
+  });
+});
+
+describe('crossmatch in matching', () => {
+  const recipients = [
+    recipient({ id: 'POS', unacceptableAntigens: ['B44'] }),
+    recipient({ id: 'NEG', unacceptableAntigens: ['B7'] })
+  ];
+
+  it('flags positive crossmatches on the results', () => {
+    const { ranked } = evaluateRecipients(donor, recipients);
+    expect(ranked.map(result => crossmatchLabel(result))).toEqual(['Positive (B44)', 'Negative']);
+  });
+
+  it('excludes positive crossmatches when the policy says so', () => {
+    const policy = { name: 'XM', mode: 'sequential', criteria: [{ key: 'status', enabled: true, weight: 1 }], exclusions: ['positiveCrossmatch'] };
+    const { ranked, excluded } = evaluateRecipients(donor, recipients, { policy });
+    expect(ranked.map(result => result.id)).toEqual(['NEG']);
+    expect(excluded.map(result => result.id)).toEqual(['POS']);
+  });
+
+  it('prefers a donor without a positive crossmatch in the matrix', () => {
+    const other = { ...donor, name: 'D2', height: '170', hlaB: 'B7 B8' };
+    const matrix = buildDonorMatrix([donor, other], [recipient({ unacceptableAntigens: ['B44'] })]);
+    expect(matrix.rows[0].bestDonor).toBe(1);
+  });
+});
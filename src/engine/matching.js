@@ -0,0 +1,152 @@
+// matching.js - PHM size matching and ABO/Rh compatibility engine (no React, no DOM)
+import { defaultPolicy, buildComparator, describePolicy, policyExclusions, withPolicyScores } from './allocationPolicy';
+import { calculatePHM, compareSizes, measureDonor, metricCategory, metricRiskLevel, metricRiskTier, defaultRiskMetric } from './sizeMetrics';
+import { sizeModelFor } from './paediatricModels';
+import { clinicalFlags, isExcludedByRules, defaultClinicalRules } from './clinicalRules';
+import { virtualCrossmatch } from './hla';
+import { recipientTransport } from './geography';
+
+// Available blood types
+export const bloodTypes = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Blood type compatibility chart (ABO only): recipient type -> compatible donor types
+export const aboCompatibility = {
+  'A': ['A', 'O'],
+  'B': ['B', 'O'],
+  'AB': ['A', 'B', 'AB', 'O'],
+  'O': ['O']
+};
+
+// Extract ABO type from full blood type (ignore Rhesus for compatibility)
+export const getABOType = (bloodType) => {
+  if (!bloodType) return null;
+  const aboType = bloodType.replace(/[+-]/, ''); // Remove + or -
+  return ['A', 'B', 'AB', 'O'].includes(aboType) ? aboType : null;
+};
+
+// Check if Rhesus types are mismatched
+export const hasRhesusMismatch = (donorBloodType, recipientBloodType) => {
+  if (!donorBloodType || !recipientBloodType) return false;
+
+  const donorRhesus = donorBloodType.includes('+') ? '+' : '-';
+  const recipientRhesus = recipientBloodType.includes('+') ? '+' : '-';
+
+  // Rh- recipient receiving Rh+ blood is problematic
+  return recipientRhesus === '-' && donorRhesus === '+';
+};
+
+// Check ABO compatibility only
+export const isABOCompatible = (donorBloodType, recipientBloodType) => {
+  const donorABO = getABOType(donorBloodType);
+  const recipientABO = getABOType(recipientBloodType);
+
+  if (!donorABO || !recipientABO) return false;
+  return aboCompatibility[recipientABO]?.includes(donorABO) || false;
+};
+
+// PHM and the other size metrics live in sizeMetrics.js
+export { calculatePHM };
+
+// Calculate donor-to-recipient PHM ratio
+export const calculatePHMRatio = (donorPHM, recipientPHM) => {
+  return donorPHM / recipientPHM;
+};
+
+// Determine match category based on PHM ratio (septiles from Kransdorf et al. unless thresholds override them)
+export const determineMatchCategory = (phmRatio, thresholds) => metricCategory('phm', phmRatio, thresholds);
+
+// Determine risk level based on PHM ratio
+export const determineRiskLevel = (phmRatio, thresholds) => metricRiskLevel('phm', phmRatio, thresholds);
+
+// Human-readable description of the default ranking, in order of priority
+export const defaultSortingCriteria = describePolicy(defaultPolicy);
+
+// Default ranking: PHM risk level → ABO compatibility → Status → Date added
+export const compareMatches = buildComparator(defaultPolicy);
+
+// Build the (unsorted) match result for one recipient against the donor's measurements.
+// Risk level and match category come from riskMetric; every metric is kept in sizeMetrics.
+// Recipients under the paediatric age cut-off (see paediatricModels.js) are rated by the paediatric model instead.
+// The risk tier's colours travel with the result so saved runs keep the legend they were made with.
+// virtualCrossmatch compares the donor's HLA typing with the recipient's unacceptable antigens (see hla.js).
+export const matchRecipient = (donor, donorValues, recipient, riskMetric = defaultRiskMetric, thresholds, paediatric) => {
+  const model = sizeModelFor(recipient, riskMetric, thresholds, paediatric);
+  const sizes = compareSizes(donor, recipient, donorValues, model.thresholds);
+  const tier = metricRiskTier(model.riskMetric, sizes[model.riskMetric].ratio, model.thresholds);
+  // The adult PHM equations do not apply to paediatric patients, and have no value at age 0: no PHM figures then
+  const phm = model.key === 'adult' && isFinite(sizes.phm.ratio)
+    ? sizes.phm
+    : { donor: sizes.phm.donor, recipient: null, ratio: null, category: null, riskLevel: null, riskSeverity: null };
+
+  return {
+    ...recipient,
+    donorPHM: phm.donor,
+    recipientPHM: phm.recipient,
+    phmRatio: phm.ratio,
+    sizeMetrics: { ...sizes, phm },
+    sizeModel: model.key,
+    sizeModelLabel: model.label,
+    riskMetric: model.riskMetric,
+    matchCategory: sizes[model.riskMetric].category,
+    riskLevel: tier.label,
+    riskSeverity: tier.severity,
+    riskColor: { background: tier.background, text: tier.text },
+    aboMatch: isABOCompatible(donor.bloodType, recipient.bloodType),
+    rhesusWarning: hasRhesusMismatch(donor.bloodType, recipient.bloodType),
+    virtualCrossmatch: virtualCrossmatch(donor, recipient.unacceptableAntigens),
+    // Parse status as number
+    status: parseInt(recipient.status) || 7,
+    // Ensure dateAdded is a Date object
+    dateAdded: recipient.dateadded instanceof Date ? recipient.dateadded : new Date(recipient.dateadded)
+  };
+};
+
+// One recipient's full result: size match, transport from the donor hospital and clinical flags.
+// options are those of evaluateRecipients; donorValues comes from measureDonor(donor).
+export const evaluateRecipient = (donor, donorValues, recipient, options = {}) => {
+  const { riskMetric = defaultRiskMetric, thresholds, paediatric, clinicalRules = defaultClinicalRules, geography } = options;
+  const result = {
+    ...matchRecipient(donor, donorValues, recipient, riskMetric, thresholds, paediatric),
+    transport: recipientTransport(recipient.centre, geography)
+  };
+  return { ...result, clinicalFlags: clinicalFlags(result, clinicalRules) };
+};
+
+// What leaves a result out of the ranking: the keys of the policy exclusions that apply (see allocationExclusions),
+// and 'clinicalRules' when an exclude rule fired. Empty when the result is ranked.
+export const exclusionsFor = (policy, result) => [
+  ...policyExclusions(policy, result),
+  ...(isExcludedByRules(result) ? ['clinicalRules'] : [])
+];
+
+// Match every recipient against a donor and split them into ranked and policy-excluded results.
+// Each excluded result keeps excludedBy (see exclusionsFor), so reports name only the exclusions that applied.
+// Donor and recipient numeric fields may be numbers or numeric strings.
+// options.policy is an allocation policy (see allocationPolicy.js); options.compare overrides its ranking.
+// options.riskMetric is the sizeMetrics.js key that drives the risk level (PHM by default) and
+// options.thresholds a centre's category boundaries and risk tiers (see riskThresholds.js).
+// options.paediatric is { ageCutoff, model } for patients too young for the adult PHM model.
+// options.clinicalRules (see clinicalRules.js) add clinicalFlags to each result; 'exclude' rules drop it from the ranking.
+// options.geography is { donorLocation, centres, transport } (see geography.js); each result gets a transport estimate.
+export const evaluateRecipients = (donor, recipients, options = {}) => {
+  const { policy = defaultPolicy, compare } = options;
+
+  const donorValues = measureDonor(donor);
+  const results = recipients.map(recipient => {
+    const result = evaluateRecipient(donor, donorValues, recipient, options);
+    return { result, excludedBy: exclusionsFor(policy, result) };
+  });
+  const excluded = results.filter(({ excludedBy }) => excludedBy.length).map(({ result, excludedBy }) => ({ ...result, excludedBy }));
+  const eligible = results.filter(({ excludedBy }) => !excludedBy.length).map(({ result }) => result);
+
+  // Weighted policies expose their composite score on each result
+  const scored = policy.mode === 'weighted' ? withPolicyScores(policy, eligible) : eligible;
+  // Each ranked result keeps its allocation rank, so re-sorted or filtered views can still show it
+  const ranked = scored.sort(compare || buildComparator(policy, scored)).map((result, index) => ({ ...result, rank: index + 1 }));
+
+  return { ranked, excluded };
+};
+
+// Rank every recipient against a donor; recipients excluded by the policy are left out.
+export const rankRecipients = (donor, recipients, options = {}) =>
+  evaluateRecipients(donor, recipients, options).ranked;
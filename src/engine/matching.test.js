@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculatePHM,
+  determineMatchCategory,
+  determineRiskLevel,
+  isABOCompatible,
+  hasRhesusMismatch,
+  rankRecipients
+} from './matching';
+import { makeDonor, makeRecipient } from '../test/fixtures';
+
+describe('calculatePHM', () => {
+  // Worked examples from the Kransdorf et al. equations:
+  // LVM = a·H^0.54·W^0.61, RVM = b·A^-0.32·H^1.135·W^0.315 (H in m, W in kg)
+  it('matches the published equations for a male', () => {
+    // LVM ≈ 161.6 g, RVM ≈ 25.9 g
+    expect(calculatePHM('male', 40, 175, 80)).toBeCloseTo(187.58, 1);
+    expect(calculatePHM('male', 55, 180, 90)).toBeCloseTo(201.45, 1);
+  });
+
+  it('matches the published equations for a female', () => {
+    expect(calculatePHM('female', 40, 165, 60)).toBeCloseTo(129.47, 1);
+    expect(calculatePHM('female', 25, 160, 55)).toBeCloseTo(124.08, 1);
+  });
+
+  it('accepts height in metres or centimetres', () => {
+    expect(calculatePHM('male', 40, 1.75, 80)).toBeCloseTo(calculatePHM('male', 40, 175, 80), 6);
+  });
+
+  it('treats gender case-insensitively', () => {
+    expect(calculatePHM('Female', 40, 165, 60)).toBe(calculatePHM('female', 40, 165, 60));
+  });
+});
+
+describe('determineMatchCategory', () => {
+  const boundaries = [
+    [0.863, 'U3 - Severely Undersized', 'U2 - Moderately Undersized'],
+    [0.929, 'U2 - Moderately Undersized', 'U1 - Mildly Undersized'],
+    [0.983, 'U1 - Mildly Undersized', 'R - Well-Matched'],
+    [1.039, 'R - Well-Matched', 'O1 - Mildly Oversized'],
+    [1.111, 'O1 - Mildly Oversized', 'O2 - Moderately Oversized'],
+    [1.221, 'O2 - Moderately Oversized', 'O3 - Severely Oversized']
+  ];
+
+  it.each(boundaries)('splits at %f', (boundary, below, atOrAbove) => {
+    expect(determineMatchCategory(boundary - 0.0001)).toBe(below);
+    expect(determineMatchCategory(boundary)).toBe(atOrAbove);
+  });
+
+  it('covers the open-ended septiles', () => {
+    expect(determineMatchCategory(0.5)).toBe('U3 - Severely Undersized');
+    expect(determineMatchCategory(1.5)).toBe('O3 - Severely Oversized');
+  });
+});
+
+describe('determineRiskLevel', () => {
+  it('flags ratios below 0.86 as high risk', () => {
+    expect(determineRiskLevel(0.8599)).toBe('High Risk');
+    expect(determineRiskLevel(0.86)).toBe('Acceptable');
+    expect(determineRiskLevel(1.3)).toBe('Acceptable');
+  });
+});
+
+describe('ABO and Rh compatibility', () => {
+  it('follows the ABO compatibility chart', () => {
+    expect(isABOCompatible('O-', 'AB+')).toBe(true);
+    expect(isABOCompatible('A+', 'A-')).toBe(true);
+    expect(isABOCompatible('A+', 'O+')).toBe(false);
+    expect(isABOCompatible('AB+', 'B+')).toBe(false);
+    expect(isABOCompatible('', 'A+')).toBe(false);
+  });
+
+  it('warns only for Rh+ donor to Rh- recipient', () => {
+    expect(hasRhesusMismatch('O+', 'O-')).toBe(true);
+    expect(hasRhesusMismatch('O-', 'O+')).toBe(false);
+    expect(hasRhesusMismatch('O+', 'O+')).toBe(false);
+  });
+});
+
+describe('rankRecipients', () => {
+  const donor = makeDonor({ name: 'D1', height: '175', bloodType: 'A+' });
+  const recipient = (overrides) => makeRecipient({ age: 40, height: 175, bloodType: 'A+', status: 3, ...overrides });
+
+  it('returns computed result objects', () => {
+    const [result] = rankRecipients(donor, [recipient({ id: 'R1' })]);
+    expect(result.id).toBe('R1');
+    expect(result.phmRatio).toBeCloseTo(1, 6);
+    expect(result.matchCategory).toBe('R - Well-Matched');
+    expect(result.riskLevel).toBe('Acceptable');
+    expect(result.aboMatch).toBe(true);
+    expect(result.rhesusWarning).toBe(false);
+    expect(result.dateAdded).toBeInstanceOf(Date);
+  });
+
+  it('sorts by risk level, ABO match, status, then date added', () => {
+    const ranked = rankRecipients(donor, [
+      recipient({ id: 'high-risk', weight: 140 }),
+      recipient({ id: 'abo-mismatch', bloodType: 'O+', status: 1 }),
+      recipient({ id: 'status-5', status: 5 }),
+      recipient({ id: 'status-2-newer', status: 2, dateadded: new Date('2024-06-01') }),
+      recipient({ id: 'status-2-older', status: 2, dateadded: new Date('2023-06-01') })
+    ]);
+    expect(ranked.map(r => r.id)).toEqual([
+      'status-2-older', 'status-2-newer', 'status-5', 'abo-mismatch', 'high-risk'
+    ]);
+  });
+
+  it('defaults a missing status to 7', () => {
+    const [result] = rankRecipients(donor, [recipient({ status: '' })]);
+    expect(result.status).toBe(7);
+  });
+
+  it('accepts a custom comparator', () => {
+    const ranked = rankRecipients(donor, [recipient({ id: 'a' }), recipient({ id: 'b' })], {
+      compare: (a, b) => b.id.localeCompare(a.id)
+    });
+    expect(ranked.map(r => r.id)).toEqual(['b', 'a']);
+  });
+});
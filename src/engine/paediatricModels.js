@@ -0,0 +1,85 @@
+// paediatricModels.js - Size matching for children and adolescents, where the adult PHM equations do not apply
+import { sizeMetrics, riskSeverities, riskLegend, categoryLegend, defaultRiskMetric } from './sizeMetrics';
+
+// Kransdorf et al. derived PHM from adults; below this age a paediatric model is used instead
+export const defaultPaediatricAgeCutoff = 18;
+
+const tierColors = {
+  [riskSeverities.acceptable]: { background: '#bbf7d0', text: '#166534' },
+  [riskSeverities.caution]: { background: '#fef08a', text: '#854d0e' },
+  [riskSeverities.high]: { background: '#fecaca', text: '#991b1b' }
+};
+
+const tier = (label, below, severity) => ({ label, below, severity, ...tierColors[severity] });
+
+// Undersizing is poorly tolerated; paediatric centres accept far more oversizing than adult ones
+const paediatricBands = ([undersized, upper, caution], label) => ({
+  riskTiers: [
+    tier('High Risk (undersized)', undersized, riskSeverities.high),
+    tier('Acceptable', upper, riskSeverities.acceptable),
+    tier('Caution (oversized)', caution, riskSeverities.caution),
+    tier('High Risk (oversized)', Infinity, riskSeverities.high)
+  ],
+  categories: [
+    { below: undersized, label: `Undersized (${label} < ${undersized})` },
+    { below: upper, label: `Accepted range (${label} ${undersized}–${upper})` },
+    { below: caution, label: `Oversized (${label} ${upper}–${caution})` },
+    { below: Infinity, label: `Severely oversized (${label} ≥ ${caution})` }
+  ]
+});
+
+// Each model rates the ratio of one sizeMetrics.js metric against paediatric bands.
+// The weight bands follow the usual 0.8-2.0 donor/recipient weight ratio (DRWR); BSA and height scale from it.
+export const paediatricModels = {
+  weight: { metric: 'weight', name: 'Donor/recipient weight ratio (DRWR)', ...paediatricBands([0.8, 2, 3], 'DRWR') },
+  bsaMosteller: { metric: 'bsaMosteller', name: 'BSA ratio, Mosteller formula', ...paediatricBands([0.9, 1.4, 1.7], 'BSA ratio') },
+  bsaDuBois: { metric: 'bsaDuBois', name: 'BSA ratio, DuBois formula', ...paediatricBands([0.9, 1.4, 1.7], 'BSA ratio') },
+  height: { metric: 'height', name: 'Height ratio', ...paediatricBands([0.9, 1.2, 1.4], 'height ratio') }
+};
+
+export const defaultPaediatricModel = 'weight';
+
+// Normalised paediatric options: { ageCutoff, model }; a cut-off of 0 turns the paediatric model off
+export const paediatricOptions = ({ ageCutoff, model } = {}) => ({
+  ageCutoff: isFinite(parseFloat(ageCutoff)) && parseFloat(ageCutoff) >= 0 ? parseFloat(ageCutoff) : defaultPaediatricAgeCutoff,
+  model: paediatricModels[model] ? model : defaultPaediatricModel
+});
+
+export const isPaediatric = (recipient, paediatric) => parseFloat(recipient.age) < paediatricOptions(paediatric).ageCutoff;
+
+// Thresholds to pass to compareSizes for a paediatric patient: the model's bands replace the adult ones
+export const paediatricThresholds = (thresholds, modelKey) => {
+  const { metric, riskTiers, categories } = paediatricModels[modelKey];
+  return { ...thresholds, [metric]: { riskTiers, categories } };
+};
+
+// The size model applied to one recipient: { key: 'adult' | 'paediatric', riskMetric, thresholds, label }
+export const sizeModelFor = (recipient, riskMetric, thresholds, paediatric) => {
+  const { model } = paediatricOptions(paediatric);
+  if (isPaediatric(recipient, paediatric)) {
+    const { metric } = paediatricModels[model];
+    return { key: 'paediatric', riskMetric: metric, thresholds: paediatricThresholds(thresholds, model), label: `Paediatric (${sizeMetrics[metric].label})` };
+  }
+  return { key: 'adult', riskMetric, thresholds, label: `Adult (${sizeMetrics[riskMetric].label})` };
+};
+
+// Legend lines for a run with paediatric patients, to go after the adult ones
+export const paediatricLegends = (paediatric) => {
+  const { ageCutoff, model } = paediatricOptions(paediatric);
+  const { metric } = paediatricModels[model];
+  const thresholds = paediatricThresholds(undefined, model);
+  const prefix = `Paediatric (under ${ageCutoff}) `;
+  return {
+    riskLegendLines: riskLegend(metric, thresholds).map(line => prefix + line),
+    categoryLegendLines: categoryLegend(metric, thresholds).map(line => prefix + line)
+  };
+};
+
+export const isPaediatricResult = (result) => result?.sizeModel === 'paediatric';
+
+// The risk metric a run was made with: that of its adult patients, as paediatric ones use their own model
+export const runRiskMetric = (results) => results.find(result => !isPaediatricResult(result))?.riskMetric;
+
+// "Adult (PHM)" / "Paediatric (Weight)"; runs saved before paediatric support were all adult
+export const sizeModelLabel = (result) =>
+  result.sizeModelLabel || `Adult (${sizeMetrics[result.riskMetric || defaultRiskMetric].label})`;
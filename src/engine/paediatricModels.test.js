@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { rankRecipients } from './matching';
+import { paediatricOptions, paediatricLegends, runRiskMetric, sizeModelFor } from './paediatricModels';
+import { makeDonor, makeRecipient } from '../test/fixtures';
+
+const donor = makeDonor({ gender: 'female', age: '16', height: '160', weight: '52.5' });
+const recipient = (overrides) => makeRecipient({ age: 10, height: 140, weight: 35, ...overrides });
+
+describe('paediatric size model', () => {
+  it('rates children under the cut-off by the donor/recipient weight ratio', () => {
+    const [result] = rankRecipients(donor, [recipient()]);
+    expect(result.sizeModel).toBe('paediatric');
+    expect(result.sizeModelLabel).toBe('Paediatric (Weight)');
+    expect(result.riskMetric).toBe('weight');
+    // A DRWR of 1.5 is accepted in children although the adult weight bands call it severely oversized
+    expect(result.riskLevel).toBe('Acceptable');
+    expect(result.matchCategory).toBe('Accepted range (DRWR 0.8–2)');
+  });
+
+  it('gives paediatric patients no adult PHM figures', () => {
+    const [result] = rankRecipients(donor, [recipient({ age: 0 })]);
+    expect(result).toMatchObject({ recipientPHM: null, phmRatio: null });
+    expect(result.sizeMetrics.phm.ratio).toBeNull();
+    expect(result.riskLevel).not.toMatch(/High Risk/);
+  });
+
+  it('has no PHM at age 0 even under the adult model', () => {
+    const [result] = rankRecipients(donor, [recipient({ age: 0 })], { paediatric: { ageCutoff: 0 } });
+    expect(result.sizeModel).toBe('adult');
+    expect(result).toMatchObject({ recipientPHM: null, phmRatio: null, riskLevel: 'Not available', riskSeverity: null, matchCategory: null });
+  });
+
+  it('ranks a recipient without a usable ratio after every rated one', () => {
+    const ranked = rankRecipients(donor, [recipient({ id: 'R-0', age: 0, status: 1 }), recipient({ id: 'R-1', age: 30, height: 178, weight: 80 })], {
+      paediatric: { ageCutoff: 0 }
+    });
+    expect(ranked.map(result => result.id)).toEqual(['R-1', 'R-0']);
+  });
+
+  it('keeps the adult model from the cut-off age upwards', () => {
+    const [result] = rankRecipients(donor, [recipient({ age: 18, gender: 'female', height: 160, weight: 52.5 })]);
+    expect(result.sizeModel).toBe('adult');
+    expect(result.riskMetric).toBe('phm');
+    expect(result.matchCategory).toBe('R - Well-Matched');
+  });
+
+  it('follows the configured cut-off and model', () => {
+    const teen = recipient({ age: 14 });
+    expect(rankRecipients(donor, [teen], { paediatric: { ageCutoff: 12 } })[0].sizeModel).toBe('adult');
+    expect(rankRecipients(donor, [teen], { paediatric: { ageCutoff: 0 } })[0].sizeModel).toBe('adult');
+    const [byBSA] = rankRecipients(donor, [teen], { paediatric: { model: 'bsaMosteller' } });
+    expect(byBSA.riskMetric).toBe('bsaMosteller');
+    expect(byBSA.sizeModelLabel).toBe('Paediatric (BSA (Mosteller))');
+  });
+
+  it('flags undersized donors as high risk', () => {
+    const [result] = rankRecipients({ ...donor, weight: '25', height: '125' }, [recipient()]);
+    expect(result.riskLevel).toBe('High Risk (undersized)');
+  });
+
+  it('falls back to the defaults for unusable options', () => {
+    expect(paediatricOptions({ ageCutoff: 'abc', model: 'phm' })).toEqual({ ageCutoff: 18, model: 'weight' });
+    expect(sizeModelFor(recipient({ age: '' }), 'phm').key).toBe('adult');
+  });
+});
+
+describe('paediatric legends and run metric', () => {
+  it('labels the paediatric legend with the cut-off', () => {
+    const { riskLegendLines } = paediatricLegends({ ageCutoff: 16 });
+    expect(riskLegendLines[0]).toBe('Paediatric (under 16) High Risk (undersized): donor-to-recipient Weight ratio < 0.8');
+    expect(riskLegendLines).toHaveLength(4);
+  });
+
+  it('takes the run metric from the adult patients', () => {
+    const results = rankRecipients(donor, [recipient(), recipient({ id: 'A', age: 40, height: 165, weight: 60 })]);
+    expect(runRiskMetric(results)).toBe('phm');
+    expect(runRiskMetric([results.find(result => result.sizeModel === 'paediatric')])).toBeUndefined();
+  });
+});
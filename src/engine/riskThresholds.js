@@ -0,0 +1,84 @@
+// riskThresholds.js - A centre's category boundaries and risk tiers for each size metric
+import { sizeMetrics, riskSeverities } from './sizeMetrics';
+
+export const severityLabels = {
+  [riskSeverities.acceptable]: 'Acceptable',
+  [riskSeverities.caution]: 'Caution',
+  [riskSeverities.high]: 'High risk'
+};
+
+const copyBands = (bands) => bands.map(band => ({ ...band }));
+
+// The published categories and tiers for one metric, or for all of them
+export const publishedMetricThresholds = (metricKey) => ({
+  categories: copyBands(sizeMetrics[metricKey].categories),
+  riskTiers: copyBands(sizeMetrics[metricKey].riskTiers)
+});
+
+export const publishedThresholds = () =>
+  Object.fromEntries(Object.keys(sizeMetrics).map(key => [key, publishedMetricThresholds(key)]));
+
+const isHexColor = (value) => /^#[0-9a-f]{6}$/i.test(String(value));
+
+// Bands are ordered by their upper bound; the last one is open-ended
+const bandProblems = (bands, name) => {
+  const problems = [];
+  if (!bands.length) return [`Add at least one ${name}.`];
+
+  bands.forEach((band, index) => {
+    const label = String(band.label || '').trim();
+    if (!label) problems.push(`${name} ${index + 1} needs a label.`);
+    if (index === bands.length - 1) return;
+
+    const below = Number(band.below);
+    if (band.below === '' || band.below === null || !(below > 0) || !isFinite(below)) {
+      problems.push(`${label || `${name} ${index + 1}`}: the upper bound must be a number greater than 0.`);
+    } else if (index > 0 && !(below > Number(bands[index - 1].below))) {
+      problems.push(`${label || `${name} ${index + 1}`}: bounds must increase from one ${name} to the next.`);
+    }
+  });
+
+  const labels = bands.map(band => String(band.label || '').trim().toLowerCase()).filter(Boolean);
+  if (new Set(labels).size !== labels.length) problems.push(`Each ${name} needs a different label.`);
+  return problems;
+};
+
+// Returns a list of problems; an empty list means the thresholds can be used
+export const validateMetricThresholds = ({ categories, riskTiers }) => {
+  const problems = [...bandProblems(categories, 'category'), ...bandProblems(riskTiers, 'risk tier')];
+  riskTiers.forEach(tier => {
+    if (!Object.prototype.hasOwnProperty.call(severityLabels, tier.severity)) {
+      problems.push(`${tier.label || 'Risk tier'}: choose a severity.`);
+    }
+    if (!isHexColor(tier.background) || !isHexColor(tier.text)) {
+      problems.push(`${tier.label || 'Risk tier'}: colours must be #rrggbb.`);
+    }
+  });
+  return problems;
+};
+
+// Numbers for every bound and an open-ended last band (JSON storage turns Infinity into null)
+const closeBands = (bands) => bands.map((band, index) => ({
+  ...band,
+  label: String(band.label).trim(),
+  below: index === bands.length - 1 ? Infinity : Number(band.below)
+}));
+
+export const finalizeMetricThresholds = ({ categories, riskTiers }) => ({
+  categories: closeBands(categories),
+  riskTiers: closeBands(riskTiers).map(tier => ({ ...tier, severity: Number(tier.severity) }))
+});
+
+// Saved thresholds merged over the published ones; anything invalid falls back to the published values
+export const normalizeThresholds = (saved = {}) =>
+  Object.fromEntries(Object.keys(sizeMetrics).map(key => {
+    const candidate = saved[key];
+    const usable = candidate && Array.isArray(candidate.categories) && Array.isArray(candidate.riskTiers) &&
+      !validateMetricThresholds(candidate).length;
+    return [key, usable ? finalizeMetricThresholds(candidate) : publishedMetricThresholds(key)];
+  }));
+
+// Metrics whose thresholds differ from the published ones
+export const customizedMetrics = (thresholds) =>
+  Object.keys(sizeMetrics).filter(key =>
+    JSON.stringify(thresholds[key]) !== JSON.stringify(publishedMetricThresholds(key)));
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  publishedThresholds,
+  validateMetricThresholds,
+  normalizeThresholds,
+  finalizeMetricThresholds,
+  customizedMetrics
+} from './riskThresholds';
+import { riskLegend, categoryLegend, riskSeverities } from './sizeMetrics';
+import { determineMatchCategory, determineRiskLevel, rankRecipients } from './matching';
+import { makeDonor, makeRecipient } from '../test/fixtures';
+
+// PHM thresholds with a stricter undersizing line and an oversized caution tier
+const strictPHM = () => {
+  const thresholds = publishedThresholds();
+  thresholds.phm.riskTiers = [
+    { label: 'High Risk', below: 0.9, severity: riskSeverities.high, background: '#fecaca', text: '#991b1b' },
+    { label: 'Acceptable', below: 1.2, severity: riskSeverities.acceptable, background: '#bbf7d0', text: '#166534' },
+    { label: 'Oversized Caution', below: Infinity, severity: riskSeverities.caution, background: '#fef08a', text: '#854d0e' }
+  ];
+  return thresholds;
+};
+
+describe('validateMetricThresholds', () => {
+  it('accepts the published defaults', () => {
+    Object.values(publishedThresholds()).forEach(metric => expect(validateMetricThresholds(metric)).toEqual([]));
+  });
+
+  it('requires increasing, positive bounds and distinct labels', () => {
+    const { phm } = publishedThresholds();
+    phm.categories[2].below = 0.9;
+    phm.categories[4].below = '';
+    phm.categories[5].label = phm.categories[6].label;
+    expect(validateMetricThresholds(phm)).toEqual([
+      'U1 - Mildly Undersized: bounds must increase from one category to the next.',
+      'O1 - Mildly Oversized: the upper bound must be a number greater than 0.',
+      'Each category needs a different label.'
+    ]);
+  });
+
+  it('checks tier severities and colours', () => {
+    const { phm } = strictPHM();
+    phm.riskTiers[2].background = 'yellow';
+    phm.riskTiers[1].severity = 7;
+    expect(validateMetricThresholds(phm)).toEqual([
+      'Acceptable: choose a severity.',
+      'Oversized Caution: colours must be #rrggbb.'
+    ]);
+  });
+});
+
+describe('normalizeThresholds', () => {
+  it('restores the open-ended last band after a JSON round trip', () => {
+    const saved = JSON.parse(JSON.stringify(strictPHM()));
+    const thresholds = normalizeThresholds(saved);
+    expect(thresholds.phm.riskTiers[2].below).toBe(Infinity);
+    expect(thresholds.phm.categories[6].below).toBe(Infinity);
+    expect(customizedMetrics(thresholds)).toEqual(['phm']);
+  });
+
+  it('falls back to the published values for invalid or missing metrics', () => {
+    const saved = { phm: { categories: [], riskTiers: [] } };
+    expect(normalizeThresholds(saved)).toEqual(publishedThresholds());
+  });
+
+  it('turns edited text bounds into numbers', () => {
+    const { phm } = publishedThresholds();
+    phm.riskTiers[0].below = '0.9';
+    expect(finalizeMetricThresholds(phm).riskTiers[0].below).toBe(0.9);
+  });
+});
+
+describe('configured thresholds in matching', () => {
+  const donor = makeDonor({ name: 'D1', height: '175', bloodType: 'A+' });
+  const recipient = (overrides) => makeRecipient({ age: 40, height: 175, bloodType: 'A+', status: 3, ...overrides });
+
+  it('classifies ratios with the configured tiers', () => {
+    const thresholds = strictPHM();
+    expect(determineRiskLevel(0.88)).toBe('Acceptable');
+    expect(determineRiskLevel(0.88, thresholds)).toBe('High Risk');
+    expect(determineRiskLevel(1.3, thresholds)).toBe('Oversized Caution');
+    expect(determineMatchCategory(1, thresholds)).toBe('R - Well-Matched');
+  });
+
+  it('ranks lower-severity tiers first and carries the tier colours', () => {
+    const ranked = rankRecipients(donor, [
+      recipient({ id: 'undersized', weight: 100, status: 1 }),
+      recipient({ id: 'oversized', weight: 55, status: 1 }),
+      recipient({ id: 'matched', status: 5 })
+    ], { thresholds: strictPHM() });
+    expect(ranked.map(r => r.id)).toEqual(['matched', 'oversized', 'undersized']);
+    expect(ranked.map(r => r.riskLevel)).toEqual(['Acceptable', 'Oversized Caution', 'High Risk']);
+    expect(ranked[1].riskColor).toEqual({ background: '#fef08a', text: '#854d0e' });
+  });
+
+  it('builds legends from the configuration', () => {
+    expect(riskLegend('phm', strictPHM())).toEqual([
+      'High Risk: donor-to-recipient PHM ratio < 0.9',
+      'Acceptable: donor-to-recipient PHM ratio 0.9 to < 1.2',
+      'Oversized Caution: donor-to-recipient PHM ratio >= 1.2'
+    ]);
+    expect(categoryLegend('phm')[3]).toBe('R - Well-Matched: 0.983 to < 1.039');
+  });
+});
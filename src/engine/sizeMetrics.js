@@ -0,0 +1,195 @@
+// sizeMetrics.js - Donor-to-recipient size-matching metrics (PHM, weight, height, BSA, BMI)
+
+// Heights may be given in metres or centimetres
+const heightInCm = (height) => (height > 3 ? height : height * 100);
+
+// PHM components (Kransdorf et al. 2019), in grams: { lvm, rvm, phm } with PHM = LVM + RVM
+export const calculatePHMComponents = (gender, age, height, weight) => {
+  // Convert height from cm to m if needed
+  const heightInM = height > 3 ? height / 100 : height;
+
+  // Calculate LVM (Left Ventricular Mass)
+  const lvmCoefficient = gender.toLowerCase() === 'female' ? 6.82 : 8.25;
+  const lvm = lvmCoefficient * Math.pow(heightInM, 0.54) * Math.pow(weight, 0.61);
+
+  // Calculate RVM (Right Ventricular Mass); age^-0.32 has no value at age 0, so RVM and PHM are null unless age is positive
+  const rvmCoefficient = gender.toLowerCase() === 'female' ? 10.59 : 11.25;
+  const rvm = age > 0 ? rvmCoefficient * Math.pow(age, -0.32) * Math.pow(heightInM, 1.135) * Math.pow(weight, 0.315) : null;
+
+  // PHM = RVM + LVM
+  return { lvm, rvm, phm: rvm === null ? null : rvm + lvm };
+};
+
+// Calculate PHM (Kransdorf et al. 2019): PHM = LVM + RVM, in grams
+export const calculatePHM = (gender, age, height, weight) => calculatePHMComponents(gender, age, height, weight).phm;
+
+// Body surface area in m² (Mosteller 1987)
+export const calculateBSAMosteller = (height, weight) => Math.sqrt((heightInCm(height) * weight) / 3600);
+
+// Body surface area in m² (DuBois & DuBois 1916)
+export const calculateBSADuBois = (height, weight) =>
+  0.007184 * Math.pow(heightInCm(height), 0.725) * Math.pow(weight, 0.425);
+
+// Body mass index in kg/m²
+export const calculateBMI = (height, weight) => weight / Math.pow(heightInCm(height) / 100, 2);
+
+// Categories and risk tiers are checked in order; the first whose `below` bound exceeds the ratio applies
+const symmetricCategories = (percent) => [
+  { below: 1 - percent / 100, label: `Undersized (>${percent}% smaller)` },
+  { below: 1 + percent / 100, label: `Matched (within ±${percent}%)` },
+  { below: Infinity, label: `Oversized (>${percent}% larger)` }
+];
+
+// Risk severity of a tier: ranking puts lower severities first
+export const riskSeverities = { acceptable: 0, caution: 1, high: 2 };
+
+// Published two-tier split: High Risk below the cut point, Acceptable above it
+const twoTiers = (highRiskBelow) => [
+  { label: 'High Risk', below: highRiskBelow, severity: riskSeverities.high, background: '#fecaca', text: '#991b1b' },
+  { label: 'Acceptable', below: Infinity, severity: riskSeverities.acceptable, background: '#bbf7d0', text: '#166534' }
+];
+
+// Each metric measures one person; the donor/recipient ratio is then categorised and given a risk tier.
+// These are the published defaults; a centre's own thresholds (see riskThresholds.js) override them.
+export const sizeMetrics = {
+  phm: {
+    label: 'PHM',
+    name: 'Predicted heart mass',
+    unit: 'g',
+    measure: ({ gender, age, height, weight }) => calculatePHM(gender, age, height, weight),
+    riskTiers: twoTiers(0.86),
+    // Septiles from Kransdorf et al.
+    categories: [
+      { below: 0.863, label: 'U3 - Severely Undersized' },
+      { below: 0.929, label: 'U2 - Moderately Undersized' },
+      { below: 0.983, label: 'U1 - Mildly Undersized' },
+      { below: 1.039, label: 'R - Well-Matched' },
+      { below: 1.111, label: 'O1 - Mildly Oversized' },
+      { below: 1.221, label: 'O2 - Moderately Oversized' },
+      { below: Infinity, label: 'O3 - Severely Oversized' }
+    ]
+  },
+  weight: {
+    label: 'Weight',
+    name: 'Body weight',
+    unit: 'kg',
+    measure: ({ weight }) => weight,
+    // The traditional ±20-30% donor weight rule
+    riskTiers: twoTiers(0.8),
+    categories: [
+      { below: 0.7, label: 'Severely Undersized (>30% lighter)' },
+      { below: 0.8, label: 'Undersized (20-30% lighter)' },
+      { below: 1.2, label: 'Matched (within ±20%)' },
+      { below: 1.3, label: 'Oversized (20-30% heavier)' },
+      { below: Infinity, label: 'Severely Oversized (>30% heavier)' }
+    ]
+  },
+  height: {
+    label: 'Height',
+    name: 'Height',
+    unit: 'cm',
+    measure: ({ height }) => heightInCm(height),
+    riskTiers: twoTiers(0.9),
+    categories: symmetricCategories(10)
+  },
+  bsaMosteller: {
+    label: 'BSA (Mosteller)',
+    name: 'Body surface area, Mosteller formula',
+    unit: 'm²',
+    measure: ({ height, weight }) => calculateBSAMosteller(height, weight),
+    riskTiers: twoTiers(0.8),
+    categories: symmetricCategories(20)
+  },
+  bsaDuBois: {
+    label: 'BSA (DuBois)',
+    name: 'Body surface area, DuBois formula',
+    unit: 'm²',
+    measure: ({ height, weight }) => calculateBSADuBois(height, weight),
+    riskTiers: twoTiers(0.8),
+    categories: symmetricCategories(20)
+  },
+  bmi: {
+    label: 'BMI',
+    name: 'Body mass index',
+    unit: 'kg/m²',
+    measure: ({ height, weight }) => calculateBMI(height, weight),
+    riskTiers: twoTiers(0.8),
+    categories: symmetricCategories(20)
+  }
+};
+
+export const defaultRiskMetric = 'phm';
+
+// Categories and risk tiers in use for a metric: the centre's thresholds, else the published ones
+export const metricThresholds = (metricKey, thresholds) => thresholds?.[metricKey] || sizeMetrics[metricKey];
+
+// A ratio that cannot be computed (e.g. PHM at age 0) has no band
+const findBand = (bands, ratio) =>
+  (Number.isFinite(ratio) ? bands.find(band => ratio < band.below) || bands[bands.length - 1] : null);
+
+// Risk tier of a ratio that cannot be computed: no severity, so the ranking puts it after every rated recipient
+export const unavailableTier = { label: 'Not available', severity: null, background: '#e5e7eb', text: '#374151' };
+
+// Null when the ratio cannot be computed
+export const metricCategory = (metricKey, ratio, thresholds) =>
+  findBand(metricThresholds(metricKey, thresholds).categories, ratio)?.label ?? null;
+
+export const metricRiskTier = (metricKey, ratio, thresholds) =>
+  findBand(metricThresholds(metricKey, thresholds).riskTiers, ratio) || unavailableTier;
+
+export const metricRiskLevel = (metricKey, ratio, thresholds) => metricRiskTier(metricKey, ratio, thresholds).label;
+
+// Donor/recipient fields may be numbers or numeric strings
+export const measure = (metricKey, person) => sizeMetrics[metricKey].measure({
+  gender: person.gender,
+  age: parseFloat(person.age),
+  height: parseFloat(person.height),
+  weight: parseFloat(person.weight)
+});
+
+export const measureDonor = (donor) =>
+  Object.fromEntries(Object.keys(sizeMetrics).map(key => [key, measure(key, donor)]));
+
+// Every metric side by side: { [key]: { donor, recipient, ratio, category, riskLevel, riskSeverity } }
+// Pass donorValues to reuse the donor measurements across many recipients.
+// A missing measurement (e.g. PHM at age 0) gives a NaN ratio rather than 0 or Infinity.
+export const compareSizes = (donor, recipient, donorValues = measureDonor(donor), thresholds) =>
+  Object.fromEntries(Object.keys(sizeMetrics).map(key => {
+    const recipientValue = measure(key, recipient);
+    const ratio = donorValues[key] > 0 && recipientValue > 0 ? donorValues[key] / recipientValue : NaN;
+    const tier = metricRiskTier(key, ratio, thresholds);
+    return [key, {
+      donor: donorValues[key],
+      recipient: recipientValue,
+      ratio,
+      category: metricCategory(key, ratio, thresholds),
+      riskLevel: tier.label,
+      riskSeverity: tier.severity
+    }];
+  }));
+
+// Extra ratio columns to show next to PHM: the chosen ones plus the metric driving the risk level
+export const extraRatioColumns = (selected = [], riskMetric = defaultRiskMetric) =>
+  Object.keys(sizeMetrics).filter(key => key !== 'phm' && (selected.includes(key) || key === riskMetric));
+
+// "0.86 to < 1.25" style range text for band i of an ordered list
+const bandRange = (bands, index) => {
+  const from = index > 0 ? bands[index - 1].below : null;
+  const to = bands[index].below;
+  if (from === null) return `< ${to}`;
+  if (!isFinite(to)) return `>= ${from}`;
+  return `${from} to < ${to}`;
+};
+
+// Legend lines for the risk tiers of the metric that drives the risk level
+export const riskLegend = (riskMetric = defaultRiskMetric, thresholds) => {
+  const { label } = sizeMetrics[riskMetric];
+  const { riskTiers } = metricThresholds(riskMetric, thresholds);
+  return riskTiers.map((tier, index) => `${tier.label}: donor-to-recipient ${label} ratio ${bandRange(riskTiers, index)}`);
+};
+
+// Legend lines for the match categories of a metric
+export const categoryLegend = (riskMetric = defaultRiskMetric, thresholds) => {
+  const { categories } = metricThresholds(riskMetric, thresholds);
+  return categories.map((category, index) => `${category.label}: ${bandRange(categories, index)}`);
+};
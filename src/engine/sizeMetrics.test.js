@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateBSAMosteller,
+  calculateBSADuBois,
+  calculateBMI,
+  compareSizes,
+  metricCategory,
+  metricRiskLevel,
+  metricRiskTier,
+  extraRatioColumns
+} from './sizeMetrics';
+import { rankRecipients } from './matching';
+
+describe('body size formulas', () => {
+  it('computes BSA with the Mosteller and DuBois formulas', () => {
+    expect(calculateBSAMosteller(175, 80)).toBeCloseTo(1.972, 3);
+    expect(calculateBSADuBois(175, 80)).toBeCloseTo(1.956, 3);
+    expect(calculateBSADuBois(160, 55)).toBeCloseTo(1.563, 3);
+  });
+
+  it('computes BMI and accepts height in metres', () => {
+    expect(calculateBMI(175, 80)).toBeCloseTo(26.12, 2);
+    expect(calculateBMI(1.75, 80)).toBeCloseTo(calculateBMI(175, 80), 6);
+  });
+});
+
+describe('compareSizes', () => {
+  const donor = { gender: 'male', age: '40', height: '175', weight: '80' };
+
+  it('gives every metric a ratio, category and risk level', () => {
+    const sizes = compareSizes(donor, { gender: 'male', age: 40, height: 175, weight: 100 });
+    expect(Object.keys(sizes)).toEqual(['phm', 'weight', 'height', 'bsaMosteller', 'bsaDuBois', 'bmi']);
+    expect(sizes.weight.ratio).toBeCloseTo(0.8, 6);
+    expect(sizes.weight.category).toBe('Matched (within ±20%)');
+    expect(sizes.height.ratio).toBeCloseTo(1, 6);
+    expect(sizes.height.riskLevel).toBe('Acceptable');
+    expect(sizes.bmi.ratio).toBeCloseTo(0.8, 6);
+  });
+
+  it('uses each metric\'s own thresholds', () => {
+    expect(metricRiskLevel('phm', 0.85)).toBe('High Risk');
+    expect(metricRiskLevel('weight', 0.85)).toBe('Acceptable');
+    expect(metricCategory('weight', 0.65)).toBe('Severely Undersized (>30% lighter)');
+    expect(metricCategory('height', 1.15)).toBe('Oversized (>10% larger)');
+  });
+
+  it('gives a ratio that cannot be computed no category and no risk tier', () => {
+    expect(metricCategory('phm', NaN)).toBeNull();
+    expect(metricRiskTier('phm', NaN)).toMatchObject({ label: 'Not available', severity: null });
+  });
+});
+
+describe('risk metric selection', () => {
+  const donor = { name: 'D1', gender: 'male', age: '40', height: '175', weight: '80', bloodType: 'A+' };
+  // Taller and heavier: PHM ratio ≈ 0.82 but weight ratio ≈ 0.82 (within the ±20% rule)
+  const recipient = { id: 'R1', gender: 'male', age: 40, height: 200, weight: 97, bloodType: 'A+', status: 3, dateadded: new Date('2024-01-01') };
+
+  it('drives the risk level and category from the chosen metric', () => {
+    const [byPHM] = rankRecipients(donor, [recipient]);
+    const [byWeight] = rankRecipients(donor, [recipient], { riskMetric: 'weight' });
+    expect(byPHM.riskMetric).toBe('phm');
+    expect(byPHM.riskLevel).toBe('High Risk');
+    expect(byWeight.riskLevel).toBe('Acceptable');
+    expect(byWeight.matchCategory).toBe('Matched (within ±20%)');
+    expect(byWeight.phmRatio).toBeCloseTo(byPHM.phmRatio, 6);
+  });
+
+  it('always shows the driving metric as an extra column', () => {
+    expect(extraRatioColumns([], 'phm')).toEqual([]);
+    expect(extraRatioColumns(['bmi'], 'weight')).toEqual(['weight', 'bmi']);
+  });
+});
@@ -0,0 +1,106 @@
+// sizeSensitivity.js - How close a donor/recipient size ratio sits to its band boundaries, and what would move it
+import { calculatePHMComponents, measure, metricThresholds, defaultRiskMetric } from './sizeMetrics';
+import { isPaediatricResult, paediatricThresholds } from './paediatricModels';
+
+// Donor fields a ratio is tested against, in engine units
+export const sensitivityFields = {
+  weight: { label: 'Weight', unit: 'kg' },
+  height: { label: 'Height', unit: 'cm' }
+};
+
+// The donor field is scanned in 1% steps up to 50% either side of its current value
+const SCAN_STEP = 0.01;
+const SCAN_RANGE = 0.5;
+
+// LVM, RVM and PHM in grams for a donor or recipient (fields may be numeric strings)
+export const phmBreakdown = (person) => calculatePHMComponents(
+  person.gender, parseFloat(person.age), parseFloat(person.height), parseFloat(person.weight)
+);
+
+// Index of the band a ratio falls in; bands are ordered by upper bound and the last is open-ended
+const bandIndex = (bands, ratio) => {
+  const index = bands.findIndex(band => ratio < band.below);
+  return index === -1 ? bands.length - 1 : index;
+};
+
+// The band around a ratio with its bounds (null when open-ended) and its neighbours' labels
+export const bandAround = (bands, ratio) => {
+  const index = bandIndex(bands, ratio);
+  const upper = Number(bands[index].below);
+  return {
+    label: bands[index].label,
+    lower: index > 0 ? Number(bands[index - 1].below) : null,
+    upper: index < bands.length - 1 && isFinite(upper) ? upper : null,
+    lowerLabel: bands[index - 1]?.label ?? null,
+    upperLabel: bands[index + 1]?.label ?? null
+  };
+};
+
+// The category and risk-tier bands a result was rated by, with the current thresholds.
+// Paediatric results use their model's bands; each paediatric model is keyed by its metric.
+export const resultBands = (result, thresholds) => {
+  const metric = result.riskMetric || defaultRiskMetric;
+  const modelThresholds = isPaediatricResult(result) ? paediatricThresholds(thresholds, metric) : thresholds;
+  return { metric, ...metricThresholds(metric, modelThresholds) };
+};
+
+// Smallest change to one donor field that moves the ratio into another band, scanning one way.
+// Returns { value, change, label } in the field's units, or null if nothing changes within the scan range.
+export const donorChangeToCross = (donor, recipient, metric, bands, field, direction) => {
+  const current = parseFloat(donor[field]);
+  const recipientValue = measure(metric, recipient);
+  const bandAt = (value) => bandIndex(bands, measure(metric, { ...donor, [field]: value }) / recipientValue);
+  const startBand = bandAt(current);
+  const sign = direction === 'up' ? 1 : -1;
+
+  let inside = current;
+  for (let steps = 1; steps * SCAN_STEP <= SCAN_RANGE + 1e-9; steps++) {
+    let outside = current * (1 + sign * steps * SCAN_STEP);
+    if (bandAt(outside) === startBand) {
+      inside = outside;
+      continue;
+    }
+    // Narrow the crossing down to well under the 0.1 shown
+    for (let i = 0; i < 30; i++) {
+      const middle = (inside + outside) / 2;
+      if (bandAt(middle) === startBand) inside = middle;
+      else outside = middle;
+    }
+    return { value: outside, change: outside - current, label: bands[bandAt(outside)].label };
+  }
+  return null;
+};
+
+// Everything the recipient detail panel shows: PHM components, the bands around the ratio and
+// the donor weight/height changes that would cross each boundary, for the metric the result was rated by.
+export const recipientSizeDetail = (donor, result, thresholds) => {
+  const { metric, categories, riskTiers } = resultBands(result, thresholds);
+  // Older snapshots have no per-metric ratios; a ratio that could not be computed is NaN
+  const ratio = (result.sizeMetrics?.[metric] ? result.sizeMetrics[metric].ratio : measure(metric, donor) / measure(metric, result)) ?? NaN;
+  const category = bandAround(categories, ratio);
+
+  const crossings = (bands) => Object.fromEntries(Object.keys(sensitivityFields).map(field => [field, {
+    down: donorChangeToCross(donor, result, metric, bands, field, 'down'),
+    up: donorChangeToCross(donor, result, metric, bands, field, 'up')
+  }]));
+
+  return {
+    metric,
+    ratio,
+    // The adult PHM equations do not apply to paediatric patients
+    phm: { donor: phmBreakdown(donor), recipient: isPaediatricResult(result) ? null : phmBreakdown(result) },
+    category,
+    riskTier: bandAround(riskTiers, ratio),
+    // Runs saved before their thresholds were kept are re-read with today's, which may no longer give the category shown
+    thresholdsChanged: Boolean(result.matchCategory) && result.matchCategory !== category.label,
+    categoryCrossings: crossings(categories),
+    riskTierCrossings: crossings(riskTiers)
+  };
+};
+
+// "+4.2 kg (to O1 - Mildly Oversized)" / "none within 50%"
+export const describeCrossing = (crossing, field) => {
+  if (!crossing) return `none within ${SCAN_RANGE * 100}%`;
+  const sign = crossing.change > 0 ? '+' : '−';
+  return `${sign}${Math.abs(crossing.change).toFixed(1)} ${sensitivityFields[field].unit} (to ${crossing.label})`;
+};
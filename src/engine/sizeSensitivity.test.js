@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { calculatePHM, sizeMetrics } from './sizeMetrics';
+import { rankRecipients } from './matching';
+import {
+  phmBreakdown,
+  bandAround,
+  donorChangeToCross,
+  recipientSizeDetail,
+  describeCrossing
+} from './sizeSensitivity';
+import { donor, makeRecipient } from '../test/fixtures';
+
+const septiles = sizeMetrics.phm.categories;
+
+describe('size sensitivity', () => {
+  it('splits PHM into its LVM and RVM parts', () => {
+    const { lvm, rvm, phm } = phmBreakdown(donor);
+    expect(lvm + rvm).toBeCloseTo(phm, 9);
+    expect(phm).toBeCloseTo(calculatePHM('male', 40, 178, 80), 9);
+    expect(lvm).toBeCloseTo(8.25 * Math.pow(1.78, 0.54) * Math.pow(80, 0.61), 9);
+  });
+
+  it('finds the septile boundaries around a ratio', () => {
+    expect(bandAround(septiles, 0.95)).toEqual({
+      label: 'U1 - Mildly Undersized',
+      lower: 0.929,
+      upper: 0.983,
+      lowerLabel: 'U2 - Moderately Undersized',
+      upperLabel: 'R - Well-Matched'
+    });
+    expect(bandAround(septiles, 0.5)).toMatchObject({ lower: null, upper: 0.863 });
+    expect(bandAround(septiles, 1.5)).toMatchObject({ lower: 1.221, upper: null });
+  });
+
+  it('finds the donor weight that crosses into the next category', () => {
+    const patient = makeRecipient({});
+    const up = donorChangeToCross(donor, patient, 'phm', septiles, 'weight', 'up');
+    expect(up.label).toBe('O1 - Mildly Oversized');
+    const ratioAt = (weight) => calculatePHM('male', 40, 178, weight) / calculatePHM('male', 50, 178, 80);
+    expect(ratioAt(up.value)).toBeGreaterThanOrEqual(1.039);
+    expect(ratioAt(up.value - 0.05)).toBeLessThan(1.039);
+    expect(up.change).toBeCloseTo(up.value - 80, 9);
+    expect(describeCrossing(up, 'weight')).toMatch(/^\+\d+\.\d kg \(to O1 - Mildly Oversized\)$/);
+  });
+
+  it('reports no crossing outside the searched range', () => {
+    const tiny = makeRecipient({ height: 120, weight: 25 });
+    expect(donorChangeToCross(donor, tiny, 'phm', septiles, 'weight', 'down')).toBeNull();
+    expect(describeCrossing(null, 'weight')).toBe('none within 50%');
+  });
+
+  it('describes a ranked result with the bands it was rated by', () => {
+    const [result] = rankRecipients(donor, [makeRecipient({ weight: 90 })]);
+    const detail = recipientSizeDetail(donor, result);
+    expect(detail.metric).toBe('phm');
+    expect(detail.ratio).toBeCloseTo(result.phmRatio, 9);
+    expect(detail.category.label).toBe(result.matchCategory);
+    expect(detail.riskTier.label).toBe(result.riskLevel);
+    expect(detail.thresholdsChanged).toBe(false);
+    expect(detail.categoryCrossings.weight.up.change).toBeGreaterThan(0);
+    expect(detail.categoryCrossings.height.down.change).toBeLessThan(0);
+  });
+
+  it('uses the paediatric bands for paediatric patients', () => {
+    const [child] = rankRecipients(donor, [makeRecipient({ age: 10, height: 140, weight: 35 })]);
+    const detail = recipientSizeDetail(donor, child);
+    expect(detail.metric).toBe('weight');
+    expect(detail.category.label).toBe(child.matchCategory);
+    expect(detail.phm.recipient).toBeNull();
+  });
+
+  it('leaves RVM and PHM out at age 0 instead of dividing by zero', () => {
+    expect(phmBreakdown({ gender: 'male', age: '0', height: '60', weight: '6' })).toMatchObject({ rvm: null, phm: null });
+  });
+});
@@ -0,0 +1,11 @@
+// transplantCentres.js - Bundled table of heart transplant centres, used until a centre imports its own
+// Coordinates are approximate (hospital site); codes are local to this tool.
+export const bundledCentres = [
+  { code: 'HAREFIELD', name: 'Harefield Hospital, London', latitude: 51.6036, longitude: -0.4816 },
+  { code: 'PAPWORTH', name: 'Royal Papworth Hospital, Cambridge', latitude: 52.1745, longitude: 0.14 },
+  { code: 'WYTHENSHAWE', name: 'Wythenshawe Hospital, Manchester', latitude: 53.3884, longitude: -2.2923 },
+  { code: 'FREEMAN', name: 'Freeman Hospital, Newcastle', latitude: 55.0036, longitude: -1.5947 },
+  { code: 'QEHB', name: 'Queen Elizabeth Hospital, Birmingham', latitude: 52.4531, longitude: -1.9426 },
+  { code: 'GJNH', name: 'Golden Jubilee National Hospital, Clydebank', latitude: 55.901, longitude: -4.4051 },
+  { code: 'GOSH', name: 'Great Ormond Street Hospital, London', latitude: 51.5224, longitude: -0.1206 }
+];
@@ -0,0 +1,61 @@
+// units.js - Height and weight units: conversion to the cm/kg the engine expects, and plausibility checks
+
+// Conversion factors to the engine units (cm, kg)
+export const unitOptions = {
+  height: { cm: 1, m: 100, in: 2.54 },
+  weight: { kg: 1, lb: 0.45359237 }
+};
+
+export const defaultUnits = { height: 'cm', weight: 'kg' };
+
+// Plausible measurements in cm/kg, wide enough for infants and large adults
+export const plausibleRanges = {
+  height: { min: 50, max: 250 },
+  weight: { min: 2, max: 300 }
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+export const toEngineUnit = (field, value, unit = defaultUnits[field]) =>
+  round(parseFloat(value) * (unitOptions[field][unit] ?? 1));
+
+// The plausible range expressed in the chosen unit
+export const rangeInUnit = (field, unit = defaultUnits[field]) => {
+  const factor = unitOptions[field][unit] ?? 1;
+  const { min, max } = plausibleRanges[field];
+  const places = unit === 'm' ? 2 : 0;
+  return { min: round(min / factor, places), max: round(max / factor, places) };
+};
+
+// Warning for a value outside the plausible range of its unit, naming another unit it would fit
+export const unitWarning = (field, value, unit = defaultUnits[field]) => {
+  const number = parseFloat(value);
+  if (isNaN(number)) return '';
+  const { min, max } = rangeInUnit(field, unit);
+  if (number >= min && number <= max) return '';
+
+  const fits = Object.keys(unitOptions[field]).find(other => {
+    const range = rangeInUnit(field, other);
+    return other !== unit && number >= range.min && number <= range.max;
+  });
+  return `${number} ${unit} is outside the plausible range ${min}–${max} ${unit}` + (fits ? `; was it entered in ${fits}?` : '');
+};
+
+// Form values in any unit -> donor in cm/kg, remembering what was typed when it was converted
+export const donorInEngineUnits = (donor, units = defaultUnits) => {
+  const converted = { ...donor };
+  const entered = {};
+  Object.keys(unitOptions).forEach(field => {
+    const unit = units[field] || defaultUnits[field];
+    if (unit === defaultUnits[field]) return;
+    converted[field] = String(toEngineUnit(field, donor[field], unit));
+    entered[field] = `${donor[field]} ${unit}`;
+  });
+  return Object.keys(entered).length ? { ...converted, entered } : converted;
+};
+
+// "180.34 cm (entered as 71 in)" for reports and history
+export const describeMeasurement = (donor, field) => {
+  const text = `${donor[field]} ${defaultUnits[field]}`;
+  return donor.entered?.[field] ? `${text} (entered as ${donor.entered[field]})` : text;
+};
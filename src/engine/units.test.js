@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { toEngineUnit, rangeInUnit, unitWarning, donorInEngineUnits, describeMeasurement } from './units';
+import { calculatePHM } from './matching';
+
+describe('unit conversion', () => {
+  it('converts inches, metres and pounds to cm and kg', () => {
+    expect(toEngineUnit('height', '70', 'in')).toBe(177.8);
+    expect(toEngineUnit('height', 1.8, 'm')).toBe(180);
+    expect(toEngineUnit('weight', '180', 'lb')).toBe(81.65);
+    expect(toEngineUnit('weight', '80')).toBe(80);
+  });
+
+  it('gives the plausible range in the chosen unit', () => {
+    expect(rangeInUnit('height', 'in')).toEqual({ min: 20, max: 98 });
+    expect(rangeInUnit('weight', 'lb')).toEqual({ min: 4, max: 661 });
+  });
+
+  it('warns about values outside the range and names a unit they fit', () => {
+    expect(unitWarning('height', '180', 'in')).toBe('180 in is outside the plausible range 20–98 in; was it entered in cm?');
+    expect(unitWarning('weight', '400', 'kg')).toBe('400 kg is outside the plausible range 2–300 kg; was it entered in lb?');
+    expect(unitWarning('height', '70', 'in')).toBe('');
+    expect(unitWarning('height', '', 'cm')).toBe('');
+  });
+});
+
+describe('donorInEngineUnits', () => {
+  const donor = { name: 'D', gender: 'male', age: '40', height: '70', weight: '180', bloodType: 'O+' };
+
+  it('converts the donor before PHM is calculated', () => {
+    const converted = donorInEngineUnits(donor, { height: 'in', weight: 'lb' });
+    expect(converted).toMatchObject({ height: '177.8', weight: '81.65', entered: { height: '70 in', weight: '180 lb' } });
+    // Without conversion 70 would have been read as 0.70 m and 180 as kg
+    expect(calculatePHM('male', 40, parseFloat(converted.height), parseFloat(converted.weight)))
+      .toBeCloseTo(calculatePHM('male', 40, 177.8, 81.65), 6);
+    expect(describeMeasurement(converted, 'height')).toBe('177.8 cm (entered as 70 in)');
+  });
+
+  it('leaves a cm/kg donor unchanged', () => {
+    expect(donorInEngineUnits(donor, { height: 'cm', weight: 'kg' })).toEqual(donor);
+    expect(describeMeasurement(donor, 'weight')).toBe('180 kg');
+  });
+});
@@ -0,0 +1,92 @@
+// dashboardExport.js - The waitlist dashboard as an .xlsx workbook for the monthly review
+import ExcelJS from 'exceljs';
+import { describeWaitingDays } from '../waitlist/waitlistAnalytics';
+import { downloadBlob, dateStamp } from './download';
+
+const breakdownSections = [
+  ['Listing state (all patients)', 'byListingState'],
+  ['Blood type', 'byBloodType'],
+  ['Status', 'byStatus'],
+  ['Sex', 'byGender']
+];
+
+const addSummarySheet = (workbook, analytics, generatedAt) => {
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [{ width: 34 }, { width: 12 }];
+  const heading = (text) => { sheet.addRow([text]).font = { bold: true }; };
+
+  sheet.addRow(['Generated', generatedAt]).getCell(2).numFmt = 'yyyy-mm-dd hh:mm';
+  sheet.addRow(['Patients on file', analytics.total]);
+  sheet.addRow(['Active patients', analytics.active]);
+  sheet.addRow(['Median recipient PHM (g)', analytics.phm.median === null ? null : Math.round(analytics.phm.median)]);
+  sheet.addRow(['Median time on list (days)', analytics.waiting.median]);
+
+  breakdownSections.forEach(([title, key]) => {
+    sheet.addRow([]);
+    heading(title);
+    analytics[key].forEach(({ label, count }) => sheet.addRow([label, count]));
+  });
+
+  sheet.addRow([]);
+  heading(`Recipient PHM (${analytics.phm.omitted} paediatric or incomplete not included)`);
+  analytics.phm.bins.forEach(({ label, count }) => sheet.addRow([label, count]));
+
+  sheet.addRow([]);
+  heading('Time on list');
+  analytics.waiting.bins.forEach(({ label, count }) => sheet.addRow([label, count]));
+};
+
+const addPatientSheet = (workbook, name, columns, rows) => {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+};
+
+// Summary counts plus one sheet each for the hard-to-match patients and the waiting-time flags
+export const buildDashboardWorkbook = (analytics, { generatedAt = new Date() } = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Heart Transplant Matcher';
+  workbook.created = generatedAt;
+
+  addSummarySheet(workbook, analytics, generatedAt);
+  addPatientSheet(workbook, 'Hard to Match', [
+    { header: 'ID', key: 'id', width: 14 },
+    { header: 'Name', key: 'name', width: 24 },
+    { header: 'Blood Type', key: 'bloodType', width: 11 },
+    { header: 'Status', key: 'status', width: 8 },
+    { header: 'PHM (g)', key: 'phm', width: 10 },
+    { header: 'Reasons', key: 'reasons', width: 60 }
+  ], analytics.hardToMatch.map(({ recipient, phm, reasons }) => ({
+    id: recipient.id,
+    name: recipient.name,
+    bloodType: recipient.bloodType,
+    status: recipient.status,
+    phm: phm === null ? null : Math.round(phm),
+    reasons: reasons.join('; ')
+  })));
+  addPatientSheet(workbook, 'Waiting Time', [
+    { header: 'ID', key: 'id', width: 14 },
+    { header: 'Name', key: 'name', width: 24 },
+    { header: 'Status', key: 'status', width: 8 },
+    { header: 'Date Added', key: 'dateAdded', width: 13, style: { numFmt: 'yyyy-mm-dd' } },
+    { header: 'Days on List', key: 'days', width: 12 },
+    { header: 'Time on List', key: 'waiting', width: 18 },
+    { header: 'Flag', key: 'level', width: 12 }
+  ], analytics.waitingFlags.map(({ recipient, days, level }) => ({
+    id: recipient.id,
+    name: recipient.name,
+    status: recipient.status,
+    dateAdded: new Date(recipient.dateadded),
+    days,
+    waiting: describeWaitingDays(days),
+    level: level === 'long' ? 'Long wait' : 'Review'
+  })));
+  return workbook;
+};
+
+export const downloadDashboardWorkbook = async (analytics, options = {}) => {
+  const buffer = await buildDashboardWorkbook(analytics, options).xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  downloadBlob(blob, `waitlist-review-${dateStamp(options.generatedAt)}.xlsx`);
+};
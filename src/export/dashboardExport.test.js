@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { buildDashboardWorkbook } from './dashboardExport';
+import { waitlistAnalytics } from '../waitlist/waitlistAnalytics';
+
+const recipients = [
+  { id: 'H-1', name: 'Alpha', gender: 'male', age: 50, height: 178, weight: 80, bloodType: 'O+', status: 2, dateadded: new Date('2023-01-01'), cpra: 95 },
+  { id: 'H-2', name: 'Beta', gender: 'female', age: 45, height: 165, weight: 60, bloodType: 'A+', status: 4, dateadded: new Date('2025-05-01') }
+];
+
+describe('buildDashboardWorkbook', () => {
+  const analytics = waitlistAnalytics(recipients, { asOf: new Date('2025-06-01') });
+  const workbook = buildDashboardWorkbook(analytics, { generatedAt: new Date('2025-06-01T09:00:00') });
+
+  it('writes the summary counts', () => {
+    const labels = workbook.getWorksheet('Summary').getColumn(1).values;
+    expect(labels).toContain('Blood type');
+    expect(labels).toContain('O+');
+    expect(labels).toContain('Time on list');
+  });
+
+  it('lists hard-to-match patients and waiting-time flags', () => {
+    const hard = workbook.getWorksheet('Hard to Match');
+    expect(hard.getRow(2).getCell('id').value).toBe('H-1');
+    expect(hard.getRow(2).getCell('reasons').value).toContain('cPRA 95%');
+    const waiting = workbook.getWorksheet('Waiting Time');
+    expect(waiting.rowCount).toBe(2);
+    expect(waiting.getRow(2).getCell('level').value).toBe('Long wait');
+  });
+});
@@ -0,0 +1,215 @@
+// excelExport.js - Ranked match results as an editable .xlsx workbook (ExcelJS)
+import ExcelJS from 'exceljs';
+import { defaultSortingCriteria } from '../engine/matching';
+import { defaultPolicy } from '../engine/allocationPolicy';
+import { sizeMetrics, defaultRiskMetric, riskLegend, categoryLegend } from '../engine/sizeMetrics';
+import { flagSummary, clinicalFlagLegend } from '../engine/clinicalRules';
+import { runRiskMetric, isPaediatricResult, sizeModelLabel } from '../engine/paediatricModels';
+import { crossmatchLabel, describeHlaTyping } from '../engine/hla';
+import { hasDistance, isBeyondIschaemicLimit } from '../engine/geography';
+import { riskStyle, statusColor, aboColors, rhesusWarningColor, crossmatchColors, toARGB } from './reportStyles';
+import { downloadBlob, fileNamePart, dateStamp } from './download';
+import { ratioColumnKey } from '../results/resultsView';
+
+const headerFill = { type: 'pattern', pattern: 'solid', fgColor: { argb: toARGB('#4285F4') } };
+const solidFill = (hex) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb: toARGB(hex) } });
+
+const resultColumns = [
+  { header: 'Rank', key: 'rank', width: 7 },
+  { header: 'ID', key: 'id', width: 14 },
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Date Added', key: 'dateAdded', width: 13, style: { numFmt: 'yyyy-mm-dd' } },
+  { header: 'Status', key: 'status', width: 8 },
+  { header: 'Gender', key: 'gender', width: 9 },
+  { header: 'Age', key: 'age', width: 7 },
+  { header: 'Height (cm)', key: 'height', width: 11 },
+  { header: 'Weight (kg)', key: 'weight', width: 11 },
+  { header: 'Blood Type', key: 'bloodType', width: 11 },
+  { header: 'ABO Compatible', key: 'aboMatch', width: 15 },
+  { header: 'Rh Warning', key: 'rhesusWarning', width: 11 },
+  { header: 'Virtual Crossmatch', key: 'virtualCrossmatch', width: 24 },
+  { header: 'Clinical Flags', key: 'clinicalFlags', width: 30 },
+  { header: 'Centre', key: 'centre', width: 14, viewKey: 'transport' },
+  { header: 'Distance (km)', key: 'distanceKm', width: 13, viewKey: 'transport' },
+  { header: 'Est. Ischaemic Time (h)', key: 'ischaemicHours', width: 22, style: { numFmt: '0.0' }, viewKey: 'transport' },
+  { header: 'Recipient PHM (g)', key: 'recipientPHM', width: 17, style: { numFmt: '0.00' } },
+  { header: 'Donor PHM (g)', key: 'donorPHM', width: 14, style: { numFmt: '0.00' } },
+  { header: 'PHM Ratio', key: 'phmRatio', width: 10, style: { numFmt: '0.000' } },
+  { header: 'Size Model', key: 'sizeModel', width: 20 },
+  { header: 'Match Category', key: 'matchCategory', width: 26 },
+  { header: 'Risk Level', key: 'riskLevel', width: 12 }
+];
+
+// Result columns with the chosen extra size-metric ratios after the PHM ratio, minus the columns hidden in the
+// results table (hiddenColumns are resultsView.js keys; viewKey maps a sheet column onto one where the keys differ)
+const columnsFor = (ratioColumns, hiddenColumns = []) => {
+  const phmIndex = resultColumns.findIndex(column => column.key === 'phmRatio') + 1;
+  const extra = ratioColumns.map(key => ({
+    header: `${sizeMetrics[key].label} Ratio`, key: ratioColumnKey(key), width: 14, style: { numFmt: '0.000' }
+  }));
+  return [...resultColumns.slice(0, phmIndex), ...extra, ...resultColumns.slice(phmIndex)]
+    .filter(column => !hiddenColumns.includes(column.viewKey || column.key))
+    .map(column => {
+      const { viewKey: _viewKey, ...sheetColumn } = column;
+      return sheetColumn;
+    });
+};
+
+const styleHeaderRow = (row) => {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.eachCell(cell => { cell.fill = headerFill; });
+};
+
+const addResultsSheet = (workbook, matchResults, ratioColumns, hiddenColumns) => {
+  const sheet = workbook.addWorksheet('Match Results', { views: [{ state: 'frozen', ySplit: 1 }] });
+  const columns = columnsFor(ratioColumns, hiddenColumns);
+  const shownKeys = columns.map(column => column.key);
+  sheet.columns = columns;
+  styleHeaderRow(sheet.getRow(1));
+
+  matchResults.forEach((result, index) => {
+    const row = sheet.addRow({
+      // Filtered or re-sorted views keep each recipient's allocation rank
+      rank: result.rank ?? index + 1,
+      id: result.id,
+      name: result.name,
+      dateAdded: result.dateAdded,
+      status: result.status,
+      gender: result.gender,
+      age: result.age,
+      height: result.height,
+      weight: result.weight,
+      bloodType: result.bloodType || 'Unknown',
+      aboMatch: result.aboMatch ? 'Yes' : 'No',
+      rhesusWarning: result.rhesusWarning ? 'Yes' : 'No',
+      virtualCrossmatch: crossmatchLabel(result),
+      clinicalFlags: flagSummary(result),
+      centre: result.transport?.centre ?? result.centre ?? null,
+      distanceKm: hasDistance(result) ? result.transport.distanceKm : null,
+      ischaemicHours: hasDistance(result) ? result.transport.ischaemicHours : null,
+      // The adult PHM model does not apply to paediatric patients
+      recipientPHM: isPaediatricResult(result) ? null : result.recipientPHM,
+      donorPHM: result.donorPHM,
+      phmRatio: isPaediatricResult(result) ? null : result.phmRatio,
+      ...Object.fromEntries(ratioColumns.map(key => [ratioColumnKey(key), result.sizeMetrics?.[key]?.ratio])),
+      sizeModel: sizeModelLabel(result),
+      matchCategory: result.matchCategory,
+      riskLevel: result.riskLevel
+    });
+
+    // Hidden columns have no cell to style
+    const shown = (key) => shownKeys.includes(key);
+    if (shown('status')) {
+      row.getCell('status').font = { bold: true, color: { argb: toARGB(statusColor(result.status)) } };
+    }
+    if (shown('aboMatch')) {
+      row.getCell('aboMatch').font = { bold: true, color: { argb: toARGB(result.aboMatch ? aboColors.match : aboColors.mismatch) } };
+    }
+    if (result.rhesusWarning && shown('rhesusWarning')) {
+      row.getCell('rhesusWarning').font = { bold: true, color: { argb: toARGB(rhesusWarningColor) } };
+    }
+    if (result.virtualCrossmatch && shown('virtualCrossmatch')) {
+      row.getCell('virtualCrossmatch').font = { bold: true, color: { argb: toARGB(crossmatchColors[result.virtualCrossmatch.status]) } };
+    }
+    if (isBeyondIschaemicLimit(result) && shown('ischaemicHours')) {
+      row.getCell('ischaemicHours').font = { bold: true, color: { argb: toARGB(rhesusWarningColor) } };
+    }
+    if (result.clinicalFlags?.length && shown('clinicalFlags')) {
+      row.getCell('clinicalFlags').font = { bold: true, color: { argb: toARGB(rhesusWarningColor) } };
+    }
+
+    const risk = riskStyle(result);
+    if (risk && shown('riskLevel')) {
+      const riskCell = row.getCell('riskLevel');
+      riskCell.fill = solidFill(risk.background);
+      riskCell.font = { bold: true, color: { argb: toARGB(risk.text) } };
+    }
+  });
+
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+};
+
+const addDonorSheet = (workbook, donor, matchResults, options) => {
+  const {
+    generatedAt, policyName, sortingCriteria, riskMetric, riskLegendLines, categoryLegendLines, transportNote, viewNote, exclusionNote
+  } = options;
+  const sheet = workbook.addWorksheet('Donor & Criteria');
+  sheet.columns = [{ width: 28 }, { width: 44 }];
+
+  const rows = [
+    ['Donor', donor.name],
+    ['Gender', donor.gender],
+    ['Age (years)', parseFloat(donor.age)],
+    ['Height (cm)', parseFloat(donor.height)],
+    ['Weight (kg)', parseFloat(donor.weight)],
+    ['Blood Type', donor.bloodType],
+    ['HLA typing', describeHlaTyping(donor) || 'Not typed'],
+    ['Donor hospital', donor.hospitalName || donor.hospital || 'Not given'],
+    ['Donor PHM (g)', matchResults[0]?.donorPHM],
+    [viewNote ? 'Recipients shown' : 'Recipients ranked', matchResults.length],
+    ...(viewNote ? [['Filtered view', viewNote]] : []),
+    ...(exclusionNote ? [['Excluded', exclusionNote]] : []),
+    ['Generated', generatedAt],
+    ['Allocation policy', policyName],
+    ['Risk level metric', `${sizeMetrics[riskMetric].label} ratio`],
+    ['Units', `Heights in cm, weights in kg${donor.entered ? `; donor entered as ${Object.values(donor.entered).join(', ')}` : ''}`],
+    ...(transportNote ? [['Distances', transportNote]] : [])
+  ];
+  const formats = { 'Donor PHM (g)': '0.00', 'Generated': 'yyyy-mm-dd hh:mm' };
+  rows.forEach(values => {
+    const row = sheet.addRow(values);
+    row.getCell(1).font = { bold: true };
+    if (formats[values[0]]) row.getCell(2).numFmt = formats[values[0]];
+  });
+
+  sheet.addRow([]);
+  sheet.addRow(['Sorting Criteria (in order of priority)']).font = { bold: true };
+  sortingCriteria.forEach((criterion, index) => sheet.addRow([`${index + 1}.`, criterion]));
+
+  sheet.addRow([]);
+  sheet.addRow(['Risk Tiers']).font = { bold: true };
+  riskLegendLines.forEach(line => sheet.addRow(['', line]));
+  sheet.addRow(['Match Categories']).font = { bold: true };
+  categoryLegendLines.forEach(line => sheet.addRow(['', line]));
+  const flagLines = clinicalFlagLegend(matchResults);
+  if (flagLines.length) {
+    sheet.addRow(['Clinical Flags']).font = { bold: true };
+    flagLines.forEach(line => sheet.addRow(['', line]));
+  }
+
+  sheet.addRow([]);
+  sheet.addRow(['Reference', 'Kransdorf et al. "Predicted heart mass is the optimal metric for size match in heart transplantation" (2019)']);
+};
+
+// Build the workbook: ranked results plus a sheet with donor details and sorting criteria
+export const buildResultsWorkbook = (donor, matchResults, options = {}) => {
+  const {
+    generatedAt = new Date(),
+    policyName = defaultPolicy.name,
+    sortingCriteria = defaultSortingCriteria,
+    ratioColumns = [],
+    hiddenColumns = []
+  } = options;
+  // Legends default to the published thresholds; pass the lines the run was made with
+  const riskMetric = runRiskMetric(matchResults) || defaultRiskMetric;
+  const {
+    riskLegendLines = riskLegend(riskMetric), categoryLegendLines = categoryLegend(riskMetric), transportNote, viewNote, exclusionNote
+  } = options;
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Heart Transplant Matcher';
+  workbook.created = generatedAt;
+
+  addResultsSheet(workbook, matchResults, ratioColumns, hiddenColumns);
+  addDonorSheet(workbook, donor, matchResults, {
+    generatedAt, policyName, sortingCriteria, riskMetric, riskLegendLines, categoryLegendLines, transportNote, viewNote, exclusionNote
+  });
+  return workbook;
+};
+
+export const downloadResultsWorkbook = async (donor, matchResults, options = {}) => {
+  const workbook = buildResultsWorkbook(donor, matchResults, options);
+  const buffer = await workbook.xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  downloadBlob(blob, `match-results-${fileNamePart(donor.name)}-${dateStamp(options.generatedAt)}.xlsx`);
+};
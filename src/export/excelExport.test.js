@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { rankRecipients } from '../engine/matching';
+import { buildResultsWorkbook } from './excelExport';
+
+const donor = { name: 'D-7', gender: 'male', age: '35', height: '180', weight: '85', bloodType: 'O+' };
+const recipients = [
+  { id: 'H-1', name: 'Alpha', gender: 'male', age: 50, height: 178, weight: 80, bloodType: 'O-', status: 1, dateadded: new Date('2024-01-01') },
+  { id: 'H-2', name: 'Beta', gender: 'male', age: 45, height: 190, weight: 130, bloodType: 'A+', status: 4, dateadded: new Date('2023-05-01') }
+];
+
+describe('buildResultsWorkbook', () => {
+  const results = rankRecipients(donor, recipients);
+  const workbook = buildResultsWorkbook(donor, results, {
+    generatedAt: new Date('2025-02-03T10:00:00'),
+    sortingCriteria: ['First', 'Second']
+  });
+
+  it('writes one row per ranked result with every computed column', () => {
+    const sheet = workbook.getWorksheet('Match Results');
+    expect(sheet.rowCount).toBe(3);
+    expect(sheet.getRow(1).getCell('phmRatio').value).toBe('PHM Ratio');
+    const row = sheet.getRow(2);
+    expect(row.getCell('id').value).toBe('H-1');
+    expect(row.getCell('phmRatio').value).toBeCloseTo(results[0].phmRatio, 6);
+    expect(row.getCell('rhesusWarning').value).toBe('Yes');
+  });
+
+  it('colours the risk level and status cells', () => {
+    const sheet = workbook.getWorksheet('Match Results');
+    const highRisk = sheet.getRow(3);
+    expect(highRisk.getCell('riskLevel').value).toBe('High Risk');
+    expect(highRisk.getCell('riskLevel').fill.fgColor.argb).toBe('FFFECACA');
+    expect(sheet.getRow(2).getCell('status').font.color.argb).toBe('FFDC2626');
+  });
+
+  it('adds the chosen size-metric ratios after the PHM ratio', () => {
+    const sheet = buildResultsWorkbook(donor, results, { ratioColumns: ['weight', 'bsaMosteller'] }).getWorksheet('Match Results');
+    const headers = sheet.getRow(1).values.filter(Boolean);
+    expect(headers.slice(headers.indexOf('PHM Ratio'), headers.indexOf('PHM Ratio') + 3))
+      .toEqual(['PHM Ratio', 'Weight Ratio', 'BSA (Mosteller) Ratio']);
+    expect(sheet.getRow(2).getCell('weightRatio').value).toBeCloseTo(85 / 80, 6);
+  });
+
+  it('leaves out the columns hidden in the results table', () => {
+    const sheet = buildResultsWorkbook(donor, results, { hiddenColumns: ['gender', 'transport', 'riskLevel'] }).getWorksheet('Match Results');
+    const headers = sheet.getRow(1).values.filter(Boolean);
+    expect(headers).not.toContain('Gender');
+    expect(headers).not.toContain('Distance (km)');
+    expect(headers).not.toContain('Risk Level');
+    expect(headers).toContain('PHM Ratio');
+    expect(sheet.getRow(2).getCell('status').font.color.argb).toBe('FFDC2626');
+  });
+
+  it('adds the donor details and sorting criteria sheet', () => {
+    const sheet = workbook.getWorksheet('Donor & Criteria');
+    expect(sheet.getCell('B1').value).toBe('D-7');
+    const values = sheet.getColumn(2).values;
+    expect(values).toContain('First');
+    expect(values).toContain('Second');
+    expect(values).toContain('Heights in cm, weights in kg');
+  });
+
+  it('formats the donor PHM and generation time', () => {
+    const sheet = workbook.getWorksheet('Donor & Criteria');
+    const row = (label) => sheet.getColumn(1).values.indexOf(label);
+    expect(sheet.getCell(`B${row('Donor PHM (g)')}`).numFmt).toBe('0.00');
+    expect(sheet.getCell(`B${row('Generated')}`).numFmt).toBe('yyyy-mm-dd hh:mm');
+  });
+
+  it('keeps the allocation rank and notes a filtered view', () => {
+    const filtered = buildResultsWorkbook(donor, [results[1]], { viewNote: '1 of 2 ranked recipients shown (status ≤ 4)' });
+    expect(filtered.getWorksheet('Match Results').getRow(2).getCell('rank').value).toBe(2);
+    const values = filtered.getWorksheet('Donor & Criteria').getColumn(1).values;
+    expect(values).toContain('Recipients shown');
+    expect(values).toContain('Filtered view');
+  });
+
+  it('lists the recipients excluded from the ranking', () => {
+    const note = '1 recipient(s) excluded and not ranked. ABO incompatible: Gamma (B+).';
+    const sheet = buildResultsWorkbook(donor, results, { exclusionNote: note }).getWorksheet('Donor & Criteria');
+    const row = sheet.getColumn(1).values.indexOf('Excluded');
+    expect(sheet.getCell(`B${row}`).value).toBe(note);
+  });
+
+  it('notes the units a converted donor was entered in', () => {
+    const converted = { ...donor, entered: { height: '70.87 in', weight: '187.39 lb' } };
+    const sheet = buildResultsWorkbook(converted, results).getWorksheet('Donor & Criteria');
+    expect(sheet.getColumn(2).values).toContain('Heights in cm, weights in kg; donor entered as 70.87 in, 187.39 lb');
+  });
+});
@@ -0,0 +1,148 @@
+// matrixExport.js - Batch donor × recipient matrix as an .xlsx workbook (ExcelJS)
+import ExcelJS from 'exceljs';
+import { sizeMetrics } from '../engine/sizeMetrics';
+import { summarizeDonors } from '../engine/donorMatrix';
+import { isPaediatricResult } from '../engine/paediatricModels';
+import { crossmatchLabel, describeHlaTyping } from '../engine/hla';
+import { riskStyle, aboColors, crossmatchColors, ratioHeatColor, incompatibleColor, toARGB } from './reportStyles';
+import { downloadBlob, dateStamp } from './download';
+import { describeExclusion } from '../results/exclusions';
+
+const headerFill = { type: 'pattern', pattern: 'solid', fgColor: { argb: toARGB('#4285F4') } };
+const solidFill = (hex) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb: toARGB(hex) } });
+
+const recipientColumns = [
+  { header: 'ID', width: 14 },
+  { header: 'Name', width: 24 },
+  { header: 'Blood Type', width: 11 }
+];
+
+const styleHeaderRow = (row) => {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.eachCell(cell => { cell.fill = headerFill; });
+};
+
+// One matrix sheet: recipient columns, one column per donor, then the best donor
+const addMatrixSheet = (workbook, name, matrix, cellValue, styleCell) => {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', xSplit: recipientColumns.length, ySplit: 1 }] });
+  sheet.columns = [
+    ...recipientColumns.map(column => ({ width: column.width })),
+    ...matrix.donors.map(() => ({ width: 14 })),
+    { width: 18 }
+  ];
+
+  styleHeaderRow(sheet.addRow([
+    ...recipientColumns.map(column => column.header),
+    ...matrix.donors.map(donor => donor.name),
+    'Best Donor'
+  ]));
+
+  matrix.rows.forEach(row => {
+    const added = sheet.addRow([
+      row.recipient.id,
+      isPaediatricResult(row.cells[0]) ? `${row.recipient.name} (paed.)` : row.recipient.name,
+      row.recipient.bloodType || 'Unknown',
+      ...row.cells.map(cellValue),
+      row.bestDonor >= 0 ? matrix.donors[row.bestDonor].name : ''
+    ]);
+    row.cells.forEach((match, index) => {
+      const cell = added.getCell(recipientColumns.length + index + 1);
+      styleCell(cell, match);
+      if (index === row.bestDonor) cell.font = { ...cell.font, bold: true };
+    });
+  });
+  return sheet;
+};
+
+const addDonorsSheet = (workbook, matrix, generatedAt) => {
+  const sheet = workbook.addWorksheet('Donors');
+  sheet.columns = [
+    { header: 'Donor', key: 'name', width: 20 },
+    { header: 'Gender', key: 'gender', width: 9 },
+    { header: 'Age (years)', key: 'age', width: 11 },
+    { header: 'Height (cm)', key: 'height', width: 11 },
+    { header: 'Weight (kg)', key: 'weight', width: 11 },
+    { header: 'Blood Type', key: 'bloodType', width: 11 },
+    { header: 'Hospital', key: 'hospital', width: 16 },
+    { header: 'HLA typing', key: 'hla', width: 30 },
+    { header: 'ABO-compatible recipients', key: 'compatible', width: 25 },
+    { header: 'Compatible, not excluded, lowest risk tier', key: 'lowestRisk', width: 38 },
+    { header: 'Best donor for', key: 'bestFor', width: 14 }
+  ];
+  styleHeaderRow(sheet.getRow(1));
+
+  summarizeDonors(matrix).forEach(({ donor, compatible, lowestRisk, bestFor }) => {
+    sheet.addRow({
+      name: donor.name,
+      gender: donor.gender,
+      age: parseFloat(donor.age),
+      height: parseFloat(donor.height),
+      weight: parseFloat(donor.weight),
+      bloodType: donor.bloodType,
+      hospital: donor.hospital || '',
+      hla: describeHlaTyping(donor) || 'Not typed',
+      compatible,
+      lowestRisk,
+      bestFor
+    });
+  });
+
+  sheet.addRow([]);
+  sheet.addRow(['Generated', generatedAt]).getCell(2).numFmt = 'yyyy-mm-dd hh:mm';
+  sheet.addRow(['Ratio', `Donor-to-recipient ${sizeMetrics[matrix.riskMetric].label} ratio; the paediatric model's ratio for (paed.) patients`]);
+  sheet.addRow(['Excluded', 'Pairs the allocation policy or an exclude rule leaves out of the ranking; never the best donor']);
+  sheet.addRow(['Best donor', 'ABO-compatible first, then no positive virtual crossmatch, the lowest-risk tier and the ratio closest to 1.0 (bold)']);
+};
+
+// Sheets: ratio heat-map, risk tiers, ABO compatibility, crossmatch, exclusions and the donor summary
+export const buildMatrixWorkbook = (matrix, options = {}) => {
+  const { generatedAt = new Date() } = options;
+  const { riskMetric } = matrix;
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Heart Transplant Matcher';
+  workbook.created = generatedAt;
+
+  addMatrixSheet(workbook, `${sizeMetrics[riskMetric].label} Ratio`, matrix,
+    match => match.sizeMetrics[match.riskMetric].ratio,
+    (cell, match) => {
+      cell.numFmt = '0.000';
+      cell.fill = solidFill(ratioHeatColor(match.sizeMetrics[match.riskMetric].ratio));
+      if (!match.aboMatch || match.excluded) cell.font = { italic: true, color: { argb: toARGB(incompatibleColor) } };
+    });
+
+  addMatrixSheet(workbook, 'Risk Level', matrix,
+    match => match.riskLevel,
+    (cell, match) => {
+      const risk = riskStyle(match);
+      if (!risk) return;
+      cell.fill = solidFill(risk.background);
+      cell.font = { color: { argb: toARGB(risk.text) } };
+    });
+
+  addMatrixSheet(workbook, 'ABO Compatible', matrix,
+    match => (match.aboMatch ? 'Yes' : 'No'),
+    (cell, match) => {
+      cell.font = { bold: true, color: { argb: toARGB(match.aboMatch ? aboColors.match : aboColors.mismatch) } };
+    });
+
+  addMatrixSheet(workbook, 'Virtual Crossmatch', matrix,
+    match => crossmatchLabel(match),
+    (cell, match) => {
+      cell.font = { color: { argb: toARGB(crossmatchColors[match.virtualCrossmatch.status]) } };
+    });
+
+  addMatrixSheet(workbook, 'Excluded', matrix,
+    match => (match.excluded ? describeExclusion(match) : ''),
+    (cell, match) => {
+      if (match.excluded) cell.font = { color: { argb: toARGB(incompatibleColor) } };
+    });
+
+  addDonorsSheet(workbook, matrix, generatedAt);
+  return workbook;
+};
+
+export const downloadMatrixWorkbook = async (matrix, options = {}) => {
+  const buffer = await buildMatrixWorkbook(matrix, options).xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  downloadBlob(blob, `donor-matrix-${dateStamp(options.generatedAt)}.xlsx`);
+};
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { buildDonorMatrix } from '../engine/donorMatrix';
+import { buildMatrixWorkbook } from './matrixExport';
+
+const donors = [
+  { name: 'D-1', gender: 'male', age: '40', height: '175', weight: '80', bloodType: 'A+' },
+  { name: 'D-2', gender: 'male', age: '35', height: '190', weight: '100', bloodType: 'O-' }
+];
+const recipients = [
+  { id: 'H-1', name: 'Alpha', gender: 'male', age: 40, height: 175, weight: 80, bloodType: 'A+', status: 2, dateadded: new Date('2024-01-01') },
+  { id: 'H-2', name: 'Beta', gender: 'male', age: 45, height: 185, weight: 95, bloodType: 'O+', status: 4, dateadded: new Date('2023-05-01') }
+];
+
+describe('buildMatrixWorkbook', () => {
+  const matrix = buildDonorMatrix(donors, recipients);
+  const workbook = buildMatrixWorkbook(matrix, { generatedAt: new Date('2025-02-03T10:00:00') });
+
+  it('writes ratio, risk, ABO, crossmatch and exclusion matrices plus the donor summary', () => {
+    expect(workbook.worksheets.map(sheet => sheet.name))
+      .toEqual(['PHM Ratio', 'Risk Level', 'ABO Compatible', 'Virtual Crossmatch', 'Excluded', 'Donors']);
+  });
+
+  it('gives the reason for each excluded pair', () => {
+    const policy = { name: 'ABO', mode: 'sequential', criteria: [{ key: 'status', enabled: true, weight: 1 }], exclusions: ['aboIncompatible'] };
+    const excluded = buildMatrixWorkbook(buildDonorMatrix(donors, recipients, { policy })).getWorksheet('Excluded');
+    expect(excluded.getRow(2).getCell(4).value).toBe('');
+    expect(excluded.getRow(3).getCell(4).value).toBe('Excluded: ABO incompatible (O+)');
+  });
+
+  it('puts one column per donor and the best donor last', () => {
+    const sheet = workbook.getWorksheet('PHM Ratio');
+    expect(sheet.getRow(1).values.filter(Boolean)).toEqual(['ID', 'Name', 'Blood Type', 'D-1', 'D-2', 'Best Donor']);
+    expect(sheet.getRow(2).getCell(4).value).toBeCloseTo(1, 6);
+    expect(sheet.getRow(2).getCell(4).fill.fgColor.argb).toBe('FFBBF7D0');
+    expect(sheet.getRow(2).getCell(6).value).toBe('D-1');
+    expect(sheet.getRow(3).getCell(6).value).toBe('D-2');
+    expect(workbook.getWorksheet('ABO Compatible').getRow(3).getCell(4).value).toBe('No');
+  });
+});
@@ -0,0 +1,416 @@
+// pdfReport.js - Downloadable PDF match report built client-side with jsPDF
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+import { defaultSortingCriteria } from '../engine/matching';
+import { defaultPolicy } from '../engine/allocationPolicy';
+import { sizeMetrics, defaultRiskMetric, riskLegend, categoryLegend } from '../engine/sizeMetrics';
+import { flagSummary, clinicalFlagLegend } from '../engine/clinicalRules';
+import { runRiskMetric, isPaediatricResult, sizeModelLabel } from '../engine/paediatricModels';
+import { crossmatchStatuses, describeHlaTyping, isCrossmatchPositive } from '../engine/hla';
+import { hasDistance, isBeyondIschaemicLimit } from '../engine/geography';
+import { riskStyle, statusColor, aboColors, rhesusWarningColor, crossmatchColors, ratioHeatColor, incompatibleColor, chartColors } from './reportStyles';
+import {
+  scatterData,
+  categoryHistogram,
+  linearScale,
+  categoryCode,
+  statusDomain,
+  statusJitter,
+  countTicks
+} from '../results/matchDistribution';
+import { ratioColumnKey } from '../results/resultsView';
+import { describeMeasurement } from '../engine/units';
+import { downloadBlob, fileNamePart, dateStamp } from './download';
+
+const MARGIN = 12;
+const HEADER_HEIGHT = 16;
+const FOOTER_HEIGHT = 12;
+const REFERENCE = 'Based on: Kransdorf et al. "Predicted heart mass is the optimal metric for size match in heart transplantation" (2019)';
+
+// Short virtual crossmatch text for the narrow PDF column; '-' for runs saved before crossmatching
+const crossmatchCell = ({ virtualCrossmatch }) => {
+  if (!virtualCrossmatch) return '-';
+  if (virtualCrossmatch.status === crossmatchStatuses.positive) return `POS ${virtualCrossmatch.conflicts.join(' ')}`;
+  return virtualCrossmatch.status === crossmatchStatuses.incomplete ? 'Incompl.' : 'Neg';
+};
+
+// key is the results table column (resultsView.js) each one follows when columns are hidden
+const resultColumns = [
+  { header: 'Rank', key: 'rank', value: (result, index) => result.rank ?? index + 1 },
+  { header: 'ID', key: 'id', value: result => result.id },
+  { header: 'Name', key: 'name', value: result => result.name },
+  { header: 'Age', key: 'age', value: result => result.age },
+  { header: 'Ht (cm)', key: 'height', value: result => result.height },
+  { header: 'Wt (kg)', key: 'weight', value: result => result.weight },
+  { header: 'Date Added', key: 'dateAdded', value: result => result.dateAdded.toLocaleDateString() },
+  { header: 'Status', key: 'status', value: result => result.status },
+  { header: 'Blood Type', key: 'bloodType', value: result => result.bloodType || 'Unknown' },
+  { header: 'ABO Match', key: 'aboMatch', value: result => (result.aboMatch ? 'Yes' : 'No') },
+  { header: 'Rh Warn', key: 'rhesusWarning', value: result => (result.rhesusWarning ? 'Rh!' : '-') },
+  { header: 'Virtual XM', key: 'virtualCrossmatch', value: crossmatchCell },
+  { header: 'Flags', key: 'clinicalFlags', value: result => flagSummary(result) || '-' },
+  { header: 'Dist./Isch.', key: 'transport', value: result => (hasDistance(result) ? `${result.transport.distanceKm} km ${result.transport.ischaemicHours} h` : result.transport ? '?' : '-') },
+  { header: 'PHM Ratio', key: 'phmRatio', value: result => (isPaediatricResult(result) || result.phmRatio === null ? '-' : result.phmRatio.toFixed(2)) },
+  { header: 'Model', key: 'sizeModel', value: result => sizeModelLabel(result) },
+  { header: 'Match Category', key: 'matchCategory', value: result => result.matchCategory || '-' },
+  { header: 'Risk Level', key: 'riskLevel', value: result => result.riskLevel }
+];
+
+// Result columns with the chosen extra size-metric ratios after the PHM ratio, minus those hidden in the results table
+const columnsFor = (ratioColumns, hiddenColumns = []) => {
+  const phmIndex = resultColumns.findIndex(column => column.header === 'PHM Ratio') + 1;
+  const extra = ratioColumns.map(key => ({
+    header: `${sizeMetrics[key].label} Ratio`,
+    key: ratioColumnKey(key),
+    value: result => result.sizeMetrics?.[key]?.ratio?.toFixed(2) ?? '-'
+  }));
+  return [...resultColumns.slice(0, phmIndex), ...extra, ...resultColumns.slice(phmIndex)]
+    .filter(column => !hiddenColumns.includes(column.key));
+};
+
+// Page header and footer, drawn on every page once the page count is known
+const drawPageFrame = (doc, title, generatedAt) => {
+  const pageCount = doc.getNumberOfPages();
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+
+    doc.setFontSize(9);
+    doc.setTextColor('#374151');
+    doc.text(title, MARGIN, MARGIN);
+    doc.text(`Generated: ${generatedAt.toLocaleString()}`, width - MARGIN, MARGIN, { align: 'right' });
+    doc.setDrawColor('#d1d5db');
+    doc.line(MARGIN, MARGIN + 2, width - MARGIN, MARGIN + 2);
+
+    doc.line(MARGIN, height - FOOTER_HEIGHT, width - MARGIN, height - FOOTER_HEIGHT);
+    doc.setFontSize(7);
+    doc.text(REFERENCE, MARGIN, height - FOOTER_HEIGHT + 5);
+    doc.setFontSize(9);
+    doc.text(`Page ${page} of ${pageCount}`, width - MARGIN, height - FOOTER_HEIGHT + 5, { align: 'right' });
+  }
+};
+
+// The standard PDF fonts have no ≥ or ≤ (paediatric category labels, filter notes), so spell them out
+const pdfText = (text) => String(text).replace(/≥/g, '>=').replace(/≤/g, '<=');
+
+// Write lines of text, starting a new page when the next line would run into the footer
+const writeLines = (doc, lines, startY, { fontSize = 10, bold = false } = {}) => {
+  const height = doc.internal.pageSize.getHeight();
+  const lineHeight = fontSize * 0.5;
+  let y = startY;
+
+  doc.setFont('helvetica', bold ? 'bold' : 'normal');
+  doc.setFontSize(fontSize);
+  doc.setTextColor('#111827');
+  lines.forEach(line => {
+    if (y + lineHeight > height - FOOTER_HEIGHT - 4) {
+      doc.addPage();
+      y = MARGIN + HEADER_HEIGHT;
+    }
+    doc.text(pdfText(line), MARGIN, y);
+    y += lineHeight;
+  });
+  doc.setFont('helvetica', 'normal');
+  return y;
+};
+
+// Chart frame in mm: plotting area inside a box at (left, top) of the given size
+const chartArea = (left, top, width, height) => ({ left: left + 12, right: left + width - 2, top: top + 8, bottom: top + height - 12 });
+
+const drawRatioScatter = (doc, results, thresholds, area) => {
+  const { points, bands, domain, ticks, omitted } = scatterData(results, thresholds);
+  const x = linearScale(domain, [area.left, area.right]);
+  const y = linearScale([statusDomain[0] - 0.5, statusDomain[1] + 0.5], [area.top, area.bottom]);
+  const { wellMatched, highRiskBelow } = bands;
+
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor('#111827');
+  doc.text('PHM ratio against status', area.left, area.top - 3);
+  doc.setFont('helvetica', 'normal');
+
+  const bandFrom = x(wellMatched.from ?? domain[0]);
+  doc.setFillColor(chartColors.wellMatchedBand);
+  doc.rect(bandFrom, area.top, x(wellMatched.to ?? domain[1]) - bandFrom, area.bottom - area.top, 'F');
+
+  doc.setFontSize(7);
+  doc.setTextColor(chartColors.axis);
+  doc.setLineWidth(0.1);
+  ticks.forEach(tick => {
+    doc.setDrawColor(chartColors.grid);
+    doc.line(x(tick), area.top, x(tick), area.bottom);
+    doc.text(tick.toFixed(1), x(tick), area.bottom + 4, { align: 'center' });
+  });
+  for (let status = statusDomain[0]; status <= statusDomain[1]; status++) {
+    doc.text(String(status), area.left - 2, y(status) + 1, { align: 'right' });
+  }
+  doc.text('Donor/recipient PHM ratio', (area.left + area.right) / 2, area.bottom + 9, { align: 'center' });
+  doc.text('Status', area.left - 8, (area.top + area.bottom) / 2, { angle: 90 });
+
+  if (highRiskBelow !== null) {
+    doc.setDrawColor(chartColors.highRiskLine);
+    doc.setLineWidth(0.4);
+    doc.setLineDashPattern([1.5, 1], 0);
+    doc.line(x(highRiskBelow), area.top, x(highRiskBelow), area.bottom);
+    doc.setLineDashPattern([], 0);
+    doc.setTextColor(chartColors.highRiskLine);
+    doc.text(`High Risk < ${highRiskBelow}`, x(highRiskBelow) - 1, area.top + 3, { align: 'right' });
+  }
+  doc.setDrawColor(chartColors.axis);
+  doc.setLineWidth(0.2);
+  doc.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+
+  points.forEach(point => {
+    doc.setFillColor(point.aboMatch ? aboColors.match : aboColors.mismatch);
+    doc.circle(x(point.ratio), y(point.status + statusJitter(point.rank)), 0.9, 'F');
+  });
+
+  doc.setTextColor('#374151');
+  const range = wellMatched.from !== null && wellMatched.to !== null ? ` (${wellMatched.from}-${wellMatched.to})` : '';
+  doc.text(`Shaded: ${wellMatched.label}${range}. Green: ABO compatible; red: ABO incompatible.`, area.left, area.bottom + 14);
+  if (omitted > 0) {
+    doc.text(`${omitted} recipient(s) not plotted: no adult PHM ratio (paediatric model or age 0).`, area.left, area.bottom + 18);
+  }
+};
+
+const drawCategoryHistogram = (doc, results, thresholds, area) => {
+  const bars = categoryHistogram(results, thresholds);
+  const ticks = countTicks(Math.max(...bars.map(bar => bar.total)));
+  const y = linearScale([0, ticks[ticks.length - 1]], [area.bottom, area.top]);
+  const slot = (area.right - area.left) / bars.length;
+  const barWidth = slot * 0.7;
+
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor('#111827');
+  doc.text('Recipients per PHM septile', area.left, area.top - 3);
+  doc.setFont('helvetica', 'normal');
+
+  doc.setFontSize(7);
+  doc.setLineWidth(0.1);
+  ticks.forEach(tick => {
+    doc.setDrawColor(chartColors.grid);
+    doc.line(area.left, y(tick), area.right, y(tick));
+    doc.setTextColor(chartColors.axis);
+    doc.text(String(tick), area.left - 2, y(tick) + 1, { align: 'right' });
+  });
+  bars.forEach((bar, index) => {
+    const left = area.left + index * slot + (slot - barWidth) / 2;
+    if (bar.compatible) {
+      doc.setFillColor(aboColors.match);
+      doc.rect(left, y(bar.compatible), barWidth, area.bottom - y(bar.compatible), 'F');
+    }
+    if (bar.incompatible) {
+      doc.setFillColor(aboColors.mismatch);
+      doc.rect(left, y(bar.total), barWidth, y(bar.compatible) - y(bar.total), 'F');
+    }
+    doc.setTextColor('#111827');
+    if (bar.total) doc.text(String(bar.total), left + barWidth / 2, y(bar.total) - 1, { align: 'center' });
+    doc.setTextColor(chartColors.axis);
+    doc.text(categoryCode(bar.label), left + barWidth / 2, area.bottom + 4, { align: 'center' });
+  });
+  doc.setDrawColor(chartColors.axis);
+  doc.setLineWidth(0.2);
+  doc.line(area.left, area.bottom, area.right, area.bottom);
+  doc.text('PHM septile', (area.left + area.right) / 2, area.bottom + 9, { align: 'center' });
+  doc.text('Recipients', area.left - 8, (area.top + area.bottom) / 2, { angle: 90 });
+};
+
+// Match distribution page: the same two charts as the app, side by side
+const drawMatchCharts = (doc, results, thresholds) => {
+  doc.addPage();
+  const width = doc.internal.pageSize.getWidth() - 2 * MARGIN;
+  const top = MARGIN + HEADER_HEIGHT;
+  writeLines(doc, ['Match Distribution'], top, { fontSize: 13, bold: true });
+  const chartWidth = (width - 10) / 2;
+  drawRatioScatter(doc, results, thresholds, chartArea(MARGIN, top + 6, chartWidth, 110));
+  drawCategoryHistogram(doc, results, thresholds, chartArea(MARGIN + chartWidth + 10, top + 6, chartWidth, 110));
+  doc.setTextColor('#111827');
+};
+
+// Build the report document: donor summary, ranked results table, legends, match distribution charts.
+// options.thresholds are the category and risk-tier bands of the run, which the charts mark (the published ones by default).
+export const buildResultsPDF = (donor, matchResults, options = {}) => {
+  const {
+    generatedAt = new Date(),
+    policyName = defaultPolicy.name,
+    sortingCriteria = defaultSortingCriteria,
+    ratioColumns = [],
+    transportNote,
+    viewNote,
+    exclusionNote,
+    thresholds,
+    hiddenColumns = []
+  } = options;
+  const riskMetric = runRiskMetric(matchResults) || defaultRiskMetric;
+  // Legends default to the published thresholds; pass the lines the run was made with
+  const { riskLegendLines = riskLegend(riskMetric), categoryLegendLines = categoryLegend(riskMetric) } = options;
+  const columns = columnsFor(ratioColumns, hiddenColumns);
+  const columnIndex = (header) => columns.findIndex(column => column.header === header);
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+
+  let y = MARGIN + HEADER_HEIGHT;
+  y = writeLines(doc, ['Heart Transplant Match Report'], y, { fontSize: 16, bold: true }) + 2;
+  y = writeLines(doc, [
+    `Donor: ${donor.name}`,
+    `Details: ${donor.gender}, Age: ${donor.age}, Blood Type: ${donor.bloodType}`,
+    `Physical: Height: ${describeMeasurement(donor, 'height')}, Weight: ${describeMeasurement(donor, 'weight')}`,
+    `HLA typing: ${describeHlaTyping(donor) || 'not typed'}`,
+    ...(donor.hospitalName || donor.hospital ? [`Donor hospital: ${donor.hospitalName || donor.hospital}`] : []),
+    `Donor PHM: ${matchResults[0].donorPHM === null ? 'not available (age 0)' : `${matchResults[0].donorPHM.toFixed(2)}g`}`
+  ], y);
+  const textWidth = doc.internal.pageSize.getWidth() - 2 * MARGIN;
+  // A filtered or re-sorted view says so above the table, so it is not read as the full ranking
+  if (viewNote) {
+    y = writeLines(doc, doc.splitTextToSize(pdfText(`Filtered view: ${viewNote}`), textWidth), y + 1, { bold: true });
+  }
+  // Recipients left out of the ranking, with the reasons, so the report accounts for the whole list
+  if (exclusionNote) {
+    y = writeLines(doc, doc.splitTextToSize(pdfText(exclusionNote), textWidth), y + 1);
+  }
+
+  const statusColumn = columnIndex('Status');
+  const aboColumn = columnIndex('ABO Match');
+  const rhesusColumn = columnIndex('Rh Warn');
+  const crossmatchColumn = columnIndex('Virtual XM');
+  const flagsColumn = columnIndex('Flags');
+  const distanceColumn = columnIndex('Dist./Isch.');
+  const riskColumn = columnIndex('Risk Level');
+
+  autoTable(doc, {
+    startY: y + 2,
+    margin: { top: MARGIN + HEADER_HEIGHT, bottom: FOOTER_HEIGHT + 4, left: MARGIN, right: MARGIN },
+    head: [columns.map(column => column.header)],
+    body: matchResults.map((result, index) => columns.map(column => pdfText(column.value(result, index) ?? ''))),
+    // Repeat the table header on every page
+    showHead: 'everyPage',
+    styles: { fontSize: 8, cellPadding: 1.5 },
+    headStyles: { fillColor: '#4285F4', textColor: '#ffffff', fontSize: 8 },
+    didParseCell: ({ section, column, row, cell }) => {
+      if (section !== 'body') return;
+      const result = matchResults[row.index];
+
+      if (column.index === statusColumn) {
+        cell.styles.textColor = statusColor(result.status);
+        cell.styles.fontStyle = 'bold';
+      } else if (column.index === aboColumn) {
+        cell.styles.textColor = result.aboMatch ? aboColors.match : aboColors.mismatch;
+        cell.styles.fontStyle = 'bold';
+      } else if (column.index === rhesusColumn && result.rhesusWarning) {
+        cell.styles.textColor = rhesusWarningColor;
+        cell.styles.fontStyle = 'bold';
+      } else if (column.index === crossmatchColumn && result.virtualCrossmatch) {
+        cell.styles.textColor = crossmatchColors[result.virtualCrossmatch.status];
+        cell.styles.fontStyle = 'bold';
+      } else if (column.index === distanceColumn && isBeyondIschaemicLimit(result)) {
+        cell.styles.textColor = rhesusWarningColor;
+        cell.styles.fontStyle = 'bold';
+      } else if (column.index === flagsColumn && result.clinicalFlags?.length) {
+        cell.styles.textColor = rhesusWarningColor;
+        cell.styles.fontStyle = 'bold';
+      } else if (column.index === riskColumn && riskStyle(result)) {
+        cell.styles.fillColor = riskStyle(result).background;
+        cell.styles.textColor = riskStyle(result).text;
+        cell.styles.fontStyle = 'bold';
+      }
+    }
+  });
+
+  y = doc.lastAutoTable.finalY + 8;
+  y = writeLines(doc, [`Sorting Criteria (in order of priority) - policy: ${policyName}`], y, { fontSize: 11, bold: true });
+  y = writeLines(doc, sortingCriteria.map((criterion, index) => `${index + 1}. ${criterion}`), y) + 3;
+  y = writeLines(doc, ['Risk Tiers:'], y, { fontSize: 11, bold: true });
+  y = writeLines(doc, riskLegendLines, y) + 3;
+  y = writeLines(doc, [`Match Categories (${sizeMetrics[riskMetric].label} ratio):`], y, { fontSize: 11, bold: true });
+  y = writeLines(doc, categoryLegendLines, y) + 3;
+  y = writeLines(doc, ['Status Levels:'], y, { fontSize: 11, bold: true });
+  y = writeLines(doc, ['1-2: Critical priority  |  3-4: High priority  |  5-7: Standard priority'], y) + 3;
+  const flagLines = clinicalFlagLegend(matchResults);
+  if (flagLines.length) {
+    y = writeLines(doc, ['Clinical Flags:'], y, { fontSize: 11, bold: true });
+    y = writeLines(doc, flagLines, y) + 3;
+  }
+  writeLines(doc, [
+    'Note: "Rh!" indicates Rhesus incompatibility (Rh- recipient with Rh+ donor)',
+    'Virtual XM: POS = the donor carries the unacceptable antigens shown; Neg = no conflict;',
+    'Incompl. = no conflict found, but the donor was not typed at a locus the recipient lists unacceptable antigens for',
+    ...(transportNote
+      ? ['Dist./Isch.: distance and estimated ischaemic time; orange when beyond the maximum, ? when the centre is not in the table', transportNote]
+      : [])
+  ], y);
+  drawMatchCharts(doc, matchResults, thresholds);
+
+  drawPageFrame(doc, `Heart Transplant Match Report  |  Donor: ${donor.name}`, generatedAt);
+  return doc;
+};
+
+export const downloadResultsPDF = (donor, matchResults, options = {}) => {
+  const doc = buildResultsPDF(donor, matchResults, options);
+  downloadBlob(doc.output('blob'), `match-report-${fileNamePart(donor.name)}-${dateStamp(options.generatedAt)}.pdf`);
+};
+
+// Batch matching report: one column per donor, one row per recipient, heat-coloured by size ratio
+export const buildMatrixPDF = (matrix, options = {}) => {
+  const { generatedAt = new Date() } = options;
+  const { donors, rows, riskMetric } = matrix;
+  const { label } = sizeMetrics[riskMetric];
+  const { riskLegendLines = riskLegend(riskMetric) } = options;
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+
+  let y = MARGIN + HEADER_HEIGHT;
+  y = writeLines(doc, ['Donor-Recipient Matrix'], y, { fontSize: 16, bold: true }) + 2;
+  y = writeLines(doc, donors.map((donor, index) =>
+    `${index + 1}. ${donor.name}: ${donor.gender}, Age ${donor.age}, ${donor.height}cm, ${donor.weight}kg, ${donor.bloodType}` +
+    (rows[0]?.cells[index].donorPHM ? `, PHM ${rows[0].cells[index].donorPHM.toFixed(2)}g` : '') +
+    (donor.hospital ? `, ${donor.hospital}` : '') +
+    (describeHlaTyping(donor) ? `, HLA ${describeHlaTyping(donor)}` : '')), y);
+
+  const firstDonorColumn = 3;
+  autoTable(doc, {
+    startY: y + 2,
+    margin: { top: MARGIN + HEADER_HEIGHT, bottom: FOOTER_HEIGHT + 4, left: MARGIN, right: MARGIN },
+    head: [['ID', 'Name', 'Blood Type', ...donors.map(donor => donor.name), 'Best Donor']],
+    body: rows.map(row => [
+      row.recipient.id,
+      isPaediatricResult(row.cells[0]) ? `${row.recipient.name} (paed.)` : row.recipient.name,
+      row.recipient.bloodType || 'Unknown',
+      ...row.cells.map(cell => pdfText(`${cell.sizeMetrics[cell.riskMetric].ratio?.toFixed(2) ?? '-'} ${cell.riskLevel}${cell.aboMatch ? '' : ' (ABO x)'}` +
+        (isCrossmatchPositive(cell) ? ' (XM+)' : '') + (cell.excluded ? ' (Excl.)' : ''))),
+      row.bestDonor >= 0 ? donors[row.bestDonor].name : '-'
+    ]),
+    showHead: 'everyPage',
+    styles: { fontSize: 7, cellPadding: 1.2 },
+    headStyles: { fillColor: '#4285F4', textColor: '#ffffff', fontSize: 7 },
+    didParseCell: ({ section, column, row, cell }) => {
+      const donorIndex = column.index - firstDonorColumn;
+      if (section !== 'body' || donorIndex < 0 || donorIndex >= donors.length) return;
+      const { cells, bestDonor } = rows[row.index];
+      const match = cells[donorIndex];
+
+      cell.styles.fillColor = ratioHeatColor(match.sizeMetrics[match.riskMetric].ratio);
+      if (!match.aboMatch || match.excluded) cell.styles.textColor = incompatibleColor;
+      if (donorIndex === bestDonor) cell.styles.fontStyle = 'bold';
+    }
+  });
+
+  y = doc.lastAutoTable.finalY + 8;
+  y = writeLines(doc, ['How to read the matrix:'], y, { fontSize: 11, bold: true });
+  y = writeLines(doc, [
+    `Each cell shows the donor-to-recipient ${label} ratio and risk tier; green is close to 1.0, red is 30% or more away`,
+    'Grey text with "(ABO x)" marks an ABO-incompatible pair; "(XM+)" marks a positive virtual HLA crossmatch',
+    '"(Excl.)" marks a pair the allocation policy or an exclude rule leaves out of the ranking; it is never the best donor',
+    'Best Donor: ABO-compatible first, then no positive crossmatch, the lowest-risk tier and the ratio closest to 1.0 (shown in bold)'
+  ], y) + 3;
+  y = writeLines(doc, ['Risk Tiers:'], y, { fontSize: 11, bold: true });
+  writeLines(doc, riskLegendLines, y);
+
+  drawPageFrame(doc, `Heart Transplant Donor Matrix  |  ${donors.length} donors`, generatedAt);
+  return doc;
+};
+
+export const downloadMatrixPDF = (matrix, options = {}) => {
+  const doc = buildMatrixPDF(matrix, options);
+  downloadBlob(doc.output('blob'), `donor-matrix-${dateStamp(options.generatedAt)}.pdf`);
+};
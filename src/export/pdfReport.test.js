@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { rankRecipients } from '../engine/matching';
+import { buildResultsPDF, buildMatrixPDF } from './pdfReport';
+import { buildDonorMatrix } from '../engine/donorMatrix';
+import { paediatricLegends } from '../engine/paediatricModels';
+
+const donor = { name: 'D-7', gender: 'male', age: '35', height: '180', weight: '85', bloodType: 'O+' };
+const recipients = Array.from({ length: 90 }, (_, i) => ({
+  id: `H-${i}`, name: `Patient ${i}`, gender: i % 2 ? 'male' : 'female', age: 40 + (i % 20),
+  height: 160 + (i % 30), weight: 60 + (i % 40), bloodType: 'O-', status: 1 + (i % 7),
+  dateadded: new Date('2024-01-01')
+}));
+
+describe('buildResultsPDF', () => {
+  const doc = buildResultsPDF(donor, rankRecipients(donor, recipients), {
+    generatedAt: new Date('2025-02-03T10:00:00')
+  });
+  const output = doc.output();
+
+  it('spreads a long waitlist over several pages', () => {
+    expect(doc.getNumberOfPages()).toBeGreaterThan(1);
+  });
+
+  it('puts the donor ID and page numbers on every page', () => {
+    const pages = doc.getNumberOfPages();
+    for (let page = 1; page <= pages; page++) {
+      expect(output).toContain(`Page ${page} of ${pages}`);
+    }
+    expect(output.split('Donor: D-7').length - 1).toBeGreaterThanOrEqual(pages);
+  });
+
+  it('ends with the match distribution charts', () => {
+    expect(output).toContain('(Match Distribution)');
+    expect(output).toContain('(Recipients per PHM septile)');
+  });
+
+  it('repeats the table header across pages', () => {
+    expect(output.split('(Match Category)').length - 1).toBeGreaterThan(1);
+  });
+
+  it('spells out ≥ and ≤, which the PDF fonts cannot draw', () => {
+    const child = { ...recipients[0], id: 'C-1', age: 6, height: 115, weight: 20 };
+    const [result] = rankRecipients(donor, [child]);
+    expect(result.matchCategory).toBe('Severely oversized (DRWR ≥ 3)');
+    const text = buildResultsPDF(donor, [result], {
+      viewNote: '1 of 1 ranked recipients shown (status ≤ 3)',
+      categoryLegendLines: paediatricLegends().categoryLegendLines
+    }).output();
+    expect(text).toContain('Severely oversized \\(DRWR >= 3\\)');
+    expect(text).toContain('\\(status <= 3\\)');
+  });
+
+  it('leaves out the columns hidden in the results table', () => {
+    const hidden = buildResultsPDF(donor, rankRecipients(donor, recipients.slice(0, 3)), {
+      hiddenColumns: ['matchCategory', 'virtualCrossmatch']
+    }).output();
+    expect(hidden).not.toContain('(Match Category)');
+    expect(hidden).not.toContain('(Virtual XM)');
+    expect(hidden).toContain('(Risk Level)');
+  });
+});
+
+describe('buildMatrixPDF', () => {
+  const donors = [donor, { ...donor, name: 'D-8', weight: '60', bloodType: 'A+' }];
+  const doc = buildMatrixPDF(buildDonorMatrix(donors, recipients.slice(0, 5)));
+  const output = doc.output();
+
+  it('has a column per donor and the best donor for each recipient', () => {
+    expect(output).toContain('(D-8)');
+    expect(output).toContain('(Best Donor)');
+    expect(output).toContain('ABO x');
+  });
+
+  it('prints a dash for a recipient without a usable ratio', () => {
+    const infant = { ...recipients[0], id: 'I-1', age: 0, height: 60, weight: 6 };
+    const matrix = buildDonorMatrix(donors, [infant], { paediatric: { ageCutoff: 0 } });
+    expect(matrix.rows[0].bestDonor).toBe(-1);
+    expect(buildMatrixPDF(matrix).output()).toContain('(- Not available');
+  });
+});
@@ -0,0 +1,46 @@
+// reportStyles.js - Colours shared by the results table and exported reports
+
+// Risk level colouring (red for High Risk, green for Acceptable)
+export const riskColors = {
+  'High Risk': { background: '#fecaca', text: '#991b1b' },
+  'Acceptable': { background: '#bbf7d0', text: '#166534' }
+};
+
+// Results carry their risk tier's colours; runs saved before configurable tiers fall back to riskColors
+export const riskStyle = (result) => result.riskColor || riskColors[result.riskLevel];
+
+// Status colour coding: 1-2 critical, 3-4 high, 5-7 standard priority
+export const statusColor = (status) => {
+  if (status <= 2) return '#dc2626';
+  if (status <= 4) return '#ea580c';
+  return '#16a34a';
+};
+
+export const aboColors = { match: '#16a34a', mismatch: '#dc2626' };
+export const rhesusWarningColor = '#ea580c';
+
+// Virtual crossmatch status colours (see engine/hla.js)
+export const crossmatchColors = { positive: '#dc2626', negative: '#16a34a', incomplete: '#ea580c' };
+
+// Heat-map colour for a size ratio: green at 1.0, through yellow, to red at ±30% and beyond
+const heatStops = [[0, [187, 247, 208]], [0.15, [254, 240, 138]], [0.3, [254, 202, 202]]];
+
+export const ratioHeatColor = (ratio) => {
+  if (!Number.isFinite(ratio)) return '#e5e7eb';
+  const deviation = Math.min(Math.abs(ratio - 1), 0.3);
+  const upper = heatStops.findIndex(([at]) => deviation <= at);
+  if (upper === 0) return '#bbf7d0';
+  const [fromAt, from] = heatStops[upper - 1];
+  const [toAt, to] = heatStops[upper];
+  const mix = (deviation - fromAt) / (toAt - fromAt);
+  return `#${from.map((channel, i) => Math.round(channel + (to[i] - channel) * mix).toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Cells for ABO-incompatible pairs are greyed out in the donor matrix
+export const incompatibleColor = '#9ca3af';
+
+// '#fecaca' -> 'FFFECACA' (ExcelJS ARGB)
+export const toARGB = (hex) => `FF${hex.replace('#', '').toUpperCase()}`;
+
+// Match distribution charts: the well-matched band shading, the High Risk line and the axes
+export const chartColors = { wellMatchedBand: '#dcfce7', highRiskLine: '#dc2626', axis: '#6b7280', grid: '#e5e7eb' };
@@ -0,0 +1,45 @@
+// waitlistExport.js - Write the (edited) waitlist back to .xlsx in the importer's column layout
+import ExcelJS from 'exceljs';
+import { downloadBlob, dateStamp } from './download';
+
+const yesNo = (value) => (value === null || value === undefined ? null : value ? 'yes' : 'no');
+
+// Header names the importer recognises without any manual mapping
+export const waitlistColumns = [
+  { header: 'dateAdded', key: 'dateadded', width: 13, style: { numFmt: 'yyyy-mm-dd' } },
+  { header: 'id', key: 'id', width: 14 },
+  { header: 'name', key: 'name', width: 24 },
+  { header: 'gender', key: 'gender', width: 9 },
+  { header: 'age', key: 'age', width: 7 },
+  { header: 'height', key: 'height', width: 9 },
+  { header: 'weight', key: 'weight', width: 9 },
+  { header: 'status', key: 'status', width: 8 },
+  { header: 'bloodType', key: 'bloodType', width: 11 },
+  { header: 'listingState', key: 'listingState', width: 13 },
+  { header: 'pvr', key: 'pvr', width: 7 },
+  { header: 'priorSternotomy', key: 'priorSternotomy', width: 15, value: recipient => yesNo(recipient.priorSternotomy) },
+  { header: 'vad', key: 'vad', width: 8 },
+  { header: 'cpra', key: 'cpra', width: 7 },
+  { header: 'unacceptableAntigens', key: 'unacceptableAntigens', width: 24, value: recipient => (recipient.unacceptableAntigens || []).join(' ') || null },
+  { header: 'centre', key: 'centre', width: 14 }
+];
+
+export const buildWaitlistWorkbook = (recipients) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Heart Transplant Matcher';
+
+  const sheet = workbook.addWorksheet('Waitlist', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = waitlistColumns.map(({ header, key, width, style }) => ({ header, key, width, style }));
+  sheet.getRow(1).font = { bold: true };
+
+  recipients.forEach(recipient => {
+    sheet.addRow(Object.fromEntries(waitlistColumns.map(({ key, value }) => [key, value ? value(recipient) : recipient[key] ?? null])));
+  });
+  return workbook;
+};
+
+export const downloadWaitlistWorkbook = async (recipients) => {
+  const buffer = await buildWaitlistWorkbook(recipients).xlsx.writeBuffer();
+  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  downloadBlob(blob, `waitlist-${dateStamp()}.xlsx`);
+};
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { buildWaitlistWorkbook } from './waitlistExport';
+import { parseRecipientFile } from '../import/parsers';
+import { applyMapping, suggestMapping, missingRequiredFields } from '../import/columnMapping';
+import { validateRecipients } from '../import/validation';
+
+describe('buildWaitlistWorkbook', () => {
+  it('round-trips through the importer without manual mapping', async () => {
+    const recipients = [{
+      id: 'H-1', name: 'Alpha', gender: 'female', age: 41, height: 165, weight: 62, bloodType: 'B-',
+      status: 2, dateadded: new Date('2024-02-01T00:00:00Z'), listingState: 'inactive',
+      pvr: 4.2, priorSternotomy: true, vad: 'LVAD', cpra: 85, unacceptableAntigens: ['A2', 'B44'], centre: 'HAREFIELD'
+    }];
+    const buffer = await buildWaitlistWorkbook(recipients).xlsx.writeBuffer();
+    const [sheet] = await parseRecipientFile({ name: 'waitlist.xlsx', arrayBuffer: async () => buffer });
+
+    const { mapping, units } = suggestMapping(sheet.headers);
+    expect(missingRequiredFields(mapping, sheet.headers)).toEqual([]);
+
+    const { recipients: imported, issues } = validateRecipients(applyMapping(sheet.rows, mapping, units));
+    expect(issues).toEqual([]);
+    expect(imported[0]).toMatchObject({ id: 'H-1', weight: 62, status: 2, bloodType: 'B-', listingState: 'inactive' });
+    expect(imported[0]).toMatchObject({ pvr: 4.2, priorSternotomy: true, vad: 'LVAD', cpra: 85, unacceptableAntigens: ['A2', 'B44'], centre: 'HAREFIELD' });
+  });
+});
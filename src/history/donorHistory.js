@@ -0,0 +1,54 @@
+// donorHistory.js - Saved donor match runs (audit trail) kept in IndexedDB
+import { stores, getAllRecords, putRecord } from '../storage/database';
+import { editableFields, clinicalFields } from '../waitlist/waitlistEdits';
+
+const hex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Every field that can change a match result: size and listing details, clinical modifiers and transplant centre
+const hashedFields = [...editableFields, ...clinicalFields, 'centre', 'listingState'];
+
+// SHA-256 over the fields that affect ranking, so any waitlist change gives a new version
+export const hashRecipients = async (recipients) => {
+  const canonical = recipients.map(recipient => hashedFields.map(field => {
+    const value = recipient[field];
+    return value instanceof Date ? value.toISOString() : value ?? null;
+  }));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(canonical)));
+  return hex(digest);
+};
+
+// Snapshot: { id, createdAt, donor, recipientListHash, recipientCount, results, excluded, policyName, sortingCriteria,
+//   riskLegendLines, categoryLegendLines, thresholds, paediatric }. excluded are the recipients the policy or clinical rules left out;
+//   thresholds and paediatric are the settings the run was made with, so a re-opened run reads its bands as they were.
+export const saveDonorRun = async ({
+  donor, recipients, results, excluded = [], policyName, sortingCriteria, riskLegendLines, categoryLegendLines, transportNote,
+  thresholds, paediatric, createdAt = new Date()
+}) => {
+  const snapshot = {
+    id: `${createdAt.toISOString()}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt,
+    donor: { ...donor },
+    recipientListHash: await hashRecipients(recipients),
+    recipientCount: recipients.length,
+    results,
+    excluded,
+    policyName,
+    sortingCriteria,
+    riskLegendLines,
+    categoryLegendLines,
+    transportNote,
+    thresholds,
+    paediatric
+  };
+  await putRecord(stores.donorHistory, snapshot.id, snapshot);
+  return snapshot;
+};
+
+// The bands a snapshot's detail panel and charts use: its own, or today's for runs saved before thresholds were kept
+export const snapshotThresholds = (snapshot, currentThresholds) => snapshot.thresholds || currentThresholds;
+
+// Newest first
+export const listDonorRuns = async () => {
+  const snapshots = await getAllRecords(stores.donorHistory);
+  return snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
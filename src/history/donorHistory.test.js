@@ -0,0 +1,68 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, afterEach } from 'vitest';
+import { hashRecipients, saveDonorRun, listDonorRuns, snapshotThresholds } from './donorHistory';
+import { clearAllStores } from '../storage/database';
+import { publishedThresholds } from '../engine/riskThresholds';
+
+const recipients = [
+  { id: 'H-1', name: 'Alpha', gender: 'male', age: 50, height: 178, weight: 80, bloodType: 'O+', status: 3, dateadded: new Date('2024-01-01'), listingState: 'active' },
+  { id: 'H-2', name: 'Beta', gender: 'female', age: 44, height: 165, weight: 61, bloodType: 'A-', status: 1, dateadded: new Date('2024-02-01'), listingState: 'active' }
+];
+
+describe('hashRecipients', () => {
+  it('is stable for the same list and ignores change history', async () => {
+    const withHistory = recipients.map(recipient => ({ ...recipient, history: [{ field: 'status' }] }));
+    expect(await hashRecipients(recipients)).toBe(await hashRecipients(withHistory));
+    expect(await hashRecipients(recipients)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('changes when a ranking field changes', async () => {
+    const edited = [{ ...recipients[0], weight: 81 }, recipients[1]];
+    expect(await hashRecipients(edited)).not.toBe(await hashRecipients(recipients));
+  });
+
+  it('changes when a clinical modifier changes', async () => {
+    const base = await hashRecipients(recipients);
+    expect(await hashRecipients([{ ...recipients[0], cpra: 85 }, recipients[1]])).not.toBe(base);
+    expect(await hashRecipients([{ ...recipients[0], unacceptableAntigens: ['A2'] }, recipients[1]])).not.toBe(base);
+  });
+
+  it('changes when the transplant centre changes', async () => {
+    expect(await hashRecipients([{ ...recipients[0], centre: 'LON' }, recipients[1]])).not.toBe(await hashRecipients(recipients));
+  });
+});
+
+describe('saveDonorRun', () => {
+  afterEach(() => clearAllStores());
+
+  it('keeps the excluded recipients with the run', async () => {
+    const excluded = [{ id: 'H-2', name: 'Beta', aboMatch: false, bloodType: 'A-' }];
+    await saveDonorRun({
+      donor: { name: 'D-1' }, recipients, results: [], excluded, policyName: 'Default', sortingCriteria: [],
+      riskLegendLines: [], categoryLegendLines: []
+    });
+    const [snapshot] = await listDonorRuns();
+    expect(snapshot.excluded).toEqual(excluded);
+  });
+
+  it('keeps the thresholds and paediatric settings the run was made with', async () => {
+    const thresholds = publishedThresholds();
+    thresholds.phm.riskTiers[0].below = 0.8;
+    const paediatric = { ageCutoff: 16, model: 'weight' };
+    await saveDonorRun({
+      donor: { name: 'D-1' }, recipients, results: [], policyName: 'Default', sortingCriteria: [],
+      riskLegendLines: [], categoryLegendLines: [], thresholds, paediatric
+    });
+    const [snapshot] = await listDonorRuns();
+    expect(snapshot.thresholds).toEqual(thresholds);
+    expect(snapshot.paediatric).toEqual(paediatric);
+    expect(snapshotThresholds(snapshot, publishedThresholds())).toEqual(thresholds);
+  });
+});
+
+describe('snapshotThresholds', () => {
+  it('falls back to the current thresholds for runs saved without theirs', () => {
+    const current = publishedThresholds();
+    expect(snapshotThresholds({ results: [] }, current)).toBe(current);
+  });
+});
@@ -0,0 +1,31 @@
+// useIdleTimer.js - Call onIdle after a period without keyboard, pointer or scroll activity
+import { useEffect, useRef } from 'react';
+
+const activityEvents = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+const useIdleTimer = (minutes, onIdle, enabled = true) => {
+  const onIdleRef = useRef(onIdle);
+
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  }, [onIdle]);
+
+  useEffect(() => {
+    if (!enabled || !minutes) return undefined;
+
+    let timer = null;
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onIdleRef.current(), minutes * 60 * 1000);
+    };
+
+    reset();
+    activityEvents.forEach(event => window.addEventListener(event, reset, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      activityEvents.forEach(event => window.removeEventListener(event, reset));
+    };
+  }, [minutes, enabled]);
+};
+
+export default useIdleTimer;
@@ -0,0 +1,16 @@
+// useResultsView.js - Results table view state, with everything but the search text kept between sessions
+import { useState, useEffect } from 'react';
+import { loadResultsView, saveResultsView } from '../storage/resultsViewStore';
+
+const useResultsView = () => {
+  const [view, setView] = useState(loadResultsView);
+  const { filters, sort, hiddenColumns } = view;
+
+  useEffect(() => {
+    saveResultsView({ filters, sort, hiddenColumns });
+  }, [filters, sort, hiddenColumns]);
+
+  return [view, setView];
+};
+
+export default useResultsView;
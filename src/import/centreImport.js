@@ -0,0 +1,31 @@
+// centreImport.js - Read a table of transplant centres (.xlsx, CSV or JSON) with their coordinates
+import { centreProblems, normalizeCentres } from '../engine/geography';
+
+const centreColumns = {
+  code: ['code', 'centrecode', 'centercode', 'centre', 'center', 'id'],
+  name: ['name', 'centrename', 'centername', 'hospital', 'hospitalname'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'lng', 'long']
+};
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Usable centres, and the rows that could not be used; later rows with the same code replace earlier ones
+export const centresFromSheet = (sheet) => {
+  const columns = Object.fromEntries(Object.entries(centreColumns).map(([field, synonyms]) => [
+    field,
+    sheet.headers.find(header => synonyms.includes(headerKey(header)))
+  ]));
+  const missing = ['code', 'latitude', 'longitude'].filter(field => !columns[field]);
+  if (missing.length) throw new Error(`The centre table needs ${missing.join(', ')} columns`);
+
+  const byCode = new Map();
+  const issues = [];
+  sheet.rows.forEach(({ rowNumber, data }) => {
+    const centre = Object.fromEntries(Object.entries(columns).map(([field, header]) => [field, header ? data[header] : undefined]));
+    const problems = centreProblems(centre);
+    if (problems.length) issues.push({ row: rowNumber, reason: problems.join('; ') });
+    else normalizeCentres([centre]).forEach(usable => byCode.set(usable.code, usable));
+  });
+  return { centres: [...byCode.values()], issues };
+};
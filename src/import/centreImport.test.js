@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { centresFromSheet } from './centreImport';
+
+const sheet = (headers, rows) => ({
+  name: 'Centres',
+  headers,
+  rows: rows.map((values, index) => ({
+    rowNumber: index + 2,
+    data: Object.fromEntries(headers.map((header, i) => [header, values[i]]))
+  }))
+});
+
+describe('centresFromSheet', () => {
+  it('reads codes, names and coordinates', () => {
+    const { centres, issues } = centresFromSheet(sheet(
+      ['Centre Code', 'Hospital', 'Lat', 'Lng'],
+      [['abc', 'Alpha Hospital', '51.5', '-0.1'], ['XYZ', '', 52, 1], ['ABC', 'Alpha (moved)', 51.6, -0.2]]
+    ));
+    expect(issues).toEqual([]);
+    expect(centres).toEqual([
+      { code: 'ABC', name: 'Alpha (moved)', latitude: 51.6, longitude: -0.2 },
+      { code: 'XYZ', name: 'XYZ', latitude: 52, longitude: 1 }
+    ]);
+  });
+
+  it('reports unusable rows and missing columns', () => {
+    const { centres, issues } = centresFromSheet(sheet(['code', 'latitude', 'longitude'], [['A', 120, 0], ['', 50, 0]]));
+    expect(centres).toEqual([]);
+    expect(issues).toEqual([
+      { row: 2, reason: 'latitude "120" must be between -90 and 90' },
+      { row: 3, reason: 'code is blank' }
+    ]);
+    expect(() => centresFromSheet(sheet(['code', 'name'], []))).toThrow('latitude, longitude');
+  });
+});
@@ -0,0 +1,119 @@
+// columnMapping.js - Map source spreadsheet columns and units onto the recipient fields
+import { unitOptions, defaultUnits, unitWarning, rangeInUnit } from '../engine/units';
+import { parseNumber } from './validation';
+
+export { unitOptions, defaultUnits };
+
+// Recipient fields the importer understands, with header synonyms for auto-suggestion
+export const recipientFields = [
+  { key: 'id', label: 'Hospital ID', required: true, synonyms: ['id', 'mrn', 'hospitalid', 'patientid', 'recipientid', 'unosid', 'medicalrecordnumber'] },
+  { key: 'name', label: 'Name', required: true, synonyms: ['name', 'patientname', 'patient', 'fullname', 'recipientname'] },
+  { key: 'gender', label: 'Gender', required: true, synonyms: ['gender', 'sex'] },
+  { key: 'age', label: 'Age', required: true, synonyms: ['age', 'ageyears', 'ageyrs'] },
+  { key: 'height', label: 'Height', required: true, synonyms: ['height', 'ht', 'stature'] },
+  { key: 'weight', label: 'Weight', required: true, synonyms: ['weight', 'wt', 'bodyweight'] },
+  { key: 'status', label: 'Status (1-7)', required: true, synonyms: ['status', 'unosstatus', 'listingstatus', 'urgency', 'priority'] },
+  { key: 'dateadded', label: 'Date Added', required: true, synonyms: ['dateadded', 'listingdate', 'datelisted', 'listdate', 'dateoflisting', 'waitlistdate', 'addeddate'] },
+  { key: 'bloodType', label: 'Blood Type', required: false, synonyms: ['bloodtype', 'abo', 'abotype', 'abogroup', 'bloodgroup', 'aborh'] },
+  { key: 'listingState', label: 'Listing State', required: false, synonyms: ['listingstate'] },
+  { key: 'pvr', label: 'PVR (WU)', required: false, synonyms: ['pvr', 'pvrwu', 'pulmonaryvascularresistance'] },
+  { key: 'priorSternotomy', label: 'Prior Sternotomy', required: false, synonyms: ['priorsternotomy', 'sternotomy', 'redosternotomy', 'previoussternotomy', 'priorcardiacsurgery'] },
+  { key: 'vad', label: 'VAD / Mechanical Support', required: false, synonyms: ['vad', 'mcs', 'mechanicalsupport', 'lvad', 'vadtype'] },
+  { key: 'cpra', label: 'cPRA (%)', required: false, synonyms: ['cpra', 'calculatedpra', 'pra'] },
+  { key: 'unacceptableAntigens', label: 'Unacceptable HLA Antigens', required: false, synonyms: ['unacceptableantigens', 'unacceptables', 'unacceptablehla', 'avoidantigens', 'uas'] },
+  { key: 'centre', label: 'Transplant Centre Code', required: false, synonyms: ['centre', 'center', 'centrecode', 'centercode', 'transplantcentre', 'transplantcenter', 'listingcentre', 'listingcenter'] }
+];
+
+// "Ht (cm)" -> "ht", "Listing Date" -> "listingdate"
+const headerKey = (header) => String(header)
+  .toLowerCase()
+  .replace(/\((cm|m|in|inches|kg|lb|lbs|years|yrs)\)/g, '')
+  .replace(/[^a-z0-9]/g, '');
+
+// The unit written in a header such as "Height (in)", "Weight lbs" or "height_cm", if any
+export const headerUnit = (field, header) => {
+  const text = String(header || '').toLowerCase().replace(/_/g, ' ');
+  if (field === 'height') {
+    // cm and m first, so "Height in cm" is not read as inches; a bare "in" only counts as the last word
+    if (/\bcm\b|\bcentimet/.test(text)) return 'cm';
+    if (/\(m\)|\bmetres?\b|\bmeters?\b/.test(text)) return 'm';
+    if (/\binch(es)?\b|\(in\)|\bin$/.test(text.trim())) return 'in';
+  }
+  if (field === 'weight') {
+    if (/\b(lb|lbs|pounds?)\b/.test(text)) return 'lb';
+    if (/\b(kg|kgs|kilograms?)\b/.test(text)) return 'kg';
+  }
+  return undefined;
+};
+
+// Guess the unit from the header, defaulting to cm/kg
+const suggestUnit = (field, header) => headerUnit(field, header) || defaultUnits[field];
+
+// Best-guess mapping of each recipient field to one of the source headers
+export const suggestMapping = (headers) => {
+  const available = headers.filter(Boolean);
+  const used = new Set();
+  const mapping = {};
+
+  const claim = (field, matches) => {
+    const header = available.find(candidate => !used.has(candidate) && matches(headerKey(candidate)));
+    if (header) {
+      mapping[field.key] = header;
+      used.add(header);
+    }
+  };
+
+  // Exact synonym matches first, then headers that merely contain a synonym
+  recipientFields.forEach(field => claim(field, key => field.synonyms.includes(key)));
+  recipientFields
+    .filter(field => !mapping[field.key])
+    .forEach(field => claim(field, key => field.synonyms.some(synonym => synonym.length > 2 && key.includes(synonym))));
+
+  const units = {
+    height: suggestUnit('height', mapping.height),
+    weight: suggestUnit('weight', mapping.weight)
+  };
+
+  return { mapping, units };
+};
+
+// One line per height/weight column with values outside the plausible range of the chosen unit
+export const unitRangeWarnings = (rows, mapping, units = defaultUnits) =>
+  Object.keys(unitOptions).filter(field => mapping[field]).map(field => {
+    const unit = units[field] || defaultUnits[field];
+    const values = rows.map(({ data }) => data[mapping[field]]).filter(value => !isNaN(parseFloat(value)));
+    const outside = values.filter(value => unitWarning(field, value, unit));
+    if (!outside.length) return null;
+
+    const { min, max } = rangeInUnit(field, unit);
+    const fits = Object.keys(unitOptions[field])
+      .find(other => other !== unit && values.every(value => !unitWarning(field, value, other)));
+    return `${mapping[field]}: ${outside.length} of ${values.length} values are outside ${min}–${max} ${unit}` +
+      (fits ? `; the column looks like ${fits}` : '');
+  }).filter(Boolean);
+
+export const missingRequiredFields = (mapping, headers) =>
+  recipientFields.filter(field => field.required && !(mapping[field.key] && headers.includes(mapping[field.key])));
+
+const convert = (value, factor) => {
+  if (factor === 1 || value === null || value === undefined || value === '') return value;
+  const number = parseNumber(value);
+  // Leave non-numeric text untouched so validation can report it
+  return isNaN(number) ? value : Math.round(number * factor * 100) / 100;
+};
+
+// Re-key raw rows onto the recipient fields and convert height/weight to cm/kg
+export const applyMapping = (rows, mapping, units = defaultUnits) => {
+  const heightFactor = unitOptions.height[units.height] ?? 1;
+  const weightFactor = unitOptions.weight[units.weight] ?? 1;
+
+  return rows.map(({ rowNumber, data }) => {
+    const mapped = {};
+    recipientFields.forEach(({ key }) => {
+      if (mapping[key] && data[mapping[key]] !== undefined) mapped[key] = data[mapping[key]];
+    });
+    mapped.height = convert(mapped.height, heightFactor);
+    mapped.weight = convert(mapped.weight, weightFactor);
+    return { rowNumber, data: mapped };
+  });
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { applyMapping, missingRequiredFields, suggestMapping, unitRangeWarnings } from './columnMapping';
+
+describe('suggestMapping', () => {
+  it('maps hospital export headers onto recipient fields', () => {
+    const headers = ['MRN', 'Patient Name', 'Sex', 'Age', 'Ht (cm)', 'Weight (lbs)', 'UNOS Status', 'Listing Date', 'ABO'];
+    const { mapping, units } = suggestMapping(headers);
+    expect(mapping).toEqual({
+      id: 'MRN', name: 'Patient Name', gender: 'Sex', age: 'Age', height: 'Ht (cm)',
+      weight: 'Weight (lbs)', status: 'UNOS Status', dateadded: 'Listing Date', bloodType: 'ABO'
+    });
+    expect(units).toEqual({ height: 'cm', weight: 'lb' });
+    expect(missingRequiredFields(mapping, headers)).toEqual([]);
+  });
+
+  it('suggests inches and metres from the header', () => {
+    expect(suggestMapping(['Height (in)']).units.height).toBe('in');
+    expect(suggestMapping(['Height (m)']).units.height).toBe('m');
+    expect(suggestMapping(['height_in']).units.height).toBe('in');
+  });
+
+  it('does not read the word "in" as inches', () => {
+    expect(suggestMapping(['Height in cm']).units.height).toBe('cm');
+    expect(suggestMapping(['Height in metres']).units.height).toBe('m');
+  });
+
+  it('reports unmapped required fields', () => {
+    const { mapping } = suggestMapping(['id', 'name']);
+    expect(missingRequiredFields(mapping, ['id', 'name']).map(field => field.key))
+      .toEqual(['gender', 'age', 'height', 'weight', 'status', 'dateadded']);
+  });
+});
+
+describe('applyMapping', () => {
+  it('re-keys rows and converts units to cm and kg', () => {
+    const rows = [{ rowNumber: 2, data: { MRN: 'H-1', Ht: '70', Wt: 176.4, Extra: 'x' } }];
+    const [{ rowNumber, data }] = applyMapping(rows, { id: 'MRN', height: 'Ht', weight: 'Wt' }, { height: 'in', weight: 'lb' });
+    expect(rowNumber).toBe(2);
+    expect(data).toEqual({ id: 'H-1', height: 177.8, weight: 80.01 });
+  });
+
+  it('leaves non-numeric values for validation to report', () => {
+    const [{ data }] = applyMapping([{ rowNumber: 2, data: { h: 'tall' } }], { height: 'h' }, { height: 'm', weight: 'kg' });
+    expect(data.height).toBe('tall');
+  });
+});
+
+describe('unitRangeWarnings', () => {
+  const rows = [70, 64, 72].map((inches, index) => ({ rowNumber: index + 2, data: { Ht: inches, Wt: 80 } }));
+
+  it('flags a height column read in the wrong unit', () => {
+    expect(unitRangeWarnings(rows, { height: 'Ht', weight: 'Wt' }, { height: 'm', weight: 'kg' }))
+      .toEqual(['Ht: 3 of 3 values are outside 0.5–2.5 m; the column looks like cm']);
+  });
+
+  it('is quiet when the values fit the chosen unit', () => {
+    expect(unitRangeWarnings(rows, { height: 'Ht', weight: 'Wt' }, { height: 'in', weight: 'kg' })).toEqual([]);
+  });
+});
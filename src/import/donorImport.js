@@ -0,0 +1,70 @@
+// donorImport.js - Read a table of donors (.xlsx, CSV or JSON) for batch matching
+import { suggestMapping, applyMapping, headerUnit, unitRangeWarnings } from './columnMapping';
+import { donorProblems, normalizeGender, normalizeBloodType } from './validation';
+import { hlaLoci, hlaField } from '../engine/hla';
+import { hospitalProblem } from '../engine/geography';
+import { unitOptions } from '../engine/units';
+
+// "HLA-A", "HLA A", "hla_dr" -> the donor's hla field for that locus
+const hlaColumns = (headers) => Object.fromEntries(hlaLoci
+  .map(locus => [hlaField(locus), headers.find(header => new RegExp(`^hla[\\s_-]*${locus}$`, 'i').test(String(header).trim()))])
+  .filter(([, header]) => header));
+
+// "Hospital", "Donor hospital" or a centre column: where each donor is, for transport estimates
+const hospitalColumn = (headers, mapping) => headers.find(header => /hospital/i.test(header)) || mapping.centre;
+
+// Columns are matched with the recipient header synonyms; an ID or "Donor ..." column stands in for a missing name
+const donorColumns = (headers) => {
+  const { mapping, units } = suggestMapping(headers);
+  const used = Object.values(mapping);
+  mapping.name = mapping.name || mapping.id || headers.find(header => /donor/i.test(header) && !used.includes(header));
+  return { mapping, units };
+};
+
+// Each record notes whether the height/weight units came from the column headers or were assumed.
+// HLA typing columns (HLA-A ... HLA-DQ) and the donor hospital are optional and only carried over when present.
+export const donorRecordsFromSheet = (sheet) => {
+  const { mapping, units } = donorColumns(sheet.headers);
+  const hla = hlaColumns(sheet.headers);
+  const hospital = hospitalColumn(sheet.headers, mapping);
+  const unitsFromHeader = {
+    height: Boolean(headerUnit('height', mapping.height)),
+    weight: Boolean(headerUnit('weight', mapping.weight))
+  };
+
+  return applyMapping(sheet.rows, mapping, units).map(({ rowNumber, data }, index) => ({
+    rowNumber,
+    donor: {
+      name: String(data.name ?? '').trim(),
+      gender: normalizeGender(data.gender) || String(data.gender ?? ''),
+      age: String(data.age ?? ''),
+      height: String(data.height ?? ''),
+      weight: String(data.weight ?? ''),
+      bloodType: normalizeBloodType(data.bloodType) || String(data.bloodType ?? ''),
+      ...Object.fromEntries(Object.entries(hla).map(([field, header]) => [field, String(sheet.rows[index].data[header] ?? '').trim()])),
+      ...(hospital && { hospital: String(sheet.rows[index].data[hospital] ?? '').trim() })
+    },
+    unitsFromHeader
+  }));
+};
+
+// Height/weight columns with values outside the plausible range, as the mapping wizard reports them.
+// A column with no unit in its header was read as cm/kg, so the warning says so.
+const donorUnitWarnings = (sheet) => {
+  const { mapping, units } = donorColumns(sheet.headers);
+  return Object.keys(unitOptions).flatMap(field => unitRangeWarnings(sheet.rows, { [field]: mapping[field] }, units)
+    .map(warning => (headerUnit(field, mapping[field]) ? warning : `${warning} (no unit in the column header; read as ${units[field]})`)));
+};
+
+// Usable donors for batch matching, the rows that could not be used and any unit warnings.
+// A donor hospital that is neither in the centre table nor "latitude, longitude" holds the row back, as in the donor form.
+export const donorsFromSheet = (sheet, centres = []) => {
+  const donors = [];
+  const issues = [];
+  donorRecordsFromSheet(sheet).forEach(({ rowNumber, donor }) => {
+    const problems = [...donorProblems(donor), hospitalProblem(donor.hospital, centres)].filter(Boolean);
+    if (problems.length) issues.push({ row: rowNumber, reason: problems.join('; ') });
+    else donors.push(donor);
+  });
+  return { donors, issues, warnings: donorUnitWarnings(sheet) };
+};
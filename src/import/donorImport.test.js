@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { donorsFromSheet } from './donorImport';
+import { donorProblems } from './validation';
+import { bundledCentres } from '../engine/transplantCentres';
+
+const sheet = (headers, rows) => ({
+  name: 'Donors',
+  headers,
+  rows: rows.map((values, index) => ({
+    rowNumber: index + 2,
+    data: Object.fromEntries(headers.map((header, i) => [header, values[i]]))
+  }))
+});
+
+describe('donorsFromSheet', () => {
+  it('maps donor columns, converting units and normalising values', () => {
+    const { donors, issues } = donorsFromSheet(sheet(
+      ['Donor ID', 'Sex', 'Age', 'Height (in)', 'Weight (lb)', 'ABO'],
+      [['D-1', 'M', 40, 70, 176, 'O pos']]
+    ));
+    expect(issues).toEqual([]);
+    expect(donors).toEqual([
+      { name: 'D-1', gender: 'male', age: '40', height: '177.8', weight: '79.83', bloodType: 'O+' }
+    ]);
+  });
+
+  it('carries HLA typing columns over when present', () => {
+    const { donors } = donorsFromSheet(sheet(
+      ['Donor ID', 'Sex', 'Age', 'Height (cm)', 'Weight (kg)', 'ABO', 'HLA-A', 'HLA DR'],
+      [['D-1', 'M', 40, 178, 80, 'O+', 'A1 A2', 'DR4']]
+    ));
+    expect(donors[0]).toMatchObject({ hlaA: 'A1 A2', hlaDR: 'DR4' });
+    expect(donors[0]).not.toHaveProperty('hlaB');
+    expect(donors[0]).not.toHaveProperty('hospital');
+  });
+
+  it('carries the donor hospital over for transport estimates', () => {
+    const { donors } = donorsFromSheet(sheet(
+      ['Donor ID', 'Sex', 'Age', 'Height (cm)', 'Weight (kg)', 'ABO', 'Donor Hospital'],
+      [['D-1', 'M', 40, 178, 80, 'O+', ' gosh ']]
+    ), bundledCentres);
+    expect(donors[0].hospital).toBe('gosh');
+  });
+
+  it('holds back a donor whose hospital is not in the centre table', () => {
+    const { donors, issues } = donorsFromSheet(sheet(
+      ['Donor ID', 'Sex', 'Age', 'Height (cm)', 'Weight (kg)', 'ABO', 'Hospital'],
+      [['D-1', 'M', 40, 178, 80, 'O+', 'Nowhere General'], ['D-2', 'M', 40, 178, 80, 'O+', '51.6, -0.48']]
+    ), bundledCentres);
+    expect(donors.map(donor => donor.name)).toEqual(['D-2']);
+    expect(issues).toEqual([{
+      row: 2,
+      reason: 'Donor hospital "Nowhere General" is not in the centre table; enter a centre code or "latitude, longitude"'
+    }]);
+  });
+
+  it('warns about implausible heights and weights, noting a column read as cm/kg', () => {
+    const { donors, warnings } = donorsFromSheet(sheet(
+      ['Donor ID', 'Sex', 'Age', 'Height', 'Weight (lb)', 'ABO'],
+      [['D-1', 'M', 40, 1.78, 800, 'O+'], ['D-2', 'F', 35, 1.65, 130, 'A+']]
+    ));
+    expect(donors).toHaveLength(2);
+    expect(warnings).toEqual([
+      'Height: 2 of 2 values are outside 50–250 cm; the column looks like m (no unit in the column header; read as cm)',
+      'Weight (lb): 1 of 2 values are outside 4–661 lb'
+    ]);
+  });
+
+  it('has no warnings when the measurements are plausible', () => {
+    const { warnings } = donorsFromSheet(sheet(
+      ['Donor ID', 'Sex', 'Age', 'Height', 'Weight', 'ABO'],
+      [['D-1', 'M', 40, 178, 80, 'O+']]
+    ));
+    expect(warnings).toEqual([]);
+  });
+
+  it('reports rows that cannot be used', () => {
+    const { donors, issues } = donorsFromSheet(sheet(
+      ['Name', 'Gender', 'Age', 'Height', 'Weight', 'Blood Type'],
+      [['D-2', 'F', 'forty', 165, 60, 'A+'], ['D-3', 'F', 30, 165, 60, '']]
+    ));
+    expect(donors).toEqual([]);
+    expect(issues).toEqual([
+      { row: 2, reason: 'age must be a number' },
+      { row: 3, reason: 'missing bloodType' }
+    ]);
+  });
+});
+
+describe('donorProblems', () => {
+  it('accepts a complete donor and names each problem', () => {
+    expect(donorProblems({ name: 'D', gender: 'male', age: '40', height: '175', weight: '80', bloodType: 'A+' })).toEqual([]);
+    expect(donorProblems({ name: '', gender: 'x', age: '40', height: 'tall', weight: '80', bloodType: 'Q' })).toEqual([
+      'missing name',
+      'height must be a number',
+      'gender must be male or female',
+      'blood type must be one of A+, A-, B+, B-, AB+, AB-, O+, O-'
+    ]);
+  });
+});
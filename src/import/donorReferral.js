@@ -0,0 +1,219 @@
+// donorReferral.js - Read donor details from pasted OPO referral text or a structured donor record
+import { unitOptions } from '../engine/units';
+import { hlaLoci, hlaField, normalizeAntigen, parseLocusTyping, joinLocusNumbers } from '../engine/hla';
+import { recipientRanges, normalizeGender, normalizeBloodType, parseNumber } from './validation';
+import { donorRecordsFromSheet } from './donorImport';
+
+// Confidence of each parsed field: 'high' (labelled, with units), 'low' (guessed) or 'missing'
+export const confidenceLevels = { high: 'high', low: 'low', missing: 'missing' };
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+
+const firstMatch = (text, patterns) => {
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (match) return match;
+  }
+  return null;
+};
+
+const toNumber = (value) => parseNumber(String(value));
+
+const readName = (text) => {
+  const match = /\b(?:donor\s*(?:id|name|#)|donornet\s*id|unos\s*id|opo\s*id|match\s*id)\s*[:#=]?\s*([A-Za-z0-9][\w-]*)/i.exec(text);
+  return match ? { value: match[1], confidence: confidenceLevels.high } : null;
+};
+
+const readGender = (text) => {
+  const labelled = /\b(?:sex|gender)\s*[:=]?\s*(male|female|man|woman|m|f)\b/i.exec(text);
+  if (labelled) return { value: normalizeGender(labelled[1]), confidence: confidenceLevels.high };
+
+  const words = [...text.matchAll(/\b(male|female|man|woman)\b/gi)].map(match => normalizeGender(match[1]));
+  const distinct = [...new Set(words)];
+  if (distinct.length === 1) return { value: distinct[0], confidence: confidenceLevels.low, note: 'sex was not labelled' };
+  if (distinct.length > 1) return { value: '', confidence: confidenceLevels.missing, note: 'both male and female appear in the text' };
+  return null;
+};
+
+const readAge = (text) => {
+  const match = firstMatch(text, [
+    new RegExp(`\\bage\\s*[:=]?\\s*${NUMBER}\\s*(y|yo|yrs?|years?|mo|mos|months?)?\\b`, 'i'),
+    new RegExp(`\\b${NUMBER}\\s*(?:-|\\s)?(y/?o|yo|years?[- ]old|yr[- ]old|(?:months?|mo)[- ]old)\\b`, 'i')
+  ]);
+  if (!match) return null;
+
+  const value = toNumber(match[1]);
+  if (/^mo|month/i.test(match[2] || '')) {
+    return { value: round(value / 12, 2), confidence: confidenceLevels.low, note: `converted from ${value} months` };
+  }
+  return { value, confidence: confidenceLevels.high };
+};
+
+// Height: "180 cm", "1.80 m", "71 in", 5'11", "5 ft 11 in", or a bare number after "Ht"
+const readHeight = (text) => {
+  const feet = /\b(\d)\s*(?:'|ft|feet|foot)\s*(\d{1,2}(?:\.\d+)?)?\s*(?:"|''|in(?:ch(?:es)?)?)?/i.exec(text);
+  const labelled = new RegExp(`\\b(?:height|ht|length)\\s*[:=]?\\s*${NUMBER}\\s*(cm|m|in|inch(?:es)?|")?(?![\\w'])`, 'i').exec(text);
+  const unitOnly = new RegExp(`\\b${NUMBER}\\s*(cm|in(?:ch(?:es)?)?)\\b`, 'i').exec(text);
+
+  if (feet && !(labelled && labelled[2])) {
+    const inches = Number(feet[1]) * 12 + Number(feet[2] || 0);
+    return { value: round(inches * unitOptions.height.in), confidence: confidenceLevels.high, note: `converted from ${feet[0].trim()}` };
+  }
+
+  const match = labelled || unitOnly;
+  if (!match) return null;
+  const value = toNumber(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+
+  if (unit === 'cm') return { value: round(value), confidence: labelled ? confidenceLevels.high : confidenceLevels.low };
+  if (unit === 'm') return { value: round(value * unitOptions.height.m), confidence: confidenceLevels.high, note: 'converted from metres' };
+  if (unit.startsWith('in') || unit === '"') {
+    return { value: round(value * unitOptions.height.in), confidence: labelled ? confidenceLevels.high : confidenceLevels.low, note: 'converted from inches' };
+  }
+
+  // No unit given: decide from the size of the number
+  if (value > 0.5 && value < 2.5) return { value: round(value * 100), confidence: confidenceLevels.low, note: 'no unit given; read as metres' };
+  if (value >= 40 && value <= 90) return { value: round(value * unitOptions.height.in), confidence: confidenceLevels.low, note: 'no unit given; read as inches' };
+  return { value: round(value), confidence: confidenceLevels.low, note: 'no unit given; read as cm' };
+};
+
+const readWeight = (text) => {
+  const labelled = new RegExp(`\\b(?:weight|wt)\\s*[:=]?\\s*${NUMBER}\\s*(kg|kgs|kilograms?|lb|lbs|pounds?|#)?`, 'i').exec(text);
+  const unitOnly = new RegExp(`\\b${NUMBER}\\s*(kg|kgs|kilograms?|lb|lbs|pounds?)\\b`, 'i').exec(text);
+  const match = labelled || unitOnly;
+  if (!match) return null;
+
+  const value = toNumber(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+  const confidence = labelled ? confidenceLevels.high : confidenceLevels.low;
+
+  if (/^(lb|pound|#)/.test(unit)) {
+    return { value: round(value * unitOptions.weight.lb), confidence, note: 'converted from pounds' };
+  }
+  if (unit) return { value: round(value), confidence };
+  return { value: round(value), confidence: confidenceLevels.low, note: 'no unit given; read as kg' };
+};
+
+// "ABO: O pos", "Blood type A-", "ABO/Rh: AB negative"; a group without Rh is not filled in
+const readBloodType = (text) => {
+  const labelled = /\b(?:abo(?:\s*\/\s*rh)?|blood\s*(?:type|group)|abo\s*type)\s*[:=]?\s*(AB|A|B|O)\s*(pos(?:itive)?|neg(?:ative)?|\+|-|rh\s*\+|rh\s*-)?(?![A-Za-z])/i.exec(text);
+  const bare = /(?:^|[\s,;(])(AB|A|B|O)\s*(pos(?:itive)?|neg(?:ative)?|\+|-)(?![A-Za-z])/i.exec(text);
+  const match = labelled || bare;
+  if (!match) return null;
+
+  const rh = (match[2] || '').replace(/rh\s*/i, '');
+  if (!rh) return { value: '', confidence: confidenceLevels.missing, note: `ABO group ${match[1].toUpperCase()} found but Rh not stated` };
+  const value = normalizeBloodType(`${match[1]}${rh}`);
+  return { value: value || '', confidence: labelled && value ? confidenceLevels.high : confidenceLevels.low };
+};
+
+const locusAntigens = (text, locus) => [...new Set(text
+  .split(/[\s,;:/()]+/)
+  .map(token => normalizeAntigen(token))
+  .filter(antigen => antigen && normalizeAntigen(antigen, locus)))];
+
+// HLA antigens on the line or sentence that starts with "HLA", e.g. "HLA: A1 A2 B8 B44 Cw7 DR3 DR15 DQ2 DQ6"
+// or per locus, "HLA-A 2, 24; HLA-B 7, 44".
+// Antigen-shaped tokens further on may be lab values or codes ("C3", "B12"), so they are only offered at low confidence.
+const readHla = (text, locus) => {
+  const start = text.search(/\bHLA\b/i);
+  if (start === -1) return null;
+  const rest = text.slice(start);
+  const end = rest.search(/\n|\.(?:\s|$)/);
+  const line = end === -1 ? rest : rest.slice(0, end);
+
+  const antigens = locusAntigens(joinLocusNumbers(line), locus);
+  if (!antigens.length) {
+    const outside = locusAntigens(rest.slice(line.length), locus);
+    if (!outside.length) return null;
+    return { value: outside.join(' '), confidence: confidenceLevels.low, note: `HLA-${locus} read from outside the HLA line` };
+  }
+  return antigens.length > 2
+    ? { value: antigens.join(' '), confidence: confidenceLevels.low, note: `more than two HLA-${locus} antigens found` }
+    : { value: antigens.join(' '), confidence: confidenceLevels.high };
+};
+
+const fieldReaders = {
+  name: readName,
+  gender: readGender,
+  age: readAge,
+  height: readHeight,
+  weight: readWeight,
+  bloodType: readBloodType
+};
+
+// HLA typing is optional: a locus that is not found is left out rather than flagged
+const hlaReaders = Object.fromEntries(hlaLoci.map(locus => [hlaField(locus), text => readHla(text, locus)]));
+
+// Values outside the plausible ranges are kept but flagged
+const checkRange = (field, reading) => {
+  const range = recipientRanges[field];
+  if (!range || reading.value === '' || (reading.value >= range.min && reading.value <= range.max)) return reading;
+  return {
+    ...reading,
+    confidence: confidenceLevels.low,
+    note: `${reading.value} ${range.unit} is outside the plausible range ${range.min}–${range.max}`
+  };
+};
+
+// Donor form values (strings, cm/kg) plus a confidence and optional note per field
+const toResult = (readings) => {
+  const donor = {};
+  const confidence = {};
+  const notes = {};
+  Object.keys(fieldReaders).forEach(field => {
+    const reading = readings[field] ? checkRange(field, readings[field]) : null;
+    donor[field] = reading ? String(reading.value ?? '') : '';
+    confidence[field] = reading && donor[field] !== '' ? reading.confidence : confidenceLevels.missing;
+    if (reading?.note) notes[field] = reading.note;
+    else if (!reading) notes[field] = 'not found';
+  });
+  Object.keys(hlaReaders).filter(field => readings[field]).forEach(field => {
+    donor[field] = String(readings[field].value);
+    confidence[field] = readings[field].confidence;
+    if (readings[field].note) notes[field] = readings[field].note;
+  });
+  return { donor, confidence, notes };
+};
+
+export const parseReferralText = (text) => toResult(Object.fromEntries(
+  Object.entries({ ...fieldReaders, ...hlaReaders }).map(([field, read]) => [field, read(String(text || ''))])
+));
+
+// Structured records (one per row of a .xlsx/CSV/JSON file) read with the same confidence flags
+export const parseDonorRecords = (sheet) => donorRecordsFromSheet(sheet).map(({ rowNumber, donor, unitsFromHeader }) => {
+  const readings = {};
+  Object.entries(donor).forEach(([field, value]) => {
+    if (value === '') return;
+    const measured = field === 'height' || field === 'weight';
+    readings[field] = {
+      value: ['age', 'height', 'weight'].includes(field) && !isNaN(toNumber(value)) ? toNumber(value) : value,
+      confidence: measured && !unitsFromHeader[field] ? confidenceLevels.low : confidenceLevels.high,
+      note: measured && !unitsFromHeader[field] ? `no unit in the column header; read as ${field === 'height' ? 'cm' : 'kg'}` : undefined
+    };
+  });
+  const result = toResult(readings);
+  // Values the form cannot use (e.g. "forty") are flagged rather than silently dropped
+  ['gender', 'bloodType'].forEach(field => {
+    if (result.donor[field] && !(field === 'gender' ? normalizeGender : normalizeBloodType)(result.donor[field])) {
+      result.confidence[field] = confidenceLevels.low;
+      result.notes[field] = `"${result.donor[field]}" could not be read`;
+    }
+  });
+  ['age', 'height', 'weight'].forEach(field => {
+    if (result.donor[field] && isNaN(toNumber(result.donor[field]))) {
+      result.confidence[field] = confidenceLevels.low;
+      result.notes[field] = `"${result.donor[field]}" is not a number`;
+    }
+  });
+  hlaLoci.filter(locus => result.donor[hlaField(locus)]).forEach(locus => {
+    const { unreadable } = parseLocusTyping(result.donor[hlaField(locus)], locus);
+    if (unreadable.length) {
+      result.confidence[hlaField(locus)] = confidenceLevels.low;
+      result.notes[hlaField(locus)] = `"${unreadable.join(' ')}" could not be read as HLA-${locus}`;
+    }
+  });
+  return { rowNumber, ...result };
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { parseReferralText, parseDonorRecords } from './donorReferral';
+
+describe('parseReferralText', () => {
+  it('reads a labelled referral with US units', () => {
+    const { donor, confidence } = parseReferralText([
+      'DonorNet ID: ABC1234',
+      'Sex: Male   Age: 34 yrs',
+      'Ht: 5\'11"  Wt: 185 lbs',
+      'ABO: O Pos'
+    ].join('\n'));
+    expect(donor).toEqual({ name: 'ABC1234', gender: 'male', age: '34', height: '180.3', weight: '83.9', bloodType: 'O+' });
+    expect(Object.values(confidence).every(level => level === 'high')).toBe(true);
+  });
+
+  it('reads HLA typing written after "HLA"', () => {
+    const { donor, confidence } = parseReferralText('Male, 34 yo. HLA: A1, A2; B8 B44; Cw7; DR3 DR15; DQ2');
+    expect(donor).toMatchObject({ hlaA: 'A1 A2', hlaB: 'B8 B44', hlaC: 'C7', hlaDR: 'DR3 DR15', hlaDQ: 'DQ2' });
+    expect(confidence.hlaA).toBe('high');
+    expect(parseReferralText('Sex: Male').donor).not.toHaveProperty('hlaA');
+  });
+
+  it('reads HLA typing written per locus', () => {
+    const { donor, confidence } = parseReferralText('HLA-A 2, 24; HLA-B 7, 44; HLA-DR 4/15');
+    expect(donor).toMatchObject({ hlaA: 'A2 A24', hlaB: 'B7 B44', hlaDR: 'DR4 DR15' });
+    expect(confidence).toMatchObject({ hlaA: 'high', hlaB: 'high', hlaDR: 'high' });
+  });
+
+  it('stops reading HLA typing at the end of the HLA line', () => {
+    const { donor, confidence, notes } = parseReferralText('HLA: A1 A2 B8 B44 DR3\nLabs: C3 low, B12 normal.');
+    expect(donor).toMatchObject({ hlaA: 'A1 A2', hlaB: 'B8 B44', hlaDR: 'DR3', hlaC: 'C3' });
+    expect(confidence).toMatchObject({ hlaB: 'high', hlaC: 'low' });
+    expect(notes.hlaC).toBe('HLA-C read from outside the HLA line');
+  });
+
+  it('flags values read without labels or units', () => {
+    const { donor, confidence, notes } = parseReferralText('34 yo female, 165 cm, Wt 60, blood group A neg');
+    expect(donor).toMatchObject({ gender: 'female', age: '34', height: '165', weight: '60', bloodType: 'A-' });
+    expect(confidence).toMatchObject({ gender: 'low', age: 'high', height: 'low', weight: 'low', bloodType: 'high' });
+    expect(notes.weight).toBe('no unit given; read as kg');
+    expect(confidence.name).toBe('missing');
+  });
+
+  it('detects metres, inches and ages in months', () => {
+    expect(parseReferralText('Height: 1.82 m').donor.height).toBe('182');
+    const inches = parseReferralText('Height 70');
+    expect(inches.donor.height).toBe('177.8');
+    expect(inches.notes.height).toBe('no unit given; read as inches');
+    const infant = parseReferralText('Age: 18 months');
+    expect(infant.donor.age).toBe('1.5');
+    expect(infant.confidence.age).toBe('low');
+  });
+
+  it('leaves the blood type empty when Rh is not stated', () => {
+    const { donor, confidence, notes } = parseReferralText('ABO: B');
+    expect(donor.bloodType).toBe('');
+    expect(confidence.bloodType).toBe('missing');
+    expect(notes.bloodType).toBe('ABO group B found but Rh not stated');
+  });
+
+  it('flags implausible values and conflicting sex', () => {
+    const { confidence, notes } = parseReferralText('male donor, mother female. Weight: 500 kg');
+    expect(confidence.weight).toBe('low');
+    expect(notes.weight).toMatch(/outside the plausible range/);
+    expect(confidence.gender).toBe('missing');
+  });
+});
+
+describe('parseDonorRecords', () => {
+  const sheet = (headers, values) => ({
+    name: 'donor.json',
+    headers,
+    rows: [{ rowNumber: 1, data: Object.fromEntries(headers.map((header, i) => [header, values[i]])) }]
+  });
+
+  it('converts units named in the headers', () => {
+    const [record] = parseDonorRecords(sheet(
+      ['donor_id', 'sex', 'age', 'height_in', 'weight_lb', 'abo'],
+      ['D-9', 'F', 28, 64, 130, 'AB-']
+    ));
+    expect(record.donor).toEqual({ name: 'D-9', gender: 'female', age: '28', height: '162.56', weight: '58.97', bloodType: 'AB-' });
+    expect(record.confidence.height).toBe('high');
+  });
+
+  it('flags measurements whose units were assumed and unreadable values', () => {
+    const [record] = parseDonorRecords(sheet(['name', 'gender', 'age', 'height', 'weight', 'bloodType'], ['D-1', 'X', 40, 180, 80, 'A+']));
+    expect(record.confidence).toMatchObject({ height: 'low', weight: 'low', gender: 'low', age: 'high' });
+    expect(record.notes.height).toBe('no unit in the column header; read as cm');
+  });
+});
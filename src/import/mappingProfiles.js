@@ -0,0 +1,33 @@
+// mappingProfiles.js - Named column-mapping profiles saved in localStorage
+const STORAGE_KEY = 'heartTransplantMatcher.mappingProfiles';
+
+export const loadMappingProfiles = () => {
+  try {
+    const profiles = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(profiles) ? profiles : [];
+  } catch (err) {
+    console.error('Could not read mapping profiles:', err);
+    return [];
+  }
+};
+
+const writeMappingProfiles = (profiles) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  return profiles;
+};
+
+// Save (or replace) a profile: { name, sheetName, mapping, units }
+export const saveMappingProfile = (profile) => {
+  const others = loadMappingProfiles().filter(existing => existing.name !== profile.name);
+  return writeMappingProfiles([...others, { ...profile, savedAt: new Date().toISOString() }]);
+};
+
+export const deleteMappingProfile = (name) =>
+  writeMappingProfiles(loadMappingProfiles().filter(profile => profile.name !== name));
+
+// First saved profile whose mapped columns all exist in the given headers
+export const findMatchingProfile = (profiles, headers) =>
+  profiles.find(profile => {
+    const columns = Object.values(profile.mapping || {}).filter(Boolean);
+    return columns.length > 0 && columns.every(column => headers.includes(column));
+  });
@@ -0,0 +1,183 @@
+// parsers.js - Read recipient lists from .xlsx, CSV/TSV and JSON into sheets of { headers, rows }
+import ExcelJS from 'exceljs';
+import { plainCellValue } from './validation';
+
+const normalizeHeader = (header) => String(plainCellValue(header) ?? '').trim();
+
+// Detect the file format from its extension, falling back to the leading bytes
+export const detectFormat = (fileName, bytes) => {
+  const extension = (fileName.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+
+  if (extension === '.xlsx') return 'xlsx';
+  if (extension === '.xls') return 'xls';
+  if (extension === '.json') return 'json';
+  if (extension === '.csv' || extension === '.tsv' || extension === '.txt') return 'delimited';
+
+  // ZIP container (xlsx) and OLE2 compound document (legacy xls) signatures
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) return 'xlsx';
+  if (bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0) return 'xls';
+
+  const firstChar = new TextDecoder().decode(bytes.slice(0, 64)).trim()[0];
+  if (firstChar === '[' || firstChar === '{') return 'json';
+  return 'delimited';
+};
+
+// Pick the delimiter that occurs most often (outside quotes) in the header line
+export const detectDelimiter = (text) => {
+  const candidates = ['\t', ';', ','];
+  const counts = Object.fromEntries(candidates.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    else if (!inQuotes && char in counts) counts[char]++;
+  }
+
+  return candidates.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+};
+
+// Parse delimited text (RFC 4180 quoting: "a, b", "say ""hi""", embedded newlines)
+// Returns an array of records, each with its 1-based starting line number.
+export const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some(value => value.trim() !== '')) records.push({ line: recordLine, values: record });
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length) endRecord();
+
+  return records;
+};
+
+const readDelimited = (text, delimiter) => {
+  const [headerRecord, ...dataRecords] = parseDelimited(text, delimiter);
+  if (!headerRecord) return { headers: [], rows: [] };
+
+  const headers = headerRecord.values.map(normalizeHeader);
+  const rows = dataRecords.map(({ line, values }) => {
+    const data = {};
+    headers.forEach((header, index) => {
+      const value = values[index]?.trim();
+      if (header && value !== undefined && value !== '') data[header] = value;
+    });
+    return { rowNumber: line, data };
+  });
+
+  return { headers, rows };
+};
+
+const readJSON = (text) => {
+  const parsed = JSON.parse(text);
+  // A bare array, { recipients: [...] }, or for donor referrals { donors: [...] } / { donor: {...} }
+  const records = Array.isArray(parsed)
+    ? parsed
+    : parsed?.recipients || parsed?.donors || (parsed?.donor ? [parsed.donor] : undefined);
+
+  if (!Array.isArray(records)) {
+    throw new Error('JSON file must contain an array of recipient objects.');
+  }
+
+  const headers = [];
+  const rows = records.map((record, index) => {
+    const data = {};
+    Object.entries(record || {}).forEach(([key, value]) => {
+      const header = normalizeHeader(key);
+      if (!headers.includes(header)) headers.push(header);
+      data[header] = value;
+    });
+    // Number JSON records from 1 so issues read "row 1" for the first entry
+    return { rowNumber: index + 1, data };
+  });
+
+  return { headers, rows };
+};
+
+const readWorksheet = (worksheet) => {
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber - 1] = normalizeHeader(cell.value);
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return; // Skip header row
+
+    const data = {};
+    row.eachCell((cell, colNumber) => {
+      const header = headers[colNumber - 1];
+      if (header) data[header] = plainCellValue(cell.value);
+    });
+    rows.push({ rowNumber, data });
+  });
+
+  return { headers, rows };
+};
+
+const readXLSX = async (arrayBuffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(arrayBuffer);
+
+  if (!workbook.worksheets.length) {
+    throw new Error('No worksheet found in the Excel file.');
+  }
+  return workbook.worksheets.map(sheet => ({ name: sheet.name, ...readWorksheet(sheet) }));
+};
+
+// Read a recipient list file into sheets of { name, headers, rows }, rows being { rowNumber, data }.
+// Headers are kept as written; CSV/TSV and JSON files produce a single sheet.
+export const parseRecipientFile = async (file) => {
+  const arrayBuffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(arrayBuffer);
+  const format = detectFormat(file.name, bytes);
+
+  if (format === 'xls') {
+    throw new Error('Legacy Excel 97-2003 (.xls) files are not supported. Open the file in Excel and save it as .xlsx or CSV, then upload it again.');
+  }
+  if (format === 'xlsx') return readXLSX(arrayBuffer);
+
+  // TextDecoder drops the UTF-8 byte order mark left by Excel's "CSV UTF-8" export
+  const text = new TextDecoder().decode(bytes);
+  const sheet = format === 'json'
+    ? readJSON(text)
+    : readDelimited(text, file.name.toLowerCase().endsWith('.tsv') ? '\t' : undefined);
+  return [{ name: file.name, ...sheet }];
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { detectDelimiter, detectFormat, parseDelimited, parseRecipientFile } from './parsers';
+
+const textFile = (name, text) => ({
+  name,
+  arrayBuffer: async () => new TextEncoder().encode(text).buffer
+});
+
+describe('parseDelimited', () => {
+  it('handles quoted fields, escaped quotes and embedded newlines', () => {
+    const records = parseDelimited('id,name\n1,"Smith, ""Jo"""\n2,"Line\nbreak"\n3,Plain', ',');
+    expect(records.map(r => r.values)).toEqual([
+      ['id', 'name'], ['1', 'Smith, "Jo"'], ['2', 'Line\nbreak'], ['3', 'Plain']
+    ]);
+    expect(records.map(r => r.line)).toEqual([1, 2, 3, 5]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    expect(detectDelimiter('id;name;weight\n1;A;70,5')).toBe(';');
+    expect(detectDelimiter('id\tname\n1\tA')).toBe('\t');
+    expect(detectDelimiter('"a;b",c\n')).toBe(',');
+  });
+});
+
+describe('detectFormat', () => {
+  it('recognises legacy .xls by extension or signature', () => {
+    expect(detectFormat('list.xls', new Uint8Array())).toBe('xls');
+    expect(detectFormat('list', new Uint8Array([0xd0, 0xcf, 0x11, 0xe0]))).toBe('xls');
+  });
+});
+
+describe('parseRecipientFile', () => {
+  it('reads a European CSV into a single sheet of headers and rows', async () => {
+    const [{ headers, rows }] = await parseRecipientFile(
+      textFile('list.csv', 'ID;Name;Weight\r\nH-1;"Doe; Jane";70,5\r\n')
+    );
+    expect(headers).toEqual(['ID', 'Name', 'Weight']);
+    expect(rows).toEqual([{ rowNumber: 2, data: { ID: 'H-1', Name: 'Doe; Jane', Weight: '70,5' } }]);
+  });
+
+  it('reads a JSON array', async () => {
+    const [{ headers, rows }] = await parseRecipientFile(
+      textFile('list.json', '[{"id": "H-1", "bloodType": "A+", "age": 40}]')
+    );
+    expect(headers).toEqual(['id', 'bloodType', 'age']);
+    expect(rows[0]).toEqual({ rowNumber: 1, data: { id: 'H-1', bloodType: 'A+', age: 40 } });
+  });
+
+  it('rejects legacy .xls with a clear message', async () => {
+    await expect(parseRecipientFile(textFile('list.xls', ''))).rejects.toThrow(/save it as \.xlsx or CSV/);
+  });
+});
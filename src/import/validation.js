@@ -0,0 +1,287 @@
+// validation.js - Per-row validation of imported recipient data
+import { bloodTypes } from '../engine/matching';
+import { plausibleRanges } from '../engine/units';
+import { parseAntigenList, hlaTypingProblems } from '../engine/hla';
+
+// Plausible ranges for imported measurements, from infants under one year (age 0 or 0.5) to large adults
+export const recipientRanges = {
+  age: { min: 0, max: 100, unit: 'years' },
+  height: { ...plausibleRanges.height, unit: 'cm' },
+  weight: { ...plausibleRanges.weight, unit: 'kg' }
+};
+
+// Optional clinical columns: pulmonary vascular resistance (Wood units) and calculated PRA (%)
+export const clinicalRanges = {
+  pvr: { min: 0, max: 20, unit: 'WU' },
+  cpra: { min: 0, max: 100, unit: '%' }
+};
+
+// Mechanical circulatory support; 'none' when the column says the patient has none
+export const vadTypes = ['none', 'LVAD', 'RVAD', 'BiVAD', 'TAH', 'ECMO', 'VAD'];
+
+const yesValues = ['yes', 'y', 'true', '1'];
+const noValues = ['no', 'n', 'false', '0', 'none'];
+
+// Listing states: only active patients are ranked against a donor
+export const listingStates = ['active', 'inactive', 'removed'];
+
+const genderSynonyms = {
+  m: 'male',
+  male: 'male',
+  man: 'male',
+  f: 'female',
+  female: 'female',
+  woman: 'female'
+};
+
+// Unwrap ExcelJS rich text / formula / hyperlink cell values to a plain value
+export const plainCellValue = (value) => {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if ('result' in value) return plainCellValue(value.result);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return value.text;
+  return value;
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Decimal commas ("72,5") when a comma is the only separator and does not group thousands ("1,234");
+// with both separators the last one is the decimal point ("1.234,5", "1,234.5")
+const normalizeSeparators = (text) => {
+  const comma = text.lastIndexOf(',');
+  const dot = text.lastIndexOf('.');
+  if (comma !== -1 && dot !== -1) {
+    return comma > dot ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  }
+  if (/^[-+]?\d{1,3}(,\d{3})+$/.test(text)) return text.replace(/,/g, '');
+  return /^[^,]*,[^,]*$/.test(text) ? text.replace(',', '.') : text;
+};
+
+// Strict number parsing: "72" and 72 are numbers, "72kg" and "forty" are not
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (isBlank(value)) return NaN;
+  return Number(normalizeSeparators(String(value).trim()));
+};
+
+export const normalizeGender = (value) => {
+  if (isBlank(value)) return null;
+  return genderSynonyms[String(value).trim().toLowerCase()] || null;
+};
+
+export const normalizeBloodType = (value) => {
+  if (isBlank(value)) return null;
+  const normalized = String(value).trim().toUpperCase().replace(/\s+/g, '').replace(/POS(ITIVE)?$/, '+').replace(/NEG(ATIVE)?$/, '-');
+  return bloodTypes.includes(normalized) ? normalized : null;
+};
+
+// Text dates: ISO (2024-03-15 or 2024/03/15, optionally with a time) or day/month/year (15/03/2024, 15.03.2024, 15-03-2024)
+const isoDate = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/;
+const isoTimestamp = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+const numericDate = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+
+// Midnight UTC, like new Date('2024-03-15'); invalid for a day the month does not have
+const utcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : new Date(NaN);
+};
+
+// [day, month] of a numeric date: day first unless only the second number can be the day (03/15/2024).
+// Null when both readings are possible and differ, e.g. 03/04/2024.
+const dayAndMonth = (first, second) => {
+  if (first > 12 || first === second) return [first, second];
+  if (second > 12) return [second, first];
+  return null;
+};
+
+// 03/04/2024 could be 3 April or 4 March, so it is not guessed
+export const isAmbiguousDate = (value) => {
+  const match = String(value ?? '').trim().match(numericDate);
+  return Boolean(match) && !dayAndMonth(Number(match[1]), Number(match[2]));
+};
+
+// Excel dates arrive as Date objects, serial numbers or strings; CSV dates as strings.
+// Month names ("3 March 2024") are left to the Date parser; other numeric layouts and ambiguous dates are invalid.
+export const parseDateValue = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date((value - 25569) * 86400 * 1000);
+  if (isBlank(value)) return new Date(NaN);
+
+  const text = String(value).trim();
+  const iso = text.match(isoDate);
+  if (iso) return utcDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  const numeric = text.match(numericDate);
+  if (numeric) {
+    const order = dayAndMonth(Number(numeric[1]), Number(numeric[2]));
+    return order ? utcDate(Number(numeric[3]), order[1], order[0]) : new Date(NaN);
+  }
+  return isoTimestamp.test(text) || /[a-z]/i.test(text) ? new Date(text) : new Date(NaN);
+};
+
+const validateMeasurement = (field, rawValue, issue) => {
+  const value = parseNumber(rawValue);
+  const { min, max, unit } = recipientRanges[field];
+
+  if (isBlank(rawValue)) {
+    issue(field, `${field} is blank`);
+    return null;
+  }
+  if (isNaN(value)) {
+    issue(field, `${field} "${rawValue}" is not a number`);
+    return null;
+  }
+  if (field === 'height' && value > 0.5 && value < 2.5) {
+    issue(field, `height ${value} looks like metres; expected ${unit}`);
+    return null;
+  }
+  if (value < min || value > max) {
+    issue(field, `${field} ${value} is outside the plausible range ${min}–${max} ${unit}`);
+    return null;
+  }
+  return value;
+};
+
+// "Yes"/"No", true/false, 1/0 or a count of previous sternotomies
+export const normalizeYesNo = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return null;
+  const text = String(value).trim().toLowerCase();
+  if (yesValues.includes(text) || /^[1-9]\d*$/.test(text)) return true;
+  if (noValues.includes(text)) return false;
+  return undefined;
+};
+
+// "LVAD", "biVAD", "yes" (some device) or "no"; undefined when unrecognised
+export const normalizeVad = (value) => {
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  const known = vadTypes.find(type => type.toLowerCase() === text.toLowerCase());
+  if (known) return known;
+  if (yesValues.includes(text.toLowerCase())) return 'VAD';
+  if (noValues.includes(text.toLowerCase())) return 'none';
+  return undefined;
+};
+
+// Blank clinical values stay null; anything present must parse and lie in range
+const validateClinical = (data, issue) => {
+  const clinical = {};
+  Object.entries(clinicalRanges).forEach(([field, { min, max, unit }]) => {
+    if (isBlank(data[field])) {
+      clinical[field] = null;
+      return;
+    }
+    const value = parseNumber(String(data[field]).replace(/%$/, ''));
+    if (isNaN(value) || value < min || value > max) {
+      issue(field, `${field} "${data[field]}" must be a number from ${min} to ${max} ${unit}`);
+    }
+    clinical[field] = value;
+  });
+
+  clinical.priorSternotomy = normalizeYesNo(data.priorSternotomy);
+  if (clinical.priorSternotomy === undefined) {
+    issue('priorSternotomy', `priorSternotomy "${data.priorSternotomy}" must be yes/no`);
+  }
+  clinical.vad = normalizeVad(data.vad);
+  if (clinical.vad === undefined) {
+    issue('vad', `vad "${data.vad}" must be yes/no or one of ${vadTypes.join(', ')}`);
+  }
+  // An antigen that cannot be read could hide a positive crossmatch, so the row is held back until it is corrected
+  const { antigens, unreadable } = parseAntigenList(data.unacceptableAntigens);
+  unreadable.forEach(token => issue('unacceptableAntigens', `unacceptable antigen "${token}" could not be read`));
+  clinical.unacceptableAntigens = antigens;
+  return clinical;
+};
+
+export const donorFields = ['name', 'gender', 'age', 'height', 'weight', 'bloodType'];
+
+// Problems with a donor entered in the form or imported for batch matching; empty when usable
+export const donorProblems = (donor) => {
+  const missing = donorFields.filter(field => isBlank(donor[field]));
+  const problems = missing.length ? [`missing ${missing.join(', ')}`] : [];
+  ['age', 'height', 'weight']
+    .filter(field => !missing.includes(field) && isNaN(parseFloat(donor[field])))
+    .forEach(field => problems.push(`${field} must be a number`));
+  if (!missing.includes('gender') && !normalizeGender(donor.gender)) problems.push('gender must be male or female');
+  if (!missing.includes('bloodType') && !normalizeBloodType(donor.bloodType)) {
+    problems.push(`blood type must be one of ${bloodTypes.join(', ')}`);
+  }
+  // HLA typing is optional, but what is entered must be readable
+  problems.push(...hlaTypingProblems(donor));
+  return problems;
+};
+
+// Validate one imported row. Returns the normalised recipient and any issues found.
+export const validateRecipientRow = (data, rowNumber, { requireBloodType = true } = {}) => {
+  const issues = [];
+  const issue = (column, reason) => issues.push({ row: rowNumber, column, reason });
+
+  if (isBlank(data.id)) issue('id', 'id is blank');
+
+  const gender = normalizeGender(data.gender);
+  if (!gender) issue('gender', isBlank(data.gender) ? 'gender is blank' : `gender "${data.gender}" is not male/female (M/F)`);
+
+  const age = validateMeasurement('age', data.age, issue);
+  const height = validateMeasurement('height', data.height, issue);
+  const weight = validateMeasurement('weight', data.weight, issue);
+
+  let bloodType = data.bloodType;
+  if (requireBloodType) {
+    bloodType = normalizeBloodType(data.bloodType);
+    if (!bloodType) {
+      issue('bloodType', isBlank(data.bloodType)
+        ? 'bloodType is blank'
+        : `bloodType "${data.bloodType}" is not one of ${bloodTypes.join(', ')}`);
+    }
+  }
+
+  const status = parseNumber(data.status);
+  if (!Number.isInteger(status) || status < 1 || status > 7) {
+    issue('status', `status "${data.status ?? ''}" must be a whole number from 1 to 7`);
+  }
+
+  const dateadded = parseDateValue(data.dateadded);
+  if (isNaN(dateadded.getTime())) {
+    issue('dateadded', isBlank(data.dateadded)
+      ? 'dateAdded is blank'
+      : isAmbiguousDate(data.dateadded)
+        ? `dateAdded "${data.dateadded}" could be day/month or month/day; write it as YYYY-MM-DD`
+        : `dateAdded "${data.dateadded}" is not a valid date`);
+  }
+
+  // Optional column written by the waitlist export; blank means active
+  const listingState = isBlank(data.listingState) ? 'active' : String(data.listingState).trim().toLowerCase();
+  if (!listingStates.includes(listingState)) {
+    issue('listingState', `listingState "${data.listingState}" must be one of ${listingStates.join(', ')}`);
+  }
+
+  const clinical = validateClinical(data, issue);
+
+  // Optional transplant centre code, looked up in the centre table when matching
+  const centre = isBlank(data.centre) ? null : String(data.centre).trim().toUpperCase();
+
+  return {
+    recipient: { ...data, gender, age, height, weight, bloodType, status, dateadded, listingState, ...clinical, centre },
+    issues
+  };
+};
+
+// Validate all imported rows ({ rowNumber, data }).
+// Only rows without issues are returned in `recipients`; the rest are held back for review.
+export const validateRecipients = (rows, options) => {
+  const recipients = [];
+  const issues = [];
+  const invalidRows = [];
+
+  rows.forEach(({ rowNumber, data }) => {
+    const result = validateRecipientRow(data, rowNumber, options);
+    if (result.issues.length) {
+      issues.push(...result.issues);
+      invalidRows.push({ rowNumber, data });
+    } else {
+      recipients.push(result.recipient);
+    }
+  });
+
+  return { recipients, issues, invalidRows };
+};
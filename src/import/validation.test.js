@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { validateRecipientRow, validateRecipients, parseNumber, parseDateValue, isAmbiguousDate } from './validation';
+
+const validRow = {
+  id: 'H-001', name: 'Patient', gender: 'male', age: 52, height: 178, weight: 82,
+  bloodType: 'O+', status: 2, dateadded: new Date('2024-03-01')
+};
+
+const columnsFlagged = (data, options) =>
+  validateRecipientRow(data, 2, options).issues.map(issue => issue.column);
+
+describe('parseNumber', () => {
+  it('reads a comma as the decimal point only when it is the only separator', () => {
+    expect(parseNumber('72,5')).toBe(72.5);
+    expect(parseNumber('1,234')).toBe(1234);
+    expect(parseNumber('1.234,5')).toBe(1234.5);
+    expect(parseNumber('1,234.5')).toBe(1234.5);
+    expect(parseNumber('1,2,3')).toBeNaN();
+  });
+});
+
+describe('parseDateValue', () => {
+  const day = (value) => parseDateValue(value).toISOString().slice(0, 10);
+
+  it('reads ISO and day/month/year dates', () => {
+    expect(day('2024-03-15')).toBe('2024-03-15');
+    expect(day('2024/3/5')).toBe('2024-03-05');
+    expect(day('15/03/2024')).toBe('2024-03-15');
+    expect(day('15.03.2024')).toBe('2024-03-15');
+    expect(day('15-03-2024')).toBe('2024-03-15');
+    expect(day('05/05/2024')).toBe('2024-05-05');
+  });
+
+  it('reads month/day/year only when the first number cannot be the day', () => {
+    expect(day('03/15/2024')).toBe('2024-03-15');
+  });
+
+  it('does not guess dates that read both ways, or days the month does not have', () => {
+    expect(isAmbiguousDate('03/04/2024')).toBe(true);
+    expect(parseDateValue('03/04/2024').getTime()).toBeNaN();
+    expect(isAmbiguousDate('15/03/2024')).toBe(false);
+    expect(parseDateValue('31/02/2024').getTime()).toBeNaN();
+    expect(parseDateValue('2024.13.01').getTime()).toBeNaN();
+  });
+});
+
+describe('validateRecipientRow', () => {
+  it('accepts a complete row', () => {
+    const { issues, recipient } = validateRecipientRow(validRow, 2);
+    expect(issues).toEqual([]);
+    expect(recipient.gender).toBe('male');
+  });
+
+  it('accepts gender synonyms', () => {
+    expect(validateRecipientRow({ ...validRow, gender: 'M' }, 2).recipient.gender).toBe('male');
+    expect(validateRecipientRow({ ...validRow, gender: 'Female' }, 2).recipient.gender).toBe('female');
+    expect(columnsFlagged({ ...validRow, gender: 'X' })).toEqual(['gender']);
+  });
+
+  it('flags blank, non-numeric and out-of-range measurements', () => {
+    expect(columnsFlagged({ ...validRow, weight: '' })).toEqual(['weight']);
+    expect(columnsFlagged({ ...validRow, age: 'forty' })).toEqual(['age']);
+    expect(columnsFlagged({ ...validRow, weight: 820 })).toEqual(['weight']);
+  });
+
+  it('accepts infants for the paediatric models', () => {
+    const { issues, recipient } = validateRecipientRow({ ...validRow, age: 0.5, height: 66, weight: 7.5 }, 2);
+    expect(issues).toEqual([]);
+    expect(recipient.age).toBe(0.5);
+    expect(columnsFlagged({ ...validRow, age: 0, height: 52, weight: 3.4 })).toEqual([]);
+    expect(columnsFlagged({ ...validRow, age: -1 })).toEqual(['age']);
+  });
+
+  it('flags heights given in metres', () => {
+    const { issues } = validateRecipientRow({ ...validRow, height: 1.78 }, 7);
+    expect(issues).toEqual([{ row: 7, column: 'height', reason: expect.stringContaining('metres') }]);
+  });
+
+  it('validates blood type against the known list', () => {
+    expect(validateRecipientRow({ ...validRow, bloodType: 'ab-' }, 2).recipient.bloodType).toBe('AB-');
+    expect(columnsFlagged({ ...validRow, bloodType: 'C+' })).toEqual(['bloodType']);
+    expect(columnsFlagged({ ...validRow, bloodType: undefined }, { requireBloodType: false })).toEqual([]);
+  });
+
+  it('flags unparseable dates and statuses', () => {
+    expect(columnsFlagged({ ...validRow, dateadded: 'last spring' })).toEqual(['dateadded']);
+    expect(validateRecipientRow({ ...validRow, dateadded: '03/04/2024' }, 5).issues).toEqual([
+      { row: 5, column: 'dateadded', reason: expect.stringContaining('could be day/month or month/day') }
+    ]);
+    expect(columnsFlagged({ ...validRow, status: 9 })).toEqual(['status']);
+  });
+
+  it('reads the optional clinical columns', () => {
+    const { issues, recipient } = validateRecipientRow({
+      ...validRow, pvr: '4.5', priorSternotomy: 'Y', vad: 'lvad', cpra: '85', unacceptableAntigens: 'a2, B44;dr7'
+    }, 2);
+    expect(issues).toEqual([]);
+    expect(recipient).toMatchObject({ pvr: 4.5, priorSternotomy: true, vad: 'LVAD', cpra: 85, unacceptableAntigens: ['A2', 'B44', 'DR7'] });
+    expect(validateRecipientRow({ ...validRow, vad: 'yes', priorSternotomy: 0 }, 2).recipient).toMatchObject({ vad: 'VAD', priorSternotomy: false });
+  });
+
+  it('flags unacceptable antigens that cannot be read instead of keeping them as text', () => {
+    const { issues, recipient } = validateRecipientRow({ ...validRow, unacceptableAntigens: 'A2/A68, Bw4, HLA-B 44' }, 4);
+    expect(recipient.unacceptableAntigens).toEqual(['A2', 'A68', 'B44']);
+    expect(issues).toEqual([{ row: 4, column: 'unacceptableAntigens', reason: 'unacceptable antigen "Bw4" could not be read' }]);
+  });
+
+  it('leaves blank clinical columns empty and flags unusable ones', () => {
+    expect(validateRecipientRow(validRow, 2).recipient).toMatchObject({ pvr: null, cpra: null, vad: null, unacceptableAntigens: [] });
+    expect(columnsFlagged({ ...validRow, pvr: 40, cpra: 120, vad: 'pump', priorSternotomy: 'maybe' }))
+      .toEqual(['pvr', 'cpra', 'priorSternotomy', 'vad']);
+  });
+});
+
+describe('validateRecipients', () => {
+  it('holds back invalid rows', () => {
+    const result = validateRecipients([
+      { rowNumber: 2, data: validRow },
+      { rowNumber: 3, data: { ...validRow, id: 'H-002', weight: '' } }
+    ]);
+    expect(result.recipients.map(r => r.id)).toEqual(['H-001']);
+    expect(result.invalidRows.map(r => r.rowNumber)).toEqual([3]);
+    expect(result.issues[0]).toMatchObject({ row: 3, column: 'weight' });
+  });
+});
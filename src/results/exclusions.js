@@ -0,0 +1,35 @@
+// exclusions.js - Who a run left out of the ranking and why, for the results view, donor history and exports
+import { exclusionReasons } from '../engine/clinicalRules';
+
+// Labels for the excludedBy keys each excluded result carries (see exclusionsFor in matching.js).
+// A recipient can be listed under more than one reason.
+const exclusionGroups = {
+  aboIncompatible: { label: 'ABO incompatible', detail: result => result.bloodType || 'unknown' },
+  clinicalRules: { label: 'By clinical rules', detail: exclusionReasons },
+  beyondIschaemicLimit: { label: 'Beyond the maximum ischaemic time', detail: result => `${result.transport.ischaemicHours} h` },
+  positiveCrossmatch: { label: 'Positive virtual crossmatch', detail: result => result.virtualCrossmatch.conflicts.join(', ') }
+};
+
+// Runs saved before the reasons were recorded only know who was excluded
+const unrecorded = { label: 'Reason not recorded' };
+
+// "Beta (O+)", or just the text when the group has no detail
+const withDetail = (text, group, result) => (group.detail ? `${text} (${group.detail(result)})` : text);
+
+const groupsFor = (result) => (result.excludedBy ? result.excludedBy.map(key => exclusionGroups[key]).filter(Boolean) : [unrecorded]);
+
+// "3 recipient(s) excluded and not ranked. By clinical rules: Alpha (High PVR). ..." or '' when nobody was excluded
+export const describeExclusions = (excluded = []) => {
+  if (!excluded.length) return '';
+  const reasons = [...Object.values(exclusionGroups), unrecorded]
+    .map(group => ({ group, results: excluded.filter(result => groupsFor(result).includes(group)) }))
+    .filter(({ results }) => results.length)
+    .map(({ group, results }) => ` ${group.label}: ${results.map(result => withDetail(result.name, group, result)).join('; ')}.`);
+  return `${excluded.length} recipient(s) excluded and not ranked.${reasons.join('')}`;
+};
+
+// One result's reasons, e.g. "Excluded: By clinical rules (High PVR)"
+export const describeExclusion = (result) => {
+  const reasons = groupsFor(result).map(group => withDetail(group.label, group, result));
+  return `Excluded: ${reasons.join('; ')}`;
+};
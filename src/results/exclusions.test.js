@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateRecipients } from '../engine/matching';
+import { defaultPolicy } from '../engine/allocationPolicy';
+import { describeExclusions, describeExclusion } from './exclusions';
+
+const donor = { name: 'D-1', gender: 'male', age: '35', height: '180', weight: '85', bloodType: 'A+' };
+const cpraRule = [{ id: 'cpra', name: 'cPRA over 95', enabled: true, action: 'exclude', conditions: [{ quantity: 'cpra', operator: '>', value: 95 }] }];
+const recipients = [
+  { id: 'H-1', name: 'Alpha', gender: 'male', age: 50, height: 178, weight: 80, bloodType: 'A+', status: 2, dateadded: new Date('2024-01-01') },
+  { id: 'H-2', name: 'Beta', gender: 'male', age: 45, height: 182, weight: 84, bloodType: 'O+', status: 1, dateadded: new Date('2024-02-01') }
+];
+
+describe('describeExclusions', () => {
+  it('names each excluded recipient with the reason', () => {
+    const { excluded } = evaluateRecipients(donor, recipients, { policy: { ...defaultPolicy, exclusions: ['aboIncompatible'] } });
+    expect(describeExclusions(excluded)).toBe('1 recipient(s) excluded and not ranked. ABO incompatible: Beta (O+).');
+  });
+
+  it('lists only the exclusions that applied, not everything the recipient happens to match', () => {
+    const highCpra = [recipients[0], { ...recipients[1], cpra: 98 }];
+    const { excluded } = evaluateRecipients(donor, highCpra, { clinicalRules: cpraRule });
+    expect(excluded[0].excludedBy).toEqual(['clinicalRules']);
+    expect(describeExclusions(excluded)).toBe('1 recipient(s) excluded and not ranked. By clinical rules: Beta (cPRA over 95).');
+  });
+
+  it('does not guess the reasons of runs saved before they were recorded', () => {
+    const [excluded] = evaluateRecipients(donor, recipients, { policy: { ...defaultPolicy, exclusions: ['aboIncompatible'] } }).excluded;
+    const older = { ...excluded, excludedBy: undefined };
+    expect(describeExclusions([older])).toBe('1 recipient(s) excluded and not ranked. Reason not recorded: Beta.');
+  });
+
+  it('is empty when nobody was excluded, including older snapshots without the list', () => {
+    expect(describeExclusions([])).toBe('');
+    expect(describeExclusions(undefined)).toBe('');
+  });
+});
+
+describe('describeExclusion', () => {
+  it('gives one result its reasons', () => {
+    const { excluded } = evaluateRecipients(donor, recipients, { policy: { ...defaultPolicy, exclusions: ['aboIncompatible'] } });
+    expect(describeExclusion(excluded[0])).toBe('Excluded: ABO incompatible (O+)');
+  });
+
+  it('names every exclusion that applied', () => {
+    const policy = { ...defaultPolicy, exclusions: ['aboIncompatible'] };
+    const { excluded } = evaluateRecipients(donor, [{ ...recipients[1], cpra: 98 }], { policy, clinicalRules: cpraRule });
+    expect(describeExclusion(excluded[0])).toBe('Excluded: ABO incompatible (O+); By clinical rules (cPRA over 95)');
+  });
+});
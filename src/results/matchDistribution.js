@@ -0,0 +1,81 @@
+// matchDistribution.js - Chart data for how a donor fits the list: PHM ratio against status, and recipients per septile.
+// Renderer-neutral, so the in-app SVG charts and the PDF report draw the same thing.
+import { metricThresholds, riskSeverities } from '../engine/sizeMetrics';
+import { determineMatchCategory } from '../engine/matching';
+import { isPaediatricResult } from '../engine/paediatricModels';
+
+export const statusDomain = [1, 7];
+
+// The PHM reference lines: where High Risk ends (the first tier's bound when it is a high-risk tier)
+// and the category that holds a ratio of exactly 1, shaded as the well-matched band
+export const phmReferenceBands = (thresholds) => {
+  const { categories, riskTiers } = metricThresholds('phm', thresholds);
+  const matched = categories.findIndex(category => 1 < category.below);
+  const index = matched === -1 ? categories.length - 1 : matched;
+  const highRiskBelow = riskTiers[0].severity === riskSeverities.high && riskTiers.length > 1 ? Number(riskTiers[0].below) : null;
+  return {
+    highRiskBelow,
+    wellMatched: {
+      label: categories[index].label,
+      from: index > 0 ? Number(categories[index - 1].below) : null,
+      to: index < categories.length - 1 ? Number(categories[index].below) : null
+    }
+  };
+};
+
+// Paediatric patients are rated by another model and have no meaningful PHM ratio, so they are counted but not plotted;
+// nor are patients whose PHM could not be calculated (null at age 0)
+const adultResults = (results) => results.filter(result =>
+  !isPaediatricResult(result) && result.phmRatio !== null && isFinite(result.phmRatio));
+
+// Ratio axis wide enough for every point and the reference lines, ticked every 0.1 (wider for outliers)
+const ratioAxis = (ratios, bands) => {
+  const values = [...ratios, bands.highRiskBelow, bands.wellMatched.from, bands.wellMatched.to].filter(value => value !== null && isFinite(value));
+  const low = Math.min(0.8, ...values);
+  const high = Math.max(1.2, ...values);
+  const step = high - low <= 1 ? 0.1 : high - low <= 2 ? 0.2 : 0.5;
+  const from = Math.floor(low / step) * step;
+  const count = Math.ceil((high - from) / step - 1e-9);
+  const ticks = Array.from({ length: count + 1 }, (_, i) => Math.round((from + i * step) * 10) / 10);
+  return { domain: [ticks[0], ticks[ticks.length - 1]], ticks };
+};
+
+export const scatterData = (results, thresholds) => {
+  const bands = phmReferenceBands(thresholds);
+  const plotted = adultResults(results);
+  const points = plotted.map(result => ({
+    rank: result.rank,
+    name: result.name,
+    ratio: result.phmRatio,
+    status: result.status,
+    aboMatch: result.aboMatch
+  }));
+  return { points, bands, ...ratioAxis(points.map(point => point.ratio), bands), omitted: results.length - plotted.length };
+};
+
+// Recipients per PHM septile (determineMatchCategory), split by ABO compatibility, in septile order
+export const categoryHistogram = (results, thresholds) => {
+  const { categories } = metricThresholds('phm', thresholds);
+  const counts = categories.map(category => ({ label: category.label, compatible: 0, incompatible: 0 }));
+  adultResults(results).forEach(result => {
+    const bar = counts.find(count => count.label === determineMatchCategory(result.phmRatio, thresholds));
+    if (result.aboMatch) bar.compatible++;
+    else bar.incompatible++;
+  });
+  return counts.map(count => ({ ...count, total: count.compatible + count.incompatible }));
+};
+
+// Maps a value in domain onto [from, to] (pixels or mm)
+export const linearScale = ([d0, d1], [from, to]) => (value) => from + ((value - d0) / (d1 - d0)) * (to - from);
+
+// Short bar label: "U3 - Severely Undersized" -> "U3"; other labels are cut to fit
+export const categoryCode = (label) => label.split(' - ')[0].slice(0, 10);
+
+// Small deterministic vertical offset (in status units) so recipients with the same status do not overlap
+export const statusJitter = (rank = 0) => ((rank % 5) - 2) * 0.07;
+
+// Count axis for the histogram: 0 up to a round maximum, with at most 6 ticks
+export const countTicks = (max) => {
+  const step = Math.max(1, Math.ceil(Math.max(max, 1) / 5));
+  return Array.from({ length: Math.ceil(Math.max(max, 1) / step) + 1 }, (_, i) => i * step);
+};
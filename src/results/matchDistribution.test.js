@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { rankRecipients } from '../engine/matching';
+import { publishedThresholds } from '../engine/riskThresholds';
+import { phmReferenceBands, scatterData, categoryHistogram, countTicks, linearScale } from './matchDistribution';
+import { makeDonor, makeRecipient } from '../test/fixtures';
+
+const donor = makeDonor({ bloodType: 'A+' });
+const recipient = (overrides) => makeRecipient({ bloodType: 'A+', ...overrides });
+
+const results = rankRecipients(donor, [
+  recipient({ id: 'H-1', weight: 80 }),
+  recipient({ id: 'H-2', weight: 130, status: 5 }),
+  recipient({ id: 'H-3', weight: 78, bloodType: 'O+' }),
+  recipient({ id: 'H-4', age: 9, height: 130, weight: 28 })
+]);
+
+describe('match distribution', () => {
+  it('marks the High Risk line and the well-matched band', () => {
+    expect(phmReferenceBands()).toEqual({
+      highRiskBelow: 0.86,
+      wellMatched: { label: 'R - Well-Matched', from: 0.983, to: 1.039 }
+    });
+    const custom = publishedThresholds();
+    custom.phm.riskTiers[0].below = 0.9;
+    expect(phmReferenceBands(custom).highRiskBelow).toBe(0.9);
+  });
+
+  it('plots adult recipients by PHM ratio and status and counts the paediatric ones left out', () => {
+    const { points, domain, ticks, omitted } = scatterData(results);
+    expect(points).toHaveLength(3);
+    expect(omitted).toBe(1);
+    expect(points.find(point => point.status === 5).ratio).toBeLessThan(0.86);
+    expect(domain[0]).toBeLessThanOrEqual(Math.min(...points.map(point => point.ratio)));
+    expect(domain[1]).toBeGreaterThanOrEqual(1.2);
+    expect(ticks[0]).toBe(domain[0]);
+    expect(ticks[ticks.length - 1]).toBe(domain[1]);
+  });
+
+  it('counts recipients per septile, split by ABO compatibility', () => {
+    const bars = categoryHistogram(results);
+    expect(bars.map(bar => bar.label)[0]).toBe('U3 - Severely Undersized');
+    expect(bars.reduce((sum, bar) => sum + bar.total, 0)).toBe(3);
+    expect(bars.find(bar => bar.label === 'U3 - Severely Undersized').compatible).toBe(1);
+    expect(bars.reduce((sum, bar) => sum + bar.incompatible, 0)).toBe(1);
+  });
+
+  it('builds axes', () => {
+    expect(countTicks(0)).toEqual([0, 1]);
+    expect(countTicks(4)).toEqual([0, 1, 2, 3, 4]);
+    expect(countTicks(23)).toEqual([0, 5, 10, 15, 20, 25]);
+    expect(linearScale([0, 10], [100, 0])(2.5)).toBe(75);
+  });
+});
@@ -0,0 +1,147 @@
+// resultsView.js - Filtering, searching, sorting and column choice for the results table and its exports.
+// The view never changes the allocation: every result keeps the rank the policy gave it.
+import { riskSeverities, sizeMetrics } from '../engine/sizeMetrics';
+import { isPaediatricResult, sizeModelLabel } from '../engine/paediatricModels';
+import { crossmatchStatuses } from '../engine/hla';
+import { hasDistance } from '../engine/geography';
+
+const crossmatchOrder = { [crossmatchStatuses.positive]: 0, [crossmatchStatuses.incomplete]: 1, [crossmatchStatuses.negative]: 2 };
+
+// Sortable columns in table order; null sort values always go last
+export const resultColumns = [
+  { key: 'rank', label: 'Rank', fixed: true, sortValue: result => result.rank },
+  { key: 'score', label: 'Score', sortValue: result => result.policyScore ?? null },
+  { key: 'id', label: 'ID', sortValue: result => String(result.id ?? '') },
+  { key: 'name', label: 'Name', fixed: true, sortValue: result => String(result.name ?? '') },
+  { key: 'dateAdded', label: 'Date Added', sortValue: result => result.dateAdded?.getTime() ?? null },
+  { key: 'status', label: 'Status', sortValue: result => result.status },
+  { key: 'gender', label: 'Gender', sortValue: result => result.gender },
+  { key: 'bloodType', label: 'Blood Type', sortValue: result => result.bloodType || null },
+  { key: 'aboMatch', label: 'ABO Compatible', sortValue: result => (result.aboMatch ? 0 : 1) },
+  { key: 'rhesusWarning', label: 'Rh Warning', sortValue: result => (result.rhesusWarning ? 0 : 1) },
+  { key: 'virtualCrossmatch', label: 'Virtual XM', sortValue: result => crossmatchOrder[result.virtualCrossmatch?.status] ?? null },
+  { key: 'clinicalFlags', label: 'Clinical Flags', sortValue: result => -(result.clinicalFlags?.length || 0) },
+  { key: 'transport', label: 'Distance / Isch. Time', sortValue: result => (hasDistance(result) ? result.transport.distanceKm : null) },
+  { key: 'age', label: 'Age', sortValue: result => parseFloat(result.age) },
+  { key: 'height', label: 'Height (cm)', sortValue: result => parseFloat(result.height) },
+  { key: 'weight', label: 'Weight (kg)', sortValue: result => parseFloat(result.weight) },
+  { key: 'recipientPHM', label: 'Recipient PHM', sortValue: result => (isPaediatricResult(result) ? null : result.recipientPHM) },
+  { key: 'donorPHM', label: 'Donor PHM', sortValue: result => result.donorPHM },
+  { key: 'phmRatio', label: 'PHM Ratio', sortValue: result => (isPaediatricResult(result) ? null : result.phmRatio) },
+  { key: 'sizeModel', label: 'Size Model', sortValue: sizeModelLabel },
+  { key: 'matchCategory', label: 'Match Category', sortValue: result => result.matchCategory },
+  { key: 'riskLevel', label: 'Risk Level', sortValue: result => result.riskSeverity ?? null }
+];
+
+// Extra size-metric ratio columns follow the PHM ratio, keyed e.g. "weightRatio"
+export const ratioColumnKey = (metric) => `${metric}Ratio`;
+
+const ratioColumn = (metric) => ({
+  key: ratioColumnKey(metric),
+  label: `${sizeMetrics[metric].label} Ratio`,
+  sortValue: result => result.sizeMetrics?.[metric]?.ratio ?? null
+});
+
+// The table's columns for a run, with the extra ratio columns in place
+export const columnsFor = (ratioColumns = []) => {
+  const phmIndex = resultColumns.findIndex(column => column.key === 'phmRatio') + 1;
+  return [...resultColumns.slice(0, phmIndex), ...ratioColumns.map(ratioColumn), ...resultColumns.slice(phmIndex)];
+};
+
+// The columns a run shows: the score only under weighted policies, minus any the user has hidden
+export const visibleColumns = (results, ratioColumns = [], hiddenColumns = []) => {
+  const showScore = results.some(result => result.policyScore !== undefined);
+  return columnsFor(ratioColumns).filter(column =>
+    (column.key !== 'score' || showScore) && !hiddenColumns.includes(column.key)
+  );
+};
+
+export const defaultFilters = { aboCompatibleOnly: false, hideHighRisk: false, maxStatus: '', matchCategories: [] };
+
+export const defaultResultsView = { filters: defaultFilters, search: '', sort: null, hiddenColumns: [] };
+
+// Saved views with unknown or unusable settings dropped
+export const normalizeResultsView = (view = {}) => {
+  const filters = view.filters || {};
+  const maxStatus = parseInt(filters.maxStatus);
+  return {
+    filters: {
+      aboCompatibleOnly: Boolean(filters.aboCompatibleOnly),
+      hideHighRisk: Boolean(filters.hideHighRisk),
+      maxStatus: maxStatus >= 1 && maxStatus <= 7 ? maxStatus : '',
+      matchCategories: Array.isArray(filters.matchCategories) ? filters.matchCategories.map(String) : []
+    },
+    search: String(view.search || ''),
+    sort: view.sort?.key && ['asc', 'desc'].includes(view.sort.direction) ? { key: view.sort.key, direction: view.sort.direction } : null,
+    hiddenColumns: Array.isArray(view.hiddenColumns) ? view.hiddenColumns.filter(key => !resultColumns.some(column => column.fixed && column.key === key)) : []
+  };
+};
+
+const matchesFilters = (result, { aboCompatibleOnly, hideHighRisk, maxStatus, matchCategories }) =>
+  (!aboCompatibleOnly || result.aboMatch) &&
+  (!hideHighRisk || result.riskSeverity !== riskSeverities.high) &&
+  (maxStatus === '' || result.status <= maxStatus) &&
+  (!matchCategories.length || matchCategories.includes(result.matchCategory));
+
+const matchesSearch = (result, search) => {
+  const text = search.trim().toLowerCase();
+  return !text || [result.id, result.name].some(value => String(value ?? '').toLowerCase().includes(text));
+};
+
+const compareValues = (a, b) => {
+  const missingA = a === null || a === undefined || Number.isNaN(a);
+  const missingB = b === null || b === undefined || Number.isNaN(b);
+  if (missingA || missingB) return missingA === missingB ? 0 : missingA ? 1 : -1;
+  return typeof a === 'string' ? a.localeCompare(b, undefined, { sensitivity: 'base' }) : a - b;
+};
+
+// The ranked results as shown: filtered, searched and sorted. Results keep their allocation rank;
+// results from runs saved before ranks were stored get their position in the list.
+export const applyResultsView = (results, view, ratioColumns = []) => {
+  const { filters, search, sort } = normalizeResultsView(view);
+  const ranked = results.map((result, index) => (result.rank ? result : { ...result, rank: index + 1 }));
+  const shown = ranked.filter(result => matchesFilters(result, filters) && matchesSearch(result, search));
+
+  const column = sort && columnsFor(ratioColumns).find(candidate => candidate.key === sort.key);
+  if (!column) return shown;
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  return [...shown].sort((a, b) => {
+    const valueA = column.sortValue(a);
+    const valueB = column.sortValue(b);
+    const missing = [valueA, valueB].some(value => value === null || value === undefined || Number.isNaN(value));
+    // Missing values stay at the bottom in both directions; ties keep the allocation order
+    return (missing ? compareValues(valueA, valueB) : direction * compareValues(valueA, valueB)) || a.rank - b.rank;
+  });
+};
+
+// Clicking a column header: ascending, then descending, then back to the allocation rank
+export const nextSort = (sort, key) => {
+  if (sort?.key !== key) return { key, direction: 'asc' };
+  return sort.direction === 'asc' ? { key, direction: 'desc' } : null;
+};
+
+export const isFiltered = (view) => {
+  const { filters, search } = normalizeResultsView(view);
+  return filters.aboCompatibleOnly || filters.hideHighRisk || filters.maxStatus !== '' || filters.matchCategories.length > 0 || Boolean(search.trim());
+};
+
+// "ABO-compatible only; High Risk hidden; sorted by Weight (kg), descending" for the reports; '' for the plain ranking
+export const describeResultsView = (view, ratioColumns = []) => {
+  const { filters, search, sort } = normalizeResultsView(view);
+  const parts = [];
+  if (filters.aboCompatibleOnly) parts.push('ABO-compatible only');
+  if (filters.hideHighRisk) parts.push('High Risk hidden');
+  if (filters.maxStatus !== '') parts.push(`status ≤ ${filters.maxStatus}`);
+  if (filters.matchCategories.length) parts.push(`categories: ${filters.matchCategories.join(', ')}`);
+  if (search.trim()) parts.push(`search "${search.trim()}"`);
+  const column = sort && columnsFor(ratioColumns).find(candidate => candidate.key === sort.key);
+  if (column) parts.push(`sorted by ${column.label}, ${sort.direction === 'desc' ? 'descending' : 'ascending'}`);
+  return parts.join('; ');
+};
+
+// Note printed on exports of a filtered or re-sorted view; '' when the export is the full allocation ranking
+export const resultsViewNote = (view, shownCount, rankedCount, ratioColumns = []) => {
+  const description = describeResultsView(view, ratioColumns);
+  if (!description) return '';
+  return `${shownCount} of ${rankedCount} ranked recipients shown (${description}). Rank is the allocation rank.`;
+};
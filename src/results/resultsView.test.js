@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { rankRecipients } from '../engine/matching';
+import {
+  applyResultsView,
+  nextSort,
+  normalizeResultsView,
+  resultsViewNote,
+  visibleColumns,
+  defaultResultsView
+} from './resultsView';
+import { makeDonor, makeRecipient } from '../test/fixtures';
+
+const donor = makeDonor({ bloodType: 'A+' });
+const recipient = (overrides) => makeRecipient({ bloodType: 'A+', ...overrides });
+
+const results = rankRecipients(donor, [
+  recipient({ id: 'H-1', name: 'Alpha', status: 1 }),
+  recipient({ id: 'H-2', name: 'Beta', status: 4, weight: 130 }),
+  recipient({ id: 'H-3', name: 'Gamma', status: 3, bloodType: 'O+' }),
+  recipient({ id: 'H-4', name: 'Delta', status: 5, weight: 95 })
+]);
+const view = (overrides) => ({ ...defaultResultsView, ...overrides });
+const ids = (rows) => rows.map(result => result.id);
+
+describe('results view', () => {
+  it('keeps the allocation rank on every result', () => {
+    expect(results.map(result => result.rank)).toEqual([1, 2, 3, 4]);
+    expect(ids(applyResultsView(results, defaultResultsView))).toEqual(ids(results));
+  });
+
+  it('filters by ABO compatibility, risk, status and match category', () => {
+    const gamma = results.find(result => result.id === 'H-3');
+    const beta = results.find(result => result.id === 'H-2');
+    expect(ids(applyResultsView(results, view({ filters: { aboCompatibleOnly: true } })))).not.toContain('H-3');
+    expect(ids(applyResultsView(results, view({ filters: { hideHighRisk: true } })))).not.toContain('H-2');
+    expect(ids(applyResultsView(results, view({ filters: { maxStatus: 3 } }))).sort()).toEqual(['H-1', 'H-3']);
+    expect(ids(applyResultsView(results, view({ filters: { matchCategories: [beta.matchCategory] } })))).toContain('H-2');
+    expect(gamma.aboMatch).toBe(false);
+  });
+
+  it('searches ID and name, ignoring case', () => {
+    expect(ids(applyResultsView(results, view({ search: 'gam' })))).toEqual(['H-3']);
+    expect(ids(applyResultsView(results, view({ search: 'h-4' })))).toEqual(['H-4']);
+  });
+
+  it('sorts by a column without changing the rank', () => {
+    const byWeight = applyResultsView(results, view({ sort: { key: 'weight', direction: 'desc' } }));
+    expect(ids(byWeight)).toEqual(['H-2', 'H-4', ...ids(results).filter(id => !['H-2', 'H-4'].includes(id))]);
+    expect(byWeight[0].rank).toBe(results.find(result => result.id === 'H-2').rank);
+    expect(ids(applyResultsView(results, view({ sort: { key: 'name', direction: 'asc' } })))).toEqual(['H-1', 'H-2', 'H-4', 'H-3']);
+  });
+
+  it('cycles a header through ascending, descending and the allocation rank', () => {
+    expect(nextSort(null, 'age')).toEqual({ key: 'age', direction: 'asc' });
+    expect(nextSort({ key: 'age', direction: 'asc' }, 'age')).toEqual({ key: 'age', direction: 'desc' });
+    expect(nextSort({ key: 'age', direction: 'desc' }, 'age')).toBeNull();
+  });
+
+  it('numbers results from runs saved before ranks were kept', () => {
+    const saved = results.map(result => ({ ...result, rank: undefined }));
+    expect(applyResultsView(saved, defaultResultsView).map(result => result.rank)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('never hides Rank or Name and drops unusable saved settings', () => {
+    const normalized = normalizeResultsView({ filters: { maxStatus: 'soon' }, sort: { key: 'age', direction: 'up' }, hiddenColumns: ['rank', 'name', 'age'] });
+    expect(normalized.filters.maxStatus).toBe('');
+    expect(normalized.sort).toBeNull();
+    expect(normalized.hiddenColumns).toEqual(['age']);
+    expect(visibleColumns(results, [], normalized.hiddenColumns).map(column => column.key)).not.toContain('age');
+    expect(visibleColumns(results).map(column => column.key)).not.toContain('score');
+  });
+
+  it('describes filtered views for exports', () => {
+    expect(resultsViewNote(defaultResultsView, 4, 4)).toBe('');
+    expect(resultsViewNote(view({ filters: { maxStatus: 3 }, sort: { key: 'weight', direction: 'desc' } }), 2, 4))
+      .toBe('2 of 4 ranked recipients shown (status ≤ 3; sorted by Weight (kg), descending). Rank is the allocation rank.');
+  });
+});
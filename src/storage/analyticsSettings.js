@@ -0,0 +1,17 @@
+// analyticsSettings.js - Waiting-time and hard-to-match thresholds for the waitlist dashboard
+import { analyticsOptions } from '../waitlist/waitlistAnalytics';
+
+const STORAGE_KEY = 'heartTransplantMatcher.waitlistAnalytics';
+
+export const loadAnalyticsSettings = () => {
+  try {
+    return analyticsOptions(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+  } catch (err) {
+    console.error('Could not read waitlist dashboard settings:', err);
+    return analyticsOptions();
+  }
+};
+
+export const saveAnalyticsSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,39 @@
+// centreStore.js - The transplant centre table and transport assumptions, saved in localStorage
+import { normalizeCentres, transportOptions } from '../engine/geography';
+import { bundledCentres } from '../engine/transplantCentres';
+
+const CENTRES_KEY = 'heartTransplantMatcher.centres';
+const TRANSPORT_KEY = 'heartTransplantMatcher.transport';
+
+// An imported table replaces the bundled one until it is reset
+export const loadCentres = () => {
+  try {
+    const saved = localStorage.getItem(CENTRES_KEY);
+    return saved ? normalizeCentres(JSON.parse(saved)) : bundledCentres;
+  } catch (err) {
+    console.error('Could not read the centre table:', err);
+    return bundledCentres;
+  }
+};
+
+export const saveCentres = (centres) => {
+  localStorage.setItem(CENTRES_KEY, JSON.stringify(centres));
+};
+
+export const resetCentres = () => {
+  localStorage.removeItem(CENTRES_KEY);
+  return bundledCentres;
+};
+
+export const loadTransportOptions = () => {
+  try {
+    return transportOptions(JSON.parse(localStorage.getItem(TRANSPORT_KEY) || '{}'));
+  } catch (err) {
+    console.error('Could not read transport settings:', err);
+    return transportOptions();
+  }
+};
+
+export const saveTransportOptions = (options) => {
+  localStorage.setItem(TRANSPORT_KEY, JSON.stringify(options));
+};
@@ -0,0 +1,18 @@
+// clinicalRulesStore.js - The centre's clinical warning/exclusion rules, saved in localStorage
+import { normalizeClinicalRules, defaultClinicalRules } from '../engine/clinicalRules';
+
+const STORAGE_KEY = 'heartTransplantMatcher.clinicalRules';
+
+export const loadClinicalRules = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? normalizeClinicalRules(JSON.parse(saved)) : defaultClinicalRules;
+  } catch (err) {
+    console.error('Could not read clinical rules:', err);
+    return defaultClinicalRules;
+  }
+};
+
+export const saveClinicalRules = (rules) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+};
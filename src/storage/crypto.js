@@ -0,0 +1,40 @@
+// crypto.js - AES-GCM encryption with a passphrase-derived key (Web Crypto API)
+const PBKDF2_ITERATIONS = 310000;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+export const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+export const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// Derive a non-extractable AES-GCM key from the passphrase (PBKDF2, SHA-256)
+export const deriveKey = async (passphrase, salt) => {
+  const baseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// JSON with Dates preserved, so decrypted records come back in the shape they were saved
+const serialize = (value) => JSON.stringify(value, function (key, item) {
+  return this[key] instanceof Date ? { $date: this[key].toISOString() } : item;
+});
+const deserialize = (text) => JSON.parse(text, (key, item) =>
+  (item && typeof item === 'object' && typeof item.$date === 'string' ? new Date(item.$date) : item));
+
+export const encryptJSON = async (key, value) => {
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(serialize(value)));
+  return { iv, data };
+};
+
+// Rejects (OperationError) when the key is wrong or the data was tampered with
+export const decryptJSON = async (key, { iv, data }) => {
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  return deserialize(decoder.decode(plaintext));
+};
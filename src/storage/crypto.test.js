@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { deriveKey, encryptJSON, decryptJSON, randomBytes } from './crypto';
+
+describe('passphrase encryption', () => {
+  const salt = randomBytes(16);
+
+  it('round-trips records, including dates', async () => {
+    const key = await deriveKey('correct horse battery', salt);
+    const record = { recipients: [{ id: 'H-1', dateadded: new Date('2024-03-01T00:00:00Z') }], fileName: 'list.xlsx' };
+
+    const sealed = await encryptJSON(key, record);
+    expect(new TextDecoder().decode(sealed.data)).not.toContain('H-1');
+
+    const opened = await decryptJSON(key, sealed);
+    expect(opened).toEqual(record);
+    expect(opened.recipients[0].dateadded).toBeInstanceOf(Date);
+  });
+
+  it('rejects a key derived from a different passphrase', async () => {
+    const key = await deriveKey('correct horse battery', salt);
+    const wrongKey = await deriveKey('incorrect horse', salt);
+    const sealed = await encryptJSON(key, { id: 'H-1' });
+    await expect(decryptJSON(wrongKey, sealed)).rejects.toThrow();
+  });
+});
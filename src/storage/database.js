@@ -0,0 +1,104 @@
+// database.js - Minimal promise wrapper around the browser's IndexedDB
+// Records pass through the vault, so they are encrypted at rest once a passphrase is set.
+import { sealValue, openValue, sealWithVault, applyVault } from './vault';
+const DB_NAME = 'heart-transplant-matcher';
+const DB_VERSION = 2;
+
+// Object stores holding patient data; every one of them is wiped by clearAllStores
+export const stores = {
+  waitlist: 'waitlist',
+  donorHistory: 'donorHistory'
+};
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(stores).forEach(store => {
+        if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+      });
+    };
+    dbPromise = requestToPromise(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request in its own transaction; resolves once the transaction has committed
+const withStore = async (store, mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, mode);
+    const request = action(transaction.objectStore(store));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const getRecord = async (store, key) =>
+  openValue(await withStore(store, 'readonly', objectStore => objectStore.get(key)));
+
+// Encrypt before opening the transaction: IndexedDB transactions cannot span other async work
+export const putRecord = async (store, key, value) => {
+  const sealed = await sealValue(value);
+  return withStore(store, 'readwrite', objectStore => objectStore.put(sealed, key));
+};
+
+export const deleteRecord = (store, key) => withStore(store, 'readwrite', objectStore => objectStore.delete(key));
+
+export const getAllRecords = async (store) => {
+  const records = await withStore(store, 'readonly', objectStore => objectStore.getAll());
+  return Promise.all(records.map(openValue));
+};
+
+const readAllEntries = async (store) => {
+  const keys = await withStore(store, 'readonly', objectStore => objectStore.getAllKeys());
+  return Promise.all(keys.map(async key => [key, await getRecord(store, key)]));
+};
+
+// Re-seal every record under a prepared vault (see prepareVault and plainVault in vault.js) and write them all back
+// in one transaction. The vault is applied only once that transaction has committed: if a write fails or the tab
+// closes first, every record is still sealed under the key that stays in use.
+export const rewriteAllStores = async (vault) => {
+  const storeNames = Object.values(stores);
+  const snapshot = await Promise.all(storeNames.map(async store => [store, await readAllEntries(store)]));
+  // Encrypt before opening the transaction: IndexedDB transactions cannot span other async work
+  const sealed = await Promise.all(snapshot.map(async ([store, entries]) =>
+    [store, await Promise.all(entries.map(async ([key, value]) => [key, await sealWithVault(vault, value)]))]));
+
+  const db = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, 'readwrite');
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    try {
+      sealed.forEach(([store, entries]) => entries.forEach(([key, value]) => transaction.objectStore(store).put(value, key)));
+    } catch (err) {
+      transaction.abort();
+      reject(err);
+    }
+  });
+  applyVault(vault);
+};
+
+export const clearAllStores = async () => {
+  await Promise.all(Object.values(stores).map(store =>
+    withStore(store, 'readwrite', objectStore => objectStore.clear())
+  ));
+};
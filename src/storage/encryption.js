@@ -0,0 +1,16 @@
+// encryption.js - Turn passphrase encryption of stored patient data on or off
+import { rewriteAllStores } from './database';
+import { prepareVault, plainVault } from './vault';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Existing records are re-encrypted under the new passphrase, which is only saved once they all are
+export const enableEncryption = async (passphrase, idleMinutes) => {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+  await rewriteAllStores(await prepareVault(passphrase, idleMinutes));
+};
+
+// Requires an unlocked vault; records are decrypted and stored in plain form again
+export const disableEncryption = () => rewriteAllStores(plainVault);
@@ -0,0 +1,25 @@
+// metricSettings.js - Which size metric drives the risk level, which extra ratios are shown, and the paediatric model
+import { sizeMetrics, defaultRiskMetric } from '../engine/sizeMetrics';
+import { paediatricOptions } from '../engine/paediatricModels';
+
+const STORAGE_KEY = 'heartTransplantMatcher.sizeMetrics';
+
+export const defaultMetricSettings = { riskMetric: defaultRiskMetric, ratioColumns: [], paediatric: paediatricOptions() };
+
+export const loadMetricSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return {
+      riskMetric: sizeMetrics[saved.riskMetric] ? saved.riskMetric : defaultRiskMetric,
+      ratioColumns: Array.isArray(saved.ratioColumns) ? saved.ratioColumns.filter(key => sizeMetrics[key]) : [],
+      paediatric: paediatricOptions(saved.paediatric)
+    };
+  } catch (err) {
+    console.error('Could not read size metric settings:', err);
+    return defaultMetricSettings;
+  }
+};
+
+export const saveMetricSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
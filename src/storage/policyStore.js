@@ -0,0 +1,40 @@
+// policyStore.js - Named allocation policies and the active policy, saved in localStorage
+import { defaultPolicy, normalizePolicy } from '../engine/allocationPolicy';
+
+const POLICIES_KEY = 'heartTransplantMatcher.allocationPolicies';
+const ACTIVE_POLICY_KEY = 'heartTransplantMatcher.activePolicy';
+
+export const loadPolicies = () => {
+  try {
+    const policies = JSON.parse(localStorage.getItem(POLICIES_KEY) || '[]');
+    return Array.isArray(policies) ? policies.map(normalizePolicy) : [];
+  } catch (err) {
+    console.error('Could not read allocation policies:', err);
+    return [];
+  }
+};
+
+const writePolicies = (policies) => {
+  localStorage.setItem(POLICIES_KEY, JSON.stringify(policies));
+  return policies;
+};
+
+// Save (or replace) a policy by name; the built-in default cannot be overwritten
+export const savePolicy = (policy) => {
+  if (policy.name === defaultPolicy.name) {
+    throw new Error('Choose a different name; the default policy cannot be overwritten.');
+  }
+  const others = loadPolicies().filter(existing => existing.name !== policy.name);
+  return writePolicies([...others, policy]);
+};
+
+export const deletePolicy = (name) => writePolicies(loadPolicies().filter(policy => policy.name !== name));
+
+export const loadActivePolicy = () => {
+  const name = localStorage.getItem(ACTIVE_POLICY_KEY);
+  return loadPolicies().find(policy => policy.name === name) || defaultPolicy;
+};
+
+export const saveActivePolicyName = (name) => {
+  localStorage.setItem(ACTIVE_POLICY_KEY, name);
+};
@@ -0,0 +1,18 @@
+// resultsViewStore.js - Results table filters, sort order and hidden columns, saved in localStorage
+import { defaultResultsView, normalizeResultsView } from '../results/resultsView';
+
+const STORAGE_KEY = 'heartTransplantMatcher.resultsView';
+
+// The search text is per session and never saved: it may hold a patient name
+export const loadResultsView = () => {
+  try {
+    return { ...normalizeResultsView(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')), search: '' };
+  } catch (err) {
+    console.error('Could not read results view settings:', err);
+    return defaultResultsView;
+  }
+};
+
+export const saveResultsView = ({ filters, sort, hiddenColumns }) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ filters, sort, hiddenColumns }));
+};
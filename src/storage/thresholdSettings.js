@@ -0,0 +1,17 @@
+// thresholdSettings.js - The centre's size-match thresholds and risk tiers, saved in localStorage
+import { normalizeThresholds, publishedThresholds } from '../engine/riskThresholds';
+
+const STORAGE_KEY = 'heartTransplantMatcher.riskThresholds';
+
+export const loadThresholds = () => {
+  try {
+    return normalizeThresholds(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+  } catch (err) {
+    console.error('Could not read risk thresholds:', err);
+    return publishedThresholds();
+  }
+};
+
+export const saveThresholds = (thresholds) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(thresholds));
+};
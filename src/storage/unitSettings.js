@@ -0,0 +1,21 @@
+// unitSettings.js - Height and weight units last chosen on the donor form
+import { unitOptions, defaultUnits } from '../engine/units';
+
+const STORAGE_KEY = 'heartTransplantMatcher.donorUnits';
+
+export const loadDonorUnits = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return Object.fromEntries(Object.keys(unitOptions).map(field => [
+      field,
+      unitOptions[field][saved[field]] ? saved[field] : defaultUnits[field]
+    ]));
+  } catch (err) {
+    console.error('Could not read donor units:', err);
+    return defaultUnits;
+  }
+};
+
+export const saveDonorUnits = (units) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(units));
+};
@@ -0,0 +1,107 @@
+// vault.js - Holds the decryption key for this session and seals/opens stored records
+import { deriveKey, encryptJSON, decryptJSON, randomBytes, toBase64, fromBase64 } from './crypto';
+
+// Salt, key check value and idle timeout live in localStorage; none of it is patient data
+const SETTINGS_KEY = 'heartTransplantMatcher.encryption';
+const KEY_CHECK = 'heart-transplant-matcher';
+export const DEFAULT_IDLE_MINUTES = 10;
+
+let sessionKey = null;
+
+export class VaultLockedError extends Error {
+  constructor() {
+    super('Stored patient data is encrypted. Unlock with your passphrase first.');
+    this.name = 'VaultLockedError';
+  }
+}
+
+const readSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+const writeSettings = (settings) => {
+  if (settings) localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  else localStorage.removeItem(SETTINGS_KEY);
+};
+
+export const isEncryptionEnabled = () => Boolean(readSettings()?.salt);
+export const isUnlocked = () => !isEncryptionEnabled() || sessionKey !== null;
+
+export const getIdleMinutes = () => readSettings()?.idleMinutes ?? DEFAULT_IDLE_MINUTES;
+export const setIdleMinutes = (idleMinutes) => {
+  const settings = readSettings();
+  if (settings) writeSettings({ ...settings, idleMinutes });
+};
+
+// Settings and key for a new passphrase (a new salt and key check value), not yet in use.
+// rewriteAllStores re-encrypts existing records under it and only then applies it.
+export const prepareVault = async (passphrase, idleMinutes = DEFAULT_IDLE_MINUTES) => {
+  const salt = randomBytes(16);
+  const key = await deriveKey(passphrase, salt);
+  const check = await encryptJSON(key, KEY_CHECK);
+  return {
+    settings: { salt: toBase64(salt), check: { iv: toBase64(check.iv), data: toBase64(check.data) }, idleMinutes },
+    key
+  };
+};
+
+// No passphrase: records are stored in plain form
+export const plainVault = { settings: null, key: null };
+
+export const applyVault = ({ settings, key }) => {
+  writeSettings(settings);
+  sessionKey = key;
+};
+
+export const configurePassphrase = async (passphrase, idleMinutes) => applyVault(await prepareVault(passphrase, idleMinutes));
+
+export const removePassphrase = () => applyVault(plainVault);
+
+// Returns false for a wrong passphrase
+export const unlock = async (passphrase) => {
+  const settings = readSettings();
+  if (!settings) return true;
+
+  const key = await deriveKey(passphrase, fromBase64(settings.salt));
+  try {
+    const check = await decryptJSON(key, {
+      iv: fromBase64(settings.check.iv),
+      data: fromBase64(settings.check.data)
+    });
+    if (check !== KEY_CHECK) return false;
+  } catch {
+    return false;
+  }
+  sessionKey = key;
+  return true;
+};
+
+export const lock = () => {
+  sessionKey = null;
+};
+
+const isSealed = (stored) => Boolean(stored && stored.encrypted === true && stored.iv && stored.data);
+
+// Encrypt a record under a prepared vault's key; plain when it has none
+export const sealWithVault = async ({ key }, value) => {
+  if (!key) return value;
+  const { iv, data } = await encryptJSON(key, value);
+  return { encrypted: true, iv, data };
+};
+
+// Encrypt a record for storage when a passphrase is set; plain records pass through otherwise
+export const sealValue = async (value) => {
+  if (!isEncryptionEnabled()) return value;
+  if (!sessionKey) throw new VaultLockedError();
+  return sealWithVault({ key: sessionKey }, value);
+};
+
+export const openValue = async (stored) => {
+  if (!isSealed(stored)) return stored;
+  if (!sessionKey) throw new VaultLockedError();
+  return decryptJSON(sessionKey, stored);
+};
@@ -0,0 +1,12 @@
+// waitlistStore.js - Keep the loaded recipient waitlist in IndexedDB across sessions
+import { stores, getRecord, putRecord } from './database';
+
+const CURRENT_WAITLIST = 'current';
+
+// Saved shape: { recipients, importIssues, fileName, importedAt, importLog, requireBloodType }
+// requireBloodType is false for a list imported without a blood type column
+// importLog lists the accepted re-import diffs, oldest first
+export const loadWaitlist = () => getRecord(stores.waitlist, CURRENT_WAITLIST);
+
+export const saveWaitlist = ({ recipients, importIssues, fileName, importedAt = new Date(), importLog = [], requireBloodType = true }) =>
+  putRecord(stores.waitlist, CURRENT_WAITLIST, { recipients, importIssues, fileName, importedAt, importLog, requireBloodType });
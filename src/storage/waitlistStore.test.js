@@ -0,0 +1,104 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadWaitlist, saveWaitlist } from './waitlistStore';
+import { stores, clearAllStores, openDatabase, putRecord } from './database';
+import { configurePassphrase, removePassphrase, lock, unlock, isEncryptionEnabled, VaultLockedError } from './vault';
+import { enableEncryption, disableEncryption } from './encryption';
+
+// The vault keeps its salt and key check in localStorage
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const waitlist = {
+  recipients: [{ id: 'H-1', name: 'Alpha', dateadded: new Date('2024-03-01T00:00:00Z'), history: [
+    { field: 'status', oldValue: 4, newValue: 2, changedAt: new Date('2025-01-10T09:00:00Z') }
+  ] }],
+  importIssues: { issues: [], invalidRows: [] },
+  fileName: 'list.xlsx',
+  importedAt: new Date('2025-01-01T08:00:00Z'),
+  importLog: [{ fileName: 'list.xlsx', acceptedAt: new Date('2025-01-01T08:00:00Z'), added: ['H-1'], removed: [], changed: [], rejected: 0 }],
+  requireBloodType: false
+};
+
+const storedRecord = async () => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(stores.waitlist).objectStore(stores.waitlist).get('current');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', memoryStorage());
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  removePassphrase();
+  await clearAllStores();
+  vi.unstubAllGlobals();
+});
+
+describe('waitlist persistence', () => {
+  it('saves and reloads a waitlist with its dates intact', async () => {
+    await saveWaitlist(waitlist);
+    const loaded = await loadWaitlist();
+    expect(loaded).toEqual(waitlist);
+    expect(loaded.recipients[0].dateadded).toBeInstanceOf(Date);
+    expect(loaded.recipients[0].history[0].changedAt).toBeInstanceOf(Date);
+  });
+
+  it('round-trips through the vault once a passphrase is set', async () => {
+    await configurePassphrase('correct horse battery');
+    await saveWaitlist(waitlist);
+
+    const stored = await storedRecord();
+    expect(stored.encrypted).toBe(true);
+    expect(stored.recipients).toBeUndefined();
+
+    lock();
+    await expect(loadWaitlist()).rejects.toBeInstanceOf(VaultLockedError);
+
+    expect(await unlock('correct horse battery')).toBe(true);
+    const loaded = await loadWaitlist();
+    expect(loaded).toEqual(waitlist);
+    expect(loaded.importedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('turning encryption on and off', () => {
+  it('re-encrypts stored records and back', async () => {
+    await saveWaitlist(waitlist);
+    await enableEncryption('correct horse battery');
+    expect((await storedRecord()).encrypted).toBe(true);
+    expect(await loadWaitlist()).toEqual(waitlist);
+
+    await disableEncryption();
+    expect(isEncryptionEnabled()).toBe(false);
+    expect((await storedRecord()).recipients).toHaveLength(1);
+  });
+
+  it('keeps the current settings and every record readable when a write fails partway', async () => {
+    await saveWaitlist(waitlist);
+    await putRecord(stores.donorHistory, 'run-1', { id: 'run-1' });
+    const put = IDBObjectStore.prototype.put;
+    let writes = 0;
+    vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(function (...args) {
+      writes += 1;
+      if (writes === 2) throw new Error('Quota exceeded');
+      return put.apply(this, args);
+    });
+
+    await expect(enableEncryption('correct horse battery')).rejects.toThrow('Quota exceeded');
+    expect(isEncryptionEnabled()).toBe(false);
+    expect(await storedRecord()).toEqual(waitlist);
+    expect(await loadWaitlist()).toEqual(waitlist);
+  });
+});
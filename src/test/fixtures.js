@@ -0,0 +1,14 @@
+// fixtures.js - Donor and recipient records shared by the engine, results and waitlist tests
+
+// A donor as entered in the donor form, so the numbers are strings
+export const makeDonor = (overrides) => ({
+  name: 'D', gender: 'male', age: '40', height: '178', weight: '80', bloodType: 'O+', ...overrides
+});
+
+// A waitlist recipient after import; the same size as the default donor
+export const makeRecipient = (overrides) => ({
+  id: 'R', name: 'Patient', gender: 'male', age: 50, height: 178, weight: 80,
+  bloodType: 'O+', status: 2, dateadded: new Date('2024-01-01'), ...overrides
+});
+
+export const donor = makeDonor();
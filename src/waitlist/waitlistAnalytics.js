@@ -0,0 +1,156 @@
+// waitlistAnalytics.js - Waitlist breakdowns for the monthly review, independent of any donor
+import { bloodTypes, getABOType } from '../engine/matching';
+import { calculatePHM } from '../engine/sizeMetrics';
+import { isPaediatric } from '../engine/paediatricModels';
+import { listingStates } from '../import/validation';
+import { isActive } from './waitlistEdits';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Review settings: waiting-time flags and what counts as hard to match
+export const analyticsDefaults = {
+  reviewDays: 180,
+  longWaitDays: 365,
+  extremePhmPercent: 10,
+  highCpra: 80
+};
+
+export const analyticsFields = {
+  reviewDays: { label: 'Flag for review after (days)', min: 1 },
+  longWaitDays: { label: 'Long wait after (days)', min: 1 },
+  extremePhmPercent: { label: 'Extreme PHM: top/bottom (%)', min: 1, max: 49 },
+  highCpra: { label: 'Highly sensitised: cPRA from (%)', min: 0, max: 100 }
+};
+
+// Saved or edited settings with anything unusable replaced by the default
+export const analyticsOptions = (options = {}) => Object.fromEntries(Object.entries(analyticsDefaults).map(([key, fallback]) => {
+  const value = parseFloat(options[key]);
+  const { min, max = Infinity } = analyticsFields[key];
+  return [key, isFinite(value) && value >= min && value <= max ? value : fallback];
+}));
+
+// Whole days on the list at asOf, or null without a usable date added
+export const waitingDays = (recipient, asOf = new Date()) => {
+  const added = new Date(recipient.dateadded);
+  if (isNaN(added.getTime())) return null;
+  return Math.max(0, Math.floor((asOf.getTime() - added.getTime()) / DAY_MS));
+};
+
+// Waiting-time bands for the time-on-list distribution
+export const waitingBands = [
+  { below: 30, label: '< 1 month' },
+  { below: 91, label: '1–3 months' },
+  { below: 182, label: '3–6 months' },
+  { below: 365, label: '6–12 months' },
+  { below: 730, label: '1–2 years' },
+  { below: Infinity, label: '≥ 2 years' }
+];
+
+const PHM_BIN_GRAMS = 25;
+
+// Counts per key in the given order, with anything else under "Unknown"
+const countBy = (recipients, keyOf, keys) => {
+  const counts = Object.fromEntries([...keys, 'Unknown'].map(key => [key, 0]));
+  recipients.forEach(recipient => {
+    const key = keyOf(recipient);
+    counts[keys.includes(key) ? key : 'Unknown']++;
+  });
+  if (!counts.Unknown) delete counts.Unknown;
+  return Object.entries(counts).map(([label, count]) => ({ label, count }));
+};
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Value at the given percentile (0-100), interpolating between neighbours
+const percentile = (sorted, percent) => {
+  const position = (sorted.length - 1) * percent / 100;
+  const lower = Math.floor(position);
+  return sorted[lower] + (sorted[Math.ceil(position)] - sorted[lower]) * (position - lower);
+};
+
+// PHM in 25 g bins from the lightest to the heaviest patient
+const phmBins = (values) => {
+  if (!values.length) return [];
+  const first = Math.floor(Math.min(...values) / PHM_BIN_GRAMS) * PHM_BIN_GRAMS;
+  const last = Math.floor(Math.max(...values) / PHM_BIN_GRAMS) * PHM_BIN_GRAMS;
+  return Array.from({ length: (last - first) / PHM_BIN_GRAMS + 1 }, (_, i) => {
+    const from = first + i * PHM_BIN_GRAMS;
+    return { label: `${from}–${from + PHM_BIN_GRAMS} g`, count: values.filter(value => value >= from && value < from + PHM_BIN_GRAMS).length };
+  });
+};
+
+const recipientPHM = (recipient) => {
+  const phm = calculatePHM(recipient.gender || '', parseFloat(recipient.age), parseFloat(recipient.height), parseFloat(recipient.weight));
+  return isFinite(phm) && phm > 0 ? phm : null;
+};
+
+// Everything the waitlist dashboard shows, for the active patients at asOf.
+// Recipients under the paediatric age cut-off are left out of the PHM figures: the adult model does not apply.
+export const waitlistAnalytics = (recipients, { options, paediatric, asOf = new Date() } = {}) => {
+  const { reviewDays, longWaitDays, extremePhmPercent, highCpra } = analyticsOptions(options);
+  const active = recipients.filter(isActive);
+
+  const withPhm = active
+    .filter(recipient => !isPaediatric(recipient, paediatric))
+    .map(recipient => ({ recipient, phm: recipientPHM(recipient) }))
+    .filter(entry => entry.phm !== null);
+  const sortedPhm = withPhm.map(entry => entry.phm).sort((a, b) => a - b);
+  const phmLow = sortedPhm.length ? percentile(sortedPhm, extremePhmPercent) : null;
+  const phmHigh = sortedPhm.length ? percentile(sortedPhm, 100 - extremePhmPercent) : null;
+  const phmOf = new Map(withPhm.map(entry => [entry.recipient, entry.phm]));
+
+  const days = active.map(recipient => waitingDays(recipient, asOf)).filter(value => value !== null);
+
+  // Blood group O can only take an O heart; a PHM at either end of the list narrows the size match further
+  const hardToMatch = active.map(recipient => {
+    const reasons = [];
+    const phm = phmOf.get(recipient);
+    if (getABOType(recipient.bloodType) === 'O' && phm !== undefined && (phm <= phmLow || phm >= phmHigh)) {
+      reasons.push(`Blood type O with PHM ${Math.round(phm)} g in the ${phm <= phmLow ? 'lowest' : 'highest'} ${extremePhmPercent}% of the list`);
+    }
+    if (parseFloat(recipient.cpra) >= highCpra) {
+      reasons.push(`cPRA ${recipient.cpra}%`);
+    }
+    return { recipient, phm: phm ?? null, reasons };
+  }).filter(entry => entry.reasons.length);
+
+  const waitingFlags = active
+    .map(recipient => ({ recipient, days: waitingDays(recipient, asOf) }))
+    .filter(entry => entry.days !== null && entry.days >= reviewDays)
+    .map(entry => ({ ...entry, level: entry.days >= longWaitDays ? 'long' : 'review' }))
+    .sort((a, b) => b.days - a.days);
+
+  return {
+    total: recipients.length,
+    active: active.length,
+    byListingState: countBy(recipients, recipient => recipient.listingState || 'active', listingStates),
+    byBloodType: countBy(active, recipient => recipient.bloodType, bloodTypes),
+    byStatus: countBy(active, recipient => String(parseInt(recipient.status)), ['1', '2', '3', '4', '5', '6', '7']),
+    byGender: countBy(active, recipient => recipient.gender, ['male', 'female']),
+    phm: { bins: phmBins(sortedPhm), median: median(sortedPhm), low: phmLow, high: phmHigh, omitted: active.length - withPhm.length },
+    waiting: {
+      bins: waitingBands.map((band, index) => ({
+        label: band.label,
+        count: days.filter(value => value < band.below && value >= (waitingBands[index - 1]?.below ?? 0)).length
+      })),
+      median: median(days)
+    },
+    hardToMatch,
+    waitingFlags,
+    settings: { reviewDays, longWaitDays, extremePhmPercent, highCpra }
+  };
+};
+
+// "1 year 2 months" style waiting time for tables
+export const describeWaitingDays = (days) => {
+  if (days === null || days === undefined) return '';
+  if (days < 60) return `${days} days`;
+  const months = Math.floor(days / 30.44);
+  if (months < 24) return `${months} months`;
+  return `${Math.floor(months / 12)} years ${months % 12} months`;
+};
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { waitlistAnalytics, waitingDays, analyticsOptions, describeWaitingDays } from './waitlistAnalytics';
+import { makeRecipient } from '../test/fixtures';
+
+const asOf = new Date('2025-06-01T00:00:00Z');
+const recipient = (overrides) => makeRecipient({
+  bloodType: 'A+', status: 3, dateadded: new Date('2025-05-01T00:00:00Z'), listingState: 'active', ...overrides
+});
+
+// Ten adults from 50 to 140 kg, plus a child and an inactive patient
+const recipients = [
+  ...Array.from({ length: 10 }, (_, i) => recipient({
+    id: `H-${i}`, weight: 50 + i * 10, bloodType: i % 2 ? 'A+' : 'O-', status: 1 + (i % 7),
+    gender: i < 6 ? 'male' : 'female', dateadded: new Date(Date.UTC(2025, 5 - i * 2, 1))
+  })),
+  recipient({ id: 'C-1', age: 8, height: 125, weight: 25, cpra: 90 }),
+  recipient({ id: 'X-1', listingState: 'inactive', dateadded: new Date('2020-01-01T00:00:00Z') })
+];
+
+describe('waitlistAnalytics', () => {
+  const analytics = waitlistAnalytics(recipients, { asOf });
+
+  it('breaks active patients down by blood type, status and sex', () => {
+    expect(analytics.total).toBe(12);
+    expect(analytics.active).toBe(11);
+    expect(analytics.byBloodType.find(count => count.label === 'O-').count).toBe(5);
+    expect(analytics.byStatus.find(count => count.label === '1').count).toBe(2);
+    expect(analytics.byGender).toEqual([{ label: 'male', count: 7 }, { label: 'female', count: 4 }]);
+    expect(analytics.byListingState).toEqual([{ label: 'active', count: 11 }, { label: 'inactive', count: 1 }, { label: 'removed', count: 0 }]);
+  });
+
+  it('leaves paediatric patients out of the PHM distribution', () => {
+    expect(analytics.phm.omitted).toBe(1);
+    expect(analytics.phm.bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(10);
+    expect(analytics.phm.low).toBeLessThan(analytics.phm.median);
+  });
+
+  it('flags blood type O patients at either end of the PHM range and highly sensitised ones', () => {
+    const ids = analytics.hardToMatch.map(entry => entry.recipient.id);
+    expect(ids).toContain('H-0');
+    expect(ids).toContain('C-1');
+    expect(ids).not.toContain('H-9');
+    expect(analytics.hardToMatch.find(entry => entry.recipient.id === 'H-0').reasons[0]).toMatch(/^Blood type O with PHM \d+ g in the lowest 10%/);
+  });
+
+  it('flags waiting times past the review and long-wait thresholds', () => {
+    expect(analytics.waitingFlags.map(flag => flag.recipient.id)).toEqual(['H-9', 'H-8', 'H-7', 'H-6', 'H-5', 'H-4', 'H-3']);
+    expect(analytics.waitingFlags[0].level).toBe('long');
+    expect(analytics.waitingFlags.find(flag => flag.recipient.id === 'H-3').level).toBe('review');
+    const stricter = waitlistAnalytics(recipients, { asOf, options: { reviewDays: 450, longWaitDays: 600 } });
+    expect(stricter.waitingFlags.map(flag => flag.recipient.id)).toEqual(['H-9', 'H-8']);
+  });
+
+  it('counts days on the list and falls back to default settings', () => {
+    expect(waitingDays(recipient({}), asOf)).toBe(31);
+    expect(waitingDays(recipient({ dateadded: 'unknown' }), asOf)).toBeNull();
+    expect(analyticsOptions({ extremePhmPercent: 60, highCpra: 'high' })).toEqual(analyticsOptions());
+    expect(describeWaitingDays(45)).toBe('45 days');
+    expect(describeWaitingDays(400)).toBe('13 months');
+    expect(describeWaitingDays(800)).toBe('2 years 2 months');
+  });
+});
@@ -0,0 +1,184 @@
+// waitlistDiff.js - Compare a re-imported waitlist with the one already loaded, matched by id,
+// so changes can be reviewed before they replace the list
+import { recipientFields } from '../import/columnMapping';
+import { setRecipientField } from './waitlistEdits';
+
+// A weight change beyond this fraction, or a height change beyond this many cm, is more likely a typo than a real change
+export const attentionLimits = { weightFraction: 0.1, heightCm: 3 };
+
+const idOf = (recipient) => String(recipient?.id ?? '').trim();
+
+const comparable = (field, value) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (field === 'dateadded') return new Date(value).getTime();
+  if (Array.isArray(value)) return value.join(' ');
+  return value;
+};
+
+// The fields a re-import can change: those the column mapping filled in. Unmapped columns keep their saved values.
+export const diffFields = (mapping) => recipientFields
+  .map(field => field.key)
+  .filter(key => key !== 'id' && mapping[key]);
+
+export const fieldLabel = (field) => recipientFields.find(entry => entry.key === field)?.label || field;
+
+// Why a change deserves a second look, or null
+const attentionFor = (field, oldValue, newValue) => {
+  if (field === 'bloodType') return 'blood type changed';
+  const before = parseFloat(oldValue);
+  const after = parseFloat(newValue);
+  if (!isFinite(before) || !isFinite(after)) return null;
+  if (field === 'weight' && Math.abs(after - before) > before * attentionLimits.weightFraction) {
+    return `weight changed by more than ${attentionLimits.weightFraction * 100}%`;
+  }
+  if (field === 'height' && Math.abs(after - before) > attentionLimits.heightCm) {
+    return `height changed by more than ${attentionLimits.heightCm} cm`;
+  }
+  if (field === 'age' && after < before) return 'age went down';
+  return null;
+};
+
+const fieldChanges = (before, after, fields) => fields
+  .filter(field => comparable(field, before[field]) !== comparable(field, after[field]))
+  .map(field => ({
+    field,
+    oldValue: before[field] ?? null,
+    newValue: after[field] ?? null,
+    attention: attentionFor(field, before[field], after[field])
+  }));
+
+// previous is the loaded list; incoming the valid recipients of the new file.
+// heldBackIds are ids on rows the import rejected: those patients are left alone rather than reported as removed.
+// Returns { added, removed, changed: [{ id, name, previous, next, changes }], unchanged, heldBack, duplicateIds }.
+export const diffWaitlists = (previous, incoming, { fields, heldBackIds = [] } = {}) => {
+  const heldBack = new Set(heldBackIds.map(id => String(id ?? '').trim()).filter(Boolean));
+  const incomingById = new Map();
+  const duplicateIds = [];
+  incoming.forEach(recipient => {
+    const id = idOf(recipient);
+    if (incomingById.has(id)) duplicateIds.push(id);
+    else incomingById.set(id, recipient);
+  });
+
+  const previousIds = new Set(previous.map(idOf));
+  const added = [...incomingById.values()].filter(recipient => !previousIds.has(idOf(recipient)));
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  previous.forEach(recipient => {
+    const id = idOf(recipient);
+    const next = incomingById.get(id);
+    if (!next) {
+      // Already removed patients are expected to drop off the spreadsheet
+      if (!heldBack.has(id) && recipient.listingState !== 'removed') removed.push(recipient);
+      return;
+    }
+    // A removed patient back on the list is re-listed even when the file has no listing state column
+    const compared = recipient.listingState === 'removed' && !fields.includes('listingState') ? [...fields, 'listingState'] : fields;
+    const changes = fieldChanges(recipient, next, compared);
+    if (changes.length) changed.push({ id, name: next.name, previous: recipient, next, changes });
+    else unchanged++;
+  });
+
+  return {
+    added,
+    removed,
+    changed,
+    unchanged,
+    heldBack: previous.filter(recipient => heldBack.has(idOf(recipient)) && !incomingById.has(idOf(recipient))),
+    duplicateIds: [...new Set(duplicateIds)]
+  };
+};
+
+export const hasChanges = (diff) => Boolean(diff.added.length || diff.removed.length || diff.changed.length);
+
+// One changed field of one patient, so each change can be accepted or rejected on its own
+export const changeKey = (id, field) => `changed:${id}:${field}`;
+
+// Every entry of a diff: "added:<id>", "removed:<id>" and "changed:<id>:<field>"
+export const diffKeys = (diff) => [
+  ...diff.added.map(recipient => `added:${idOf(recipient)}`),
+  ...diff.removed.map(recipient => `removed:${idOf(recipient)}`),
+  ...diff.changed.flatMap(entry => entry.changes.map(change => changeKey(entry.id, change.field)))
+];
+
+// What the review starts with ticked: everything except the changes flagged for a second look
+export const initialAcceptedKeys = (diff) => {
+  const flagged = new Set(diff.changed.flatMap(entry => entry.changes
+    .filter(change => change.attention)
+    .map(change => changeKey(entry.id, change.field))));
+  return diffKeys(diff).filter(key => !flagged.has(key));
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'dateadded') return new Date(value).toLocaleDateString();
+  if (Array.isArray(value)) return value.join(' ') || '—';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+};
+
+// "Status 4 → 2 (upgrade)", "Weight 80 → 70 (−12.5%)"
+export const describeChange = ({ field, oldValue, newValue }) => {
+  const text = `${fieldLabel(field)} ${formatValue(field, oldValue)} → ${formatValue(field, newValue)}`;
+  const before = parseFloat(oldValue);
+  const after = parseFloat(newValue);
+  if (!isFinite(before) || !isFinite(after)) return text;
+  // Status 1 is the most urgent, so a lower number is an upgrade
+  if (field === 'status') return `${text} (${after < before ? 'upgrade' : 'downgrade'})`;
+  if (field === 'weight' && before) {
+    const percent = ((after - before) / before) * 100;
+    return `${text} (${percent > 0 ? '+' : '−'}${Math.abs(Math.round(percent * 10) / 10)}%)`;
+  }
+  return text;
+};
+
+// The list after applying the accepted entries of a diff. Rejected entries keep the saved version, field by field
+// for changed patients; removed patients stay on the list as "removed" so their history is kept. Every accepted change
+// is added to the patient's history at acceptedAt. Returns { recipients, record } where record is the import log entry.
+export const applyWaitlistDiff = (previous, diff, { accepted, acceptedAt = new Date() }) => {
+  const isAccepted = (key) => accepted.includes(key);
+  const changedById = new Map(diff.changed.map(entry => [entry.id, entry]));
+  const removedIds = new Set(diff.removed.map(idOf));
+
+  const kept = previous.map(recipient => {
+    const id = idOf(recipient);
+    if (removedIds.has(id)) {
+      return isAccepted(`removed:${id}`) ? setRecipientField(recipient, 'listingState', 'removed', acceptedAt) : recipient;
+    }
+    const entry = changedById.get(id);
+    if (!entry) return recipient;
+    return entry.changes.filter(change => isAccepted(changeKey(id, change.field))).reduce((updated, change) => ({
+      ...updated,
+      [change.field]: change.newValue,
+      history: [...(updated.history || []), { field: change.field, oldValue: change.oldValue, newValue: change.newValue, changedAt: acceptedAt }]
+    }), recipient);
+  });
+
+  const added = diff.added
+    .filter(recipient => isAccepted(`added:${idOf(recipient)}`))
+    .map(recipient => ({ ...recipient, history: [{ field: 'listing', oldValue: null, newValue: 'added', changedAt: acceptedAt }] }));
+
+  const acceptedChanges = diff.changed
+    .map(entry => ({ ...entry, changes: entry.changes.filter(change => isAccepted(changeKey(entry.id, change.field))) }))
+    .filter(entry => entry.changes.length);
+  const record = {
+    acceptedAt,
+    added: added.map(idOf),
+    removed: diff.removed.map(idOf).filter(id => isAccepted(`removed:${id}`)),
+    changed: acceptedChanges.map(({ id, changes }) => ({
+      id,
+      changes: changes.map(({ field, oldValue, newValue }) => ({ field, oldValue, newValue }))
+    })),
+    rejected: diffKeys(diff).filter(key => !isAccepted(key)).length
+  };
+
+  return { recipients: [...kept, ...added], record };
+};
+
+// "2 added, 1 removed, 3 changed (1 rejected)"
+export const describeImportRecord = (record) => {
+  const parts = [`${record.added.length} added`, `${record.removed.length} removed`, `${record.changed.length} changed`];
+  return `${parts.join(', ')}${record.rejected ? ` (${record.rejected} rejected)` : ''}`;
+};
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  diffWaitlists,
+  diffFields,
+  diffKeys,
+  initialAcceptedKeys,
+  applyWaitlistDiff,
+  describeChange,
+  describeImportRecord
+} from './waitlistDiff';
+import { makeRecipient } from '../test/fixtures';
+
+const acceptedAt = new Date('2025-03-01T09:00:00');
+const recipient = (overrides) => makeRecipient({
+  id: 'H-1', name: 'Alpha', status: 4, listingState: 'active', centre: null, history: [], ...overrides
+});
+
+const mapping = { id: 'ID', name: 'Name', gender: 'Sex', age: 'Age', height: 'Ht', weight: 'Wt', status: 'Status', dateadded: 'Listed', bloodType: 'ABO' };
+const fields = diffFields(mapping);
+
+const previous = [
+  recipient({ id: 'H-1' }),
+  recipient({ id: 'H-2', name: 'Beta', bloodType: 'A+' }),
+  recipient({ id: 'H-3', name: 'Gamma' }),
+  recipient({ id: 'H-4', name: 'Delta', centre: 'LON' }),
+  recipient({ id: 'H-5', name: 'Eta', listingState: 'removed' }),
+  recipient({ id: 'H-6', name: 'Theta' })
+];
+
+// H-1 upgraded and lighter, H-2 blood type corrected, H-3 gone, H-4 unchanged apart from an unmapped column,
+// H-6 held back by an invalid row, H-7 new
+const incoming = [
+  recipient({ id: 'H-1', status: 2, weight: 70, dateadded: new Date('2024-01-01'), history: undefined }),
+  recipient({ id: 'H-2', name: 'Beta', bloodType: 'B+', history: undefined }),
+  recipient({ id: 'H-4', name: 'Delta', history: undefined }),
+  recipient({ id: 'H-7', name: 'Iota', history: undefined })
+];
+
+describe('diffWaitlists', () => {
+  it('matches patients by id and reports added, removed and changed fields', () => {
+    const diff = diffWaitlists(previous, incoming, { fields, heldBackIds: ['H-6'] });
+    expect(diff.added.map(r => r.id)).toEqual(['H-7']);
+    expect(diff.removed.map(r => r.id)).toEqual(['H-3']);
+    expect(diff.heldBack.map(r => r.id)).toEqual(['H-6']);
+    expect(diff.unchanged).toBe(1);
+    expect(diff.changed.map(entry => entry.id)).toEqual(['H-1', 'H-2']);
+    expect(diff.changed[0].changes).toEqual([
+      { field: 'weight', oldValue: 80, newValue: 70, attention: 'weight changed by more than 10%' },
+      { field: 'status', oldValue: 4, newValue: 2, attention: null }
+    ]);
+    expect(diff.changed[1].changes[0].attention).toBe('blood type changed');
+  });
+
+  it('re-lists a removed patient who is back in the file and reports duplicate ids', () => {
+    const diff = diffWaitlists(previous, [...incoming, recipient({ id: 'H-5', name: 'Eta' }), recipient({ id: 'H-7 ' })], { fields });
+    expect(diff.changed.find(entry => entry.id === 'H-5').changes).toEqual([
+      { field: 'listingState', oldValue: 'removed', newValue: 'active', attention: null }
+    ]);
+    expect(diff.duplicateIds).toEqual(['H-7']);
+  });
+});
+
+describe('applyWaitlistDiff', () => {
+  it('applies accepted entries with history and keeps rejected ones as saved', () => {
+    const diff = diffWaitlists(previous, incoming, { fields, heldBackIds: ['H-6'] });
+    const accepted = diffKeys(diff).filter(key => key !== 'changed:H-2:bloodType');
+    const { recipients, record } = applyWaitlistDiff(previous, diff, { accepted, acceptedAt });
+
+    const byId = Object.fromEntries(recipients.map(r => [r.id, r]));
+    expect(byId['H-1']).toMatchObject({ status: 2, weight: 70 });
+    expect(byId['H-1'].history).toEqual([
+      { field: 'weight', oldValue: 80, newValue: 70, changedAt: acceptedAt },
+      { field: 'status', oldValue: 4, newValue: 2, changedAt: acceptedAt }
+    ]);
+    expect(byId['H-2'].bloodType).toBe('A+');
+    expect(byId['H-3'].listingState).toBe('removed');
+    expect(byId['H-4'].centre).toBe('LON');
+    expect(byId['H-6']).toBe(previous[5]);
+    expect(byId['H-7'].history).toEqual([{ field: 'listing', oldValue: null, newValue: 'added', changedAt: acceptedAt }]);
+
+    expect(record).toMatchObject({ acceptedAt, added: ['H-7'], removed: ['H-3'], rejected: 1 });
+    expect(record.changed.map(entry => entry.id)).toEqual(['H-1']);
+    expect(describeImportRecord(record)).toBe('1 added, 1 removed, 1 changed (1 rejected)');
+  });
+
+  it('accepts and rejects changes to one patient field by field', () => {
+    const diff = diffWaitlists(previous, incoming, { fields, heldBackIds: ['H-6'] });
+    const accepted = diffKeys(diff).filter(key => key !== 'changed:H-1:weight');
+    const { recipients, record } = applyWaitlistDiff(previous, diff, { accepted, acceptedAt });
+
+    const updated = recipients.find(r => r.id === 'H-1');
+    expect(updated).toMatchObject({ status: 2, weight: 80 });
+    expect(updated.history).toEqual([{ field: 'status', oldValue: 4, newValue: 2, changedAt: acceptedAt }]);
+    expect(record.changed.find(entry => entry.id === 'H-1').changes).toEqual([{ field: 'status', oldValue: 4, newValue: 2 }]);
+    expect(record.rejected).toBe(1);
+  });
+});
+
+describe('initialAcceptedKeys', () => {
+  it('leaves changes flagged for a second look unticked', () => {
+    const diff = diffWaitlists(previous, incoming, { fields, heldBackIds: ['H-6'] });
+    expect(initialAcceptedKeys(diff)).toEqual(['added:H-7', 'removed:H-3', 'changed:H-1:status']);
+  });
+});
+
+describe('describeChange', () => {
+  it('names status direction and weight change', () => {
+    expect(describeChange({ field: 'status', oldValue: 4, newValue: 2 })).toBe('Status (1-7) 4 → 2 (upgrade)');
+    expect(describeChange({ field: 'weight', oldValue: 80, newValue: 70 })).toBe('Weight 80 → 70 (−12.5%)');
+    expect(describeChange({ field: 'bloodType', oldValue: 'A+', newValue: 'B+' })).toBe('Blood Type A+ → B+');
+  });
+});
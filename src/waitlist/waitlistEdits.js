@@ -0,0 +1,66 @@
+// waitlistEdits.js - Edit recipients in place with import validation and per-patient history
+import { validateRecipientRow } from '../import/validation';
+
+export { listingStates } from '../import/validation';
+
+export const isActive = (recipient) => (recipient.listingState || 'active') === 'active';
+
+export const activeRecipients = (recipients) => recipients.filter(isActive);
+
+// Fields a user can edit, in the importer's column order
+export const editableFields = ['id', 'name', 'gender', 'age', 'height', 'weight', 'bloodType', 'status', 'dateadded'];
+
+// Optional clinical modifiers, edited alongside the fields above
+export const clinicalFields = ['pvr', 'priorSternotomy', 'vad', 'cpra', 'unacceptableAntigens'];
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (Array.isArray(value)) return value.join(' ');
+  return value ?? '';
+};
+
+const historyEntries = (before, after, fields, changedAt) => fields
+  .filter(field => comparable(before[field]) !== comparable(after[field]))
+  .map(field => ({ field, oldValue: before[field] ?? null, newValue: after[field] ?? null, changedAt }));
+
+// Apply changes to one recipient. Returns { recipient, issues }; recipient is null when invalid.
+// otherIds are the ids already used by the rest of the list; requireBloodType follows the list's import
+// (a list imported without a blood type column can be edited without one).
+export const applyRecipientEdit = (recipient, changes, { otherIds = [], changedAt = new Date(), requireBloodType = true } = {}) => {
+  const { recipient: validated, issues } = validateRecipientRow({ ...recipient, ...changes }, null, { requireBloodType });
+
+  if (validated.id !== undefined && otherIds.includes(String(validated.id).trim())) {
+    issues.push({ row: null, column: 'id', reason: `id "${validated.id}" is already on the waitlist` });
+  }
+  if (issues.length) return { recipient: null, issues };
+
+  const fields = [...editableFields, ...clinicalFields, 'centre', 'listingState'];
+  return {
+    recipient: {
+      ...validated,
+      history: [...(recipient.history || []), ...historyEntries(recipient, validated, fields, changedAt)]
+    },
+    issues
+  };
+};
+
+export const createRecipient = (data, options = {}) => {
+  const { recipient, issues } = applyRecipientEdit({ listingState: 'active', history: [] }, data, options);
+  if (!recipient) return { recipient, issues };
+
+  // A new patient's history starts with a single "added" entry rather than one per field
+  return {
+    recipient: { ...recipient, history: [{ field: 'listing', oldValue: null, newValue: 'added', changedAt: options.changedAt || new Date() }] },
+    issues
+  };
+};
+
+// Status and listing state changes skip full validation so incomplete rows can still be managed
+export const setRecipientField = (recipient, field, value, changedAt = new Date()) => {
+  if (comparable(recipient[field]) === comparable(value)) return recipient;
+  return {
+    ...recipient,
+    [field]: value,
+    history: [...(recipient.history || []), { field, oldValue: recipient[field] ?? null, newValue: value, changedAt }]
+  };
+};
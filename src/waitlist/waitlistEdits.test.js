@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { activeRecipients, applyRecipientEdit, createRecipient, setRecipientField } from './waitlistEdits';
+
+const changedAt = new Date('2025-01-10T09:00:00');
+const recipient = {
+  id: 'H-1', name: 'Alpha', gender: 'male', age: 50, height: 178, weight: 80, bloodType: 'O+',
+  status: 3, dateadded: new Date('2024-01-01'), listingState: 'active', history: []
+};
+
+describe('applyRecipientEdit', () => {
+  it('records old and new values for each changed field', () => {
+    const { recipient: edited, issues } = applyRecipientEdit(recipient, { weight: '76', bloodType: 'O-' }, { changedAt });
+    expect(issues).toEqual([]);
+    expect(edited.weight).toBe(76);
+    expect(edited.history).toEqual([
+      { field: 'weight', oldValue: 80, newValue: 76, changedAt },
+      { field: 'bloodType', oldValue: 'O+', newValue: 'O-', changedAt }
+    ]);
+  });
+
+  it('records clinical column changes, comparing antigen lists by value', () => {
+    const withClinical = { ...recipient, pvr: 3, unacceptableAntigens: ['A2'] };
+    const { recipient: edited } = applyRecipientEdit(withClinical, { pvr: '4.5', unacceptableAntigens: 'a2' }, { changedAt });
+    expect(edited.history).toEqual([{ field: 'pvr', oldValue: 3, newValue: 4.5, changedAt }]);
+  });
+
+  it('allows edits without a blood type on a list imported without one', () => {
+    const untyped = { ...recipient, bloodType: undefined };
+    expect(applyRecipientEdit(untyped, { status: '2' }).recipient).toBeNull();
+    const { recipient: edited, issues } = applyRecipientEdit(untyped, { status: '2' }, { changedAt, requireBloodType: false });
+    expect(issues).toEqual([]);
+    expect(edited.status).toBe(2);
+  });
+
+  it('rejects edits that fail import validation or duplicate an id', () => {
+    expect(applyRecipientEdit(recipient, { weight: 'heavy' }).recipient).toBeNull();
+    const { issues } = applyRecipientEdit(recipient, { id: 'H-2' }, { otherIds: ['H-2'] });
+    expect(issues.map(issue => issue.column)).toEqual(['id']);
+  });
+});
+
+describe('createRecipient', () => {
+  it('starts the history with an "added" entry', () => {
+    const { recipient: added } = createRecipient({ ...recipient, id: 'H-9', history: undefined }, { changedAt });
+    expect(added.history).toEqual([{ field: 'listing', oldValue: null, newValue: 'added', changedAt }]);
+  });
+});
+
+describe('setRecipientField', () => {
+  it('changes status and listing state with history', () => {
+    const removed = setRecipientField(setRecipientField(recipient, 'status', 1, changedAt), 'listingState', 'removed', changedAt);
+    expect(removed.status).toBe(1);
+    expect(removed.history.map(entry => entry.field)).toEqual(['status', 'listingState']);
+    expect(activeRecipients([recipient, removed])).toEqual([recipient]);
+  });
+
+  it('ignores a no-op change', () => {
+    expect(setRecipientField(recipient, 'status', 3)).toBe(recipient);
+  });
+});